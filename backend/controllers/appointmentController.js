@@ -8,82 +8,76 @@ const MembershipTier = require('../models/MembershipTier');
 const CompanyClosure = require('../models/CompanyClosure');
 const PointsHistory = require('../models/PointsHistory');
 const BusinessSettings = require('../models/BusinessSettings');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+  MAX_SERIES_OCCURRENCES,
+  getAppointmentEndTime,
+  findConflictingAppointment,
+  acquireStaffBookingLock,
+  releaseStaffBookingLock,
+  BOOKING_LOCK_BUSY_MESSAGE,
+  buildRecurrenceDates,
+  findClosuresForDates,
+  getClosureForDate,
+  generateAvailableSlots
+} = require('../utils/appointmentScheduling');
+const { OPEN_WAITLIST_STATUSES, notifyWaitlistForFreedSlot } = require('../utils/waitlist');
+const { calculateNoShowDeposit, getInitialStatusDepositError, getDepositError } = require('../utils/noShowPolicy');
+const {
+  evaluatePromotion,
+  reservePromotionUse,
+  releasePromotionUse,
+  recordPromotionRedemption,
+  reversePromotionRedemption
+} = require('../utils/promotions');
+const { useServiceConsumables, returnServiceConsumables, notifyLowStock } = require('../utils/inventory');
+const Promotion = require('../models/Promotion');
+const { findShiftViolation } = require('../utils/staffSchedule');
+const {
+  APPOINTMENT_STATUSES,
+  canTransition,
+  describeInvalidTransition,
+  buildStatusHistoryEntry
+} = require('../utils/appointmentStatus');
+
+// Statuses a new appointment can start in
+const INITIAL_STATUSES = ['scheduled', 'confirmed', 'in-progress'];
+
+// Scopes for editing/cancelling an occurrence of a recurring series
+const SERIES_SCOPES = ['this', 'following', 'series'];
+
+// Occurrences that can still be changed as part of a series edit/cancel
+const SERIES_EDITABLE_STATUSES = ['scheduled', 'confirmed'];
+
+// Helper function to check whether a booking's promotion code replaced the membership discount
+// (re-pricing such a booking must not bring the membership discount back on top of the code)
+const promotionReplacesMembership = async (appointment) => {
+  if (!appointment.promotionId) return false;
+  const promotion = await Promotion.findById(appointment.promotionId).select('stackWithMembership');
+  return !!promotion && !promotion.stackWithMembership;
+};
 
 // Helper function to calculate total price
 const calculateTotalPrice = (price, membershipDiscount, staffCommission) => {
   return Math.max(0, price - membershipDiscount - staffCommission);
 };
 
-// Helper function to validate time slot availability
-const validateTimeSlot = async (startTime, staffId, excludeAppointmentId = null) => {
-  const query = {
-    startTime: new Date(startTime),
-    staffId: staffId
-  };
-  
-  if (excludeAppointmentId) {
-    query._id = { $ne: excludeAppointmentId };
-  }
-  
-  const existingAppointment = await Appointment.findOne(query);
-  return !existingAppointment;
-};
-
-// Helper function to get available time slots for a date
-const getAvailableTimeSlots = async (date, staffId = null) => {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
-  
-  const query = {
-    startTime: {
-      $gte: startOfDay,
-      $lte: endOfDay
-    },
-    status: { $ne: 'cancelled' }
-  };
-  
-  if (staffId) {
-    query.staffId = staffId;
-  }
-  
-  const bookedAppointments = await Appointment.find(query).select('startTime staffId');
-  
-  // Generate all possible time slots (9 AM to 9 PM)
-  const timeSlots = [];
-  for (let hour = 9; hour <= 21; hour++) {
-    const slotTime = new Date(date);
-    slotTime.setHours(hour, 0, 0, 0);
-    timeSlots.push(slotTime);
-  }
-  
-  // Filter out booked slots
-  const availableSlots = timeSlots.filter(slot => {
-    if (!staffId) {
-      // If no staff specified, check if slot is available for any staff
-      return true; // For now, return all slots (can be enhanced)
+// Helper function to build the 409 response body for a double booking
+const formatConflict = (conflictingAppointment) => {
+  return {
+    success: false,
+    message: 'Time slot overlaps an existing appointment for this staff member',
+    conflictingAppointment: {
+      _id: conflictingAppointment._id,
+      clientId: conflictingAppointment.clientId,
+      serviceVariationId: conflictingAppointment.serviceVariationId,
+      staffId: conflictingAppointment.staffId,
+      startTime: conflictingAppointment.startTime,
+      endTime: getAppointmentEndTime(conflictingAppointment),
+      status: conflictingAppointment.status
     }
-    
-    const isBooked = bookedAppointments.some(apt => {
-      const aptTime = new Date(apt.startTime);
-      return aptTime.getTime() === slot.getTime() && apt.staffId.toString() === staffId.toString();
-    });
-    
-    return !isBooked;
-  });
-  
-  return availableSlots.map(slot => {
-    const hour = slot.getHours();
-    const period = hour >= 12 ? 'PM' : 'AM';
-    const displayHour = hour > 12 ? hour - 12 : (hour === 0 ? 12 : hour);
-    const formatted = `${displayHour} ${period}`;
-    return {
-      time: slot.toISOString(),
-      formatted: formatted
-    };
-  });
+  };
 };
 
 // @desc    Get all appointments
@@ -179,10 +173,11 @@ const getAllAppointments = async (req, res) => {
 
 // @desc    Get available time slots
 // @route   GET /api/appointments/available-slots
+// @query   date (required), staffId, serviceVariationId, interval (minutes)
 // @access  Public
 const getAvailableSlots = async (req, res) => {
   try {
-    const { date, staffId } = req.query;
+    const { date, staffId, serviceVariationId, interval } = req.query;
 
     if (!date) {
       return res.status(400).json({
@@ -207,11 +202,46 @@ const getAvailableSlots = async (req, res) => {
       });
     }
 
-    const availableSlots = await getAvailableTimeSlots(selectedDate, staffId || null);
+    // Validate interval if provided
+    if (interval !== undefined && (!Number.isInteger(Number(interval)) || Number(interval) < 5 || Number(interval) > 240)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Interval must be a whole number of minutes between 5 and 240'
+      });
+    }
+
+    // Service variation decides the slot length and which therapists qualify
+    let serviceVariation = null;
+    if (serviceVariationId) {
+      if (!mongoose.Types.ObjectId.isValid(serviceVariationId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid service variation ID'
+        });
+      }
+      serviceVariation = await ServiceVariation.findById(serviceVariationId)
+        .populate('baseService', 'name category');
+      if (!serviceVariation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service variation not found'
+        });
+      }
+    }
+
+    const availability = await generateAvailableSlots({
+      date: selectedDate,
+      staffId: staffId || null,
+      serviceVariation,
+      interval: interval !== undefined ? Number(interval) : null
+    });
+
+    const { slots, ...meta } = availability;
 
     res.status(200).json({
       success: true,
-      data: availableSlots
+      data: slots,
+      meta
     });
   } catch (error) {
     console.error('getAvailableSlots - Error:', error);
@@ -251,7 +281,9 @@ const getAppointmentById = async (req, res) => {
       .populate('serviceVariationId', 'variationName timeDuration price commission')
       .populate('staffId', 'name specialization')
       .populate('referenceStaffId', 'name referralCommission')
-      .populate('payment_ids', 'status type amount discount payable_amount createdAt');
+      .populate('payment_ids', 'status type amount discount payable_amount createdAt')
+      .populate('seriesId', 'intervalWeeks until occurrences skippedDates status')
+      .populate('statusHistory.changedBy', 'name role');
 
     if (!appointment) {
       return res.status(404).json({
@@ -291,6 +323,7 @@ const getAppointmentById = async (req, res) => {
 // @route   POST /api/appointments
 // @access  Public
 const createAppointment = async (req, res) => {
+  let staffLock = null;
   try {
     console.log('createAppointment - Request body:', JSON.stringify(req.body, null, 2));
 
@@ -325,6 +358,71 @@ const createAppointment = async (req, res) => {
       }
     }
 
+    // Validate recurrence rule if provided: { intervalWeeks, until } or { intervalWeeks, occurrences }
+    const { recurrence } = req.body;
+    if (recurrence) {
+      const intervalWeeks = Number(recurrence.intervalWeeks);
+      if (!Number.isInteger(intervalWeeks) || intervalWeeks < 1 || intervalWeeks > 52) {
+        return res.status(400).json({
+          success: false,
+          message: 'Recurrence interval must be a whole number of weeks between 1 and 52'
+        });
+      }
+      if (!recurrence.until && !recurrence.occurrences) {
+        return res.status(400).json({
+          success: false,
+          message: 'Recurrence requires either an end date (until) or a number of occurrences'
+        });
+      }
+      if (recurrence.until && isNaN(new Date(recurrence.until).getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid recurrence end date'
+        });
+      }
+      if (recurrence.occurrences !== undefined && recurrence.occurrences !== null) {
+        const occurrences = Number(recurrence.occurrences);
+        if (!Number.isInteger(occurrences) || occurrences < 1 || occurrences > MAX_SERIES_OCCURRENCES) {
+          return res.status(400).json({
+            success: false,
+            message: `Occurrences must be a whole number between 1 and ${MAX_SERIES_OCCURRENCES}`
+          });
+        }
+      }
+    }
+
+    // Validate initial status if provided
+    if (req.body.status !== undefined && !INITIAL_STATUSES.includes(req.body.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `New appointments must start as one of: ${INITIAL_STATUSES.join(', ')}`
+      });
+    }
+
+    // Booking from the waitlist: the entry must still be open and belong to this client
+    let waitlistEntry = null;
+    if (req.body.waitlistEntryId) {
+      if (!mongoose.Types.ObjectId.isValid(req.body.waitlistEntryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid waitlist entry ID'
+        });
+      }
+      waitlistEntry = await WaitlistEntry.findById(req.body.waitlistEntryId);
+      if (!waitlistEntry || !OPEN_WAITLIST_STATUSES.includes(waitlistEntry.status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Waitlist entry not found or no longer open'
+        });
+      }
+      if (waitlistEntry.clientId.toString() !== clientId.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Waitlist entry belongs to a different client'
+        });
+      }
+    }
+
     // Check if client exists
     const client = await Client.findById(clientId);
     if (!client) {
@@ -334,6 +432,15 @@ const createAppointment = async (req, res) => {
       });
     }
 
+    // Clients who owe a no-show deposit cannot be booked straight in as confirmed or in progress
+    const depositError = getInitialStatusDepositError(client, await BusinessSettings.getSettings(), req.body.status);
+    if (depositError) {
+      return res.status(400).json({
+        success: false,
+        message: depositError
+      });
+    }
+
     // Check if base service exists and is active
     const baseService = await BaseService.findById(baseServiceId);
     if (!baseService) {
@@ -406,31 +513,121 @@ const createAppointment = async (req, res) => {
       });
     }
 
-    // Check if appointment date is a company closure/holiday
-    const appointmentDate = new Date(appointmentStartTime);
-    appointmentDate.setHours(0, 0, 0, 0); // Normalize to start of day for comparison
-    
-    const closure = await CompanyClosure.findOne({ date: appointmentDate });
-    if (closure) {
-      const closureType = closure.isHoliday ? 'holiday' : 'company closure';
-      return res.status(400).json({
-        success: false,
-        message: `Cannot create appointment on ${closureType}${closure.reason ? `: ${closure.reason}` : ''}`
+    // Drop seconds and milliseconds
+    appointmentStartTime.setSeconds(0, 0);
+
+    // The series end date (a whole day) cannot come before its first occurrence
+    if (recurrence && recurrence.until) {
+      const untilEnd = new Date(recurrence.until);
+      untilEnd.setHours(23, 59, 59, 999);
+      if (untilEnd < appointmentStartTime) {
+        return res.status(400).json({
+          success: false,
+          message: 'Recurrence end date cannot be before the start time'
+        });
+      }
+    }
+
+    // A one-off appointment has a single occurrence; a series expands its recurrence rule
+    let occurrenceTimes = [appointmentStartTime];
+    const skippedDates = [];
+    let truncated = false;
+
+    if (recurrence) {
+      const recurrenceDates = buildRecurrenceDates(appointmentStartTime, Number(recurrence.intervalWeeks), {
+        until: recurrence.until || null,
+        occurrences: recurrence.occurrences ? Number(recurrence.occurrences) : null
+      });
+      const allOccurrences = recurrenceDates.dates;
+      truncated = recurrenceDates.truncated;
+
+      // Skip (and report) occurrences that fall on company closures/holidays
+      const closuresByDay = await findClosuresForDates(allOccurrences);
+      occurrenceTimes = allOccurrences.filter(occurrence => {
+        const closure = getClosureForDate(closuresByDay, occurrence);
+        if (closure) {
+          skippedDates.push({
+            date: occurrence,
+            reason: closure.reason || (closure.isHoliday ? 'Holiday' : 'Company closure')
+          });
+          return false;
+        }
+        return true;
       });
+
+      if (occurrenceTimes.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'All occurrences of the series fall on company closures or holidays',
+          skippedDates
+        });
+      }
+    } else {
+      // Check if appointment date is a company closure/holiday
+      const appointmentDate = new Date(appointmentStartTime);
+      appointmentDate.setHours(0, 0, 0, 0); // Normalize to start of day for comparison
+      
+      const closure = await CompanyClosure.findOne({ date: appointmentDate });
+      if (closure) {
+        const closureType = closure.isHoliday ? 'holiday' : 'company closure';
+        return res.status(400).json({
+          success: false,
+          message: `Cannot create appointment on ${closureType}${closure.reason ? `: ${closure.reason}` : ''}`
+        });
+      }
     }
 
-    // Round to nearest hour (remove minutes and seconds)
-    appointmentStartTime.setMinutes(0, 0, 0);
+    // Every occurrence must fall inside the therapist's shift
+    for (const occurrence of occurrenceTimes) {
+      const shiftViolation = await findShiftViolation(staffId, occurrence, serviceVariation.timeDuration);
+      if (shiftViolation) {
+        return res.status(400).json({
+          success: false,
+          message: recurrence ? `${shiftViolation} on ${occurrence.toDateString()}` : shiftViolation
+        });
+      }
+    }
 
-    // Validate time slot availability
-    const isSlotAvailable = await validateTimeSlot(appointmentStartTime, staffId);
-    if (!isSlotAvailable) {
-      return res.status(400).json({
+    // Hold the staff member's diary until the appointment(s) are saved
+    staffLock = await acquireStaffBookingLock([staffId]);
+    if (!staffLock) {
+      return res.status(409).json({
         success: false,
-        message: 'Time slot is already booked for this staff member'
+        message: BOOKING_LOCK_BUSY_MESSAGE
       });
     }
 
+    // Validate time slot availability against the full service duration
+    if (!recurrence) {
+      const conflictingAppointment = await findConflictingAppointment(
+        appointmentStartTime,
+        serviceVariation.timeDuration,
+        staffId
+      );
+      if (conflictingAppointment) {
+        return res.status(409).json(formatConflict(conflictingAppointment));
+      }
+    } else {
+      // Every occurrence must be free; report all clashes so the series can be adjusted in one go
+      const conflicts = [];
+      for (const occurrence of occurrenceTimes) {
+        const conflictingAppointment = await findConflictingAppointment(occurrence, serviceVariation.timeDuration, staffId);
+        if (conflictingAppointment) {
+          conflicts.push({
+            startTime: occurrence,
+            conflictingAppointment: formatConflict(conflictingAppointment).conflictingAppointment
+          });
+        }
+      }
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${conflicts.length} occurrence(s) of the series overlap existing appointments for this staff member`,
+          conflicts
+        });
+      }
+    }
+
     // Get price from service variation
     const price = serviceVariation.price;
 
@@ -516,14 +713,43 @@ const createAppointment = async (req, res) => {
       });
     }
 
+    // Apply a promotion code (checked before any points are taken so a rejected code changes nothing)
+    let promotionResult = null;
+    if (req.body.promoCode) {
+      promotionResult = await evaluatePromotion(req.body.promoCode, {
+        client,
+        baseService,
+        price,
+        membershipDiscount,
+        pointsToRedeem: req.body.pointsToRedeem
+      });
+      if (promotionResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: promotionResult.error
+        });
+      }
+      membershipDiscount = promotionResult.membershipDiscount;
+
+      if (!await reservePromotionUse(promotionResult.promotion)) {
+        return res.status(400).json({
+          success: false,
+          message: `Promotion ${promotionResult.promotion.code} has reached its usage limit`
+        });
+      }
+    }
+    const promotionDiscount = promotionResult ? promotionResult.promotionDiscount : 0;
+
     // Handle points redemption if provided
     let pointsUsed = 0;
     let pointsDiscount = 0;
+    let redeemedHistory = null;
     if (req.body.pointsToRedeem !== undefined && Number(req.body.pointsToRedeem) > 0) {
       const pointsToRedeem = Number(req.body.pointsToRedeem);
       
       // Validate points redemption
       if (pointsToRedeem > client.points_balance) {
+        if (promotionResult) await releasePromotionUse(promotionResult.promotion._id);
         return res.status(400).json({
           success: false,
           message: `Insufficient points balance. Available: ${client.points_balance}, Requested: ${pointsToRedeem}`
@@ -534,6 +760,7 @@ const createAppointment = async (req, res) => {
       const businessSettings = await BusinessSettings.findOne() || await BusinessSettings.create({});
       
       if (pointsToRedeem < businessSettings.redemptionThreshold) {
+        if (promotionResult) await releasePromotionUse(promotionResult.promotion._id);
         return res.status(400).json({
           success: false,
           message: `Points redemption must be at least ${businessSettings.redemptionThreshold} points`
@@ -549,7 +776,7 @@ const createAppointment = async (req, res) => {
       await client.save();
 
       // Create points history entry (appointmentId will be set after appointment creation)
-      await PointsHistory.create({
+      redeemedHistory = await PointsHistory.create({
         clientId: client._id,
         appointmentId: null, // Will be updated after appointment creation
         points: -pointsToRedeem, // Negative for redeemed
@@ -558,8 +785,32 @@ const createAppointment = async (req, res) => {
       });
     }
 
-    // Calculate total price (including points discount)
-    const totalPrice = Math.max(0, price - membershipDiscount - pointsDiscount - staffCommission);
+    // Calculate total price (membership or promotion discount, then points)
+    const totalPrice = Math.max(0, price - membershipDiscount - promotionDiscount - pointsDiscount - staffCommission);
+
+    // Clients with repeated no-shows may owe a deposit under the no-show policy
+    const settings = await BusinessSettings.getSettings();
+    const depositRequired = calculateNoShowDeposit(client, settings, totalPrice);
+
+    // Create the series record first so occurrences can link to it
+    let series = null;
+    if (recurrence) {
+      series = await AppointmentSeries.create({
+        clientId,
+        baseServiceId,
+        serviceVariationId,
+        staffId,
+        startTime: appointmentStartTime,
+        intervalWeeks: Number(recurrence.intervalWeeks),
+        // A series cut short by the cap ends at its last occurrence
+        until: truncated
+          ? occurrenceTimes[occurrenceTimes.length - 1]
+          : (recurrence.until ? new Date(recurrence.until) : null),
+        occurrences: recurrence.occurrences ? Number(recurrence.occurrences) : null,
+        skippedDates,
+        createdBy: req.staff ? req.staff._id : null
+      });
+    }
 
     // Prepare appointment data (payment fields removed - handled separately in Payment model)
     const appointmentData = {
@@ -567,24 +818,71 @@ const createAppointment = async (req, res) => {
       baseServiceId,
       serviceVariationId,
       staffId,
-      startTime: appointmentStartTime,
+      startTime: occurrenceTimes[0],
       reference,
       referenceStaffId: reference === 'staff' ? req.body.referenceStaffId : null,
       membership: client.membership_id ? true : (req.body.membership === true), // Auto-set if client has membership
       price,
       membershipDiscount,
+      promotionId: promotionResult ? promotionResult.promotion._id : null,
+      promoCode: promotionResult ? promotionResult.promotion.code : null,
+      promotionDiscount,
       staffCommission,
       totalPrice,
       status: req.body.status || 'scheduled',
+      statusHistory: [buildStatusHistoryEntry(null, req.body.status || 'scheduled', req.staff)],
       notes: req.body.notes || null,
       payment_ids: [], // Initialize empty payment_ids array
       pointsUsed: pointsUsed,
-      pointsAwarded: 0 // Will be set when appointment is completed
+      pointsAwarded: 0, // Will be set when appointment is completed
+      depositRequired,
+      seriesId: series ? series._id : null,
+      seriesIndex: series ? 0 : null
     };
 
     console.log('createAppointment - Processed data:', JSON.stringify(appointmentData, null, 2));
 
-    const appointment = await Appointment.create(appointmentData);
+    // Later occurrences of a series: redeemed points and promotion codes only apply to the first visit
+    // (a promotion that replaced the membership discount gives it back on the later visits)
+    const occurrenceMembershipDiscount = promotionResult ? membershipDiscount + promotionResult.membershipDiscountReplaced : membershipDiscount;
+    const occurrenceTotalPrice = Math.max(0, price - occurrenceMembershipDiscount - staffCommission);
+
+    let appointment;
+    const createdIds = [];
+    try {
+      appointment = await Appointment.create(appointmentData);
+      createdIds.push(appointment._id);
+      for (let i = 1; i < occurrenceTimes.length; i++) {
+        const occurrence = await Appointment.create({
+          ...appointmentData,
+          startTime: occurrenceTimes[i],
+          membershipDiscount: occurrenceMembershipDiscount,
+          promotionId: null,
+          promoCode: null,
+          promotionDiscount: 0,
+          totalPrice: occurrenceTotalPrice,
+          depositRequired: calculateNoShowDeposit(client, settings, occurrenceTotalPrice),
+          pointsUsed: 0,
+          seriesIndex: i
+        });
+        createdIds.push(occurrence._id);
+      }
+    } catch (createError) {
+      // Nothing is kept unless every occurrence was saved: drop what was written and give back
+      // the redeemed points and the promotion use
+      await Appointment.deleteMany({ _id: { $in: createdIds } });
+      if (series) await AppointmentSeries.deleteOne({ _id: series._id });
+      if (pointsUsed > 0) {
+        await Client.updateOne({ _id: client._id }, { $inc: { points_balance: pointsUsed } });
+        if (redeemedHistory) await PointsHistory.deleteOne({ _id: redeemedHistory._id });
+      }
+      if (promotionResult) await releasePromotionUse(promotionResult.promotion._id);
+      throw createError;
+    }
+
+    if (promotionResult) {
+      await recordPromotionRedemption(promotionResult, appointment, req.staff ? req.staff._id : null);
+    }
 
     // Update points history with appointment ID if points were used
     if (pointsUsed > 0) {
@@ -595,6 +893,13 @@ const createAppointment = async (req, res) => {
       );
     }
 
+    // Close the waitlist entry this booking came from
+    if (waitlistEntry) {
+      waitlistEntry.status = 'booked';
+      waitlistEntry.appointmentId = appointment._id;
+      await waitlistEntry.save();
+    }
+
     // Populate and return
     const populatedAppointment = await Appointment.findById(appointment._id)
       .populate('clientId', 'name phone email')
@@ -604,6 +909,23 @@ const createAppointment = async (req, res) => {
       .populate('referenceStaffId', 'name')
       .populate('payment_ids', 'status type amount discount payable_amount');
 
+    if (series) {
+      const occurrences = await Appointment.find({ seriesId: series._id })
+        .select('startTime status seriesIndex totalPrice')
+        .sort({ seriesIndex: 1 });
+
+      return res.status(201).json({
+        success: true,
+        data: populatedAppointment,
+        series,
+        occurrences,
+        skippedDates,
+        truncated,
+        message: `Created ${occurrences.length} appointment(s)${skippedDates.length > 0 ? `, skipped ${skippedDates.length} closure day(s)` : ''}` +
+          (truncated ? `. The series was limited to ${MAX_SERIES_OCCURRENCES} occurrences; the end date was moved to the last one` : '')
+      });
+    }
+
     res.status(201).json({
       success: true,
       data: populatedAppointment
@@ -619,7 +941,7 @@ const createAppointment = async (req, res) => {
 
     if (error.code === 11000) {
       // Duplicate key error (double booking)
-      return res.status(400).json({
+      return res.status(409).json({
         success: false,
         message: 'Time slot is already booked for this staff member'
       });
@@ -640,6 +962,356 @@ const createAppointment = async (req, res) => {
       error: error.message,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
+  } finally {
+    await releaseStaffBookingLock(staffLock);
+  }
+};
+
+// Helper function to find the occurrences targeted by a series edit/cancel
+// 'following' = this occurrence and later ones, 'series' = every occurrence
+// Completed, in-progress and cancelled occurrences are left untouched
+const findSeriesTargets = (appointment, scope) => {
+  const query = {
+    seriesId: appointment.seriesId,
+    status: { $in: SERIES_EDITABLE_STATUSES }
+  };
+  if (scope === 'following') {
+    query.seriesIndex = { $gte: appointment.seriesIndex };
+  }
+  return Appointment.find(query).sort({ seriesIndex: 1 });
+};
+
+// Helper function to apply an edit to several occurrences of a recurring series
+// Only scheduling fields can change across a series: startTime (shifts every occurrence by the
+// same amount), staffId, baseServiceId/serviceVariationId (re-priced per occurrence) and notes
+const updateSeriesAppointments = async (req, res, appointment, scope) => {
+  const seriesFields = ['startTime', 'staffId', 'baseServiceId', 'serviceVariationId', 'notes'];
+  const ignoredKeys = ['scope', ...seriesFields];
+  const unsupportedFields = Object.keys(req.body).filter(key => !ignoredKeys.includes(key));
+  if (unsupportedFields.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Only ${seriesFields.join(', ')} can be changed for multiple occurrences. Unsupported: ${unsupportedFields.join(', ')}`
+    });
+  }
+
+  // Validate ObjectIds if provided
+  if (req.body.staffId && !mongoose.Types.ObjectId.isValid(req.body.staffId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid staff ID'
+    });
+  }
+  if (req.body.baseServiceId && !mongoose.Types.ObjectId.isValid(req.body.baseServiceId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid base service ID'
+    });
+  }
+  if (req.body.serviceVariationId && !mongoose.Types.ObjectId.isValid(req.body.serviceVariationId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid service variation ID'
+    });
+  }
+
+  const targets = await findSeriesTargets(appointment, scope);
+  if (targets.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No scheduled or confirmed occurrences left to update in this series'
+    });
+  }
+
+  // Shift every occurrence by the change made to this one
+  let shiftMs = 0;
+  if (req.body.startTime) {
+    const newStartTime = new Date(req.body.startTime);
+    if (isNaN(newStartTime.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start time format'
+      });
+    }
+    newStartTime.setSeconds(0, 0);
+    shiftMs = newStartTime.getTime() - new Date(appointment.startTime).getTime();
+  }
+
+  // Validate new staff member
+  if (req.body.staffId) {
+    const staff = await Staff.findById(req.body.staffId);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff not found'
+      });
+    }
+    if (staff.status !== 'Active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff is not active'
+      });
+    }
+  }
+
+  // Validate new service variation
+  const serviceVariation = await ServiceVariation.findById(req.body.serviceVariationId || appointment.serviceVariationId);
+  if (!serviceVariation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Service variation not found'
+    });
+  }
+  if (req.body.serviceVariationId) {
+    if (!serviceVariation.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service variation is not active'
+      });
+    }
+    const baseServiceId = req.body.baseServiceId || serviceVariation.baseService.toString();
+    if (serviceVariation.baseService.toString() !== baseServiceId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service variation does not belong to the selected base service'
+      });
+    }
+  } else if (req.body.baseServiceId) {
+    return res.status(400).json({
+      success: false,
+      message: 'A service variation is required when changing the base service'
+    });
+  }
+
+  const newStaffId = req.body.staffId || null;
+  const targetIds = targets.map(target => target._id);
+
+  // Hold the diaries of every staff member involved until the occurrences are saved
+  const staffLock = await acquireStaffBookingLock(newStaffId ? [newStaffId] : targets.map(target => target.staffId));
+  if (!staffLock) {
+    return res.status(409).json({
+      success: false,
+      message: BOOKING_LOCK_BUSY_MESSAGE
+    });
+  }
+
+  try {
+    // Check closures and overlaps for every occurrence before changing anything
+    const newTimes = targets.map(target => new Date(new Date(target.startTime).getTime() + shiftMs));
+    const closuresByDay = shiftMs !== 0 ? await findClosuresForDates(newTimes) : new Map();
+    const conflicts = [];
+    for (let i = 0; i < targets.length; i++) {
+      const closure = getClosureForDate(closuresByDay, newTimes[i]);
+      if (closure) {
+        conflicts.push({
+          appointmentId: targets[i]._id,
+          startTime: newTimes[i],
+          reason: closure.reason || (closure.isHoliday ? 'Holiday' : 'Company closure')
+        });
+        continue;
+      }
+      const shiftViolation = await findShiftViolation(newStaffId || targets[i].staffId, newTimes[i], serviceVariation.timeDuration);
+      if (shiftViolation) {
+        conflicts.push({
+          appointmentId: targets[i]._id,
+          startTime: newTimes[i],
+          reason: shiftViolation
+        });
+        continue;
+      }
+      const conflictingAppointment = await findConflictingAppointment(
+        newTimes[i],
+        serviceVariation.timeDuration,
+        newStaffId || targets[i].staffId,
+        targetIds
+      );
+      if (conflictingAppointment) {
+        conflicts.push({
+          appointmentId: targets[i]._id,
+          startTime: newTimes[i],
+          conflictingAppointment: formatConflict(conflictingAppointment).conflictingAppointment
+        });
+      }
+    }
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${conflicts.length} occurrence(s) cannot be moved`,
+        conflicts
+      });
+    }
+
+    // Re-price occurrences when the service variation changes
+    let pricing = null;
+    if (req.body.serviceVariationId) {
+      const price = serviceVariation.price;
+      const client = await Client.findById(appointment.clientId);
+      let membershipDiscount = 0;
+      if (client && client.membership_id) {
+        const membershipTier = await MembershipTier.findById(client.membership_id);
+        if (membershipTier && membershipTier.isActive) {
+          membershipDiscount = price * (membershipTier.discount_percent / 100);
+        }
+      }
+      let staffCommission = 0;
+      if (appointment.reference === 'staff' && appointment.referenceStaffId) {
+        const referenceStaff = await Staff.findById(appointment.referenceStaffId);
+        if (referenceStaff && referenceStaff.referralCommission) {
+          staffCommission = price * referenceStaff.referralCommission;
+        }
+      }
+      const businessSettings = await BusinessSettings.getSettings();
+      pricing = { price, membershipDiscount, staffCommission, pointValue: businessSettings.pointValue };
+    }
+
+    // Move the occurrences furthest along first so none lands on a start time another still holds
+    const order = targets.map((target, i) => i);
+    if (shiftMs > 0) order.reverse();
+    for (const i of order) {
+      const updateData = {};
+      if (shiftMs !== 0) updateData.startTime = newTimes[i];
+      if (newStaffId) updateData.staffId = newStaffId;
+      if (req.body.notes !== undefined) updateData.notes = req.body.notes || null;
+      if (pricing) {
+        const pointsDiscount = (targets[i].pointsUsed || 0) * pricing.pointValue;
+        updateData.baseServiceId = serviceVariation.baseService;
+        updateData.serviceVariationId = serviceVariation._id;
+        updateData.price = pricing.price;
+        const membershipDiscount = await promotionReplacesMembership(targets[i]) ? 0 : pricing.membershipDiscount;
+        updateData.membershipDiscount = membershipDiscount;
+        updateData.staffCommission = pricing.staffCommission;
+        updateData.totalPrice = Math.max(0, pricing.price - membershipDiscount - (targets[i].promotionDiscount || 0) - pointsDiscount - pricing.staffCommission);
+      }
+      await Appointment.findByIdAndUpdate(targets[i]._id, updateData, { runValidators: true });
+    }
+
+    // Keep the series template in step when the whole series (from its first occurrence) changed
+    if (scope === 'series' || appointment.seriesIndex === 0) {
+      const series = await AppointmentSeries.findById(appointment.seriesId);
+      if (series) {
+        if (shiftMs !== 0) series.startTime = new Date(new Date(series.startTime).getTime() + shiftMs);
+        if (newStaffId) series.staffId = newStaffId;
+        if (pricing) {
+          series.baseServiceId = serviceVariation.baseService;
+          series.serviceVariationId = serviceVariation._id;
+        }
+        await series.save();
+      }
+    }
+
+    const updatedAppointments = await Appointment.find({ _id: { $in: targetIds } })
+      .populate('clientId', 'name phone email')
+      .populate('baseServiceId', 'name category')
+      .populate('serviceVariationId', 'variationName timeDuration price commission')
+      .populate('staffId', 'name specialization')
+      .sort({ seriesIndex: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: updatedAppointments.length,
+      data: updatedAppointments,
+      message: `Updated ${updatedAppointments.length} occurrence(s)`
+    });
+  } finally {
+    await releaseStaffBookingLock(staffLock);
+  }
+};
+
+// Helper function to cancel several occurrences of a recurring series
+const cancelSeriesAppointments = async (req, res, appointment, scope) => {
+  const targets = await findSeriesTargets(appointment, scope);
+  if (targets.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No scheduled or confirmed occurrences left to cancel in this series'
+    });
+  }
+
+  const targetIds = targets.map(target => target._id);
+  for (const target of targets) {
+    await Appointment.findByIdAndUpdate(target._id, {
+      status: 'cancelled',
+      $push: { statusHistory: buildStatusHistoryEntry(target.status, 'cancelled', req.staff, req.body.reason) }
+    });
+  }
+
+  // Offer each freed slot to the waitlist and give promotion uses back
+  const waitlistMatches = [];
+  for (const target of targets) {
+    waitlistMatches.push(...await notifyWaitlistForFreedSlot(req.app.get('io'), target));
+    await reversePromotionRedemption(target);
+  }
+
+  // The series is over once its first occurrence onwards is cancelled
+  if (scope === 'series' || appointment.seriesIndex === 0) {
+    await AppointmentSeries.findByIdAndUpdate(appointment.seriesId, { status: 'cancelled' });
+  }
+
+  const cancelledAppointments = await Appointment.find({ _id: { $in: targetIds } })
+    .select('startTime status seriesIndex staffId')
+    .sort({ seriesIndex: 1 });
+
+  return res.status(200).json({
+    success: true,
+    count: cancelledAppointments.length,
+    data: cancelledAppointments,
+    waitlistMatches,
+    message: `Cancelled ${cancelledAppointments.length} occurrence(s)`
+  });
+};
+
+// @desc    Get recurring series with its occurrences
+// @route   GET /api/appointments/series/:seriesId
+// @access  Public
+const getSeriesById = async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findById(req.params.seriesId)
+      .populate('clientId', 'name phone email')
+      .populate('baseServiceId', 'name category')
+      .populate('serviceVariationId', 'variationName timeDuration price')
+      .populate('staffId', 'name specialization')
+      .populate('createdBy', 'name');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    // Therapists can only see series they are booked on
+    if (req.staff && req.staff.role === 'therapist' && series.staffId && series.staffId._id.toString() !== req.staff._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const occurrences = await Appointment.find({ seriesId: series._id })
+      .populate('staffId', 'name')
+      .populate('serviceVariationId', 'variationName timeDuration')
+      .select('startTime status seriesIndex staffId serviceVariationId totalPrice')
+      .sort({ seriesIndex: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        series,
+        occurrences
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid series ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching appointment series',
+      error: error.message
+    });
   }
 };
 
@@ -647,6 +1319,7 @@ const createAppointment = async (req, res) => {
 // @route   PUT /api/appointments/:id
 // @access  Public
 const updateAppointment = async (req, res) => {
+  let staffLock = null;
   try {
     console.log('updateAppointment - Request params:', req.params);
     console.log('updateAppointment - Request body:', JSON.stringify(req.body, null, 2));
@@ -660,6 +1333,24 @@ const updateAppointment = async (req, res) => {
       });
     }
 
+    // Edits to "this and following" / "whole series" are applied across the series
+    const scope = req.body.scope || 'this';
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scope. Must be one of: ${SERIES_SCOPES.join(', ')}`
+      });
+    }
+    if (scope !== 'this') {
+      if (!appointment.seriesId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Appointment is not part of a recurring series'
+        });
+      }
+      return await updateSeriesAppointments(req, res, appointment, scope);
+    }
+
     // Validate ObjectIds if provided
     if (req.body.clientId && !mongoose.Types.ObjectId.isValid(req.body.clientId)) {
       return res.status(400).json({
@@ -686,9 +1377,15 @@ const updateAppointment = async (req, res) => {
       });
     }
 
-    // If startTime or staffId is being updated, validate time slot
-    if (req.body.startTime || req.body.staffId) {
-      const newStartTime = req.body.startTime ? new Date(req.body.startTime) : appointment.startTime;
+    // If startTime, staffId or service variation is being updated, validate time slot
+    if (req.body.startTime || req.body.staffId || req.body.serviceVariationId) {
+      const newStartTime = req.body.startTime ? new Date(req.body.startTime) : new Date(appointment.startTime);
+      if (isNaN(newStartTime.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid start time format'
+        });
+      }
       
       // Check if new appointment date is a company closure/holiday
       if (req.body.startTime) {
@@ -705,16 +1402,44 @@ const updateAppointment = async (req, res) => {
         }
       }
       
-      newStartTime.setMinutes(0, 0, 0);
+      newStartTime.setSeconds(0, 0);
       const newStaffId = req.body.staffId || appointment.staffId;
 
-      const isSlotAvailable = await validateTimeSlot(newStartTime, newStaffId, req.params.id);
-      if (!isSlotAvailable) {
+      // Use the new variation's duration if it is changing
+      const durationVariation = await ServiceVariation.findById(req.body.serviceVariationId || appointment.serviceVariationId);
+      if (!durationVariation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service variation not found'
+        });
+      }
+
+      const shiftViolation = await findShiftViolation(newStaffId, newStartTime, durationVariation.timeDuration);
+      if (shiftViolation) {
         return res.status(400).json({
           success: false,
-          message: 'Time slot is already booked for this staff member'
+          message: shiftViolation
+        });
+      }
+
+      // Hold the staff member's diary until the appointment is saved
+      staffLock = await acquireStaffBookingLock([newStaffId]);
+      if (!staffLock) {
+        return res.status(409).json({
+          success: false,
+          message: BOOKING_LOCK_BUSY_MESSAGE
         });
       }
+
+      const conflictingAppointment = await findConflictingAppointment(
+        newStartTime,
+        durationVariation.timeDuration,
+        newStaffId,
+        req.params.id
+      );
+      if (conflictingAppointment) {
+        return res.status(409).json(formatConflict(conflictingAppointment));
+      }
     }
 
     // If service variation is being updated, recalculate price
@@ -780,6 +1505,12 @@ const updateAppointment = async (req, res) => {
       membershipDiscount = 0;
       calculatedDiscount = 0;
     }
+
+    // A promotion that replaced the membership discount at booking keeps it replaced
+    if (membershipDiscount > 0 && await promotionReplacesMembership(appointment)) {
+      membershipDiscount = 0;
+      calculatedDiscount = 0;
+    }
     
     // Allow manual override if explicitly provided (for manual adjustments)
     if (req.body.membershipDiscount !== undefined && req.body.membershipDiscount !== null) {
@@ -909,8 +1640,8 @@ const updateAppointment = async (req, res) => {
       }
     }
 
-    // Recalculate total price (membership discount + points discount)
-    const totalPrice = Math.max(0, price - membershipDiscount - pointsDiscount - staffCommission);
+    // Recalculate total price (membership discount + promotion discount fixed at booking + points discount)
+    const totalPrice = Math.max(0, price - membershipDiscount - (appointment.promotionDiscount || 0) - pointsDiscount - staffCommission);
 
     // Update only provided fields
     const updateData = {};
@@ -923,7 +1654,7 @@ const updateAppointment = async (req, res) => {
     if (req.body.staffId !== undefined) updateData.staffId = req.body.staffId;
     if (req.body.startTime !== undefined) {
       const newStartTime = new Date(req.body.startTime);
-      newStartTime.setMinutes(0, 0, 0);
+      newStartTime.setSeconds(0, 0);
       updateData.startTime = newStartTime;
     }
     if (req.body.reference !== undefined) {
@@ -959,6 +1690,42 @@ const updateAppointment = async (req, res) => {
     
     // Handle points awarding when status changes to completed
     const previousStatus = appointment.status;
+
+    // No-shows update the client's counter, so they only go through PATCH /:id/status
+    if (req.body.status !== undefined && req.body.status !== previousStatus &&
+        (req.body.status === 'no-show' || previousStatus === 'no-show')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use PATCH /api/appointments/:id/status to mark or undo a no-show'
+      });
+    }
+
+    // Status changes follow the same transition rules and audit trail as PATCH /:id/status
+    if (req.body.status !== undefined && req.body.status !== previousStatus) {
+      if (!canTransition(previousStatus, req.body.status)) {
+        return res.status(400).json({
+          success: false,
+          message: describeInvalidTransition(previousStatus, req.body.status)
+        });
+      }
+      if (req.body.status === 'cancelled' && (!req.body.reason || !String(req.body.reason).trim())) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason is required to cancel an appointment'
+        });
+      }
+      const depositError = await getDepositError(appointment, req.body.status);
+      if (depositError) {
+        return res.status(400).json({
+          success: false,
+          message: depositError
+        });
+      }
+      updateData.$push = {
+        statusHistory: buildStatusHistoryEntry(previousStatus, req.body.status, req.staff, req.body.reason)
+      };
+    }
+
     if (req.body.status !== undefined) {
       // Prevent setting future appointments as completed
       if (req.body.status === 'completed') {
@@ -1042,6 +1809,18 @@ const updateAppointment = async (req, res) => {
           updateData.pointsAwarded = 0;
         }
       }
+
+      // Take the back-bar products out of stock on completion, and put them back if it is undone
+      if (req.body.status === 'completed' && previousStatus !== 'completed') {
+        Object.assign(updateData, await useServiceConsumables({
+          _id: appointment._id,
+          serviceVariationId: updateData.serviceVariationId || appointment.serviceVariationId
+        }, req.staff));
+      } else if (previousStatus === 'completed' && req.body.status !== 'completed') {
+        await returnServiceConsumables(appointment, req.staff);
+        updateData.consumablesUsed = [];
+        updateData.consumablesCost = 0;
+      }
     }
     if (req.body.notes !== undefined) updateData.notes = req.body.notes || null;
 
@@ -1059,9 +1838,21 @@ const updateAppointment = async (req, res) => {
       .populate('referenceStaffId', 'name')
       .populate('payment_ids', 'status type amount discount payable_amount');
 
+    if (updateData.consumablesUsed && updateData.consumablesUsed.length > 0) {
+      await notifyLowStock(req.app.get('io'), updateData.consumablesUsed.map(item => item.product_id));
+    }
+
+    // Offer the freed slot to the waitlist and give the promotion use back
+    let waitlistMatches = [];
+    if (updateData.status === 'cancelled' && previousStatus !== 'cancelled') {
+      waitlistMatches = await notifyWaitlistForFreedSlot(req.app.get('io'), appointment);
+      await reversePromotionRedemption(appointment);
+    }
+
     res.status(200).json({
       success: true,
-      data: updatedAppointment
+      data: updatedAppointment,
+      waitlistMatches
     });
   } catch (error) {
     console.error('updateAppointment - Error:', error);
@@ -1074,7 +1865,7 @@ const updateAppointment = async (req, res) => {
     }
 
     if (error.code === 11000) {
-      return res.status(400).json({
+      return res.status(409).json({
         success: false,
         message: 'Time slot is already booked for this staff member'
       });
@@ -1095,11 +1886,14 @@ const updateAppointment = async (req, res) => {
       error: error.message,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
+  } finally {
+    await releaseStaffBookingLock(staffLock);
   }
 };
 
 // @desc    Update appointment status only
 // @route   PATCH /api/appointments/:id/status
+// @body    status (required), reason (required when cancelling), scope
 // @access  Public
 const updateAppointmentStatus = async (req, res) => {
   try {
@@ -1116,11 +1910,67 @@ const updateAppointmentStatus = async (req, res) => {
     }
 
     // Validate status
-    const validStatuses = ['scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled'];
-    if (!req.body.status || !validStatuses.includes(req.body.status)) {
+    if (!req.body.status || !APPOINTMENT_STATUSES.includes(req.body.status)) {
       return res.status(400).json({
         success: false,
-        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        message: `Invalid status. Must be one of: ${APPOINTMENT_STATUSES.join(', ')}`
+      });
+    }
+
+    // Cancelling requires a reason (for a single appointment or several series occurrences)
+    if (req.body.status === 'cancelled' && (!req.body.reason || !String(req.body.reason).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to cancel an appointment'
+      });
+    }
+
+    // Cancelling "this and following" / "whole series"
+    const scope = req.body.scope || 'this';
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scope. Must be one of: ${SERIES_SCOPES.join(', ')}`
+      });
+    }
+    if (scope !== 'this') {
+      if (!appointment.seriesId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Appointment is not part of a recurring series'
+        });
+      }
+      if (req.body.status !== 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only cancellation can be applied to multiple occurrences of a series'
+        });
+      }
+      return await cancelSeriesAppointments(req, res, appointment, scope);
+    }
+
+    // Enforce allowed transitions (e.g. a cancelled appointment cannot jump to completed)
+    const previousStatus = appointment.status;
+    const newStatus = req.body.status;
+    if (newStatus === previousStatus) {
+      return res.status(400).json({
+        success: false,
+        message: `Appointment is already ${previousStatus}`
+      });
+    }
+    if (!canTransition(previousStatus, newStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: describeInvalidTransition(previousStatus, newStatus)
+      });
+    }
+
+    // Clients who owe a no-show deposit are only confirmed once it has been taken
+    const depositError = await getDepositError(appointment, newStatus);
+    if (depositError) {
+      return res.status(400).json({
+        success: false,
+        message: depositError
       });
     }
 
@@ -1137,10 +1987,33 @@ const updateAppointmentStatus = async (req, res) => {
       }
     }
 
+    // Only a booking whose start time has passed can be a no-show
+    if (newStatus === 'no-show' && new Date(appointment.startTime) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot mark future appointments as no-show'
+      });
+    }
+
     // Handle points awarding when status changes to completed
-    const previousStatus = appointment.status;
-    const newStatus = req.body.status;
-    const updateData = { status: newStatus };
+    const updateData = {
+      status: newStatus,
+      $push: { statusHistory: buildStatusHistoryEntry(previousStatus, newStatus, req.staff, req.body.reason) }
+    };
+
+    // Keep the client's no-show counter in step
+    if (newStatus === 'no-show' && previousStatus !== 'no-show') {
+      await Client.findByIdAndUpdate(appointment.clientId, {
+        $inc: { noShowCount: 1 },
+        lastNoShowAt: appointment.startTime
+      });
+    } else if (previousStatus === 'no-show' && newStatus !== 'no-show') {
+      const currentClient = await Client.findById(appointment.clientId);
+      if (currentClient) {
+        currentClient.noShowCount = Math.max(0, (currentClient.noShowCount || 0) - 1);
+        await currentClient.save();
+      }
+    }
     
     if (newStatus === 'completed' && previousStatus !== 'completed') {
       // Get client with membership
@@ -1210,6 +2083,15 @@ const updateAppointmentStatus = async (req, res) => {
       }
     }
 
+    // Take the back-bar products out of stock on completion, and put them back if it is undone
+    if (newStatus === 'completed') {
+      Object.assign(updateData, await useServiceConsumables(appointment, req.staff));
+    } else if (previousStatus === 'completed') {
+      await returnServiceConsumables(appointment, req.staff);
+      updateData.consumablesUsed = [];
+      updateData.consumablesCost = 0;
+    }
+
     const updatedAppointment = await Appointment.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -1222,9 +2104,21 @@ const updateAppointmentStatus = async (req, res) => {
       .populate('referenceStaffId', 'name')
       .populate('payment_ids', 'status type amount discount payable_amount');
 
+    if (updateData.consumablesUsed && updateData.consumablesUsed.length > 0) {
+      await notifyLowStock(req.app.get('io'), updateData.consumablesUsed.map(item => item.product_id));
+    }
+
+    // Offer the freed slot to the waitlist and give the promotion use back
+    let waitlistMatches = [];
+    if (newStatus === 'cancelled' && previousStatus !== 'cancelled') {
+      waitlistMatches = await notifyWaitlistForFreedSlot(req.app.get('io'), appointment);
+      await reversePromotionRedemption(appointment);
+    }
+
     res.status(200).json({
       success: true,
       data: updatedAppointment,
+      waitlistMatches,
       message: `Status updated to ${req.body.status}`
     });
   } catch (error) {
@@ -1260,9 +2154,17 @@ const deleteAppointment = async (req, res) => {
     }
 
     await Appointment.findByIdAndDelete(req.params.id);
+    await reversePromotionRedemption(appointment);
+
+    // Deleting an upcoming booking frees its slot for the waitlist
+    let waitlistMatches = [];
+    if (['scheduled', 'confirmed'].includes(appointment.status) && new Date(appointment.startTime) > new Date()) {
+      waitlistMatches = await notifyWaitlistForFreedSlot(req.app.get('io'), appointment);
+    }
 
     res.status(200).json({
       success: true,
+      waitlistMatches,
       message: 'Appointment deleted successfully'
     });
   } catch (error) {
@@ -1284,6 +2186,7 @@ module.exports = {
   getAllAppointments,
   getAvailableSlots,
   getAppointmentById,
+  getSeriesById,
   createAppointment,
   updateAppointment,
   updateAppointmentStatus,
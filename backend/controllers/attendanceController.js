@@ -3,6 +3,7 @@ const Attendance = require('../models/Attendance');
 const Staff = require('../models/Staff');
 const csv = require('csv-parser');
 const { Readable } = require('stream');
+const { MAX_ROSTER_RANGE_DAYS, getRosterRangeError, findScheduledAbsences } = require('../utils/staffSchedule');
 
 // @desc    Import attendance from CSV
 // @route   POST /api/attendance/import
@@ -496,11 +497,18 @@ const importAttendance = async (req, res) => {
       });
     }
 
+    // Flag expected shifts in the imported range that have no attendance
+    // (only the last MAX_ROSTER_RANGE_DAYS days of a longer import are checked)
+    const absenceStart = new Date(end);
+    absenceStart.setDate(absenceStart.getDate() - (MAX_ROSTER_RANGE_DAYS - 1));
+    const absences = await findScheduledAbsences(start > absenceStart ? start : absenceStart, end);
+
     res.status(200).json({
       success: true,
       message: 'Attendance imported successfully',
       data: {
         processed,
+        absences: absences.length > 0 ? absences : undefined, // Scheduled shifts with no check-in
         errors: errors.length > 0 ? errors : undefined, // Full error list for detailed view
         groupedErrors: groupedErrors.length > 0 ? groupedErrors : undefined, // Grouped errors for display
         warnings: warnings.length > 0 ? warnings : undefined, // Warnings that don't prevent import
@@ -518,6 +526,59 @@ const importAttendance = async (req, res) => {
   }
 };
 
+// @desc    Get scheduled shifts with no attendance (absences against the roster)
+// @route   GET /api/attendance/absences?startDate=&endDate=&staffId=
+// @access  Public
+const getAbsences = async (req, res) => {
+  try {
+    const { startDate, endDate, staffId } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date and end date are required'
+      });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+    const rangeError = getRosterRangeError(start, end);
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        message: rangeError
+      });
+    }
+    if (staffId && !mongoose.Types.ObjectId.isValid(staffId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid staff ID'
+      });
+    }
+
+    const absences = await findScheduledAbsences(start, end, staffId ? [staffId] : null);
+
+    res.status(200).json({
+      success: true,
+      count: absences.length,
+      data: absences
+    });
+  } catch (error) {
+    console.error('getAbsences - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching absences',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get all attendance records
 // @route   GET /api/attendance
 // @access  Public
@@ -721,6 +782,7 @@ const bulkDeleteAttendance = async (req, res) => {
 
 module.exports = {
   importAttendance,
+  getAbsences,
   getAllAttendance,
   getAttendanceByStaff,
   getAttendanceSummary,
@@ -36,9 +36,19 @@ const updateBusinessSettings = async (req, res) => {
       pointValue,
       redemptionThreshold,
       taxRate,
+      taxInclusive,
+      taxLabel,
+      invoicePrefix,
+      invoiceNumberPadding,
+      creditNotePrefix,
+      billing,
       paymentMethods,
+      noShowPolicy,
+      onlineBooking,
+      reminders,
       openTime,
       closeTime,
+      slotInterval,
       workingDays,
       annualLeaves
     } = req.body;
@@ -112,16 +122,56 @@ const updateBusinessSettings = async (req, res) => {
     if (pointValue !== undefined) settings.pointValue = pointValue;
     if (redemptionThreshold !== undefined) settings.redemptionThreshold = redemptionThreshold;
     if (taxRate !== undefined) settings.taxRate = taxRate;
+    if (taxInclusive !== undefined) settings.taxInclusive = taxInclusive;
+    if (taxLabel !== undefined) settings.taxLabel = taxLabel;
+    if (invoicePrefix !== undefined) settings.invoicePrefix = invoicePrefix;
+    if (invoiceNumberPadding !== undefined) settings.invoiceNumberPadding = invoiceNumberPadding;
+    if (creditNotePrefix !== undefined) settings.creditNotePrefix = creditNotePrefix;
+    if (billing !== undefined) {
+      // The logo is changed through its own upload endpoint
+      if (billing.layout !== undefined) settings.billing.layout = billing.layout;
+      if (billing.tagline !== undefined) settings.billing.tagline = billing.tagline;
+      if (billing.footerText !== undefined) settings.billing.footerText = billing.footerText;
+      if (billing.termsText !== undefined) settings.billing.termsText = billing.termsText;
+    }
     if (paymentMethods !== undefined) {
       if (paymentMethods.cash !== undefined) settings.paymentMethods.cash = paymentMethods.cash;
       if (paymentMethods.card !== undefined) settings.paymentMethods.card = paymentMethods.card;
       if (paymentMethods.bankTransfer !== undefined) settings.paymentMethods.bankTransfer = paymentMethods.bankTransfer;
       if (paymentMethods.eWallet !== undefined) settings.paymentMethods.eWallet = paymentMethods.eWallet;
+      if (paymentMethods.clientWallet !== undefined) settings.paymentMethods.clientWallet = paymentMethods.clientWallet;
+      if (paymentMethods.giftCard !== undefined) settings.paymentMethods.giftCard = paymentMethods.giftCard;
+    }
+
+    // Update no-show policy
+    if (noShowPolicy !== undefined) {
+      if (noShowPolicy.depositAfterNoShows !== undefined) settings.noShowPolicy.depositAfterNoShows = noShowPolicy.depositAfterNoShows;
+      if (noShowPolicy.depositPercent !== undefined) settings.noShowPolicy.depositPercent = noShowPolicy.depositPercent;
+      if (noShowPolicy.blockOnlineBookingAfterNoShows !== undefined) settings.noShowPolicy.blockOnlineBookingAfterNoShows = noShowPolicy.blockOnlineBookingAfterNoShows;
+    }
+
+    // Update client portal booking rules
+    if (onlineBooking !== undefined) {
+      if (onlineBooking.enabled !== undefined) settings.onlineBooking.enabled = onlineBooking.enabled;
+      if (onlineBooking.minLeadTimeHours !== undefined) settings.onlineBooking.minLeadTimeHours = onlineBooking.minLeadTimeHours;
+      if (onlineBooking.maxAdvanceDays !== undefined) settings.onlineBooking.maxAdvanceDays = onlineBooking.maxAdvanceDays;
+      if (onlineBooking.rescheduleCutoffHours !== undefined) settings.onlineBooking.rescheduleCutoffHours = onlineBooking.rescheduleCutoffHours;
+      if (onlineBooking.cancellationCutoffHours !== undefined) settings.onlineBooking.cancellationCutoffHours = onlineBooking.cancellationCutoffHours;
+    }
+
+    // Update reminder settings
+    if (reminders !== undefined) {
+      if (reminders.enabled !== undefined) settings.reminders.enabled = reminders.enabled;
+      if (reminders.offsetsHours !== undefined) settings.reminders.offsetsHours = reminders.offsetsHours;
+      if (reminders.channels !== undefined) settings.reminders.channels = reminders.channels;
+      if (reminders.maxAttempts !== undefined) settings.reminders.maxAttempts = reminders.maxAttempts;
+      if (reminders.retryDelayMinutes !== undefined) settings.reminders.retryDelayMinutes = reminders.retryDelayMinutes;
     }
 
     // Update attendance settings
     if (openTime !== undefined) settings.openTime = openTime;
     if (closeTime !== undefined) settings.closeTime = closeTime;
+    if (slotInterval !== undefined) settings.slotInterval = slotInterval;
     if (workingDays !== undefined) settings.workingDays = workingDays;
     if (annualLeaves !== undefined) settings.annualLeaves = annualLeaves;
 
@@ -142,9 +192,68 @@ const updateBusinessSettings = async (req, res) => {
   }
 };
 
+// @desc    Upload the logo printed on bills
+// @route   POST /api/business-settings/logo
+// @body    multipart/form-data with a PNG or JPEG in `logo`
+// @access  Private
+const uploadBusinessLogo = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No logo file uploaded'
+      });
+    }
+
+    // Earlier logo files are kept: invoices already issued still reference them for reprints
+    const settings = await BusinessSettings.getSettings();
+    settings.billing.logo = req.file.filename;
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+      message: 'Logo uploaded successfully'
+    });
+  } catch (error) {
+    console.error('uploadBusinessLogo - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading logo',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove the logo from bills
+// @route   DELETE /api/business-settings/logo
+// @access  Private
+const removeBusinessLogo = async (req, res) => {
+  try {
+    const settings = await BusinessSettings.getSettings();
+    settings.billing.logo = null;
+    await settings.save();
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+      message: 'Logo removed successfully'
+    });
+  } catch (error) {
+    console.error('removeBusinessLogo - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing logo',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getBusinessSettings,
-  updateBusinessSettings
+  updateBusinessSettings,
+  uploadBusinessLogo,
+  removeBusinessLogo
 };
 
 
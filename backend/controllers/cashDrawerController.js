@@ -0,0 +1,517 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs');
+const CashDrawerSession = require('../models/CashDrawerSession');
+const BusinessSettings = require('../models/BusinessSettings');
+const { roundMoney } = require('../utils/tax');
+const { BILL_LAYOUTS } = require('../utils/invoicePdf');
+const { renderZReportPdf } = require('../utils/zReportPdf');
+const { getOpenSession, getSessionTotals, getPaymentsByTypeDuring } = require('../utils/cashDrawer');
+
+const uploadsDir = path.join(__dirname, '../uploads');
+
+// Ensure uploads directory exists
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+// Helper function to check the current staff member may work on a session
+// Receptionists only handle their own drawer; managers can handle any
+const canAccessSession = (session, staff) => {
+  if (!staff) return false;
+  if (staff.role === 'manager') return true;
+  const ownerId = session.staffId && session.staffId._id ? session.staffId._id : session.staffId;
+  return ownerId.toString() === staff._id.toString();
+};
+
+// Helper function to render a closed session's Z report into uploads/
+const writeZReport = async (session, layout) => {
+  const settings = await BusinessSettings.getSettings();
+  const totals = {
+    openingFloat: session.openingFloat,
+    ...session.summary.toObject()
+  };
+  const tenders = await getPaymentsByTypeDuring(session.openedAt, session.closedAt);
+
+  const fileName = `z-report-${session._id}${layout === 'thermal' ? '-thermal' : ''}.pdf`;
+  const filePath = path.join(uploadsDir, fileName);
+  await renderZReportPdf({ session, totals, tenders, settings }, filePath, layout);
+
+  return { fileName, filePath };
+};
+
+// Helper function to pick the Z report layout (defaults to the bill layout)
+const resolveLayout = async (layout) => {
+  if (layout) return layout;
+  const settings = await BusinessSettings.getSettings();
+  return settings.billing.layout || 'a4';
+};
+
+// @desc    Open a cash drawer session for the logged-in receptionist
+// @route   POST /api/cash-drawer/open
+// @body    { openingFloat, notes? }
+// @access  Public
+const openSession = async (req, res) => {
+  try {
+    const openingFloat = roundMoney(req.body.openingFloat);
+
+    if (req.body.openingFloat === undefined || req.body.openingFloat === null || !(openingFloat >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Opening float is required and cannot be negative'
+      });
+    }
+
+    const existing = await getOpenSession(req.staff._id);
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an open cash drawer session. Close it before opening a new one.',
+        data: existing
+      });
+    }
+
+    const session = await CashDrawerSession.create({
+      staffId: req.staff._id,
+      openingFloat,
+      openingNotes: req.body.notes || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cash drawer opened',
+      data: session
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an open cash drawer session. Close it before opening a new one.'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error opening cash drawer',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the logged-in staff member's open session with live totals
+// @route   GET /api/cash-drawer/current
+// @access  Public
+const getCurrentSession = async (req, res) => {
+  try {
+    const session = await CashDrawerSession.findOne({ staffId: req.staff._id, status: 'open' })
+      .populate('staffId', 'name role')
+      .populate('paidOuts.recordedBy', 'name');
+
+    if (!session) {
+      return res.status(200).json({
+        success: true,
+        data: null,
+        message: 'No open cash drawer session'
+      });
+    }
+
+    const totals = await getSessionTotals(session);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        session,
+        totals
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cash drawer session',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Record cash taken out of an open drawer
+// @route   POST /api/cash-drawer/:id/paid-outs
+// @body    { amount, reason }
+// @access  Public
+const addPaidOut = async (req, res) => {
+  try {
+    const amount = roundMoney(req.body.amount);
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+    if (!(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Paid-out amount must be greater than 0'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for a paid-out'
+      });
+    }
+
+    const session = await CashDrawerSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cash drawer session not found'
+      });
+    }
+
+    if (!canAccessSession(session, req.staff)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only record paid-outs on your own cash drawer'
+      });
+    }
+
+    if (session.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Paid-outs can only be recorded on an open cash drawer'
+      });
+    }
+
+    session.paidOuts.push({
+      amount,
+      reason,
+      recordedBy: req.staff._id
+    });
+    await session.save();
+
+    const totals = await getSessionTotals(session);
+
+    res.status(201).json({
+      success: true,
+      message: 'Paid-out recorded',
+      data: {
+        session,
+        totals
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error recording paid-out',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Close a drawer with the counted cash and produce the Z report
+// @route   POST /api/cash-drawer/:id/close
+// @body    { countedAmount, notes?, layout? }
+// @access  Public
+const closeSession = async (req, res) => {
+  try {
+    const countedAmount = roundMoney(req.body.countedAmount);
+
+    if (req.body.countedAmount === undefined || req.body.countedAmount === null || !(countedAmount >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Counted amount is required and cannot be negative'
+      });
+    }
+
+    const layout = await resolveLayout(req.body.layout);
+    if (!BILL_LAYOUTS.includes(layout)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid report layout. Must be one of: ${BILL_LAYOUTS.join(', ')}`
+      });
+    }
+
+    const session = await CashDrawerSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cash drawer session not found'
+      });
+    }
+
+    if (!canAccessSession(session, req.staff)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only close your own cash drawer'
+      });
+    }
+
+    if (session.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash drawer session is already closed'
+      });
+    }
+
+    const totals = await getSessionTotals(session);
+
+    session.status = 'closed';
+    session.closedAt = new Date();
+    session.closedBy = req.staff._id;
+    session.countedAmount = countedAmount;
+    session.expectedAmount = totals.expectedAmount;
+    session.overShort = roundMoney(countedAmount - totals.expectedAmount);
+    session.summary = {
+      cashSalesCount: totals.cashSalesCount,
+      cashSales: totals.cashSales,
+      walletTopUpsCount: totals.walletTopUpsCount,
+      walletTopUps: totals.walletTopUps,
+      giftCardSalesCount: totals.giftCardSalesCount,
+      giftCardSales: totals.giftCardSales,
+      cashRefundsCount: totals.cashRefundsCount,
+      cashRefunds: totals.cashRefunds,
+      paidOuts: totals.paidOuts
+    };
+    session.closingNotes = req.body.notes || null;
+    await session.save();
+
+    await session.populate([
+      { path: 'staffId', select: 'name role' },
+      { path: 'closedBy', select: 'name' }
+    ]);
+
+    const { fileName } = await writeZReport(session, layout);
+    session.zReportFileName = fileName;
+    await session.save();
+
+    const overShortLabel = session.overShort > 0 ? 'over' : session.overShort < 0 ? 'short' : 'balanced';
+
+    res.status(200).json({
+      success: true,
+      message: `Cash drawer closed (${overShortLabel})`,
+      data: {
+        session,
+        totals,
+        layout,
+        fileName,
+        url: `/uploads/${fileName}`
+      }
+    });
+  } catch (error) {
+    console.error('closeSession - Error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error closing cash drawer',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get cash drawer sessions (receptionists only see their own)
+// @route   GET /api/cash-drawer?staffId=&status=&startDate=&endDate=&page=&limit=
+// @access  Public
+const getSessions = async (req, res) => {
+  try {
+    const { staffId, status, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    const query = {};
+    if (status) query.status = status;
+    if (req.staff.role !== 'manager') {
+      query.staffId = req.staff._id;
+    } else if (staffId) {
+      if (!mongoose.Types.ObjectId.isValid(staffId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid staff ID'
+        });
+      }
+      query.staffId = staffId;
+    }
+    if (startDate || endDate) {
+      query.openedAt = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        query.openedAt.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.openedAt.$lte = end;
+      }
+    }
+
+    const sessions = await CashDrawerSession.find(query)
+      .populate('staffId', 'name role')
+      .populate('closedBy', 'name')
+      .sort({ openedAt: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber);
+
+    const total = await CashDrawerSession.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cash drawer sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single cash drawer session (open sessions include live totals)
+// @route   GET /api/cash-drawer/:id
+// @access  Public
+const getSessionById = async (req, res) => {
+  try {
+    const session = await CashDrawerSession.findById(req.params.id)
+      .populate('staffId', 'name role')
+      .populate('closedBy', 'name')
+      .populate('paidOuts.recordedBy', 'name');
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cash drawer session not found'
+      });
+    }
+
+    if (!canAccessSession(session, req.staff)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own cash drawer sessions'
+      });
+    }
+
+    const totals = session.status === 'open'
+      ? await getSessionTotals(session)
+      : { openingFloat: session.openingFloat, ...session.summary.toObject(), expectedAmount: session.expectedAmount };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        session,
+        totals
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cash drawer session',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download (re-render) the Z report of a closed session
+// @route   GET /api/cash-drawer/:id/z-report?layout=a4|thermal
+// @access  Public
+const downloadZReport = async (req, res) => {
+  try {
+    const layout = await resolveLayout(req.query.layout);
+    if (!BILL_LAYOUTS.includes(layout)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid report layout. Must be one of: ${BILL_LAYOUTS.join(', ')}`
+      });
+    }
+
+    const session = await CashDrawerSession.findById(req.params.id)
+      .populate('staffId', 'name role')
+      .populate('closedBy', 'name');
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cash drawer session not found'
+      });
+    }
+
+    if (!canAccessSession(session, req.staff)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own cash drawer sessions'
+      });
+    }
+
+    if (session.status !== 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'The Z report is only available once the cash drawer is closed'
+      });
+    }
+
+    const { fileName, filePath } = await writeZReport(session, layout);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.sendFile(filePath);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+    console.error('downloadZReport - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating Z report',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  openSession,
+  getCurrentSession,
+  addPaidOut,
+  closeSession,
+  getSessions,
+  getSessionById,
+  downloadZReport
+};
@@ -201,7 +201,10 @@ const getClientProfile = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: client
+      data: {
+        ...client,
+        wallet_balance: client.wallet_balance || 0
+      }
     });
   } catch (error) {
     console.error('getClientProfile - Error:', error);
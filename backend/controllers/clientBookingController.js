@@ -0,0 +1,693 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const BaseService = require('../models/BaseService');
+const ServiceVariation = require('../models/ServiceVariation');
+const Staff = require('../models/Staff');
+const Client = require('../models/Client');
+const MembershipTier = require('../models/MembershipTier');
+const BusinessSettings = require('../models/BusinessSettings');
+const {
+  generateAvailableSlots,
+  findConflictingAppointment,
+  acquireStaffBookingLock,
+  releaseStaffBookingLock,
+  BOOKING_LOCK_BUSY_MESSAGE
+} = require('../utils/appointmentScheduling');
+const { getNoShowPolicyStatus, calculateNoShowDeposit } = require('../utils/noShowPolicy');
+const { canTransition, buildStatusHistoryEntry } = require('../utils/appointmentStatus');
+const { notifyWaitlistForFreedSlot } = require('../utils/waitlist');
+const {
+  evaluatePromotion,
+  reservePromotionUse,
+  releasePromotionUse,
+  recordPromotionRedemption,
+  reversePromotionRedemption
+} = require('../utils/promotions');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Statuses a client can still reschedule or cancel from the portal
+const CLIENT_EDITABLE_STATUSES = ['scheduled', 'confirmed'];
+
+// Helper function to check a requested start time against the lead time / advance window
+const getBookingWindowError = (startTime, rules) => {
+  const now = Date.now();
+  if (startTime.getTime() < now + rules.minLeadTimeHours * HOUR_MS) {
+    return `Online bookings must be made at least ${rules.minLeadTimeHours} hour(s) in advance`;
+  }
+  if (startTime.getTime() > now + rules.maxAdvanceDays * 24 * HOUR_MS) {
+    return `Online bookings can be made at most ${rules.maxAdvanceDays} day(s) in advance`;
+  }
+  return null;
+};
+
+// Helper function to check the reschedule/cancellation cut-off for an existing appointment
+const getCutoffError = (appointment, cutoffHours, action) => {
+  if (new Date(appointment.startTime).getTime() - Date.now() < cutoffHours * HOUR_MS) {
+    return `Appointments can only be ${action} online up to ${cutoffHours} hour(s) before the start time. Please contact the salon.`;
+  }
+  return null;
+};
+
+// Helper function to load a bookable (active) service variation with its base service
+const findBookableVariation = async (serviceVariationId) => {
+  const serviceVariation = await ServiceVariation.findOne({ _id: serviceVariationId, isActive: true })
+    .populate('baseService', 'name category isActive');
+  if (!serviceVariation || !serviceVariation.baseService || !serviceVariation.baseService.isActive) {
+    return null;
+  }
+  return serviceVariation;
+};
+
+// Helper function to find the free slot starting exactly at startTime
+// Returns the staff member to book: the requested therapist, or the first free qualified one
+// Their diary is locked and checked again so a booking made at the same moment cannot take the
+// slot too; the caller releases the lock (releaseStaffBookingLock) once the booking is saved
+// Returns { staffId, lock } or { error }
+const findFreeSlot = async ({ startTime, staffId, serviceVariation, excludeAppointmentId = null }) => {
+  const availability = await generateAvailableSlots({
+    date: startTime,
+    staffId,
+    serviceVariation,
+    excludeAppointmentId
+  });
+  if (availability.closed) {
+    return { error: `The salon is closed on this date${availability.reason ? `: ${availability.reason}` : ''}` };
+  }
+
+  const slot = availability.slots.find(candidate => candidate.time === startTime.toISOString());
+  if (!slot) {
+    return { error: 'The selected time is not available. Please choose another slot.' };
+  }
+
+  const freeStaffId = staffId || slot.availableStaff[0]._id;
+  const lock = await acquireStaffBookingLock([freeStaffId]);
+  if (!lock) {
+    return { error: BOOKING_LOCK_BUSY_MESSAGE };
+  }
+  const conflictingAppointment = await findConflictingAppointment(startTime, serviceVariation.timeDuration, freeStaffId, excludeAppointmentId);
+  if (conflictingAppointment) {
+    await releaseStaffBookingLock(lock);
+    return { error: 'The selected time is not available. Please choose another slot.' };
+  }
+  return { staffId: freeStaffId, lock };
+};
+
+// Helper function to tell reception about a portal booking change over socket.io
+const notifyOnlineBooking = (io, action, appointment) => {
+  if (!io) {
+    return;
+  }
+  io.to('role:receptionist').to('role:manager').emit('online_booking', {
+    action,
+    appointmentId: appointment._id,
+    clientId: appointment.clientId,
+    staffId: appointment.staffId,
+    startTime: appointment.startTime,
+    status: appointment.status
+  });
+};
+
+// Helper function to load one of the signed-in client's appointments
+const findClientAppointment = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid appointment ID'
+    });
+    return null;
+  }
+
+  const appointment = await Appointment.findOne({ _id: req.params.id, clientId: req.client.id });
+  if (!appointment) {
+    res.status(404).json({
+      success: false,
+      message: 'Appointment not found'
+    });
+    return null;
+  }
+  return appointment;
+};
+
+// @desc    Get services that can be booked online
+// @route   GET /api/client-portal/services
+// @access  Private (client)
+const getBookableServices = async (req, res) => {
+  try {
+    const baseServices = await BaseService.find({ isActive: true })
+      .select('name category description')
+      .sort({ category: 1, name: 1 })
+      .lean();
+
+    const variations = await ServiceVariation.find({
+      isActive: true,
+      baseService: { $in: baseServices.map(service => service._id) }
+    })
+      .select('variationName timeDuration price baseService')
+      .sort({ price: 1 })
+      .lean();
+
+    const data = baseServices
+      .map(service => ({
+        ...service,
+        variations: variations.filter(variation => variation.baseService.toString() === service._id.toString())
+      }))
+      .filter(service => service.variations.length > 0);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('getBookableServices - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching services',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get available online booking slots for a service on a date
+// @route   GET /api/client-portal/slots?date=YYYY-MM-DD&serviceVariationId=...&staffId=...
+// @access  Private (client)
+const getBookingSlots = async (req, res) => {
+  try {
+    const { date, serviceVariationId, staffId } = req.query;
+
+    if (!date || !serviceVariationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date and service variation are required'
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(serviceVariationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service variation ID'
+      });
+    }
+    if (staffId && !mongoose.Types.ObjectId.isValid(staffId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid staff ID'
+      });
+    }
+
+    const requestedDate = new Date(date);
+    if (isNaN(requestedDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const serviceVariation = await findBookableVariation(serviceVariationId);
+    if (!serviceVariation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found or not available for online booking'
+      });
+    }
+
+    const settings = await BusinessSettings.getSettings();
+    const rules = settings.onlineBooking;
+    const { slots, ...meta } = await generateAvailableSlots({
+      date: requestedDate,
+      staffId: staffId || null,
+      serviceVariation,
+      notBefore: new Date(Date.now() + rules.minLeadTimeHours * HOUR_MS)
+    });
+
+    // Only offer slots inside the online booking window
+    const bookableSlots = rules.enabled
+      ? slots.filter(slot => !getBookingWindowError(new Date(slot.time), rules))
+      : [];
+
+    res.status(200).json({
+      success: true,
+      count: bookableSlots.length,
+      data: bookableSlots,
+      meta: {
+        ...meta,
+        onlineBookingEnabled: rules.enabled,
+        minLeadTimeHours: rules.minLeadTimeHours,
+        maxAdvanceDays: rules.maxAdvanceDays
+      }
+    });
+  } catch (error) {
+    console.error('getBookingSlots - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching available slots',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Book an appointment from the client portal
+// @route   POST /api/client-portal/appointments
+// @body    serviceVariationId, startTime (required), staffId (optional), promoCode (optional), notes
+// @access  Private (client)
+const createClientBooking = async (req, res) => {
+  let staffLock = null;
+  try {
+    const { serviceVariationId, startTime, staffId } = req.body;
+
+    if (!serviceVariationId || !startTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service variation and start time are required'
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(serviceVariationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid service variation ID'
+      });
+    }
+    if (staffId && !mongoose.Types.ObjectId.isValid(staffId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid staff ID'
+      });
+    }
+
+    const appointmentStartTime = new Date(startTime);
+    if (isNaN(appointmentStartTime.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start time format'
+      });
+    }
+    appointmentStartTime.setSeconds(0, 0);
+
+    const settings = await BusinessSettings.getSettings();
+    const rules = settings.onlineBooking;
+    if (!rules.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Online booking is currently unavailable. Please contact the salon.'
+      });
+    }
+
+    const client = await Client.findById(req.client.id);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+    if (getNoShowPolicyStatus(client, settings).onlineBookingBlocked) {
+      return res.status(403).json({
+        success: false,
+        message: 'Online booking is not available for your account. Please contact the salon to book.'
+      });
+    }
+
+    const windowError = getBookingWindowError(appointmentStartTime, rules);
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        message: windowError
+      });
+    }
+
+    const serviceVariation = await findBookableVariation(serviceVariationId);
+    if (!serviceVariation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found or not available for online booking'
+      });
+    }
+
+    // A chosen therapist must offer this category of service
+    if (staffId) {
+      const staff = await Staff.findById(staffId).select('role status specialization');
+      if (!staff || staff.role !== 'therapist' || staff.status !== 'Active' ||
+          staff.specialization !== serviceVariation.baseService.category) {
+        return res.status(400).json({
+          success: false,
+          message: 'The selected therapist is not available for this service'
+        });
+      }
+    }
+
+    const slot = await findFreeSlot({ startTime: appointmentStartTime, staffId, serviceVariation });
+    if (slot.error) {
+      return res.status(409).json({
+        success: false,
+        message: slot.error
+      });
+    }
+    staffLock = slot.lock;
+
+    // Pricing follows the desk: membership discount, no referral commission for online bookings
+    const price = serviceVariation.price;
+    let membershipDiscount = 0;
+    if (client.membership_id) {
+      const membershipTier = await MembershipTier.findById(client.membership_id);
+      if (membershipTier && membershipTier.isActive) {
+        membershipDiscount = price * (membershipTier.discount_percent / 100);
+      }
+    }
+
+    // Same promotion rules as the desk (no points can be redeemed online)
+    let promotionResult = null;
+    if (req.body.promoCode) {
+      promotionResult = await evaluatePromotion(req.body.promoCode, {
+        client,
+        baseService: serviceVariation.baseService,
+        price,
+        membershipDiscount
+      });
+      if (promotionResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: promotionResult.error
+        });
+      }
+      membershipDiscount = promotionResult.membershipDiscount;
+
+      if (!await reservePromotionUse(promotionResult.promotion)) {
+        return res.status(400).json({
+          success: false,
+          message: `Promotion ${promotionResult.promotion.code} has reached its usage limit`
+        });
+      }
+    }
+    const promotionDiscount = promotionResult ? promotionResult.promotionDiscount : 0;
+    const totalPrice = Math.max(0, price - membershipDiscount - promotionDiscount);
+
+    let appointment;
+    try {
+      appointment = await Appointment.create({
+        clientId: client._id,
+        baseServiceId: serviceVariation.baseService._id,
+        serviceVariationId: serviceVariation._id,
+        staffId: slot.staffId,
+        startTime: appointmentStartTime,
+        reference: 'online',
+        referenceStaffId: null,
+        membership: !!client.membership_id,
+        price,
+        membershipDiscount,
+        promotionId: promotionResult ? promotionResult.promotion._id : null,
+        promoCode: promotionResult ? promotionResult.promotion.code : null,
+        promotionDiscount,
+        staffCommission: 0,
+        totalPrice,
+        status: 'scheduled',
+        statusHistory: [buildStatusHistoryEntry(null, 'scheduled', null, 'Booked via client portal')],
+        notes: req.body.notes || null,
+        payment_ids: [],
+        pointsUsed: 0,
+        pointsAwarded: 0,
+        depositRequired: calculateNoShowDeposit(client, settings, totalPrice)
+      });
+    } catch (createError) {
+      if (promotionResult) await releasePromotionUse(promotionResult.promotion._id);
+      throw createError;
+    }
+
+    if (promotionResult) {
+      await recordPromotionRedemption(promotionResult, appointment);
+    }
+
+    notifyOnlineBooking(req.app.get('io'), 'booked', appointment);
+
+    const populatedAppointment = await Appointment.findById(appointment._id)
+      .populate('baseServiceId', 'name category')
+      .populate('serviceVariationId', 'variationName timeDuration price')
+      .populate('staffId', 'name specialization');
+
+    res.status(201).json({
+      success: true,
+      data: populatedAppointment,
+      message: 'Appointment requested. The salon will confirm it shortly.'
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'The selected time is not available. Please choose another slot.'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    console.error('createClientBooking - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating appointment',
+      error: error.message
+    });
+  } finally {
+    await releaseStaffBookingLock(staffLock);
+  }
+};
+
+// @desc    Reschedule one of the client's appointments
+// @route   PATCH /api/client-portal/appointments/:id/reschedule
+// @body    startTime (required), staffId (optional, defaults to the current therapist)
+// @access  Private (client)
+const rescheduleClientBooking = async (req, res) => {
+  let staffLock = null;
+  try {
+    const appointment = await findClientAppointment(req, res);
+    if (!appointment) {
+      return;
+    }
+
+    if (!CLIENT_EDITABLE_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${appointment.status} appointment cannot be rescheduled`
+      });
+    }
+    if (appointment.visitId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointments booked as part of a multi-service visit must be rescheduled by the salon'
+      });
+    }
+
+    if (!req.body.startTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start time is required'
+      });
+    }
+    const newStartTime = new Date(req.body.startTime);
+    if (isNaN(newStartTime.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start time format'
+      });
+    }
+    newStartTime.setSeconds(0, 0);
+
+    const staffId = req.body.staffId || appointment.staffId;
+    if (!mongoose.Types.ObjectId.isValid(staffId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid staff ID'
+      });
+    }
+
+    const settings = await BusinessSettings.getSettings();
+    const rules = settings.onlineBooking;
+    if (!rules.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Online booking is currently unavailable. Please contact the salon.'
+      });
+    }
+
+    const cutoffError = getCutoffError(appointment, rules.rescheduleCutoffHours, 'rescheduled');
+    if (cutoffError) {
+      return res.status(400).json({
+        success: false,
+        message: cutoffError
+      });
+    }
+    const windowError = getBookingWindowError(newStartTime, rules);
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        message: windowError
+      });
+    }
+
+    const serviceVariation = await ServiceVariation.findById(appointment.serviceVariationId)
+      .populate('baseService', 'name category');
+    if (!serviceVariation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service variation not found'
+      });
+    }
+
+    if (req.body.staffId) {
+      const staff = await Staff.findById(staffId).select('role status specialization');
+      if (!staff || staff.role !== 'therapist' || staff.status !== 'Active' ||
+          (serviceVariation.baseService && staff.specialization !== serviceVariation.baseService.category)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The selected therapist is not available for this service'
+        });
+      }
+    }
+
+    const slot = await findFreeSlot({
+      startTime: newStartTime,
+      staffId,
+      serviceVariation,
+      excludeAppointmentId: appointment._id
+    });
+    if (slot.error) {
+      return res.status(409).json({
+        success: false,
+        message: slot.error
+      });
+    }
+    staffLock = slot.lock;
+
+    // Keep the old slot so it can be offered to the waitlist
+    const freedSlot = {
+      _id: appointment._id,
+      serviceVariationId: appointment.serviceVariationId,
+      staffId: appointment.staffId,
+      startTime: appointment.startTime
+    };
+
+    // A moved booking needs the receptionist to confirm it again
+    const updateData = { startTime: newStartTime, staffId };
+    const historyReason = `Rescheduled via client portal from ${new Date(appointment.startTime).toISOString()}`;
+    updateData.$push = {
+      statusHistory: buildStatusHistoryEntry(appointment.status, 'scheduled', null, historyReason)
+    };
+    if (appointment.status !== 'scheduled') {
+      updateData.status = 'scheduled';
+    }
+
+    const updatedAppointment = await Appointment.findByIdAndUpdate(
+      appointment._id,
+      updateData,
+      { new: true, runValidators: true }
+    )
+      .populate('baseServiceId', 'name category')
+      .populate('serviceVariationId', 'variationName timeDuration price')
+      .populate('staffId', 'name specialization');
+
+    await notifyWaitlistForFreedSlot(req.app.get('io'), freedSlot);
+    notifyOnlineBooking(req.app.get('io'), 'rescheduled', updatedAppointment);
+
+    res.status(200).json({
+      success: true,
+      data: updatedAppointment,
+      message: 'Appointment rescheduled. The salon will confirm the new time shortly.'
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'The selected time is not available. Please choose another slot.'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    console.error('rescheduleClientBooking - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rescheduling appointment',
+      error: error.message
+    });
+  } finally {
+    await releaseStaffBookingLock(staffLock);
+  }
+};
+
+// @desc    Cancel one of the client's appointments
+// @route   PATCH /api/client-portal/appointments/:id/cancel
+// @body    reason (required)
+// @access  Private (client)
+const cancelClientBooking = async (req, res) => {
+  try {
+    const appointment = await findClientAppointment(req, res);
+    if (!appointment) {
+      return;
+    }
+
+    if (!CLIENT_EDITABLE_STATUSES.includes(appointment.status) || !canTransition(appointment.status, 'cancelled')) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${appointment.status} appointment cannot be cancelled`
+      });
+    }
+
+    if (!req.body.reason || !String(req.body.reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to cancel an appointment'
+      });
+    }
+
+    const settings = await BusinessSettings.getSettings();
+    const cutoffError = getCutoffError(appointment, settings.onlineBooking.cancellationCutoffHours, 'cancelled');
+    if (cutoffError) {
+      return res.status(400).json({
+        success: false,
+        message: cutoffError
+      });
+    }
+
+    const updatedAppointment = await Appointment.findByIdAndUpdate(
+      appointment._id,
+      {
+        status: 'cancelled',
+        $push: {
+          statusHistory: buildStatusHistoryEntry(appointment.status, 'cancelled', null, `Cancelled via client portal: ${String(req.body.reason).trim()}`)
+        }
+      },
+      { new: true }
+    );
+
+    await notifyWaitlistForFreedSlot(req.app.get('io'), appointment);
+    await reversePromotionRedemption(appointment);
+    notifyOnlineBooking(req.app.get('io'), 'cancelled', updatedAppointment);
+
+    res.status(200).json({
+      success: true,
+      data: updatedAppointment,
+      message: 'Appointment cancelled'
+    });
+  } catch (error) {
+    console.error('cancelClientBooking - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling appointment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getBookableServices,
+  getBookingSlots,
+  createClientBooking,
+  rescheduleClientBooking,
+  cancelClientBooking
+};
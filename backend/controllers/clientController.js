@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const Client = require('../models/Client');
 const SessionResetLog = require('../models/SessionResetLog');
 const PointsHistory = require('../models/PointsHistory');
+const BusinessSettings = require('../models/BusinessSettings');
+const { getNoShowPolicyStatus } = require('../utils/noShowPolicy');
 
 // @desc    Get all clients
 // @route   GET /api/clients
@@ -85,9 +87,16 @@ const getClientById = async (req, res) => {
       });
     }
 
+    // Let the front desk see whether a deposit is needed before booking
+    const settings = await BusinessSettings.getSettings();
+
     res.status(200).json({
       success: true,
-      data: client
+      data: {
+        ...client.toObject(),
+        wallet_balance: client.wallet_balance || 0,
+        noShowPolicy: getNoShowPolicyStatus(client, settings)
+      }
     });
   } catch (error) {
     if (error.name === 'CastError') {
@@ -3,6 +3,8 @@ const Payment = require('../models/Payment');
 const Client = require('../models/Client');
 const Appointment = require('../models/Appointment');
 const Attendance = require('../models/Attendance');
+const { getRevenueForPeriod } = require('../utils/revenue');
+const { buildRoster } = require('../utils/staffSchedule');
 
 // Helper function to get start and end of day
 const getStartOfDay = (date) => {
@@ -48,45 +50,13 @@ const getTodayRevenue = async (req, res) => {
     const yesterdayEnd = getEndOfDay(yesterday);
 
     // Get today's revenue
-    const todayPayments = await Payment.aggregate([
-      {
-        $match: {
-          status: 'paid',
-          createdAt: {
-            $gte: todayStart,
-            $lte: todayEnd
-          }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$payable_amount' }
-        }
-      }
-    ]);
+    const todayPayments = await getRevenueForPeriod(todayStart, todayEnd);
 
     // Get yesterday's revenue
-    const yesterdayPayments = await Payment.aggregate([
-      {
-        $match: {
-          status: 'paid',
-          createdAt: {
-            $gte: yesterdayStart,
-            $lte: yesterdayEnd
-          }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$payable_amount' }
-        }
-      }
-    ]);
+    const yesterdayPayments = await getRevenueForPeriod(yesterdayStart, yesterdayEnd);
 
-    const todayRevenue = todayPayments.length > 0 ? todayPayments[0].total : 0;
-    const yesterdayRevenue = yesterdayPayments.length > 0 ? yesterdayPayments[0].total : 0;
+    const todayRevenue = todayPayments.net;
+    const yesterdayRevenue = yesterdayPayments.net;
 
     // Calculate increase rate
     let increaseRate = 0;
@@ -100,6 +70,7 @@ const getTodayRevenue = async (req, res) => {
       success: true,
       data: {
         revenue: Math.round(todayRevenue * 100) / 100,
+        refunds: Math.round(todayPayments.refunds * 100) / 100,
         increaseRate: Math.round(increaseRate * 100) / 100
       }
     });
@@ -252,30 +223,15 @@ const getMonthlyRevenue = async (req, res) => {
     const monthStart = getStartOfMonth(today);
     const monthEnd = getEndOfMonth(today);
 
-    const monthlyPayments = await Payment.aggregate([
-      {
-        $match: {
-          status: 'paid',
-          createdAt: {
-            $gte: monthStart,
-            $lte: monthEnd
-          }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$payable_amount' }
-        }
-      }
-    ]);
+    const monthlyPayments = await getRevenueForPeriod(monthStart, monthEnd);
 
-    const monthlyRevenue = monthlyPayments.length > 0 ? monthlyPayments[0].total : 0;
+    const monthlyRevenue = monthlyPayments.net;
 
     res.status(200).json({
       success: true,
       data: {
-        revenue: Math.round(monthlyRevenue * 100) / 100
+        revenue: Math.round(monthlyRevenue * 100) / 100,
+        refunds: Math.round(monthlyPayments.refunds * 100) / 100
       }
     });
   } catch (error) {
@@ -311,10 +267,23 @@ const getStaffOnDuty = async (req, res) => {
 
     const count = staffOnDuty.length;
 
+    // Staff expected in today according to the shift roster (not on leave or a day off)
+    const [rosterToday] = await buildRoster(todayStart, todayEnd);
+    const scheduled = rosterToday && !rosterToday.closed
+      ? rosterToday.staff.filter(member => !member.isOff && !member.onLeave && member.shifts.length > 0)
+      : [];
+
     res.status(200).json({
       success: true,
       data: {
-        count: count
+        count: count,
+        scheduled: scheduled.length,
+        scheduledStaff: scheduled.map(member => ({
+          staffId: member.staffId,
+          name: member.name,
+          shifts: member.shifts,
+          checkedIn: staffOnDuty.some(staffId => staffId.toString() === member.staffId.toString())
+        }))
       }
     });
   } catch (error) {
@@ -346,30 +315,15 @@ const getWeeklyRevenue = async (req, res) => {
       const dayStart = getStartOfDay(date);
       const dayEnd = getEndOfDay(date);
 
-      const dayPayments = await Payment.aggregate([
-        {
-          $match: {
-            status: 'paid',
-            createdAt: {
-              $gte: dayStart,
-              $lte: dayEnd
-            }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            total: { $sum: '$payable_amount' }
-          }
-        }
-      ]);
+      const dayPayments = await getRevenueForPeriod(dayStart, dayEnd);
 
-      const revenue = dayPayments.length > 0 ? dayPayments[0].total : 0;
+      const revenue = dayPayments.net;
       const dayName = days[date.getDay()];
 
       weeklyData.push({
         name: dayName,
-        revenue: Math.round(revenue * 100) / 100
+        revenue: Math.round(revenue * 100) / 100,
+        refunds: Math.round(dayPayments.refunds * 100) / 100
       });
     }
 
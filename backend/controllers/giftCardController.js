@@ -0,0 +1,386 @@
+const mongoose = require('mongoose');
+const GiftCard = require('../models/GiftCard');
+const GiftCardTransaction = require('../models/GiftCardTransaction');
+const Client = require('../models/Client');
+const BusinessSettings = require('../models/BusinessSettings');
+const { roundMoney } = require('../utils/tax');
+const { STORED_VALUE_TYPES, pickReference, validatePaymentMethod } = require('../utils/paymentMethods');
+const { getOpenSession } = require('../utils/cashDrawer');
+const {
+  normalizeGiftCardCode,
+  generateGiftCardCode,
+  getGiftCardState,
+  giftCardStateFilter
+} = require('../utils/giftCards');
+
+const GIFT_CARD_STATES = ['active', 'redeemed', 'expired', 'void'];
+
+// Helper function to build a purchaser/recipient from the request (a client ID fills in missing details)
+// Returns { party }, or { status, message } when the client cannot be used
+const buildParty = async (party) => {
+  if (!party || typeof party !== 'object') return { party: {} };
+
+  const result = {
+    clientId: null,
+    name: party.name || null,
+    phone: party.phone || null,
+    email: party.email || null
+  };
+
+  if (party.clientId) {
+    if (!mongoose.Types.ObjectId.isValid(party.clientId)) {
+      return { status: 400, message: 'Invalid client ID' };
+    }
+    const client = await Client.findById(party.clientId).select('name phone email');
+    if (!client) {
+      return { status: 404, message: 'Client not found' };
+    }
+    result.clientId = client._id;
+    result.name = result.name || client.name;
+    result.phone = result.phone || client.phone;
+    result.email = result.email || client.email;
+  }
+
+  return { party: result };
+};
+
+// Helper function to add the derived state to a card for responses
+const withState = (card) => ({
+  ...card.toObject(),
+  state: getGiftCardState(card)
+});
+
+// @desc    Sell (issue) a gift card
+// @route   POST /api/gift-cards
+// @body    { value, method, reference?, code?, expiresAt?, purchaser?, recipient?, message? }
+// @access  Public
+const issueGiftCard = async (req, res) => {
+  try {
+    const { method, reference, expiresAt, message } = req.body;
+    const value = roundMoney(req.body.value);
+
+    if (!(value > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Gift card value must be greater than 0'
+      });
+    }
+
+    if (STORED_VALUE_TYPES.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Gift cards cannot be bought with ${method}`
+      });
+    }
+
+    const settings = await BusinessSettings.getSettings();
+    const methodError = validatePaymentMethod(method, reference, settings);
+    if (methodError) {
+      return res.status(400).json({
+        success: false,
+        message: methodError
+      });
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expiry date must be a valid date in the future'
+        });
+      }
+    }
+
+    const purchaser = await buildParty(req.body.purchaser);
+    const recipient = await buildParty(req.body.recipient);
+    const partyError = [purchaser, recipient].find(result => !result.party);
+    if (partyError) {
+      return res.status(partyError.status).json({
+        success: false,
+        message: partyError.message
+      });
+    }
+
+    // Pre-printed cards keep their code; otherwise pick a random one that is not taken
+    let code = normalizeGiftCardCode(req.body.code);
+    if (code) {
+      if (await GiftCard.exists({ code })) {
+        return res.status(400).json({
+          success: false,
+          message: `Gift card code ${code} is already in use`
+        });
+      }
+    } else {
+      do {
+        code = generateGiftCardCode();
+      } while (await GiftCard.exists({ code }));
+    }
+
+    const giftCard = await GiftCard.create({
+      code,
+      initialValue: value,
+      balance: value,
+      expiresAt: expiry,
+      purchaser: purchaser.party,
+      recipient: recipient.party,
+      message: message || null,
+      issuedBy: req.staff ? req.staff._id : null
+    });
+
+    // Cash for the card goes into the receptionist's open drawer
+    const cashSession = method === 'cash' ? await getOpenSession(req.staff ? req.staff._id : null) : null;
+
+    const transaction = await GiftCardTransaction.create({
+      giftCardId: giftCard._id,
+      type: 'issue',
+      amount: value,
+      balance_after: value,
+      method,
+      reference: pickReference(method, reference),
+      cash_session_id: cashSession ? cashSession._id : null,
+      description: 'Gift card sold',
+      recordedBy: req.staff ? req.staff._id : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Gift card ${giftCard.code} issued for ${settings.currency} ${value}`,
+      data: {
+        giftCard: withState(giftCard),
+        transaction
+      }
+    });
+  } catch (error) {
+    console.error('issueGiftCard - Error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Gift card code is already in use'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error issuing gift card',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get gift cards
+// @route   GET /api/gift-cards?state=active|redeemed|expired|void&code=&clientId=&page=&limit=
+// @access  Public
+const getGiftCards = async (req, res) => {
+  try {
+    const { state, code, clientId, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    const conditions = [];
+    if (state) {
+      if (!GIFT_CARD_STATES.includes(state)) {
+        return res.status(400).json({
+          success: false,
+          message: `State must be one of: ${GIFT_CARD_STATES.join(', ')}`
+        });
+      }
+      conditions.push(giftCardStateFilter(state));
+    }
+    if (code) {
+      conditions.push({ code: { $regex: normalizeGiftCardCode(code).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') } });
+    }
+    if (clientId) {
+      if (!mongoose.Types.ObjectId.isValid(clientId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid client ID'
+        });
+      }
+      conditions.push({ $or: [{ 'purchaser.clientId': clientId }, { 'recipient.clientId': clientId }] });
+    }
+    const query = conditions.length > 0 ? { $and: conditions } : {};
+
+    const giftCards = await GiftCard.find(query)
+      .populate('issuedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber);
+
+    const total = await GiftCard.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: giftCards.length,
+      data: giftCards.map(withState),
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching gift cards',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Look up a gift card by its code (balance check at the till)
+// @route   GET /api/gift-cards/code/:code
+// @access  Public
+const getGiftCardByCode = async (req, res) => {
+  try {
+    const giftCard = await GiftCard.findOne({ code: normalizeGiftCardCode(req.params.code) })
+      .populate('issuedBy', 'name');
+
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: withState(giftCard)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching gift card',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single gift card with its balance history
+// @route   GET /api/gift-cards/:id
+// @access  Public
+const getGiftCardById = async (req, res) => {
+  try {
+    const giftCard = await GiftCard.findById(req.params.id)
+      .populate('issuedBy', 'name')
+      .populate('voidedBy', 'name');
+
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    const history = await GiftCardTransaction.find({ giftCardId: giftCard._id })
+      .populate('payment_id', 'appointment_id type status total_amount')
+      .populate('credit_note_id', 'number')
+      .populate('recordedBy', 'name')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...withState(giftCard),
+        history
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid gift card ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching gift card',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Void a gift card (its remaining balance is written off)
+// @route   PATCH /api/gift-cards/:id/void
+// @body    { reason }
+// @access  Public
+const voidGiftCard = async (req, res) => {
+  try {
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to void a gift card'
+      });
+    }
+
+    // Returns the card as it was, so the written-off balance is known
+    const before = await GiftCard.findOneAndUpdate(
+      { _id: req.params.id, status: 'active' },
+      {
+        $set: {
+          status: 'void',
+          balance: 0,
+          voidReason: reason,
+          voidedAt: new Date(),
+          voidedBy: req.staff ? req.staff._id : null
+        }
+      }
+    );
+
+    if (!before) {
+      const exists = await GiftCard.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Gift card is already void' : 'Gift card not found'
+      });
+    }
+
+    await GiftCardTransaction.create({
+      giftCardId: before._id,
+      type: 'void',
+      amount: -before.balance,
+      balance_after: 0,
+      description: reason,
+      recordedBy: req.staff ? req.staff._id : null
+    });
+
+    const giftCard = await GiftCard.findById(before._id);
+
+    res.status(200).json({
+      success: true,
+      message: `Gift card ${giftCard.code} voided`,
+      data: withState(giftCard)
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid gift card ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error voiding gift card',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  issueGiftCard,
+  getGiftCards,
+  getGiftCardByCode,
+  getGiftCardById,
+  voidGiftCard
+};
@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs');
+const Invoice = require('../models/Invoice');
+const BusinessSettings = require('../models/BusinessSettings');
+const { BILL_LAYOUTS, renderInvoicePdf, getInvoiceFileName } = require('../utils/invoicePdf');
+
+const uploadsDir = path.join(__dirname, '../uploads');
+
+// Ensure uploads directory exists
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+// @desc    Get invoices
+// @route   GET /api/invoices?status=&clientId=&number=&startDate=&endDate=&page=&limit=
+// @access  Public
+const getInvoices = async (req, res) => {
+  try {
+    const { status, clientId, number, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    const query = {};
+    if (status) query.status = status;
+    if (number) query.number = { $regex: number.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    if (clientId) {
+      if (!mongoose.Types.ObjectId.isValid(clientId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid client ID'
+        });
+      }
+      query.clientId = clientId;
+    }
+    if (startDate || endDate) {
+      query.issuedAt = {};
+      if (startDate) query.issuedAt.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.issuedAt.$lte = end;
+      }
+    }
+
+    const invoices = await Invoice.find(query)
+      .select('-snapshot.items')
+      .populate('clientId', 'name phone')
+      .populate('issuedBy', 'name')
+      .sort({ sequence: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber);
+
+    const total = await Invoice.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      data: invoices,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invoices',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single invoice by ID
+// @route   GET /api/invoices/:id
+// @access  Public
+const getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('clientId', 'name phone email')
+      .populate('issuedBy', 'name')
+      .populate('voidedBy', 'name')
+      .populate('payment_ids', 'type status amount discount payable_amount total_amount');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invoice',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download invoice PDF (regenerated from the stored snapshot)
+// @route   GET /api/invoices/:id/pdf?layout=a4|thermal
+// @access  Public
+const downloadInvoicePdf = async (req, res) => {
+  try {
+    let { layout } = req.query;
+    if (!layout) {
+      const settings = await BusinessSettings.getSettings();
+      layout = settings.billing.layout || 'a4';
+    }
+    if (!BILL_LAYOUTS.includes(layout)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid bill layout. Must be one of: ${BILL_LAYOUTS.join(', ')}`
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const fileName = getInvoiceFileName(invoice, layout);
+    const filePath = path.join(uploadsDir, fileName);
+    await renderInvoicePdf(invoice, filePath, layout);
+
+    if (invoice.pdfFileName !== fileName) {
+      invoice.pdfFileName = fileName;
+      await invoice.save();
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.sendFile(filePath);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID'
+      });
+    }
+    console.error('downloadInvoicePdf - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating invoice PDF',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Void an invoice (its number stays used; the payments can be billed again)
+// @route   PATCH /api/invoices/:id/void
+// @body    { reason }
+// @access  Public
+const voidInvoice = async (req, res) => {
+  try {
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to void an invoice'
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice is already void'
+      });
+    }
+
+    invoice.status = 'void';
+    invoice.voidReason = reason;
+    invoice.voidedAt = new Date();
+    invoice.voidedBy = req.staff ? req.staff._id : null;
+    await invoice.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Invoice ${invoice.number} voided`,
+      data: invoice
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invoice ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error voiding invoice',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getInvoices,
+  getInvoiceById,
+  downloadInvoicePdf,
+  voidInvoice
+};
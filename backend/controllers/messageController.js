@@ -4,6 +4,23 @@ const Chat = require('../models/Chat');
 const Staff = require('../models/Staff');
 const path = require('path');
 const fs = require('fs');
+const { CHAT_EXPORT_FORMATS, buildChatHistoryCsv, renderChatHistoryPdf } = require('../utils/chatExport');
+const {
+  populateMessage,
+  setReaction,
+  setPinned,
+  unpinDeletedMessage,
+  getThreadRootId,
+  getThread,
+  emitReactionChange,
+  emitPinChange,
+  emitThreadReply
+} = require('../utils/chatMessages');
+
+const MESSAGE_TYPES = ['text', 'image', 'file', 'system'];
+
+// Largest page of search results (and chat page size used for search deep links)
+const MAX_SEARCH_PAGE_SIZE = 100;
 
 // Ensure chat uploads directory exists
 const chatUploadsDir = path.join(__dirname, '../uploads/chat');
@@ -11,14 +28,79 @@ if (!fs.existsSync(chatUploadsDir)) {
   fs.mkdirSync(chatUploadsDir, { recursive: true });
 }
 
+// Helper function to find which page of getMessages a message is on
+// Pages count back from the newest message, so the page is set by how many messages came after it
+const getMessagePage = async (message, limit) => {
+  const newer = await Message.countDocuments({
+    chatId: message.chatId,
+    isDeleted: false,
+    createdAt: { $gt: message.createdAt }
+  });
+  return Math.floor(newer / Math.max(limit, 1)) + 1;
+};
+
+// Helper function to find the getMessages page of several messages in one aggregation
+// Returns a Map of message id -> page
+const getMessagePages = async (messages, limit) => {
+  const pages = new Map();
+  if (messages.length === 0) return pages;
+
+  // One count per message of the newer messages in its chat, over a single scan of those chats
+  const facets = {};
+  messages.forEach((message, i) => {
+    facets[`m${i}`] = [
+      { $match: { chatId: message.chatId, createdAt: { $gt: message.createdAt } } },
+      { $count: 'newer' }
+    ];
+  });
+  const chatIds = [...new Map(messages.map(message => [message.chatId.toString(), message.chatId])).values()];
+  const oldest = messages.reduce((min, message) => (message.createdAt < min ? message.createdAt : min), messages[0].createdAt);
+
+  const [counts] = await Message.aggregate([
+    { $match: { chatId: { $in: chatIds }, isDeleted: false, createdAt: { $gt: oldest } } },
+    { $project: { chatId: 1, createdAt: 1 } },
+    { $facet: facets }
+  ]);
+
+  messages.forEach((message, i) => {
+    const newer = counts[`m${i}`].length > 0 ? counts[`m${i}`][0].newer : 0;
+    pages.set(message._id.toString(), Math.floor(newer / Math.max(limit, 1)) + 1);
+  });
+  return pages;
+};
+
+// Helper function to read a page size from the query (1-100, fallback when missing or not a number)
+const parseSearchPageSize = (value, fallback) => {
+  const size = parseInt(value);
+  return Number.isNaN(size) ? fallback : Math.min(Math.max(size, 1), MAX_SEARCH_PAGE_SIZE);
+};
+
+// Helper function to parse a date filter (date-only values cover the whole day)
+const parseDateFilter = (startDate, endDate) => {
+  if (!startDate && !endDate) return null;
+  const range = {};
+  if (startDate) {
+    const start = new Date(startDate);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(startDate))) start.setHours(0, 0, 0, 0);
+    range.$gte = start;
+  }
+  if (endDate) {
+    const end = new Date(endDate);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(endDate))) end.setHours(23, 59, 59, 999);
+    range.$lte = end;
+  }
+  return range;
+};
+
 // @desc    Get messages for a chat with pagination
-// @route   GET /api/chats/:chatId/messages
+// @route   GET /api/chats/:chatId/messages?page=&limit=
+// @route   GET /api/chats/:chatId/messages?around=messageId&limit= (the page holding that message, e.g. from search)
 // @access  Protected
 const getMessages = async (req, res) => {
   try {
     const chatId = req.params.chatId;
     const staffId = req.staff.id;
-    const { page = 1, limit = 50 } = req.query;
+    const { page = 1, limit = 50, around } = req.query;
 
     // Validate chat ID
     if (!mongoose.Types.ObjectId.isValid(chatId)) {
@@ -46,8 +128,22 @@ const getMessages = async (req, res) => {
     }
 
     // Calculate pagination
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
+    let pageNum = parseInt(page);
+    const limitNum = Math.max(parseInt(limit) || 50, 1);
+
+    // Jump to the page holding a given message
+    if (around) {
+      const target = mongoose.Types.ObjectId.isValid(around)
+        ? await Message.findOne({ _id: around, chatId: chatId, isDeleted: false }).select('chatId createdAt')
+        : null;
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found in this chat'
+        });
+      }
+      pageNum = await getMessagePage(target, limitNum);
+    }
 
     // Get total count first (needed for proper pagination)
     const totalMessages = await Message.countDocuments({
@@ -70,13 +166,14 @@ const getMessages = async (req, res) => {
     })
       .populate('senderId', 'name phone email role')
       .populate('replyTo')
+      .populate('reactions.userId', 'name')
       .sort({ createdAt: 1 }) // Ascending: oldest first
       .skip(skip)
       .limit(actualLimit)
       .lean();
 
-    // Update last read message for current user
-    if (messages.length > 0) {
+    // Update last read message for current user (not when jumping back to an older message)
+    if (messages.length > 0 && !around) {
       const lastMessage = messages[messages.length - 1];
       await Chat.updateOne(
         { _id: chatId, 'members.userId': staffId },
@@ -98,8 +195,10 @@ const getMessages = async (req, res) => {
           limit: limitNum,
           total: totalMessages,
           pages: Math.ceil(totalMessages / limitNum),
-          hasMore: skip > 0 // Has more older messages if skip > 0
-        }
+          hasMore: skip > 0, // Has more older messages if skip > 0
+          hasNewer: pageNum > 1
+        },
+        aroundMessageId: around || null
       }
     });
   } catch (error) {
@@ -129,6 +228,7 @@ const getMessageById = async (req, res) => {
     const message = await Message.findById(messageId)
       .populate('senderId', 'name phone email role')
       .populate('replyTo')
+      .populate('reactions.userId', 'name')
       .populate('chatId');
 
     if (!message) {
@@ -267,6 +367,9 @@ const sendMessage = async (req, res) => {
       .populate('senderId', 'name phone email role')
       .populate('replyTo');
 
+    // Let thread views update, as replies sent over the socket do
+    await emitThreadReply(req.app.get('io'), populatedMessage);
+
     res.status(201).json({
       success: true,
       data: populatedMessage
@@ -509,6 +612,7 @@ const deleteMessage = async (req, res) => {
     message.isDeleted = true;
     message.deletedAt = new Date();
     await message.save();
+    await unpinDeletedMessage(message);
 
     // Optionally delete file if it's a file message
     if (message.fileUrl) {
@@ -759,6 +863,429 @@ const getUnreadCount = async (req, res) => {
   }
 };
 
+// @desc    Search messages in every chat the user belongs to
+// @route   GET /api/messages/search?q=&chatId=&senderId=&type=file,image&startDate=&endDate=&page=&limit=&pageSize=
+// @access  Protected
+// Each result carries a link to the page of the chat it sits on (pageSize = the chat's page size, default 50)
+// limit and pageSize are kept between 1 and 100
+const searchMessages = async (req, res) => {
+  try {
+    const staffId = req.staff.id;
+    const { q, chatId, senderId, type, startDate, endDate, page = 1, limit = 20, pageSize = 50 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = parseSearchPageSize(limit, 20);
+    const chatPageSize = parseSearchPageSize(pageSize, 50);
+
+    // Only chats the user is a member of are searched
+    const chats = await Chat.find({ 'members.userId': staffId, isActive: true }).select('_id');
+    let chatIds = chats.map(chat => chat._id);
+
+    if (chatId) {
+      if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid chat ID'
+        });
+      }
+      if (!chatIds.some(id => id.toString() === chatId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this chat'
+        });
+      }
+      chatIds = [chatId];
+    }
+
+    const query = {
+      chatId: { $in: chatIds },
+      isDeleted: false
+    };
+    if (q && String(q).trim()) {
+      query.$text = { $search: String(q).trim() };
+    }
+    if (senderId) {
+      if (!mongoose.Types.ObjectId.isValid(senderId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid sender ID'
+        });
+      }
+      query.senderId = senderId;
+    }
+    if (type) {
+      const types = String(type).split(',').map(t => t.trim()).filter(Boolean);
+      const invalid = types.filter(t => !MESSAGE_TYPES.includes(t));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid message type. Must be one of: ${MESSAGE_TYPES.join(', ')}`
+        });
+      }
+      query.messageType = { $in: types };
+    }
+    const createdAt = parseDateFilter(startDate, endDate);
+    if (createdAt) {
+      query.createdAt = createdAt;
+    }
+
+    const messages = await Message.find(query)
+      .populate('senderId', 'name phone email role')
+      .populate('chatId', 'name type')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean();
+
+    const total = await Message.countDocuments(query);
+
+    // Deep link into the chat: the page of getMessages that holds the message
+    const getChatId = (message) => (message.chatId && message.chatId._id ? message.chatId._id : message.chatId);
+    const chatPages = await getMessagePages(
+      messages.map(message => ({ _id: message._id, chatId: getChatId(message), createdAt: message.createdAt })),
+      chatPageSize
+    );
+    const results = messages.map(message => {
+      const messageChatId = getChatId(message);
+      return {
+        ...message,
+        link: {
+          chatId: messageChatId,
+          messageId: message._id,
+          page: chatPages.get(message._id.toString()),
+          limit: chatPageSize,
+          url: `/api/chats/${messageChatId}/messages?around=${message._id}&limit=${chatPageSize}`
+        }
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      data: results,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Search messages error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid search filter'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error searching messages',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export a chat's history as PDF or CSV
+// @route   GET /api/chats/:chatId/export?format=pdf|csv&startDate=&endDate=
+// @access  Protected (chat admins only)
+const exportChatHistory = async (req, res) => {
+  try {
+    const chatId = req.params.chatId;
+    const staffId = req.staff.id;
+    const format = req.query.format || 'pdf';
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid chat ID'
+      });
+    }
+
+    if (!CHAT_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Must be one of: ${CHAT_EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const chat = await Chat.findById(chatId).populate('members.userId', 'name');
+
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat not found'
+      });
+    }
+
+    if (!chat.isAdmin(staffId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only chat admins can export the chat history'
+      });
+    }
+
+    const query = { chatId: chatId, isDeleted: false };
+    const createdAt = parseDateFilter(req.query.startDate, req.query.endDate);
+    if (createdAt) {
+      query.createdAt = createdAt;
+    }
+
+    const messages = await Message.find(query)
+      .populate('senderId', 'name')
+      .populate({ path: 'replyTo', select: 'content isDeleted senderId', populate: { path: 'senderId', select: 'name' } })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const fileName = `chat-${chat._id}-${Date.now()}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      return res.send(buildChatHistoryCsv({ messages }));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    await renderChatHistoryPdf({
+      chat,
+      messages,
+      exportedBy: req.staff.name,
+      startDate: createdAt ? createdAt.$gte : null,
+      endDate: createdAt ? createdAt.$lte : null
+    }, res);
+  } catch (error) {
+    console.error('Export chat history error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid chat ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting chat history',
+      error: error.message
+    });
+  }
+};
+
+// @desc    React to a message with an emoji
+// @route   POST /api/messages/:id/reactions
+// @body    { emoji }
+// @access  Protected (chat members)
+const addReaction = async (req, res) => {
+  try {
+    const result = await setReaction(req.params.id, req.staff.id, req.body.emoji, true);
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    emitReactionChange(req.app.get('io'), result, req.staff.id, true);
+
+    res.status(200).json({
+      success: true,
+      data: result.chatMessage
+    });
+  } catch (error) {
+    console.error('Add reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding reaction',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove your emoji reaction from a message
+// @route   DELETE /api/messages/:id/reactions/:emoji
+// @access  Protected (chat members)
+const removeReaction = async (req, res) => {
+  try {
+    const result = await setReaction(req.params.id, req.staff.id, req.params.emoji, false);
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    emitReactionChange(req.app.get('io'), result, req.staff.id, false);
+
+    res.status(200).json({
+      success: true,
+      data: result.chatMessage
+    });
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing reaction',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Pin a message to its chat
+// @route   POST /api/messages/:id/pin
+// @access  Protected (chat members)
+const pinMessage = async (req, res) => {
+  try {
+    const result = await setPinned(req.params.id, req.staff.id, true);
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    emitPinChange(req.app.get('io'), result, req.staff.id, true);
+
+    res.status(200).json({
+      success: true,
+      message: result.changed ? 'Message pinned' : 'Message is already pinned',
+      data: {
+        message: result.chatMessage,
+        pin: result.pin
+      }
+    });
+  } catch (error) {
+    console.error('Pin message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error pinning message',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Unpin a message from its chat
+// @route   DELETE /api/messages/:id/pin
+// @access  Protected (chat members)
+const unpinMessage = async (req, res) => {
+  try {
+    const result = await setPinned(req.params.id, req.staff.id, false);
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    emitPinChange(req.app.get('io'), result, req.staff.id, false);
+
+    res.status(200).json({
+      success: true,
+      message: result.changed ? 'Message unpinned' : 'Message was not pinned'
+    });
+  } catch (error) {
+    console.error('Unpin message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unpinning message',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a chat's pinned messages, newest pin first
+// @route   GET /api/chats/:chatId/pins
+// @access  Protected (chat members)
+const getPinnedMessages = async (req, res) => {
+  try {
+    const chatId = req.params.chatId;
+    const staffId = req.staff.id;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid chat ID'
+      });
+    }
+
+    const chat = await Chat.findById(chatId).populate('pinnedMessages.pinnedBy', 'name');
+
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat not found'
+      });
+    }
+
+    if (!chat.isMember(staffId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a member of this chat'
+      });
+    }
+
+    const pins = [...(chat.pinnedMessages || [])].reverse();
+    const messages = await populateMessage(Message.find({
+      _id: { $in: pins.map(pin => pin.messageId) },
+      isDeleted: false
+    }));
+    const messagesById = new Map(messages.map(message => [message._id.toString(), message]));
+
+    const data = pins
+      .filter(pin => messagesById.has(pin.messageId.toString()))
+      .map(pin => ({
+        message: messagesById.get(pin.messageId.toString()),
+        pinnedBy: pin.pinnedBy,
+        pinnedAt: pin.pinnedAt
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Get pinned messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching pinned messages',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a message with all its replies (replies to replies included), oldest first
+// @route   GET /api/messages/:id/thread
+// @access  Protected (chat members)
+const getMessageThread = async (req, res) => {
+  try {
+    const result = await getThread(req.params.id, req.staff.id);
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        message: result.root,
+        replies: result.replies,
+        replyCount: result.replies.length,
+        // The message the whole conversation starts from, when this one is itself a reply
+        threadRootId: await getThreadRootId(result.root)
+      }
+    });
+  } catch (error) {
+    console.error('Get message thread error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching thread',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getMessages,
   getMessageById,
@@ -768,5 +1295,13 @@ module.exports = {
   deleteMessage,
   markMessageAsRead,
   markChatAsRead,
-  getUnreadCount
+  getUnreadCount,
+  searchMessages,
+  exportChatHistory,
+  addReaction,
+  removeReaction,
+  pinMessage,
+  unpinMessage,
+  getPinnedMessages,
+  getMessageThread
 };
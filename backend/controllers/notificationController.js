@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const Appointment = require('../models/Appointment');
+const BusinessSettings = require('../models/BusinessSettings');
+const {
+  DEFAULT_REMINDER_TEMPLATES,
+  REMINDER_PLACEHOLDERS,
+  getTemplate,
+  deliverNotification,
+  runReminderCycle
+} = require('../utils/reminders');
+
+const CHANNELS = ['sms', 'email', 'whatsapp'];
+const TEMPLATE_TYPES = ['reminder'];
+
+// @desc    Get outbox notifications
+// @route   GET /api/notifications?status=&channel=&appointmentId=&clientId=&page=&limit=
+// @access  Public
+const getNotifications = async (req, res) => {
+  try {
+    const { status, channel, appointmentId, clientId, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    const query = {};
+    if (status) query.status = status;
+    if (channel) query.channel = channel;
+    if (appointmentId) {
+      if (!mongoose.Types.ObjectId.isValid(appointmentId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid appointment ID'
+        });
+      }
+      query.appointmentId = appointmentId;
+    }
+    if (clientId) {
+      if (!mongoose.Types.ObjectId.isValid(clientId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid client ID'
+        });
+      }
+      query.clientId = clientId;
+    }
+
+    const notifications = await Notification.find(query)
+      .populate('clientId', 'name phone email')
+      .populate('appointmentId', 'startTime status')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber);
+
+    const total = await Notification.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      data: notifications,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get notifications sent (or queued) for an appointment
+// @route   GET /api/appointments/:id/notifications
+// @access  Public
+const getAppointmentNotifications = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id).select('_id');
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const notifications = await Notification.find({ appointmentId: appointment._id })
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      data: notifications
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid appointment ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching appointment notifications',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Retry a failed notification now
+// @route   POST /api/notifications/:id/retry
+// @access  Public
+const retryNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (notification.status !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: `Only failed notifications can be retried (this one is ${notification.status})`
+      });
+    }
+
+    // Allow one more attempt on top of those already made
+    notification.maxAttempts = notification.attempts + 1;
+    const settings = await BusinessSettings.getSettings();
+    const result = await deliverNotification(notification, settings.reminders.retryDelayMinutes);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: result.status === 'sent' ? 'Notification sent' : `Notification ${result.status}`
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error retrying notification',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Run the reminder job now (queue due reminders and deliver the outbox)
+// @route   POST /api/notifications/run
+// @access  Public
+const runReminders = async (req, res) => {
+  try {
+    const summary = await runReminderCycle();
+
+    res.status(200).json({
+      success: true,
+      data: summary,
+      message: `Queued ${summary.queued} reminder(s), sent ${summary.sent}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error running reminders',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get message templates (saved or default) for every channel
+// @route   GET /api/notifications/templates
+// @access  Public
+const getTemplates = async (req, res) => {
+  try {
+    const templates = [];
+    for (const type of TEMPLATE_TYPES) {
+      for (const channel of CHANNELS) {
+        templates.push(await getTemplate(type, channel));
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates,
+      placeholders: REMINDER_PLACEHOLDERS
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching templates',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create or update a message template
+// @route   PUT /api/notifications/templates/:type/:channel
+// @body    subject (email only), body, isActive
+// @access  Public
+const updateTemplate = async (req, res) => {
+  try {
+    const { type, channel } = req.params;
+
+    if (!TEMPLATE_TYPES.includes(type) || !CHANNELS.includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Template must be one of types ${TEMPLATE_TYPES.join(', ')} and channels ${CHANNELS.join(', ')}`
+      });
+    }
+
+    const existing = await NotificationTemplate.findOne({ type, channel });
+    const defaults = DEFAULT_REMINDER_TEMPLATES[channel];
+    const template = existing || new NotificationTemplate({ type, channel, subject: defaults.subject, body: defaults.body });
+
+    if (req.body.subject !== undefined) template.subject = req.body.subject;
+    if (req.body.body !== undefined) template.body = req.body.body;
+    if (req.body.isActive !== undefined) template.isActive = req.body.isActive;
+    template.updatedBy = req.staff ? req.staff._id : null;
+
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      data: template,
+      message: 'Template saved successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error saving template',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getAppointmentNotifications,
+  retryNotification,
+  runReminders,
+  getTemplates,
+  updateTemplate
+};
@@ -2,7 +2,32 @@ const mongoose = require('mongoose');
 const Payment = require('../models/Payment');
 const Appointment = require('../models/Appointment');
 const Client = require('../models/Client');
-const PDFDocument = require('pdfkit');
+const Visit = require('../models/Visit');
+const BusinessSettings = require('../models/BusinessSettings');
+const { roundMoney } = require('../utils/tax');
+const { findActiveInvoicesForPayments, issueInvoice } = require('../utils/invoices');
+const {
+  PAYMENT_TYPES,
+  STORED_VALUE_TYPES,
+  REFERENCE_FIELDS,
+  getEnabledPaymentTypes,
+  pickReference,
+  validatePaymentMethod,
+  getReferenceKey
+} = require('../utils/paymentMethods');
+const { assignCashSession } = require('../utils/cashDrawer');
+const { chargeWalletPayment, releaseWalletPayment } = require('../utils/wallet');
+const { chargeGiftCardPayment, releaseGiftCardPayment } = require('../utils/giftCards');
+const { checkPaidPaymentLock, recordPaymentAudit } = require('../utils/paymentAudit');
+const {
+  buildProductLines,
+  getProductLinesTotal,
+  sellPaymentProducts,
+  restockPaymentProducts,
+  notifyLowStock
+} = require('../utils/inventory');
+const PaymentAuditLog = require('../models/PaymentAuditLog');
+const { BILL_LAYOUTS, renderInvoicePdf, getInvoiceFileName } = require('../utils/invoicePdf');
 const fs = require('fs');
 const path = require('path');
 
@@ -40,7 +65,7 @@ const getAllPayments = async (req, res) => {
       query.appointment_id = appointmentId;
     }
     
-    // Filter by client (through appointment)
+    // Filter by client (through appointment, or on products-only sales)
     if (clientId) {
       if (!mongoose.Types.ObjectId.isValid(clientId)) {
         return res.status(400).json({
@@ -51,7 +76,7 @@ const getAllPayments = async (req, res) => {
       // Find appointments for this client
       const appointments = await Appointment.find({ clientId }).select('_id');
       const appointmentIds = appointments.map(apt => apt._id);
-      query.appointment_id = { $in: appointmentIds };
+      query.$or = [{ appointment_id: { $in: appointmentIds } }, { client_id: clientId }];
     }
     
     // Filter by status
@@ -90,6 +115,7 @@ const getAllPayments = async (req, res) => {
           { path: 'staffId', select: 'name specialization' }
         ]
       })
+      .populate('client_id', 'name phone email membership_id')
       .sort({ createdAt: -1 });
     
     // Filter by membership if specified
@@ -97,8 +123,8 @@ const getAllPayments = async (req, res) => {
       const hasMembershipBool = hasMembership === 'true';
       payments = payments.filter(payment => {
         const appointment = payment.appointment_id;
-        if (!appointment || !appointment.clientId) return false;
-        const client = appointment.clientId;
+        const client = appointment && appointment.clientId ? appointment.clientId : payment.client_id;
+        if (!client) return false;
         const hasMembership = client.membership_id !== null && client.membership_id !== undefined;
         return hasMembership === hasMembershipBool;
       });
@@ -184,12 +210,348 @@ const getPaymentById = async (req, res) => {
   }
 };
 
+// Helper function to find payments linked to any of the given appointments
+// (directly, or as one of the appointments a combined/visit payment covers)
+const findPaymentsForAppointments = (appointmentIds) => {
+  return Payment.find({
+    $or: [
+      { appointment_id: { $in: appointmentIds } },
+      { parent_appointment_ids: { $in: appointmentIds } }
+    ]
+  });
+};
+
+// Helper function to get how much of a payment went to services (product lines on a sale are left out)
+const getServicePaidAmount = (payment) => {
+  const payable = payment.payable_amount || payment.amount - (payment.discount || 0);
+  return Math.max(0, payable - getProductLinesTotal(payment));
+};
+
+// Helper function to keep a sale matched to the stock it took
+// (delete the sale to put the stock back, then ring it up again)
+const getProductSalePaymentError = (payment) => {
+  if (!payment.product_lines || payment.product_lines.length === 0) return null;
+  return `Payment ${payment._id} includes retail products and can no longer be changed this way`;
+};
+
+// Helper function to stop changes that would erase the history of a refunded payment
+// (its credit notes stay linked to it; refund the remainder instead)
+const getRefundedPaymentError = (payment) => {
+  if (!payment.refunded_amount || payment.refunded_amount <= 0) return null;
+  return `Payment ${payment._id} has refunds against it and can no longer be changed this way`;
+};
+
+// Helper function to keep client wallet and gift card payments matched to what was taken from the balance
+// (delete the payment to put the money back, then record it again)
+const getStoredValuePaymentError = (payment) => {
+  if (!STORED_VALUE_TYPES.includes(payment.type)) return null;
+  return `Payment ${payment._id} was paid from a ${payment.type === 'gift_card' ? 'gift card' : 'client wallet'} and can no longer be changed this way`;
+};
+
+// Helper function to check the status of a new client wallet or gift card payment (the balance is charged when it is recorded)
+const getStoredValueStatusError = (type, status) => {
+  if (!STORED_VALUE_TYPES.includes(type) || !status || status === 'paid') return null;
+  return `${type} payments are taken from the balance straight away and must be recorded as paid`;
+};
+
+// Helper function to take a saved client wallet or gift card payment from its balance
+// Returns an error message when the balance cannot cover it
+const chargeStoredValuePayment = async (payment, staff) => {
+  return (await chargeWalletPayment(payment, staff)) || (await chargeGiftCardPayment(payment, staff));
+};
+
+// Helper function to create one payment covering every open line of a multi-service visit
+const createVisitPayment = async (req, res) => {
+  const { visit_id, type, reference, amount, discount, payable_amount, notes, status } = req.body;
+
+  if (!type || amount === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'Missing required fields: type, amount'
+    });
+  }
+
+  const methodError = validatePaymentMethod(type, reference, await BusinessSettings.getSettings()) || getStoredValueStatusError(type, status);
+  if (methodError) {
+    return res.status(400).json({
+      success: false,
+      message: methodError
+    });
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(visit_id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid visit ID'
+    });
+  }
+
+  const visit = await Visit.findById(visit_id);
+  if (!visit) {
+    return res.status(404).json({
+      success: false,
+      message: 'Visit not found'
+    });
+  }
+
+  const lines = await Appointment.find({ visitId: visit._id, status: { $ne: 'cancelled' } })
+    .sort({ visitOffset: 1, startTime: 1 });
+  if (lines.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Visit has no open service lines to bill'
+    });
+  }
+
+  const lineIds = lines.map(line => line._id);
+  const visitTotal = lines.reduce((sum, line) => sum + (line.totalPrice || 0), 0);
+
+  // Calculate payable amount if not provided
+  const calculatedPayable = amount - (discount || 0);
+  const finalPayableAmount = payable_amount !== undefined ? payable_amount : calculatedPayable;
+
+  // Validate payable amount doesn't exceed the visit total
+  const existingPayments = await findPaymentsForAppointments(lineIds);
+  const totalPaid = existingPayments.reduce((sum, p) => sum + getServicePaidAmount(p), 0);
+  if (totalPaid + finalPayableAmount > visitTotal) {
+    return res.status(400).json({
+      success: false,
+      message: `Payable amount (PKR ${finalPayableAmount}) exceeds visit total. Remaining: PKR ${visitTotal - totalPaid}`
+    });
+  }
+
+  // Validate discount doesn't exceed amount
+  if (discount && discount > amount) {
+    return res.status(400).json({
+      success: false,
+      message: 'Discount cannot be greater than amount'
+    });
+  }
+
+  // Validate payable amount is positive
+  if (finalPayableAmount <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Payable amount must be greater than 0'
+    });
+  }
+
+  const paymentData = {
+    appointment_id: lineIds[0],
+    type,
+    reference: pickReference(type, reference),
+    amount: Number(amount),
+    discount: discount ? Number(discount) : 0,
+    payable_amount: finalPayableAmount,
+    notes: notes || null,
+    status: status || (STORED_VALUE_TYPES.includes(type) ? 'paid' : 'pending'),
+    parent_appointment_ids: lineIds,
+    visit_id: visit._id
+  };
+  await assignCashSession(paymentData, req.staff);
+
+  const payment = await Payment.create(paymentData);
+
+  const walletError = await chargeStoredValuePayment(payment, req.staff);
+  if (walletError) {
+    await Payment.findByIdAndDelete(payment._id);
+    return res.status(400).json({
+      success: false,
+      message: walletError
+    });
+  }
+
+  // Link the payment to every line of the visit
+  await Appointment.updateMany({ _id: { $in: lineIds } }, { $addToSet: { payment_ids: payment._id } });
+  await recordPaymentAudit({ action: 'create', after: [payment], req });
+
+  const populatedPayment = await Payment.findById(payment._id)
+    .populate({
+      path: 'parent_appointment_ids',
+      populate: [
+        { path: 'clientId', select: 'name phone email' },
+        { path: 'baseServiceId', select: 'name category' },
+        { path: 'serviceVariationId', select: 'variationName timeDuration price' },
+        { path: 'staffId', select: 'name specialization' }
+      ]
+    });
+
+  return res.status(201).json({
+    success: true,
+    data: populatedPayment
+  });
+};
+
+// Helper function to ring up a POS sale: retail products, optionally with appointments, in one payment
+// Products are priced from the catalog and appointments are charged what is still owed on them
+const createSalePayment = async (req, res) => {
+  const { products, type, reference, discount, notes, status } = req.body;
+  const appointmentIds = [...new Set([
+    ...(Array.isArray(req.body.appointment_ids) ? req.body.appointment_ids : []),
+    ...(req.body.appointment_id ? [req.body.appointment_id] : [])
+  ].map(String))];
+
+  if (!type) {
+    return res.status(400).json({
+      success: false,
+      message: 'Payment type is required'
+    });
+  }
+
+  const methodError = validatePaymentMethod(type, reference, await BusinessSettings.getSettings()) || getStoredValueStatusError(type, status);
+  if (methodError) {
+    return res.status(400).json({
+      success: false,
+      message: methodError
+    });
+  }
+
+  for (const id of [...appointmentIds, ...(req.body.client_id ? [req.body.client_id] : [])]) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ID: ${id}`
+      });
+    }
+  }
+
+  // Appointments on the sale must exist, be open and belong to one client
+  const appointments = await Appointment.find({ _id: { $in: appointmentIds } });
+  if (appointments.length !== appointmentIds.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'One or more appointments not found'
+    });
+  }
+  if (appointments.some(apt => apt.status === 'cancelled')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cancelled appointments cannot be billed'
+    });
+  }
+  const clientIds = [...new Set([
+    ...appointments.map(apt => apt.clientId.toString()),
+    ...(req.body.client_id ? [String(req.body.client_id)] : [])
+  ])];
+  if (clientIds.length > 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'All appointments on a sale must belong to the same client'
+    });
+  }
+  if (clientIds.length === 1 && !await Client.exists({ _id: clientIds[0] })) {
+    return res.status(404).json({
+      success: false,
+      message: 'Client not found'
+    });
+  }
+
+  const productResult = await buildProductLines(products);
+  if (!productResult.lines) {
+    return res.status(productResult.status).json({
+      success: false,
+      message: productResult.message
+    });
+  }
+  const productTotal = roundMoney(productResult.lines.reduce((sum, line) => sum + line.amount, 0));
+
+  // What is still owed on the appointments
+  let serviceDue = 0;
+  if (appointments.length > 0) {
+    const existingPayments = await findPaymentsForAppointments(appointments.map(apt => apt._id));
+    const totalPaid = existingPayments.reduce((sum, p) => sum + getServicePaidAmount(p), 0);
+    serviceDue = roundMoney(appointments.reduce((sum, apt) => sum + (apt.totalPrice || 0), 0) - totalPaid);
+    if (serviceDue <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The appointments on this sale are already paid'
+      });
+    }
+  }
+
+  const amount = roundMoney(serviceDue + productTotal);
+  const saleDiscount = discount ? Number(discount) : 0;
+  if (saleDiscount < 0 || saleDiscount > amount) {
+    return res.status(400).json({
+      success: false,
+      message: 'Discount cannot be negative or greater than amount'
+    });
+  }
+  if (amount - saleDiscount <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Payable amount must be greater than 0'
+    });
+  }
+
+  const paymentData = {
+    appointment_id: appointments.length > 0 ? appointments[0]._id : null,
+    parent_appointment_ids: appointments.map(apt => apt._id),
+    product_lines: productResult.lines,
+    client_id: clientIds.length === 1 ? clientIds[0] : null,
+    type,
+    reference: pickReference(type, reference),
+    amount,
+    discount: saleDiscount,
+    payable_amount: roundMoney(amount - saleDiscount),
+    notes: notes || null,
+    status: status || (STORED_VALUE_TYPES.includes(type) ? 'paid' : 'pending')
+  };
+  await assignCashSession(paymentData, req.staff);
+
+  const payment = await Payment.create(paymentData);
+
+  // Take the stock, then the client wallet or gift card balance (the sale is dropped if either falls short)
+  const saleError = await sellPaymentProducts(payment, req.staff);
+  const walletError = saleError ? null : await chargeStoredValuePayment(payment, req.staff);
+  if (saleError || walletError) {
+    if (walletError) await restockPaymentProducts(payment, req.staff, 'Sale not completed');
+    await Payment.findByIdAndDelete(payment._id);
+    return res.status(400).json({
+      success: false,
+      message: saleError || walletError
+    });
+  }
+
+  await Appointment.updateMany({ _id: { $in: payment.parent_appointment_ids } }, { $addToSet: { payment_ids: payment._id } });
+  await recordPaymentAudit({ action: 'create', after: [payment], req });
+  await notifyLowStock(req.app.get('io'), payment.product_lines.map(line => line.product_id));
+
+  const populatedPayment = await Payment.findById(payment._id)
+    .populate('client_id', 'name phone email')
+    .populate({
+      path: 'parent_appointment_ids',
+      populate: [
+        { path: 'baseServiceId', select: 'name category' },
+        { path: 'serviceVariationId', select: 'variationName timeDuration price' },
+        { path: 'staffId', select: 'name specialization' }
+      ]
+    });
+
+  return res.status(201).json({
+    success: true,
+    data: populatedPayment
+  });
+};
+
 // @desc    Create new payment
 // @route   POST /api/payments
+// @body    { appointment_id, type, amount, ... } | { visit_id, ... } |
+//          { products: [{ product_id, quantity }], appointment_ids?, client_id?, type, reference?, discount?, notes?, status? } (POS sale)
 // @access  Public
 const createPayment = async (req, res) => {
   try {
-    const { appointment_id, type, amount, discount, payable_amount, notes, status } = req.body;
+    const { appointment_id, type, reference, amount, discount, payable_amount, notes, status } = req.body;
+    
+    // Ringing up retail products (with or without appointments)
+    if (Array.isArray(req.body.products) && req.body.products.length > 0) {
+      return await createSalePayment(req, res);
+    }
+    
+    // Paying for a whole multi-service visit
+    if (req.body.visit_id) {
+      return await createVisitPayment(req, res);
+    }
     
     // Validate required fields
     if (!appointment_id || !type || amount === undefined) {
@@ -199,6 +561,15 @@ const createPayment = async (req, res) => {
       });
     }
     
+    // Validate payment type is enabled and carries its reference
+    const methodError = validatePaymentMethod(type, reference, await BusinessSettings.getSettings()) || getStoredValueStatusError(type, status);
+    if (methodError) {
+      return res.status(400).json({
+        success: false,
+        message: methodError
+      });
+    }
+    
     // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(appointment_id)) {
       return res.status(400).json({
@@ -224,7 +595,7 @@ const createPayment = async (req, res) => {
     // Note: We check payable_amount (amount - discount) against appointment total,
     // not just the amount, since that's what actually gets deducted
     const existingPayments = await Payment.find({ appointment_id });
-    const totalPaid = existingPayments.reduce((sum, p) => sum + (p.payable_amount || p.amount - (p.discount || 0)), 0);
+    const totalPaid = existingPayments.reduce((sum, p) => sum + getServicePaidAmount(p), 0);
     if (totalPaid + finalPayableAmount > appointment.totalPrice) {
       return res.status(400).json({
         success: false,
@@ -252,21 +623,34 @@ const createPayment = async (req, res) => {
     const paymentData = {
       appointment_id,
       type,
+      reference: pickReference(type, reference),
       amount: Number(amount),
       discount: discount ? Number(discount) : 0,
       payable_amount: finalPayableAmount,
       notes: notes || null,
-      status: status || 'pending'
+      status: status || (STORED_VALUE_TYPES.includes(type) ? 'paid' : 'pending')
     };
     
+    await assignCashSession(paymentData, req.staff);
     const payment = await Payment.create(paymentData);
     
+    // Take client wallet and gift card payments from their balance (the payment is dropped if the balance does not cover it)
+    const walletError = await chargeStoredValuePayment(payment, req.staff);
+    if (walletError) {
+      await Payment.findByIdAndDelete(payment._id);
+      return res.status(400).json({
+        success: false,
+        message: walletError
+      });
+    }
+    
     // Update appointment's payment_ids
     if (!appointment.payment_ids) {
       appointment.payment_ids = [];
     }
     appointment.payment_ids.push(payment._id);
     await appointment.save();
+    await recordPaymentAudit({ action: 'create', after: [payment], req });
     
     // Populate and return
     const populatedPayment = await Payment.findById(payment._id)
@@ -302,8 +686,9 @@ const createPayment = async (req, res) => {
   }
 };
 
-// @desc    Update payment
+// @desc    Update payment (a paid payment needs a manager override, except for notes)
 // @route   PUT /api/payments/:id
+// @body    { type?, reference?, amount?, discount?, payable_amount?, status?, notes?, override_reason? }
 // @access  Public
 const updatePayment = async (req, res) => {
   try {
@@ -316,10 +701,67 @@ const updatePayment = async (req, res) => {
       });
     }
     
-    const { type, amount, discount, payable_amount, status, notes } = req.body;
+    const { type, reference, amount, discount, payable_amount, status, notes } = req.body;
+    
+    const changesAmounts = amount !== undefined || discount !== undefined || payable_amount !== undefined;
+    const refundedError = getRefundedPaymentError(payment);
+    if (refundedError && (changesAmounts || (status !== undefined && status !== payment.status))) {
+      return res.status(400).json({
+        success: false,
+        message: refundedError
+      });
+    }
+    
+    const changesType = type !== undefined && type !== payment.type;
+    const productSaleError = getProductSalePaymentError(payment);
+    if (productSaleError && changesAmounts) {
+      return res.status(400).json({
+        success: false,
+        message: productSaleError
+      });
+    }
+    
+    const walletError = getStoredValuePaymentError(payment);
+    if (walletError && (changesAmounts || changesType || reference !== undefined || (status !== undefined && status !== payment.status))) {
+      return res.status(400).json({
+        success: false,
+        message: walletError
+      });
+    }
+    if (changesType && STORED_VALUE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Record a new ${type} payment instead of changing an existing payment to it`
+      });
+    }
+    
+    const changesPayment = changesAmounts || changesType || reference !== undefined || (status !== undefined && status !== payment.status);
+    const lock = changesPayment ? checkPaidPaymentLock([payment], req) : { overrideReason: null };
+    if (lock.status) {
+      return res.status(lock.status).json({
+        success: false,
+        message: lock.message
+      });
+    }
+    const before = payment.toObject();
+    
+    // A new type or reference is checked like a new payment
+    // (unchanged older payments keep their type even if that method has since been disabled)
+    if ((type !== undefined && type !== payment.type) || reference !== undefined) {
+      const newType = type !== undefined ? type : payment.type;
+      const newReference = reference !== undefined ? reference : {};
+      const methodError = validatePaymentMethod(newType, newReference, await BusinessSettings.getSettings());
+      if (methodError) {
+        return res.status(400).json({
+          success: false,
+          message: methodError
+        });
+      }
+      payment.type = newType;
+      payment.reference = pickReference(newType, newReference);
+    }
     
     // Update fields
-    if (type !== undefined) payment.type = type;
     if (amount !== undefined) payment.amount = Number(amount);
     if (discount !== undefined) payment.discount = Number(discount);
     if (status !== undefined) payment.status = status;
@@ -341,7 +783,7 @@ const updatePayment = async (req, res) => {
         appointment_id: payment.appointment_id,
         _id: { $ne: payment._id }
       });
-      const totalPaid = existingPayments.reduce((sum, p) => sum + (p.payable_amount || p.amount - (p.discount || 0)), 0);
+      const totalPaid = existingPayments.reduce((sum, p) => sum + getServicePaidAmount(p), 0);
       const finalPayableAmount = payment.payable_amount || payment.amount - (payment.discount || 0);
       
       if (totalPaid + finalPayableAmount > appointment.totalPrice) {
@@ -368,7 +810,9 @@ const updatePayment = async (req, res) => {
       }
     }
     
+    await assignCashSession(payment, req.staff);
     await payment.save();
+    await recordPaymentAudit({ action: 'update', before: [before], after: [payment], req, overrideReason: lock.overrideReason });
     
     // Populate and return
     const populatedPayment = await Payment.findById(payment._id)
@@ -404,8 +848,9 @@ const updatePayment = async (req, res) => {
   }
 };
 
-// @desc    Delete payment
+// @desc    Delete payment (a paid payment needs a manager override)
 // @route   DELETE /api/payments/:id
+// @body    { override_reason? }
 // @access  Public
 const deletePayment = async (req, res) => {
   try {
@@ -418,21 +863,54 @@ const deletePayment = async (req, res) => {
       });
     }
     
+    const refundedError = getRefundedPaymentError(payment);
+    if (refundedError) {
+      return res.status(400).json({
+        success: false,
+        message: refundedError
+      });
+    }
+    
+    const lock = checkPaidPaymentLock([payment], req);
+    if (lock.status) {
+      return res.status(lock.status).json({
+        success: false,
+        message: lock.message
+      });
+    }
+    
     // Remove from appointment's payment_ids
-    const appointment = await Appointment.findById(payment.appointment_id);
+    const appointment = payment.appointment_id ? await Appointment.findById(payment.appointment_id) : null;
     if (appointment) {
       appointment.payment_ids = appointment.payment_ids.filter(
         id => id.toString() !== payment._id.toString()
       );
       await appointment.save();
     }
+    // Visit, combined and product sale payments are also linked from every appointment they covered
+    if (payment.parent_appointment_ids && payment.parent_appointment_ids.length > 0) {
+      await Appointment.updateMany({ _id: { $in: payment.parent_appointment_ids } }, { $pull: { payment_ids: payment._id } });
+    }
     
     // Delete payment
     await Payment.findByIdAndDelete(req.params.id);
+    await recordPaymentAudit({ action: 'delete', before: [payment], req, overrideReason: lock.overrideReason });
+    
+    // Money taken from the client wallet or a gift card goes back to it
+    const walletEntry = await releaseWalletPayment(payment, req.staff);
+    const giftCardEntry = await releaseGiftCardPayment(payment, req.staff);
+    
+    // Products sold on it go back on the shelf
+    const restocked = await restockPaymentProducts(payment, req.staff);
+    
+    let message = 'Payment deleted successfully';
+    if (walletEntry) message += `. ${walletEntry.amount} returned to the client wallet`;
+    if (giftCardEntry) message += `. ${giftCardEntry.amount} returned to the gift card`;
+    if (restocked.length > 0) message += `. ${restocked.reduce((sum, line) => sum + line.quantity, 0)} product unit(s) returned to stock`;
     
     res.status(200).json({
       success: true,
-      message: 'Payment deleted successfully'
+      message
     });
   } catch (error) {
     console.error('deletePayment - Error:', error);
@@ -444,8 +922,9 @@ const deletePayment = async (req, res) => {
   }
 };
 
-// @desc    Split payment
+// @desc    Split payment (a paid payment needs a manager override)
 // @route   POST /api/payments/:id/split
+// @body    { splits: [{ type, amount, reference?, notes? }], override_reason? }
 // @access  Public
 const splitPayment = async (req, res) => {
   try {
@@ -458,6 +937,22 @@ const splitPayment = async (req, res) => {
       });
     }
     
+    const refundedError = getRefundedPaymentError(payment) || getStoredValuePaymentError(payment) || getProductSalePaymentError(payment);
+    if (refundedError) {
+      return res.status(400).json({
+        success: false,
+        message: refundedError
+      });
+    }
+    
+    const lock = checkPaidPaymentLock([payment], req);
+    if (lock.status) {
+      return res.status(lock.status).json({
+        success: false,
+        message: lock.message
+      });
+    }
+    
     const { splits } = req.body;
     
     if (!splits || !Array.isArray(splits) || splits.length < 2) {
@@ -476,6 +971,26 @@ const splitPayment = async (req, res) => {
       });
     }
     
+    // Validate every split before creating any of them
+    const settings = await BusinessSettings.getSettings();
+    for (const split of splits) {
+      if (!split.type || split.amount === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each split must have type and amount'
+        });
+      }
+      const methodError = STORED_VALUE_TYPES.includes(split.type)
+        ? `${split.type} payments cannot be created by splitting; record that part as a new payment`
+        : validatePaymentMethod(split.type, split.reference, settings);
+      if (methodError) {
+        return res.status(400).json({
+          success: false,
+          message: methodError
+        });
+      }
+    }
+    
     // Use original discount for all splits (no different discounts allowed)
     const originalDiscount = payment.discount;
     const discountPerSplit = originalDiscount / splits.length;
@@ -485,16 +1000,10 @@ const splitPayment = async (req, res) => {
     const appointment = await Appointment.findById(payment.appointment_id);
     
     for (const split of splits) {
-      if (!split.type || split.amount === undefined) {
-        return res.status(400).json({
-          success: false,
-          message: 'Each split must have type and amount'
-        });
-      }
-      
       const splitPaymentData = {
         appointment_id: payment.appointment_id,
         type: split.type,
+        reference: pickReference(split.type, split.reference),
         amount: Number(split.amount),
         discount: discountPerSplit,
         payable_amount: Number(split.amount) - discountPerSplit,
@@ -502,6 +1011,7 @@ const splitPayment = async (req, res) => {
         notes: `Split from payment ${payment._id}. ${split.notes || ''}`
       };
       
+      await assignCashSession(splitPaymentData, req.staff);
       const newPayment = await Payment.create(splitPaymentData);
       splitPayments.push(newPayment);
       
@@ -521,6 +1031,7 @@ const splitPayment = async (req, res) => {
     
     // Delete original payment
     await Payment.findByIdAndDelete(payment._id);
+    await recordPaymentAudit({ action: 'split', before: [payment], after: splitPayments, req, overrideReason: lock.overrideReason });
     
     // Populate split payments
     const populatedPayments = await Payment.find({ _id: { $in: splitPayments.map(p => p._id) } })
@@ -549,12 +1060,13 @@ const splitPayment = async (req, res) => {
   }
 };
 
-// @desc    Combine payments
+// @desc    Combine payments (paid payments need a manager override)
 // @route   POST /api/payments/combine
+// @body    { payment_ids, type, reference?, notes?, override_reason? }
 // @access  Public
 const combinePayments = async (req, res) => {
   try {
-    const { payment_ids, type, notes } = req.body;
+    const { payment_ids, type, reference, notes } = req.body;
     
     if (!payment_ids || !Array.isArray(payment_ids) || payment_ids.length < 2) {
       return res.status(400).json({
@@ -570,6 +1082,16 @@ const combinePayments = async (req, res) => {
       });
     }
     
+    const methodError = STORED_VALUE_TYPES.includes(type)
+      ? `${type} payments cannot be created by combining; record a new payment instead`
+      : validatePaymentMethod(type, reference, await BusinessSettings.getSettings());
+    if (methodError) {
+      return res.status(400).json({
+        success: false,
+        message: methodError
+      });
+    }
+    
     // Validate ObjectIds
     for (const id of payment_ids) {
       if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -594,6 +1116,22 @@ const combinePayments = async (req, res) => {
       });
     }
     
+    const refundedError = payments.map(p => getRefundedPaymentError(p) || getStoredValuePaymentError(p) || getProductSalePaymentError(p)).find(Boolean);
+    if (refundedError) {
+      return res.status(400).json({
+        success: false,
+        message: refundedError
+      });
+    }
+    
+    const lock = checkPaidPaymentLock(payments, req);
+    if (lock.status) {
+      return res.status(lock.status).json({
+        success: false,
+        message: lock.message
+      });
+    }
+    
     // Validate all payments belong to same client
     const clientIds = payments.map(p => {
       const appointment = p.appointment_id;
@@ -622,6 +1160,7 @@ const combinePayments = async (req, res) => {
     const combinedPaymentData = {
       appointment_id: firstPayment.appointment_id._id,
       type: type,
+      reference: pickReference(type, reference),
       amount: totalAmount,
       discount: totalDiscount,
       payable_amount: totalPayable,
@@ -630,6 +1169,7 @@ const combinePayments = async (req, res) => {
       parent_appointment_ids: appointmentIds.map(id => new mongoose.Types.ObjectId(id))
     };
     
+    await assignCashSession(combinedPaymentData, req.staff);
     const combinedPayment = await Payment.create(combinedPaymentData);
     
     // Update appointments - remove old payment IDs and add combined payment
@@ -650,6 +1190,7 @@ const combinePayments = async (req, res) => {
     
     // Delete original payments
     await Payment.deleteMany({ _id: { $in: payment_ids } });
+    await recordPaymentAudit({ action: 'combine', before: payments, after: [combinedPayment], req, overrideReason: lock.overrideReason });
     
     // Populate and return
     const populatedPayment = await Payment.findById(combinedPayment._id)
@@ -689,10 +1230,24 @@ const combinePayments = async (req, res) => {
 
 // @desc    Generate PDF bill
 // @route   POST /api/payments/generate-bill
+// @body    { payment_ids | visit_id, layout? ('a4' | 'thermal', defaults to the business setting) }
 // @access  Public
 const generateBill = async (req, res) => {
   try {
-    const { payment_ids } = req.body;
+    let { payment_ids } = req.body;
+    
+    // Bill a whole multi-service visit: use every payment linked to its lines
+    if (req.body.visit_id && (!payment_ids || payment_ids.length === 0)) {
+      if (!mongoose.Types.ObjectId.isValid(req.body.visit_id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid visit ID'
+        });
+      }
+      const visitLines = await Appointment.find({ visitId: req.body.visit_id }).select('_id');
+      const visitPayments = await findPaymentsForAppointments(visitLines.map(line => line._id)).select('_id');
+      payment_ids = visitPayments.map(p => p._id.toString());
+    }
     
     if (!payment_ids || !Array.isArray(payment_ids) || payment_ids.length === 0) {
       return res.status(400).json({
@@ -741,6 +1296,14 @@ const generateBill = async (req, res) => {
           { path: 'staffId', select: 'name specialization' }
         ]
       })
+      .populate({
+        path: 'client_id',
+        select: 'name phone email address',
+        populate: {
+          path: 'membership_id',
+          select: 'name discount_percent'
+        }
+      })
       .sort({ createdAt: 1 });
     
     if (payments.length === 0) {
@@ -750,240 +1313,73 @@ const generateBill = async (req, res) => {
       });
     }
     
-    // Generate PDF
-    const doc = new PDFDocument({ margin: 50 });
-    const fileName = `bill-${Date.now()}.pdf`;
-    const filePath = path.join(uploadsDir, fileName);
-    const stream = fs.createWriteStream(filePath);
-    doc.pipe(stream);
-    
-    // Business Information (you can customize this)
-    doc.fontSize(20).text('GLAMOUR PRO', { align: 'center' });
-    doc.fontSize(12).text('Beauty & Wellness Salon', { align: 'center' });
-    doc.moveDown();
-    doc.fontSize(10).text('123 Beauty Street, City, Country', { align: 'center' });
-    doc.text('Phone: +92 300 1234567 | Email: info@glamourpro.com', { align: 'center' });
-    doc.moveDown();
-    doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
-    doc.moveDown();
-    
-    // Bill Information
-    doc.fontSize(16).text('BILL', { align: 'center' });
-    doc.moveDown();
-    doc.fontSize(10);
-    doc.text(`Bill Number: BILL-${Date.now()}`, { align: 'left' });
-    doc.text(`Date: ${new Date().toLocaleDateString()}`, { align: 'right' });
-    doc.moveDown();
-    
-    // Client Information
-    const firstPayment = payments[0];
-    const appointment = firstPayment && firstPayment.appointment_id ? firstPayment.appointment_id : null;
-    const client = appointment && appointment.clientId ? appointment.clientId : null;
-    
-    if (client) {
-      doc.fontSize(12).text('Client Information:', { underline: true });
-      doc.fontSize(10);
-      doc.text(`Name: ${client.name || 'N/A'}`);
-      doc.text(`Phone: ${client.phone || 'N/A'}`);
-      if (client.email) doc.text(`Email: ${client.email}`);
-      if (client.address) doc.text(`Address: ${client.address}`);
-      if (client.membership_id) {
-        const membershipName = typeof client.membership_id === 'object' && client.membership_id.name
-          ? client.membership_id.name
-          : 'Member';
-        doc.text(`Membership: ${membershipName}`);
-      }
-      doc.moveDown();
+    const settings = await BusinessSettings.getSettings();
+    const layout = req.body.layout || settings.billing.layout || 'a4';
+    if (!BILL_LAYOUTS.includes(layout)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid bill layout. Must be one of: ${BILL_LAYOUTS.join(', ')}`
+      });
     }
     
-    // Payment Details
-    doc.fontSize(12).text('Payment Details:', { underline: true });
-    doc.moveDown();
-    
-    let yPosition = doc.y;
-    const tableTop = yPosition;
-    const itemHeight = 20;
-    
-    // Table Header
-    doc.fontSize(10).font('Helvetica-Bold');
-    doc.text('Date', 50, yPosition);
-    doc.text('Service', 120, yPosition, { width: 120 });
-    doc.text('Staff', 250, yPosition, { width: 90 });
-    doc.text('Amount', 350, yPosition, { width: 60, align: 'right' });
-    doc.text('Discount', 420, yPosition, { width: 60, align: 'right' });
-    doc.text('Payable', 490, yPosition, { width: 60, align: 'right' });
-    yPosition += itemHeight;
+    // Printing the same payments again reprints their invoice; a different set that
+    // overlaps an issued invoice would bill those payments twice
+    const requestedIds = payments.map(p => p._id.toString()).sort().join(',');
+    const activeInvoices = await findActiveInvoicesForPayments(payments.map(p => p._id));
+    let invoice = activeInvoices.find(inv => inv.payment_ids.map(id => id.toString()).sort().join(',') === requestedIds);
     
-    doc.moveTo(50, yPosition).lineTo(550, yPosition).stroke();
-    yPosition += 5;
-    
-    // Table Rows
-    doc.font('Helvetica');
-    let totalAmount = 0;
-    let totalDiscount = 0;
-    let totalPayable = 0;
-    
-    for (const payment of payments) {
-      // Check if this is a combined payment
-      const isCombined = payment.parent_appointment_ids && payment.parent_appointment_ids.length > 0;
-      
-      if (isCombined) {
-        // For combined payments, show each child payment separately
-        const parentAppointments = payment.parent_appointment_ids.filter(apt => 
-          typeof apt === 'object' && apt !== null
-        );
-        
-        if (parentAppointments.length > 0) {
-          // Add a header row for combined payment
-          doc.font('Helvetica-Bold');
-          doc.text('Combined Payment', 50, yPosition, { width: 200 });
-          doc.text(`(${parentAppointments.length} payments)`, 250, yPosition, { width: 100 });
-          doc.font('Helvetica');
-          yPosition += itemHeight;
-          
-          // Show each child payment
-          for (let i = 0; i < parentAppointments.length; i++) {
-            const parentApt = parentAppointments[i];
-            const serviceVariation = parentApt && parentApt.serviceVariationId ? parentApt.serviceVariationId : null;
-            const staff = parentApt && parentApt.staffId ? parentApt.staffId : null;
-            const serviceName = serviceVariation && serviceVariation.variationName
-              ? serviceVariation.variationName
-              : 'N/A';
-            const staffName = staff && staff.name ? staff.name : 'N/A';
-            const aptDate = parentApt.startTime
-              ? new Date(parentApt.startTime).toLocaleDateString()
-              : new Date().toLocaleDateString();
-            
-            // Get appointment pricing details
-            const childAmount = parentApt.totalPrice || 0;
-            const childDiscount = (parentApt.membershipDiscount || 0) + (parentApt.staffCommission || 0);
-            const childPayable = childAmount - childDiscount;
-            
-            doc.text(`  ${i + 1}. ${aptDate}`, 50, yPosition);
-            doc.text(serviceName, 120, yPosition, { width: 120 });
-            doc.text(staffName, 250, yPosition, { width: 90 });
-            doc.text(`PKR ${childAmount.toFixed(2)}`, 350, yPosition, { width: 60, align: 'right' });
-            doc.text(`PKR ${childDiscount.toFixed(2)}`, 420, yPosition, { width: 60, align: 'right' });
-            doc.text(`PKR ${childPayable.toFixed(2)}`, 490, yPosition, { width: 60, align: 'right' });
-            
-            yPosition += itemHeight;
-            
-            if (yPosition > 700) {
-              doc.addPage();
-              yPosition = 50;
-            }
-          }
-          
-          // Add combined payment total row (subtotal)
-          doc.font('Helvetica-Bold');
-          doc.text('Subtotal:', 250, yPosition, { width: 90, align: 'right' });
-          doc.text(`PKR ${(payment.amount || 0).toFixed(2)}`, 350, yPosition, { width: 60, align: 'right' });
-          doc.text(`PKR ${(payment.discount || 0).toFixed(2)}`, 420, yPosition, { width: 60, align: 'right' });
-          doc.text(`PKR ${(payment.payable_amount || 0).toFixed(2)}`, 490, yPosition, { width: 60, align: 'right' });
-          doc.font('Helvetica');
-          yPosition += itemHeight + 5;
-          
-          // Add separator line
-          doc.moveTo(50, yPosition).lineTo(550, yPosition).stroke();
-          yPosition += 10;
-        }
-        
-        totalAmount += payment.amount || 0;
-        totalDiscount += payment.discount || 0;
-        totalPayable += payment.payable_amount || 0;
-      } else {
-        // Regular payment - show normally
-        const apt = payment && payment.appointment_id ? payment.appointment_id : null;
-        const serviceVariation = apt && apt.serviceVariationId ? apt.serviceVariationId : null;
-        const staff = apt && apt.staffId ? apt.staffId : null;
-        const serviceName = serviceVariation && serviceVariation.variationName
-          ? serviceVariation.variationName
-          : 'N/A';
-        const staffName = staff && staff.name ? staff.name : 'N/A';
-        const paymentDate = payment.createdAt
-          ? new Date(payment.createdAt).toLocaleDateString()
-          : new Date().toLocaleDateString();
-        
-        doc.text(paymentDate, 50, yPosition);
-        doc.text(serviceName, 120, yPosition, { width: 120 });
-        doc.text(staffName, 250, yPosition, { width: 90 });
-        doc.text(`PKR ${(payment.amount || 0).toFixed(2)}`, 350, yPosition, { width: 60, align: 'right' });
-        doc.text(`PKR ${(payment.discount || 0).toFixed(2)}`, 420, yPosition, { width: 60, align: 'right' });
-        doc.text(`PKR ${(payment.payable_amount || 0).toFixed(2)}`, 490, yPosition, { width: 60, align: 'right' });
-        
-        totalAmount += payment.amount || 0;
-        totalDiscount += payment.discount || 0;
-        totalPayable += payment.payable_amount || 0;
-        
-        yPosition += itemHeight;
-      }
-      
-      if (yPosition > 700) {
-        doc.addPage();
-        yPosition = 50;
-      }
+    if (!invoice && activeInvoices.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Some of these payments are already on invoice ${activeInvoices.map(inv => inv.number).join(', ')}. Void it before billing them again.`,
+        data: activeInvoices.map(inv => ({ _id: inv._id, number: inv.number }))
+      });
     }
     
-    // Table Footer
-    doc.moveTo(50, yPosition).lineTo(550, yPosition).stroke();
-    yPosition += 10;
-    
-    doc.font('Helvetica-Bold');
-    doc.text('Total Amount:', 350, yPosition, { width: 60, align: 'right' });
-    doc.text(`PKR ${totalAmount.toFixed(2)}`, 420, yPosition, { width: 60, align: 'right' });
-    yPosition += itemHeight;
-    
-    doc.text('Total Discount:', 350, yPosition, { width: 60, align: 'right' });
-    doc.text(`PKR ${totalDiscount.toFixed(2)}`, 420, yPosition, { width: 60, align: 'right' });
-    yPosition += itemHeight;
-    
-    doc.fontSize(12);
-    doc.text('Total Payable:', 350, yPosition, { width: 60, align: 'right' });
-    doc.text(`PKR ${totalPayable.toFixed(2)}`, 420, yPosition, { width: 60, align: 'right' });
-    yPosition += itemHeight + 10;
-    
-    // Payment Method
-    doc.fontSize(10).font('Helvetica');
-    const paymentTypes = [...new Set(payments.map(p => p.type))];
-    doc.text(`Payment Method(s): ${paymentTypes.join(', ')}`, 50, yPosition);
-    yPosition += 20;
-    
-    // Footer
-    doc.moveTo(50, doc.page.height - 100).lineTo(550, doc.page.height - 100).stroke();
-    doc.fontSize(8).text('Thank you for your business!', { align: 'center' });
-    doc.text('For inquiries, please contact us at info@glamourpro.com', { align: 'center' });
-    
-    doc.end();
-    
-    // Wait for PDF to be written
-    stream.on('finish', async () => {
-      // Mark payments as paid (optional - based on requirement)
-      // We won't auto-mark as paid, user will do it separately
-      
-      res.status(200).json({
-        success: true,
-        message: 'Bill generated successfully',
-        data: {
-          fileName: fileName,
-          filePath: `/uploads/${fileName}`,
-          url: `/uploads/${fileName}`, // Direct URL to static file
-          payments: payments.map(p => ({
-            _id: p._id,
-            amount: p.amount,
-            discount: p.discount,
-            payable_amount: p.payable_amount
-          }))
-        }
+    if (!invoice) {
+      invoice = await issueInvoice({
+        payments,
+        settings,
+        visitId: req.body.visit_id || null,
+        issuedBy: req.staff ? req.staff._id : null
       });
-    });
+    }
     
-    stream.on('error', (error) => {
-      console.error('PDF generation error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error generating PDF',
-        error: error.message
-      });
+    // Generate PDF from the invoice snapshot
+    const fileName = getInvoiceFileName(invoice, layout);
+    await renderInvoicePdf(invoice, path.join(uploadsDir, fileName), layout);
+    if (invoice.pdfFileName !== fileName) {
+      invoice.pdfFileName = fileName;
+      await invoice.save();
+    }
+    
+    const { totals } = invoice.snapshot;
+    res.status(200).json({
+      success: true,
+      message: 'Bill generated successfully',
+      data: {
+        invoice: {
+          _id: invoice._id,
+          number: invoice.number,
+          status: invoice.status,
+          issuedAt: invoice.issuedAt
+        },
+        layout,
+        fileName: fileName,
+        filePath: `/uploads/${fileName}`,
+        url: `/uploads/${fileName}`, // Direct URL to static file
+        payments: invoice.snapshot.items.map(item => ({
+          _id: item.payment_id,
+          amount: item.amount,
+          discount: item.discount,
+          payable_amount: item.payable,
+          tax_amount: item.tax,
+          total_amount: item.total
+        })),
+        subtotal: totals.subtotal,
+        tax: totals.tax,
+        total: totals.total
+      }
     });
   } catch (error) {
     console.error('generateBill - Error:', error);
@@ -1023,8 +1419,9 @@ const downloadBill = async (req, res) => {
   }
 };
 
-// @desc    Update payment status
+// @desc    Update payment status (moving a paid payment back to pending needs a manager override)
 // @route   PATCH /api/payments/:id/status
+// @body    { status, override_reason? }
 // @access  Public
 const updatePaymentStatus = async (req, res) => {
   try {
@@ -1046,8 +1443,27 @@ const updatePaymentStatus = async (req, res) => {
       });
     }
     
+    const refundedError = getRefundedPaymentError(payment) || getStoredValuePaymentError(payment);
+    if (refundedError && status !== payment.status) {
+      return res.status(400).json({
+        success: false,
+        message: refundedError
+      });
+    }
+    
+    const lock = status !== payment.status ? checkPaidPaymentLock([payment], req) : { overrideReason: null };
+    if (lock.status) {
+      return res.status(lock.status).json({
+        success: false,
+        message: lock.message
+      });
+    }
+    
+    const before = payment.toObject();
     payment.status = status;
+    await assignCashSession(payment, req.staff);
     await payment.save();
+    await recordPaymentAudit({ action: 'status_change', before: [before], after: [payment], req, overrideReason: lock.overrideReason });
     
     // Populate and return
     const populatedPayment = await Payment.findById(payment._id)
@@ -1095,7 +1511,7 @@ const getPaymentsByClient = async (req, res) => {
     const appointments = await Appointment.find({ clientId }).select('_id');
     const appointmentIds = appointments.map(apt => apt._id);
     
-    let query = { appointment_id: { $in: appointmentIds } };
+    let query = { $or: [{ appointment_id: { $in: appointmentIds } }, { client_id: clientId }] };
     
     if (status) {
       query.status = status;
@@ -1142,6 +1558,194 @@ const getPaymentsByClient = async (req, res) => {
   }
 };
 
+// @desc    Get payment types enabled in business settings and the reference fields each needs
+// @route   GET /api/payments/methods
+// @access  Public
+const getPaymentMethods = async (req, res) => {
+  try {
+    const settings = await BusinessSettings.getSettings();
+    const enabled = getEnabledPaymentTypes(settings);
+
+    res.status(200).json({
+      success: true,
+      data: PAYMENT_TYPES.map(type => ({
+        type,
+        enabled: enabled.includes(type),
+        referenceFields: REFERENCE_FIELDS[type].fields,
+        requiredFields: REFERENCE_FIELDS[type].required
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payment methods',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Daily reconciliation: totals per payment type and duplicate or missing references
+// @route   GET /api/payments/reconciliation?date=YYYY-MM-DD
+// @access  Public
+const getPaymentReconciliation = async (req, res) => {
+  try {
+    const day = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(day.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+    const start = new Date(day);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(day);
+    end.setHours(23, 59, 59, 999);
+
+    const settings = await BusinessSettings.getSettings();
+    const enabled = getEnabledPaymentTypes(settings);
+    const payments = await Payment.find({ createdAt: { $gte: start, $lte: end } }).sort({ createdAt: 1 });
+
+    // What the client paid (payments created before tax support only have payable_amount)
+    const paidAmount = (p) => (p.total_amount !== null && p.total_amount !== undefined ? p.total_amount : p.payable_amount || 0);
+
+    // Totals per type (every known type is listed, plus any legacy type found on the day)
+    const types = [...new Set([...PAYMENT_TYPES, ...payments.map(p => p.type)])];
+    const methods = types.map(type => {
+      const ofType = payments.filter(p => p.type === type);
+      const paid = ofType.filter(p => p.status === 'paid');
+      const pending = ofType.filter(p => p.status !== 'paid');
+      return {
+        type,
+        enabled: enabled.includes(type),
+        count: ofType.length,
+        total: roundMoney(ofType.reduce((sum, p) => sum + paidAmount(p), 0)),
+        paidCount: paid.length,
+        paidTotal: roundMoney(paid.reduce((sum, p) => sum + paidAmount(p), 0)),
+        pendingCount: pending.length,
+        pendingTotal: roundMoney(pending.reduce((sum, p) => sum + paidAmount(p), 0))
+      };
+    });
+
+    // Non-cash payments recorded without their transaction reference
+    const missingReferences = payments
+      .filter(p => REFERENCE_FIELDS[p.type] && REFERENCE_FIELDS[p.type].key && !getReferenceKey(p))
+      .map(p => ({ _id: p._id, type: p.type, status: p.status, amount: paidAmount(p), createdAt: p.createdAt }));
+
+    // A reference used on the day that appears on more than one payment (on any day) is flagged
+    const duplicates = [];
+    for (const type of PAYMENT_TYPES) {
+      const { key } = REFERENCE_FIELDS[type];
+      if (!key) continue;
+
+      const values = [...new Set(payments.filter(p => p.type === type).map(getReferenceKey).filter(Boolean))];
+      if (values.length === 0) continue;
+
+      const matches = await Payment.find({ type, [`reference.${key}`]: { $in: values } }).sort({ createdAt: 1 });
+      for (const value of values) {
+        const sameReference = matches.filter(p => getReferenceKey(p) === value);
+        if (sameReference.length > 1) {
+          duplicates.push({
+            type,
+            field: key,
+            value,
+            payments: sameReference.map(p => ({
+              _id: p._id,
+              status: p.status,
+              amount: paidAmount(p),
+              reference: p.reference,
+              createdAt: p.createdAt
+            }))
+          });
+        }
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        date: start,
+        currency: settings.currency || 'PKR',
+        methods,
+        count: payments.length,
+        total: roundMoney(payments.reduce((sum, p) => sum + paidAmount(p), 0)),
+        duplicates,
+        missingReferences
+      }
+    });
+  } catch (error) {
+    console.error('getPaymentReconciliation - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building payment reconciliation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the payment audit log
+// @route   GET /api/payments/audit?paymentId=&action=&staffId=&override=true|false&startDate=&endDate=&page=&limit=
+// @access  Private (Manager only)
+const getPaymentAuditLog = async (req, res) => {
+  try {
+    const { paymentId, action, staffId, override, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+    const query = {};
+
+    for (const [name, id] of [['payment', paymentId], ['staff', staffId]]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name} ID`
+        });
+      }
+    }
+    if (paymentId) query.payment_ids = paymentId;
+    if (staffId) query.performedBy = staffId;
+    if (action) query.action = action;
+    if (override !== undefined) query.override = override === 'true';
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) {
+        query.createdAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    const entries = await PaymentAuditLog.find(query)
+      .populate('performedBy', 'name role')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber);
+
+    const total = await PaymentAuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    console.error('getPaymentAuditLog - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payment audit log',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getAllPayments,
   getPaymentById,
@@ -1153,6 +1757,9 @@ module.exports = {
   generateBill,
   downloadBill,
   updatePaymentStatus,
-  getPaymentsByClient
+  getPaymentsByClient,
+  getPaymentMethods,
+  getPaymentReconciliation,
+  getPaymentAuditLog
 };
 
@@ -0,0 +1,545 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Payment = require('../models/Payment');
+const StockMovement = require('../models/StockMovement');
+const { roundMoney } = require('../utils/tax');
+const { LOW_STOCK_FILTER, isStockQuantity, takeStock, returnStock, notifyLowStock } = require('../utils/inventory');
+
+// Fields a manager can set on a product (stock only changes through movements)
+const PRODUCT_FIELDS = [
+  'name',
+  'sku',
+  'barcode',
+  'brand',
+  'category',
+  'description',
+  'unit',
+  'isRetail',
+  'supplier_id',
+  'costPrice',
+  'salePrice',
+  'reorderLevel',
+  'reorderQuantity',
+  'isActive'
+];
+
+// Helper function to pick the editable fields from the request
+const pickProductFields = (body) => {
+  const data = {};
+  PRODUCT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  // An empty barcode is left unset so the unique index ignores it
+  if (data.barcode === null) {
+    data.barcode = undefined;
+  }
+  return data;
+};
+
+// Helper function to send the error responses shared by create and update
+const sendProductError = (res, error, message) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${error.path === 'supplier_id' ? 'supplier ID' : 'product ID'}`
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: `A product with this ${Object.keys(error.keyPattern || {})[0] || 'SKU or barcode'} already exists`
+    });
+  }
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// @desc    Get products
+// @route   GET /api/products?search=&category=&isActive=true|false&page=&limit=
+// @access  Public
+const getProducts = async (req, res) => {
+  try {
+    const { search, category, isActive, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+    const query = {};
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+    if (category) {
+      query.category = category;
+    }
+    if (search) {
+      const pattern = { $regex: String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      query.$or = [{ name: pattern }, { sku: pattern }, { barcode: pattern }, { brand: pattern }];
+    }
+
+    const products = await Product.find(query)
+      .sort({ name: 1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber);
+
+    const total = await Product.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      data: products,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching products',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Look up a product by its barcode (scanned at the till)
+// @route   GET /api/products/barcode/:barcode
+// @access  Public
+const getProductByBarcode = async (req, res) => {
+  try {
+    const product = await Product.findOne({ barcode: String(req.params.barcode).trim() });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching product',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single product
+// @route   GET /api/products/:id
+// @access  Public
+const getProductById = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching product',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a product (opening stock is recorded as an adjustment)
+// @route   POST /api/products
+// @body    { name, sku, salePrice, costPrice?, barcode?, brand?, category?, description?, unit?, isRetail?, supplier_id?, reorderLevel?, reorderQuantity?, isActive?, stockQuantity? }
+// @access  Public
+const createProduct = async (req, res) => {
+  try {
+    const openingStock = req.body.stockQuantity !== undefined ? Number(req.body.stockQuantity) : 0;
+    if (!isStockQuantity(openingStock, req.body.unit) || openingStock < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Opening stock must be a whole number of units'
+      });
+    }
+
+    const product = await Product.create(pickProductFields(req.body));
+
+    let result = product;
+    if (openingStock > 0) {
+      result = await returnStock(product._id, openingStock, {
+        type: 'adjustment',
+        description: 'Opening stock',
+        recordedBy: req.staff ? req.staff._id : null
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('createProduct - Error:', error);
+    sendProductError(res, error, 'Error creating product');
+  }
+};
+
+// @desc    Update a product (sales already rung up keep the price they were sold at)
+// @route   PUT /api/products/:id
+// @access  Public
+const updateProduct = async (req, res) => {
+  try {
+    const data = pickProductFields(req.body);
+    const update = { $set: data };
+    if (req.body.barcode !== undefined && data.barcode === undefined) {
+      delete data.barcode;
+      update.$unset = { barcode: 1 };
+    }
+
+    const product = await Product.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    console.error('updateProduct - Error:', error);
+    sendProductError(res, error, 'Error updating product');
+  }
+};
+
+// @desc    Adjust stock after a count, damage or loss
+// @route   POST /api/products/:id/adjust-stock
+// @body    { quantity (signed change) | countedQuantity, reason }
+// @access  Public
+const adjustStock = async (req, res) => {
+  try {
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for a stock adjustment'
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // A stock count sets the level; otherwise the quantity is the change
+    const change = req.body.countedQuantity !== undefined
+      ? Math.round((Number(req.body.countedQuantity) - product.stockQuantity) * 1000) / 1000
+      : Number(req.body.quantity);
+    if (!isStockQuantity(change, product.unit) || change === 0) {
+      return res.status(400).json({
+        success: false,
+        message: product.unit && product.unit !== 'unit'
+          ? 'Adjustment must change the stock'
+          : 'Adjustment must change the stock by a whole number of units'
+      });
+    }
+
+    const entry = {
+      type: 'adjustment',
+      description: reason,
+      recordedBy: req.staff ? req.staff._id : null
+    };
+    const updated = change > 0
+      ? await returnStock(product._id, change, entry)
+      : await takeStock(product._id, -change, entry);
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: `Stock cannot go below zero. On hand: ${product.stockQuantity}`
+      });
+    }
+
+    if (change < 0) {
+      await notifyLowStock(req.app.get('io'), [updated._id]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Stock of ${updated.name} is now ${updated.stockQuantity}`,
+      data: updated
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error adjusting stock',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get product sales for a date range (units, revenue and margin at the frozen prices)
+// @route   GET /api/products/sales?startDate=&endDate=
+// @access  Public
+const getProductSales = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const match = { 'product_lines.0': { $exists: true } };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        match.createdAt.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        match.createdAt.$lte = end;
+      }
+    }
+
+    const sales = await Payment.aggregate([
+      { $match: match },
+      { $unwind: '$product_lines' },
+      {
+        $group: {
+          _id: '$product_lines.product_id',
+          name: { $first: '$product_lines.name' },
+          sku: { $first: '$product_lines.sku' },
+          units: { $sum: '$product_lines.quantity' },
+          revenue: { $sum: '$product_lines.amount' },
+          cost: { $sum: { $multiply: ['$product_lines.quantity', { $ifNull: ['$product_lines.cost_price', 0] }] } }
+        }
+      },
+      { $sort: { revenue: -1 } }
+    ]);
+
+    const data = sales.map(item => ({
+      product_id: item._id,
+      name: item.name,
+      sku: item.sku,
+      units: item.units,
+      revenue: roundMoney(item.revenue),
+      cost: roundMoney(item.cost),
+      margin: roundMoney(item.revenue - item.cost)
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching product sales',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get products at or below their reorder level, with the suggested re-order
+// @route   GET /api/products/low-stock
+// @access  Public
+const getLowStockProducts = async (req, res) => {
+  try {
+    const products = await Product.find({ isActive: true, ...LOW_STOCK_FILTER })
+      .populate('supplier_id', 'name phone email')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      data: products
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching low-stock products',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the value of stock on hand at cost (per product and per category)
+// @route   GET /api/products/valuation?category=&includeInactive=true
+// @access  Public
+const getStockValuation = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    const products = await Product.find(query)
+      .select('name sku category unit stockQuantity costPrice salePrice')
+      .sort({ category: 1, name: 1 });
+
+    const byCategory = new Map();
+    const items = products.map(product => {
+      // Stock below zero (uncounted back-bar usage) is worth nothing
+      const onHand = Math.max(product.stockQuantity || 0, 0);
+      const item = {
+        product_id: product._id,
+        name: product.name,
+        sku: product.sku,
+        category: product.category || 'Uncategorised',
+        unit: product.unit,
+        stockQuantity: product.stockQuantity,
+        costPrice: product.costPrice,
+        value: roundMoney(onHand * (product.costPrice || 0)),
+        retailValue: roundMoney(onHand * (product.salePrice || 0))
+      };
+
+      const category = byCategory.get(item.category) || { category: item.category, products: 0, value: 0, retailValue: 0 };
+      category.products += 1;
+      category.value = roundMoney(category.value + item.value);
+      category.retailValue = roundMoney(category.retailValue + item.retailValue);
+      byCategory.set(item.category, category);
+
+      return item;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        products: items,
+        categories: [...byCategory.values()],
+        totals: {
+          products: items.length,
+          value: roundMoney(items.reduce((sum, item) => sum + item.value, 0)),
+          retailValue: roundMoney(items.reduce((sum, item) => sum + item.retailValue, 0))
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock valuation',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get stock movement history (all products, or one product)
+// @route   GET /api/products/movements?productId=&type=&startDate=&endDate=&page=&limit=
+// @route   GET /api/products/:id/movements?type=&startDate=&endDate=&page=&limit=
+// @access  Public
+const getStockMovements = async (req, res) => {
+  try {
+    const { type, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+    const productId = req.params.id || req.query.productId;
+
+    const query = {};
+    if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product ID'
+        });
+      }
+      query.product_id = productId;
+    }
+    if (type) {
+      query.type = type;
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        query.createdAt.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    const movements = await StockMovement.find(query)
+      .populate('product_id', 'name sku unit')
+      .populate('purchase_order_id', 'number')
+      .populate('recordedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber);
+
+    const total = await StockMovement.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: movements.length,
+      data: movements,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock movements',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProducts,
+  getProductByBarcode,
+  getProductById,
+  createProduct,
+  updateProduct,
+  adjustStock,
+  getProductSales,
+  getLowStockProducts,
+  getStockValuation,
+  getStockMovements
+};
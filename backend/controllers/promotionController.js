@@ -0,0 +1,351 @@
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const Client = require('../models/Client');
+const ServiceVariation = require('../models/ServiceVariation');
+const MembershipTier = require('../models/MembershipTier');
+const { roundMoney } = require('../utils/tax');
+const { normalizePromoCode, evaluatePromotion } = require('../utils/promotions');
+
+// Fields a manager can set on a promotion
+const PROMOTION_FIELDS = [
+  'code',
+  'name',
+  'description',
+  'discountType',
+  'value',
+  'maxDiscount',
+  'validFrom',
+  'validTo',
+  'usageLimit',
+  'perClientLimit',
+  'stackWithMembership',
+  'stackWithPoints',
+  'isActive'
+];
+const RESTRICTION_FIELDS = ['baseServiceIds', 'categories', 'membershipTierIds', 'firstVisitOnly'];
+
+// Helper function to copy the editable fields from the request onto a promotion
+const applyPromotionFields = (promotion, body) => {
+  PROMOTION_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      promotion[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  if (body.code !== undefined) {
+    promotion.code = normalizePromoCode(body.code);
+  }
+  if (body.restrictions && typeof body.restrictions === 'object') {
+    RESTRICTION_FIELDS.forEach(field => {
+      if (body.restrictions[field] !== undefined) {
+        promotion.set(`restrictions.${field}`, body.restrictions[field]);
+      }
+    });
+  }
+};
+
+// Helper function to send the error responses shared by create and update
+const sendPromotionError = (res, error, message) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${error.path === '_id' ? 'promotion ID' : error.path}`
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Promotion code already exists'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// @desc    Get promotions
+// @route   GET /api/promotions?isActive=true|false&code=
+// @access  Public
+const getPromotions = async (req, res) => {
+  try {
+    const { isActive, code } = req.query;
+    const query = {};
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+    if (code) {
+      query.code = { $regex: normalizePromoCode(code).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+    }
+
+    const promotions = await Promotion.find(query)
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: promotions.length,
+      data: promotions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single promotion with its redemption totals
+// @route   GET /api/promotions/:id
+// @access  Public
+const getPromotionById = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id)
+      .populate('restrictions.baseServiceIds', 'name category')
+      .populate('restrictions.membershipTierIds', 'name')
+      .populate('createdBy', 'name');
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const [totals] = await PromotionRedemption.aggregate([
+      { $match: { promotionId: promotion._id, status: 'applied' } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          discount: { $sum: '$discount' },
+          membershipDiscountReplaced: { $sum: '$membershipDiscountReplaced' }
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...promotion.toObject(),
+        redemptions: totals ? totals.redemptions : 0,
+        discountGiven: roundMoney(totals ? totals.discount : 0),
+        membershipDiscountReplaced: roundMoney(totals ? totals.membershipDiscountReplaced : 0)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotion',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a promotion
+// @route   POST /api/promotions
+// @body    { code, name, discountType, value, maxDiscount?, validFrom?, validTo?, usageLimit?, perClientLimit?,
+//            restrictions?: { baseServiceIds, categories, membershipTierIds, firstVisitOnly },
+//            stackWithMembership?, stackWithPoints?, description?, isActive? }
+// @access  Public
+const createPromotion = async (req, res) => {
+  try {
+    const promotion = new Promotion({ createdBy: req.staff ? req.staff._id : null });
+    applyPromotionFields(promotion, req.body);
+    await promotion.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Promotion ${promotion.code} created`,
+      data: promotion
+    });
+  } catch (error) {
+    console.error('createPromotion - Error:', error);
+    sendPromotionError(res, error, 'Error creating promotion');
+  }
+};
+
+// @desc    Update a promotion (bookings already made keep the discount they were given)
+// @route   PUT /api/promotions/:id
+// @access  Public
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    // A used code stays the same so redemptions and reports still match it
+    if (req.body.code !== undefined && normalizePromoCode(req.body.code) !== promotion.code &&
+        await PromotionRedemption.exists({ promotionId: promotion._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'The code of a promotion that has been used cannot be changed'
+      });
+    }
+
+    applyPromotionFields(promotion, req.body);
+    await promotion.save();
+
+    res.status(200).json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    console.error('updatePromotion - Error:', error);
+    sendPromotionError(res, error, 'Error updating promotion');
+  }
+};
+
+// @desc    Deactivate a promotion (kept for its redemption history)
+// @route   PATCH /api/promotions/:id/deactivate
+// @access  Public
+const deactivatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Promotion ${promotion.code} deactivated`,
+      data: promotion
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating promotion',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check a code against a booking before it is made and preview the price
+// @route   POST /api/promotions/validate
+// @body    { code, clientId, serviceVariationId, pointsToRedeem? }
+// @access  Public
+const validatePromotion = async (req, res) => {
+  try {
+    const { code, clientId, serviceVariationId, pointsToRedeem } = req.body;
+
+    if (!code || !clientId || !serviceVariationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code, client and service variation are required'
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(clientId) || !mongoose.Types.ObjectId.isValid(serviceVariationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client or service variation ID'
+      });
+    }
+
+    const client = await Client.findById(clientId);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+    const serviceVariation = await ServiceVariation.findById(serviceVariationId).populate('baseService', 'name category');
+    if (!serviceVariation || !serviceVariation.baseService) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service variation not found'
+      });
+    }
+
+    // Same membership discount the booking would get
+    const price = serviceVariation.price;
+    let membershipDiscount = 0;
+    if (client.membership_id) {
+      const membershipTier = await MembershipTier.findById(client.membership_id);
+      if (membershipTier && membershipTier.isActive) {
+        membershipDiscount = price * (membershipTier.discount_percent / 100);
+      }
+    }
+
+    const result = await evaluatePromotion(code, {
+      client,
+      baseService: serviceVariation.baseService,
+      price,
+      membershipDiscount,
+      pointsToRedeem
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promotionId: result.promotion._id,
+        code: result.promotion.code,
+        name: result.promotion.name,
+        price,
+        membershipDiscount: roundMoney(result.membershipDiscount),
+        membershipDiscountReplaced: result.membershipDiscountReplaced,
+        promotionDiscount: result.promotionDiscount,
+        // Before points and any referral commission
+        totalPrice: roundMoney(Math.max(0, price - result.membershipDiscount - result.promotionDiscount)),
+        firstVisit: result.firstVisit
+      }
+    });
+  } catch (error) {
+    console.error('validatePromotion - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error validating promotion',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion,
+  validatePromotion
+};
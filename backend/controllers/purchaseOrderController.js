@@ -0,0 +1,608 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const Counter = require('../models/Counter');
+const { roundMoney } = require('../utils/tax');
+const { LOW_STOCK_FILTER, isStockQuantity, receiveStock } = require('../utils/inventory');
+
+const PURCHASE_ORDER_COUNTER = 'purchase_order';
+const OPEN_PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received'];
+
+// Helper function to round a stock quantity the way stock is stored
+const roundQuantity = (value) => Math.round((value || 0) * 1000) / 1000;
+
+// Helper function to build purchase order lines from the request, costed from the catalog unless given
+// items: [{ product_id, quantity, unit_cost? }]
+// Returns { lines, total } or { status, message }
+const buildPurchaseOrderLines = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { status: 400, message: 'A purchase order needs at least one line' };
+  }
+
+  const seen = new Set();
+  const lines = [];
+  for (const item of items) {
+    if (!item || !mongoose.Types.ObjectId.isValid(item.product_id)) {
+      return { status: 400, message: 'Each line needs a valid product_id' };
+    }
+    const id = String(item.product_id);
+    if (seen.has(id)) {
+      return { status: 400, message: 'Each product can only appear once on a purchase order' };
+    }
+    seen.add(id);
+
+    const product = await Product.findById(id);
+    if (!product || !product.isActive) {
+      return { status: 404, message: `Product ${id} not found or no longer stocked` };
+    }
+
+    const quantity = Number(item.quantity);
+    if (!isStockQuantity(quantity, product.unit) || quantity <= 0) {
+      return { status: 400, message: `Invalid quantity for ${product.name}` };
+    }
+    const unitCost = item.unit_cost !== undefined && item.unit_cost !== null && item.unit_cost !== ''
+      ? Number(item.unit_cost)
+      : product.costPrice;
+    if (!Number.isFinite(unitCost) || unitCost < 0) {
+      return { status: 400, message: `Invalid unit cost for ${product.name}` };
+    }
+
+    lines.push({
+      product_id: product._id,
+      name: product.name,
+      sku: product.sku,
+      unit: product.unit,
+      quantity: roundQuantity(quantity),
+      received_quantity: 0,
+      unit_cost: unitCost,
+      amount: roundMoney(quantity * unitCost)
+    });
+  }
+
+  return { lines, total: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)) };
+};
+
+// Helper function to check a supplier can be ordered from
+// Returns an error message or null
+const getSupplierOrderError = (supplier) => {
+  if (!supplier) return 'Supplier not found';
+  if (!supplier.isActive) return `${supplier.name} is no longer an active supplier`;
+  return null;
+};
+
+// Helper function to number and store a new purchase order
+// The number is handed back if the save fails, or recorded as skipped when a later one was already taken
+const createNumberedPurchaseOrder = async (data) => {
+  const sequence = await Counter.next(PURCHASE_ORDER_COUNTER);
+  try {
+    return await PurchaseOrder.create({
+      ...data,
+      number: `PO-${String(sequence).padStart(6, '0')}`
+    });
+  } catch (error) {
+    await Counter.releaseOrSkip(PURCHASE_ORDER_COUNTER, sequence, error.message);
+    throw error;
+  }
+};
+
+// Helper function to load a purchase order with its supplier and products for a response
+const findPopulatedPurchaseOrder = (id) => {
+  return PurchaseOrder.findById(id)
+    .populate('supplier_id', 'name contactName phone email')
+    .populate('lines.product_id', 'name sku unit stockQuantity costPrice')
+    .populate('createdBy', 'name');
+};
+
+// Helper function to send the error responses shared by the purchase order handlers
+const sendPurchaseOrderError = (res, error, message) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${error.path === '_id' ? 'purchase order ID' : error.path}`
+    });
+  }
+  if (error.name === 'VersionError') {
+    return res.status(409).json({
+      success: false,
+      message: 'The purchase order was changed by someone else. Please reload and try again'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// @desc    Get purchase orders
+// @route   GET /api/purchase-orders?status=&supplierId=&productId=&page=&limit=
+// @access  Public
+const getPurchaseOrders = async (req, res) => {
+  try {
+    const { status, supplierId, productId, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    const query = {};
+    if (status) {
+      query.status = { $in: String(status).split(',') };
+    }
+    if (supplierId) {
+      if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid supplier ID'
+        });
+      }
+      query.supplier_id = supplierId;
+    }
+    if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product ID'
+        });
+      }
+      query['lines.product_id'] = productId;
+    }
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate('supplier_id', 'name')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber);
+
+    const total = await PurchaseOrder.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: purchaseOrders.length,
+      data: purchaseOrders,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching purchase orders',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single purchase order with the stock received on it
+// @route   GET /api/purchase-orders/:id
+// @access  Public
+const getPurchaseOrderById = async (req, res) => {
+  try {
+    const purchaseOrder = await findPopulatedPurchaseOrder(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const receipts = await StockMovement.find({ purchase_order_id: purchaseOrder._id })
+      .populate('product_id', 'name sku unit')
+      .populate('recordedBy', 'name')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...purchaseOrder.toObject(),
+        receipts
+      }
+    });
+  } catch (error) {
+    sendPurchaseOrderError(res, error, 'Error fetching purchase order');
+  }
+};
+
+// @desc    Create a draft purchase order
+// @route   POST /api/purchase-orders
+// @body    { supplier_id, lines: [{ product_id, quantity, unit_cost? }], expectedAt?, notes? }
+// @access  Public
+const createPurchaseOrder = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.body.supplier_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid supplier ID is required'
+      });
+    }
+    const supplier = await Supplier.findById(req.body.supplier_id);
+    const supplierError = getSupplierOrderError(supplier);
+    if (supplierError) {
+      return res.status(supplier ? 400 : 404).json({
+        success: false,
+        message: supplierError
+      });
+    }
+
+    const built = await buildPurchaseOrderLines(req.body.lines);
+    if (built.status) {
+      return res.status(built.status).json({
+        success: false,
+        message: built.message
+      });
+    }
+
+    const purchaseOrder = await createNumberedPurchaseOrder({
+      supplier_id: supplier._id,
+      lines: built.lines,
+      total: built.total,
+      expectedAt: req.body.expectedAt || null,
+      notes: req.body.notes || null,
+      createdBy: req.staff ? req.staff._id : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Purchase order ${purchaseOrder.number} created`,
+      data: await findPopulatedPurchaseOrder(purchaseOrder._id)
+    });
+  } catch (error) {
+    console.error('createPurchaseOrder - Error:', error);
+    sendPurchaseOrderError(res, error, 'Error creating purchase order');
+  }
+};
+
+// @desc    Draft purchase orders for low-stock products, one per preferred supplier
+// @route   POST /api/purchase-orders/reorder
+// @access  Public
+const createReorderPurchaseOrders = async (req, res) => {
+  try {
+    // Products already on an open order are not ordered twice
+    const onOrder = await PurchaseOrder.distinct('lines.product_id', {
+      status: { $in: OPEN_PURCHASE_ORDER_STATUSES }
+    });
+    const products = await Product.find({
+      isActive: true,
+      _id: { $nin: onOrder },
+      ...LOW_STOCK_FILTER
+    })
+      .populate('supplier_id')
+      .sort({ name: 1 });
+
+    const bySupplier = new Map();
+    const skipped = [];
+    for (const product of products) {
+      if (getSupplierOrderError(product.supplier_id)) {
+        skipped.push({ product_id: product._id, name: product.name, reason: 'No active preferred supplier' });
+        continue;
+      }
+      // Order the reorder quantity, or enough to get back to the reorder level
+      const shortfall = product.reorderLevel - product.stockQuantity;
+      const quantity = product.reorderQuantity > 0
+        ? product.reorderQuantity
+        : (product.unit === 'unit' ? Math.max(Math.ceil(shortfall), 1) : Math.max(roundQuantity(shortfall), 1));
+      const key = product.supplier_id._id.toString();
+      const entry = bySupplier.get(key) || { supplier: product.supplier_id, items: [] };
+      entry.items.push({ product_id: product._id, quantity });
+      bySupplier.set(key, entry);
+    }
+
+    const created = [];
+    for (const { supplier, items } of bySupplier.values()) {
+      const built = await buildPurchaseOrderLines(items);
+      if (built.status) {
+        items.forEach(item => {
+          const product = products.find(p => p._id.equals(item.product_id));
+          skipped.push({ product_id: item.product_id, name: product ? product.name : null, reason: built.message });
+        });
+        continue;
+      }
+      created.push(await createNumberedPurchaseOrder({
+        supplier_id: supplier._id,
+        lines: built.lines,
+        total: built.total,
+        notes: 'Re-order of low-stock products',
+        createdBy: req.staff ? req.staff._id : null
+      }));
+    }
+
+    res.status(created.length > 0 ? 201 : 200).json({
+      success: true,
+      message: created.length > 0
+        ? `${created.length} draft purchase order(s) created`
+        : 'No low-stock products to re-order',
+      count: created.length,
+      data: created,
+      skipped
+    });
+  } catch (error) {
+    console.error('createReorderPurchaseOrders - Error:', error);
+    sendPurchaseOrderError(res, error, 'Error creating re-order purchase orders');
+  }
+};
+
+// @desc    Update a draft purchase order
+// @route   PUT /api/purchase-orders/:id
+// @body    { supplier_id?, lines?, expectedAt?, notes? }
+// @access  Public
+const updatePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Only draft purchase orders can be edited. This order is ${purchaseOrder.status}`
+      });
+    }
+
+    if (req.body.supplier_id !== undefined) {
+      const supplier = mongoose.Types.ObjectId.isValid(req.body.supplier_id)
+        ? await Supplier.findById(req.body.supplier_id)
+        : null;
+      const supplierError = getSupplierOrderError(supplier);
+      if (supplierError) {
+        return res.status(supplier ? 400 : 404).json({
+          success: false,
+          message: supplierError
+        });
+      }
+      purchaseOrder.supplier_id = supplier._id;
+    }
+    if (req.body.lines !== undefined) {
+      const built = await buildPurchaseOrderLines(req.body.lines);
+      if (built.status) {
+        return res.status(built.status).json({
+          success: false,
+          message: built.message
+        });
+      }
+      purchaseOrder.lines = built.lines;
+      purchaseOrder.total = built.total;
+    }
+    if (req.body.expectedAt !== undefined) purchaseOrder.expectedAt = req.body.expectedAt || null;
+    if (req.body.notes !== undefined) purchaseOrder.notes = req.body.notes || null;
+
+    await purchaseOrder.save();
+
+    res.status(200).json({
+      success: true,
+      data: await findPopulatedPurchaseOrder(purchaseOrder._id)
+    });
+  } catch (error) {
+    console.error('updatePurchaseOrder - Error:', error);
+    sendPurchaseOrderError(res, error, 'Error updating purchase order');
+  }
+};
+
+// @desc    Mark a draft purchase order as sent to the supplier
+// @route   POST /api/purchase-orders/:id/send
+// @body    { expectedAt? } (defaults to today plus the supplier's lead time)
+// @access  Public
+const sendPurchaseOrder = async (req, res) => {
+  try {
+    const body = req.body || {};
+    let expectedAt = null;
+    if (body.expectedAt) {
+      expectedAt = new Date(body.expectedAt);
+      if (isNaN(expectedAt.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid expected delivery date'
+        });
+      }
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id).populate('supplier_id');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Only draft purchase orders can be sent. This order is ${purchaseOrder.status}`
+      });
+    }
+    const supplierError = getSupplierOrderError(purchaseOrder.supplier_id);
+    if (supplierError) {
+      return res.status(400).json({
+        success: false,
+        message: supplierError
+      });
+    }
+
+    const now = new Date();
+    purchaseOrder.status = 'sent';
+    purchaseOrder.sentAt = now;
+    if (expectedAt) {
+      purchaseOrder.expectedAt = expectedAt;
+    } else if (!purchaseOrder.expectedAt && purchaseOrder.supplier_id.leadTimeDays !== null) {
+      const leadTimeExpectedAt = new Date(now);
+      leadTimeExpectedAt.setDate(leadTimeExpectedAt.getDate() + purchaseOrder.supplier_id.leadTimeDays);
+      purchaseOrder.expectedAt = leadTimeExpectedAt;
+    }
+    await purchaseOrder.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Purchase order ${purchaseOrder.number} sent to ${purchaseOrder.supplier_id.name}`,
+      data: await findPopulatedPurchaseOrder(purchaseOrder._id)
+    });
+  } catch (error) {
+    console.error('sendPurchaseOrder - Error:', error);
+    sendPurchaseOrderError(res, error, 'Error sending purchase order');
+  }
+};
+
+// @desc    Receive stock against a sent purchase order (all of it, or part of it)
+// @route   POST /api/purchase-orders/:id/receive
+// @body    { lines?: [{ product_id, quantity, unit_cost? }], notes? } (no lines = everything still outstanding)
+// @access  Public
+const receivePurchaseOrder = async (req, res) => {
+  try {
+    // A bodyless POST receives everything still outstanding
+    const body = req.body || {};
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+    if (!['sent', 'partially_received'].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only sent purchase orders can be received. This order is ${purchaseOrder.status}`
+      });
+    }
+
+    const items = Array.isArray(body.lines) && body.lines.length > 0
+      ? body.lines
+      : purchaseOrder.lines
+        .filter(line => line.received_quantity < line.quantity)
+        .map(line => ({ product_id: line.product_id, quantity: roundQuantity(line.quantity - line.received_quantity) }));
+
+    // Check every line before any stock moves
+    const receipts = [];
+    for (const item of items) {
+      const line = purchaseOrder.lines.find(l => item && l.product_id.toString() === String(item.product_id));
+      if (!line) {
+        return res.status(400).json({
+          success: false,
+          message: `Product ${item && item.product_id} is not on this purchase order`
+        });
+      }
+      const quantity = Number(item.quantity);
+      const outstanding = roundQuantity(line.quantity - line.received_quantity);
+      if (!isStockQuantity(quantity, line.unit) || quantity <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid quantity received for ${line.name}`
+        });
+      }
+      if (receipts.some(receipt => receipt.line === line)) {
+        return res.status(400).json({
+          success: false,
+          message: `${line.name} is listed more than once`
+        });
+      }
+      if (quantity > outstanding) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${outstanding} of ${line.name} is still outstanding`
+        });
+      }
+      const unitCost = item.unit_cost !== undefined && item.unit_cost !== null && item.unit_cost !== ''
+        ? Number(item.unit_cost)
+        : line.unit_cost;
+      if (!Number.isFinite(unitCost) || unitCost < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid unit cost for ${line.name}`
+        });
+      }
+      receipts.push({ line, quantity, unitCost });
+    }
+
+    // Record the receipt on the order first: a concurrent receipt fails with a version error
+    receipts.forEach(({ line, quantity }) => {
+      line.received_quantity = roundQuantity(line.received_quantity + quantity);
+    });
+    const fullyReceived = purchaseOrder.lines.every(line => line.received_quantity >= line.quantity);
+    purchaseOrder.status = fullyReceived ? 'received' : 'partially_received';
+    if (fullyReceived) purchaseOrder.receivedAt = new Date();
+    purchaseOrder.increment();
+    await purchaseOrder.save();
+
+    const notes = body.notes ? String(body.notes).trim() : '';
+    for (const { line, quantity, unitCost } of receipts) {
+      await receiveStock(line.product_id, quantity, unitCost, {
+        purchase_order_id: purchaseOrder._id,
+        description: `Received on ${purchaseOrder.number}${notes ? `: ${notes}` : ''}`,
+        recordedBy: req.staff ? req.staff._id : null
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Purchase order ${purchaseOrder.number} ${fullyReceived ? 'fully received' : 'partially received'}`,
+      data: await findPopulatedPurchaseOrder(purchaseOrder._id)
+    });
+  } catch (error) {
+    console.error('receivePurchaseOrder - Error:', error);
+    sendPurchaseOrderError(res, error, 'Error receiving purchase order');
+  }
+};
+
+// @desc    Cancel a purchase order nothing has been received on
+// @route   POST /api/purchase-orders/:id/cancel
+// @access  Public
+const cancelPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+    if (!['draft', 'sent'].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only draft or sent purchase orders can be cancelled. This order is ${purchaseOrder.status}`
+      });
+    }
+
+    purchaseOrder.status = 'cancelled';
+    purchaseOrder.cancelledAt = new Date();
+    if (req.body && req.body.reason) {
+      purchaseOrder.notes = [purchaseOrder.notes, `Cancelled: ${String(req.body.reason).trim()}`].filter(Boolean).join('\n');
+    }
+    await purchaseOrder.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Purchase order ${purchaseOrder.number} cancelled`,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    console.error('cancelPurchaseOrder - Error:', error);
+    sendPurchaseOrderError(res, error, 'Error cancelling purchase order');
+  }
+};
+
+module.exports = {
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  createReorderPurchaseOrders,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder
+};
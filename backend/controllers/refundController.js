@@ -0,0 +1,378 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Appointment = require('../models/Appointment');
+const Client = require('../models/Client');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const PointsHistory = require('../models/PointsHistory');
+const GiftCard = require('../models/GiftCard');
+const BusinessSettings = require('../models/BusinessSettings');
+const { roundMoney } = require('../utils/tax');
+const { pickReference, validatePaymentMethod } = require('../utils/paymentMethods');
+const { getOpenSession } = require('../utils/cashDrawer');
+const { WALLET_PAYMENT_TYPE, creditWallet } = require('../utils/wallet');
+const { GIFT_CARD_PAYMENT_TYPE, normalizeGiftCardCode, getGiftCardUseError, creditGiftCard } = require('../utils/giftCards');
+const {
+  getPaidTotal,
+  getRefundableAmount,
+  splitRefundAmount,
+  planPointsReversal,
+  issueCreditNote
+} = require('../utils/refunds');
+
+// @desc    Refund a paid payment (partly or in full) and issue a credit note
+// @route   POST /api/payments/:id/refunds
+// @body    { amount, reason, method, reference? }
+// @access  Public
+const createRefund = async (req, res) => {
+  try {
+    const { reason, method, reference } = req.body;
+    const amount = roundMoney(req.body.amount);
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for a refund'
+      });
+    }
+
+    if (!(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund amount must be greater than 0'
+      });
+    }
+
+    const settings = await BusinessSettings.getSettings();
+    const methodError = validatePaymentMethod(method, reference, settings);
+    if (methodError) {
+      return res.status(400).json({
+        success: false,
+        message: methodError
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.status !== 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only paid payments can be refunded'
+      });
+    }
+
+    const refundable = getRefundableAmount(payment);
+    if (amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount (${settings.currency} ${amount}) exceeds the refundable amount. Remaining: ${settings.currency} ${refundable}`
+      });
+    }
+
+    const appointmentIds = payment.parent_appointment_ids && payment.parent_appointment_ids.length > 0
+      ? payment.parent_appointment_ids
+      : [payment.appointment_id].filter(Boolean);
+    const appointments = await Appointment.find({ _id: { $in: appointmentIds } });
+
+    // Link to the invoice the payment was billed on (the live one, or the latest voided one)
+    const invoice = await Invoice.findOne({ payment_ids: payment._id }).sort({ status: 1, sequence: -1 });
+    const firstAppointment = appointments.find(apt => apt._id.toString() === String(appointmentIds[0])) || appointments[0];
+    // Products-only sales carry their client on the payment
+    const clientId = payment.client_id || (firstAppointment ? firstAppointment.clientId : null);
+
+    if (method === WALLET_PAYMENT_TYPE && !clientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refunds to the client wallet need a client'
+      });
+    }
+
+    // Refunds onto a gift card need a card that can still be used
+    let giftCard = null;
+    if (method === GIFT_CARD_PAYMENT_TYPE) {
+      giftCard = await GiftCard.findOne({ code: normalizeGiftCardCode(reference.gift_card_code) });
+      const giftCardError = getGiftCardUseError(giftCard);
+      if (giftCardError) {
+        return res.status(400).json({
+          success: false,
+          message: giftCardError
+        });
+      }
+    }
+
+    // Cash handed back comes out of the refunding receptionist's drawer
+    const cashSession = method === 'cash' ? await getOpenSession(req.staff ? req.staff._id : null) : null;
+
+    // Reserve the amount on the payment first: a refund running at the same time cannot take it too
+    const reserved = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: 'paid',
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$refunded_amount', 0] }, amount] }, roundMoney(getPaidTotal(payment)) + 0.005] }
+      },
+      { $inc: { refunded_amount: amount } },
+      { new: true }
+    );
+    if (!reserved) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund amount exceeds the refundable amount. Another refund may have been issued on this payment; please reload and try again'
+      });
+    }
+
+    // The split and points are worked out from the reserved payment and the credit notes issued
+    // so far, so refunds running at the same time do not count the same share twice
+    let split;
+    let pointsReversed;
+    let creditNote;
+    try {
+      const priorNotes = await CreditNote.find({ payment_id: payment._id });
+      split = splitRefundAmount(reserved, amount, priorNotes);
+      pointsReversed = planPointsReversal(appointments, reserved, priorNotes, split.refundedAfter, split.fullyRefunded);
+
+      creditNote = await issueCreditNote({
+        payment_id: payment._id,
+        invoice_id: invoice ? invoice._id : null,
+        clientId,
+        appointment_ids: appointmentIds,
+        amount,
+        payable_amount: split.payable_amount,
+        taxable_amount: split.taxable_amount,
+        tax_amount: split.tax_amount,
+        method,
+        reference: pickReference(method, reference),
+        cash_session_id: cashSession ? cashSession._id : null,
+        reason: String(reason).trim(),
+        points_reversed: pointsReversed,
+        issuedBy: req.staff ? req.staff._id : null
+      }, settings);
+    } catch (error) {
+      await Payment.updateOne({ _id: payment._id }, { $inc: { refunded_amount: -amount } });
+      throw error;
+    }
+
+    // Store credit: the refund goes into the client's wallet instead of being handed back
+    if (method === WALLET_PAYMENT_TYPE) {
+      await creditWallet(clientId, amount, {
+        type: 'refund',
+        payment_id: payment._id,
+        credit_note_id: creditNote._id,
+        description: `Refund ${creditNote.number}`,
+        recordedBy: req.staff ? req.staff._id : null
+      });
+    }
+    if (giftCard) {
+      await creditGiftCard(giftCard._id, amount, {
+        type: 'refund',
+        payment_id: payment._id,
+        credit_note_id: creditNote._id,
+        description: `Refund ${creditNote.number}`,
+        recordedBy: req.staff ? req.staff._id : null
+      });
+    }
+
+    // Take back loyalty points earned on the refunded appointments
+    for (const entry of pointsReversed) {
+      await Appointment.updateOne({ _id: entry.appointment_id }, { $inc: { pointsAwarded: -entry.points } });
+
+      const client = await Client.findById(entry.clientId);
+      if (client) {
+        client.points_balance = Math.max(0, (client.points_balance || 0) - entry.points);
+        await client.save();
+      }
+
+      await PointsHistory.create({
+        clientId: entry.clientId,
+        appointmentId: entry.appointment_id,
+        points: -entry.points,
+        type: 'reversed',
+        description: `Points reversed by refund ${creditNote.number}`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Refund of ${settings.currency} ${amount} issued as credit note ${creditNote.number}`,
+      data: {
+        creditNote,
+        refunded_amount: split.refundedAfter,
+        refundable_amount: getRefundableAmount(reserved)
+      }
+    });
+  } catch (error) {
+    console.error('createRefund - Error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error issuing refund',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get refunds (credit notes) issued against a payment
+// @route   GET /api/payments/:id/refunds
+// @access  Public
+const getPaymentRefunds = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment ID'
+      });
+    }
+
+    const creditNotes = await CreditNote.find({ payment_id: req.params.id })
+      .populate('invoice_id', 'number status')
+      .populate('issuedBy', 'name')
+      .sort({ sequence: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: creditNotes.length,
+      data: creditNotes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching refunds',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get credit notes
+// @route   GET /api/credit-notes?clientId=&invoiceId=&method=&startDate=&endDate=&page=&limit=
+// @access  Public
+const getCreditNotes = async (req, res) => {
+  try {
+    const { clientId, invoiceId, method, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    const query = {};
+    if (method) query.method = method;
+    if (clientId) {
+      if (!mongoose.Types.ObjectId.isValid(clientId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid client ID'
+        });
+      }
+      query.clientId = clientId;
+    }
+    if (invoiceId) {
+      if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid invoice ID'
+        });
+      }
+      query.invoice_id = invoiceId;
+    }
+    if (startDate || endDate) {
+      query.issuedAt = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        query.issuedAt.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.issuedAt.$lte = end;
+      }
+    }
+
+    const creditNotes = await CreditNote.find(query)
+      .populate('clientId', 'name phone')
+      .populate('invoice_id', 'number status')
+      .populate('issuedBy', 'name')
+      .sort({ sequence: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber);
+
+    const total = await CreditNote.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: creditNotes.length,
+      data: creditNotes,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching credit notes',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single credit note by ID
+// @route   GET /api/credit-notes/:id
+// @access  Public
+const getCreditNoteById = async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id)
+      .populate('clientId', 'name phone email')
+      .populate('invoice_id', 'number status issuedAt')
+      .populate('payment_id', 'type status amount discount payable_amount total_amount refunded_amount')
+      .populate('issuedBy', 'name');
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: creditNote
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid credit note ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching credit note',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createRefund,
+  getPaymentRefunds,
+  getCreditNotes,
+  getCreditNoteById
+};
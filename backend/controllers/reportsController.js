@@ -3,6 +3,14 @@ const Appointment = require('../models/Appointment');
 const Client = require('../models/Client');
 const Staff = require('../models/Staff');
 const MonthlySalary = require('../models/MonthlySalary');
+const CreditNote = require('../models/CreditNote');
+const GiftCard = require('../models/GiftCard');
+const GiftCardTransaction = require('../models/GiftCardTransaction');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const ServiceVariation = require('../models/ServiceVariation');
+const { giftCardStateFilter } = require('../utils/giftCards');
+const { getRevenueForPeriod } = require('../utils/revenue');
+const { getRecipeCost } = require('../utils/inventory');
 
 // Helper functions for date calculations
 const getStartOfMonth = (date) => {
@@ -170,25 +178,9 @@ const getRevenueExpenses = async (req, res) => {
       }
 
       // Get revenue for this month
-      const revenueData = await Payment.aggregate([
-        {
-          $match: {
-            status: 'paid',
-            createdAt: {
-              $gte: periodStart,
-              $lte: periodEnd
-            }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            total: { $sum: '$payable_amount' }
-          }
-        }
-      ]);
+      const revenueData = await getRevenueForPeriod(periodStart, periodEnd);
 
-      const revenue = revenueData.length > 0 ? revenueData[0].total : 0;
+      const revenue = revenueData.net;
 
       // Get expenses (salaries) for this period
       let expenses = 0;
@@ -234,6 +226,7 @@ const getRevenueExpenses = async (req, res) => {
       months.push({
         month: periodLabel,
         revenue: Math.round(revenue * 100) / 100,
+        refunds: Math.round(revenueData.refunds * 100) / 100,
         expenses: Math.round(expenses * 100) / 100
       });
     }
@@ -467,45 +460,13 @@ const getSummary = async (req, res) => {
     }
 
     // Get current period revenue
-    const currentPeriodRevenue = await Payment.aggregate([
-      {
-        $match: {
-          status: 'paid',
-          createdAt: {
-            $gte: startDate,
-            $lte: endDate
-          }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$payable_amount' }
-        }
-      }
-    ]);
+    const currentPeriodRevenue = await getRevenueForPeriod(startDate, endDate);
 
     // Get previous period revenue
-    const previousPeriodRevenue = await Payment.aggregate([
-      {
-        $match: {
-          status: 'paid',
-          createdAt: {
-            $gte: previousStartDate,
-            $lte: previousEndDate
-          }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$payable_amount' }
-        }
-      }
-    ]);
+    const previousPeriodRevenue = await getRevenueForPeriod(previousStartDate, previousEndDate);
 
-    const totalRevenue = currentPeriodRevenue.length > 0 ? currentPeriodRevenue[0].total : 0;
-    const previousPeriodRev = previousPeriodRevenue.length > 0 ? previousPeriodRevenue[0].total : 0;
+    const totalRevenue = currentPeriodRevenue.net;
+    const previousPeriodRev = previousPeriodRevenue.net;
     const revenueIncrease = previousPeriodRev > 0 ? ((totalRevenue - previousPeriodRev) / previousPeriodRev) * 100 : (totalRevenue > 0 ? 100 : 0);
 
     // Get current period expenses (salaries)
@@ -553,6 +514,7 @@ const getSummary = async (req, res) => {
       success: true,
       data: {
         totalRevenue: Math.round(totalRevenue * 100) / 100,
+        totalRefunds: Math.round(currentPeriodRevenue.refunds * 100) / 100,
         revenueIncrease: Math.round(revenueIncrease * 100) / 100,
         totalExpenses: Math.round(totalExpenses * 100) / 100,
         netProfit: Math.round(netProfit * 100) / 100,
@@ -613,22 +575,9 @@ const getRevenueExpensesData = async (period) => {
       periodLabel = date.getFullYear().toString();
     }
 
-    const revenueData = await Payment.aggregate([
-      {
-        $match: {
-          status: 'paid',
-          createdAt: { $gte: periodStart, $lte: periodEnd }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$payable_amount' }
-        }
-      }
-    ]);
+    const revenueData = await getRevenueForPeriod(periodStart, periodEnd);
 
-    const revenue = revenueData.length > 0 ? revenueData[0].total : 0;
+    const revenue = revenueData.net;
 
     const expensesData = await MonthlySalary.aggregate([
       {
@@ -650,6 +599,7 @@ const getRevenueExpensesData = async (period) => {
     months.push({
       month: periodLabel,
       revenue: Math.round(revenue * 100) / 100,
+      refunds: Math.round(revenueData.refunds * 100) / 100,
       expenses: Math.round(expenses * 100) / 100
     });
   }
@@ -686,38 +636,12 @@ const getSummaryData = async (period) => {
     previousEndDate = getEndOfYear(lastYear);
   }
 
-  const currentPeriodRevenue = await Payment.aggregate([
-    {
-      $match: {
-        status: 'paid',
-        createdAt: { $gte: startDate, $lte: endDate }
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        total: { $sum: '$payable_amount' }
-      }
-    }
-  ]);
+  const currentPeriodRevenue = await getRevenueForPeriod(startDate, endDate);
 
-  const previousPeriodRevenue = await Payment.aggregate([
-    {
-      $match: {
-        status: 'paid',
-        createdAt: { $gte: previousStartDate, $lte: previousEndDate }
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        total: { $sum: '$payable_amount' }
-      }
-    }
-  ]);
+  const previousPeriodRevenue = await getRevenueForPeriod(previousStartDate, previousEndDate);
 
-  const totalRevenue = currentPeriodRevenue.length > 0 ? currentPeriodRevenue[0].total : 0;
-  const previousPeriodRev = previousPeriodRevenue.length > 0 ? previousPeriodRevenue[0].total : 0;
+  const totalRevenue = currentPeriodRevenue.net;
+  const previousPeriodRev = previousPeriodRevenue.net;
   const revenueIncrease = previousPeriodRev > 0 ? ((totalRevenue - previousPeriodRev) / previousPeriodRev) * 100 : (totalRevenue > 0 ? 100 : 0);
 
   const currentPeriodExpenses = await MonthlySalary.aggregate([
@@ -754,6 +678,7 @@ const getSummaryData = async (period) => {
 
   return {
     totalRevenue: Math.round(totalRevenue * 100) / 100,
+    totalRefunds: Math.round(currentPeriodRevenue.refunds * 100) / 100,
     revenueIncrease: Math.round(revenueIncrease * 100) / 100,
     totalExpenses: Math.round(totalExpenses * 100) / 100,
     netProfit: Math.round(netProfit * 100) / 100,
@@ -763,6 +688,560 @@ const getSummaryData = async (period) => {
   };
 };
 
+// Helper function to get no-show data
+// Rate = no-shows / (completed + no-shows) for appointments starting in the period
+const getNoShowData = async (period) => {
+  const { startDate, endDate } = getDateRange(period);
+
+  const matchStage = {
+    $match: {
+      startTime: { $gte: startDate, $lte: endDate },
+      status: { $in: ['completed', 'no-show'] }
+    }
+  };
+  const countStage = {
+    $group: {
+      _id: null,
+      total: { $sum: 1 },
+      noShows: { $sum: { $cond: [{ $eq: ['$status', 'no-show'] }, 1, 0] } }
+    }
+  };
+  const toRate = (noShows, total) => total > 0 ? Math.round((noShows / total) * 10000) / 100 : 0;
+
+  const overall = await Appointment.aggregate([matchStage, countStage]);
+  const totals = overall[0] || { total: 0, noShows: 0 };
+
+  const byStaff = await Appointment.aggregate([
+    matchStage,
+    { $group: { ...countStage.$group, _id: '$staffId' } },
+    { $lookup: { from: 'staffs', localField: '_id', foreignField: '_id', as: 'staff' } },
+    { $unwind: { path: '$staff', preserveNullAndEmptyArrays: true } },
+    { $sort: { noShows: -1 } }
+  ]);
+
+  const byService = await Appointment.aggregate([
+    matchStage,
+    { $group: { ...countStage.$group, _id: '$baseServiceId' } },
+    { $lookup: { from: 'baseservices', localField: '_id', foreignField: '_id', as: 'service' } },
+    { $unwind: { path: '$service', preserveNullAndEmptyArrays: true } },
+    { $sort: { noShows: -1 } }
+  ]);
+
+  // Clients with the most no-shows in the period, plus their all-time counter
+  const topClients = await Appointment.aggregate([
+    { $match: { startTime: { $gte: startDate, $lte: endDate }, status: 'no-show' } },
+    { $group: { _id: '$clientId', noShows: { $sum: 1 } } },
+    { $sort: { noShows: -1 } },
+    { $limit: 10 },
+    { $lookup: { from: 'clients', localField: '_id', foreignField: '_id', as: 'client' } },
+    { $unwind: { path: '$client', preserveNullAndEmptyArrays: true } }
+  ]);
+
+  return {
+    total: totals.total,
+    noShows: totals.noShows,
+    rate: toRate(totals.noShows, totals.total),
+    byStaff: byStaff.map(item => ({
+      name: item.staff ? item.staff.name : 'Unknown Staff',
+      total: item.total,
+      noShows: item.noShows,
+      rate: toRate(item.noShows, item.total)
+    })),
+    byService: byService.map(item => ({
+      name: item.service ? item.service.name : 'Unknown Service',
+      total: item.total,
+      noShows: item.noShows,
+      rate: toRate(item.noShows, item.total)
+    })),
+    topClients: topClients.map(item => ({
+      name: item.client ? item.client.name : 'Unknown Client',
+      phone: item.client ? item.client.phone : null,
+      noShows: item.noShows,
+      totalNoShows: item.client ? (item.client.noShowCount || 0) : item.noShows
+    }))
+  };
+};
+
+// @desc    Get no-show rates (overall, by staff, by service, repeat clients)
+// @route   GET /api/reports/no-shows?period=week|month|quarter|year
+// @access  Private (Manager only)
+const getNoShowReport = async (req, res) => {
+  try {
+    const period = req.query.period || 'month';
+    const data = await getNoShowData(period);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('getNoShowReport - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching no-show report',
+      error: error.message
+    });
+  }
+};
+
+// Helper function to get gift card activity for the period and the liability as of now
+// Outstanding = value still spendable on live cards; expired = value left on cards past their expiry (breakage)
+const getGiftCardData = async (period) => {
+  const { startDate, endDate } = getDateRange(period);
+  const now = new Date();
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+
+  const activity = await GiftCardTransaction.aggregate([
+    { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+    { $group: { _id: '$type', count: { $sum: 1 }, total: { $sum: '$amount' } } }
+  ]);
+  const ofType = (type) => activity.find(item => item._id === type) || { count: 0, total: 0 };
+
+  const balanceOf = async (filter) => {
+    const [result] = await GiftCard.aggregate([
+      { $match: filter },
+      { $group: { _id: null, count: { $sum: 1 }, balance: { $sum: '$balance' } } }
+    ]);
+    return { count: result ? result.count : 0, balance: round(result ? result.balance : 0) };
+  };
+
+  const in30Days = new Date(now);
+  in30Days.setDate(in30Days.getDate() + 30);
+
+  const outstanding = await balanceOf(giftCardStateFilter('active', now));
+  const expired = await balanceOf({ ...giftCardStateFilter('expired', now), balance: { $gt: 0 } });
+  const expiringSoon = await balanceOf({ ...giftCardStateFilter('active', now), expiresAt: { $gt: now, $lte: in30Days } });
+
+  return {
+    period: {
+      issuedCount: ofType('issue').count,
+      issuedValue: round(ofType('issue').total),
+      redeemedCount: ofType('redeem').count,
+      // Redemptions are stored as negative movements
+      redeemedValue: round(-ofType('redeem').total),
+      refundedToCards: round(ofType('refund').total),
+      voidedCount: ofType('void').count,
+      voidedValue: round(-ofType('void').total)
+    },
+    liability: {
+      outstandingCount: outstanding.count,
+      outstanding: outstanding.balance,
+      expiredCount: expired.count,
+      expired: expired.balance,
+      expiringIn30DaysCount: expiringSoon.count,
+      expiringIn30Days: expiringSoon.balance
+    }
+  };
+};
+
+// @desc    Get gift card sales, redemptions and outstanding/expired liability
+// @route   GET /api/reports/gift-cards?period=week|month|quarter|year
+// @access  Private (Manager only)
+const getGiftCardReport = async (req, res) => {
+  try {
+    const period = req.query.period || 'month';
+    const data = await getGiftCardData(period);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('getGiftCardReport - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching gift card report',
+      error: error.message
+    });
+  }
+};
+
+// Helper function to get per-promotion redemptions for codes used in the period
+// Net cost = code discounts minus the membership discounts they replaced; revenue is from completed bookings only
+const getPromotionData = async (period) => {
+  const { startDate, endDate } = getDateRange(period);
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+
+  const byPromotion = await PromotionRedemption.aggregate([
+    { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
+    { $lookup: { from: 'appointments', localField: 'appointmentId', foreignField: '_id', as: 'appointment' } },
+    { $unwind: { path: '$appointment', preserveNullAndEmptyArrays: true } },
+    {
+      $addFields: {
+        applied: { $eq: ['$status', 'applied'] },
+        completed: { $and: [{ $eq: ['$status', 'applied'] }, { $eq: ['$appointment.status', 'completed'] }] }
+      }
+    },
+    {
+      $group: {
+        _id: '$promotionId',
+        code: { $first: '$code' },
+        redemptions: { $sum: { $cond: ['$applied', 1, 0] } },
+        reversed: { $sum: { $cond: ['$applied', 0, 1] } },
+        discount: { $sum: { $cond: ['$applied', '$discount', 0] } },
+        membershipDiscountReplaced: { $sum: { $cond: ['$applied', '$membershipDiscountReplaced', 0] } },
+        firstVisits: { $sum: { $cond: [{ $and: ['$applied', '$firstVisit'] }, 1, 0] } },
+        clients: { $addToSet: { $cond: ['$applied', '$clientId', '$$REMOVE'] } },
+        completed: { $sum: { $cond: ['$completed', 1, 0] } },
+        revenue: { $sum: { $cond: ['$completed', '$appointment.totalPrice', 0] } }
+      }
+    },
+    { $lookup: { from: 'promotions', localField: '_id', foreignField: '_id', as: 'promotion' } },
+    { $unwind: { path: '$promotion', preserveNullAndEmptyArrays: true } },
+    { $sort: { redemptions: -1 } }
+  ]);
+
+  const promotions = byPromotion.map(item => ({
+    promotionId: item._id,
+    code: item.code,
+    name: item.promotion ? item.promotion.name : 'Deleted Promotion',
+    redemptions: item.redemptions,
+    reversed: item.reversed,
+    uniqueClients: item.clients.length,
+    firstVisits: item.firstVisits,
+    discount: round(item.discount),
+    membershipDiscountReplaced: round(item.membershipDiscountReplaced),
+    netCost: round(item.discount - item.membershipDiscountReplaced),
+    completed: item.completed,
+    revenue: round(item.revenue)
+  }));
+
+  const sum = (field) => round(promotions.reduce((total, item) => total + item[field], 0));
+
+  return {
+    promotions,
+    totals: {
+      redemptions: promotions.reduce((total, item) => total + item.redemptions, 0),
+      reversed: promotions.reduce((total, item) => total + item.reversed, 0),
+      firstVisits: promotions.reduce((total, item) => total + item.firstVisits, 0),
+      discount: sum('discount'),
+      membershipDiscountReplaced: sum('membershipDiscountReplaced'),
+      netCost: sum('netCost'),
+      revenue: sum('revenue')
+    }
+  };
+};
+
+// @desc    Get promotion code redemptions and revenue impact
+// @route   GET /api/reports/promotions?period=week|month|quarter|year
+// @access  Private (Manager only)
+const getPromotionReport = async (req, res) => {
+  try {
+    const period = req.query.period || 'month';
+    const data = await getPromotionData(period);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('getPromotionReport - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotion report',
+      error: error.message
+    });
+  }
+};
+
+// Helper function to get the gross margin of each service variation
+// List: price less the staff commission and the back-bar recipe at today's product costs
+// Period: completed appointments, with the consumables cost frozen when each was completed
+const getCostOfServiceData = async (period) => {
+  const { startDate, endDate } = getDateRange(period);
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+  const percent = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+
+  const variations = await ServiceVariation.find({})
+    .populate('baseService', 'name')
+    .populate('consumables.product', 'name unit costPrice')
+    .sort({ variationName: 1 });
+
+  const completed = await Appointment.aggregate([
+    {
+      $match: {
+        startTime: { $gte: startDate, $lte: endDate },
+        status: 'completed'
+      }
+    },
+    {
+      $group: {
+        _id: '$serviceVariationId',
+        count: { $sum: 1 },
+        revenue: { $sum: '$totalPrice' },
+        consumablesCost: { $sum: { $ifNull: ['$consumablesCost', 0] } }
+      }
+    }
+  ]);
+  const completedByVariation = new Map(completed.map(item => [String(item._id), item]));
+
+  const rows = variations.map(variation => {
+    const commissionAmount = round(variation.price * variation.commission / 100);
+    const consumablesCost = getRecipeCost(variation.consumables);
+    const grossMargin = round(variation.price - commissionAmount - consumablesCost);
+
+    const actual = completedByVariation.get(String(variation._id)) || { count: 0, revenue: 0, consumablesCost: 0 };
+    const actualCommission = round(actual.revenue * variation.commission / 100);
+    const actualMargin = round(actual.revenue - actualCommission - actual.consumablesCost);
+
+    return {
+      variationId: variation._id,
+      variationName: variation.variationName,
+      baseService: variation.baseService ? variation.baseService.name : 'Unknown',
+      isActive: variation.isActive,
+      price: variation.price,
+      commission: variation.commission,
+      commissionAmount,
+      consumables: (variation.consumables || []).filter(item => item.product).map(item => ({
+        product_id: item.product._id,
+        name: item.product.name,
+        quantity: item.quantity,
+        unit: item.product.unit,
+        cost: round(item.quantity * (item.product.costPrice || 0))
+      })),
+      consumablesCost,
+      grossMargin,
+      marginPercentage: percent(grossMargin, variation.price),
+      period: {
+        completed: actual.count,
+        revenue: round(actual.revenue),
+        commission: actualCommission,
+        consumablesCost: round(actual.consumablesCost),
+        grossMargin: actualMargin,
+        marginPercentage: percent(actualMargin, actual.revenue)
+      }
+    };
+  });
+
+  const sum = (field) => round(rows.reduce((total, row) => total + row.period[field], 0));
+  const revenue = sum('revenue');
+  const grossMargin = sum('grossMargin');
+
+  return {
+    variations: rows,
+    totals: {
+      completed: rows.reduce((total, row) => total + row.period.completed, 0),
+      revenue,
+      commission: sum('commission'),
+      consumablesCost: sum('consumablesCost'),
+      grossMargin,
+      marginPercentage: percent(grossMargin, revenue)
+    }
+  };
+};
+
+// @desc    Get cost of service and gross margin per service variation
+// @route   GET /api/reports/cost-of-service?period=week|month|quarter|year
+// @access  Private (Manager only)
+const getCostOfServiceReport = async (req, res) => {
+  try {
+    const period = req.query.period || 'month';
+    const data = await getCostOfServiceData(period);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('getCostOfServiceReport - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cost of service report',
+      error: error.message
+    });
+  }
+};
+
+// Helper function to get tax totals for paid payments created in a date range
+// Payments created before tax support have no snapshot and are reported as untaxed
+const getTaxSummaryData = async (startDate, endDate) => {
+  const matchStage = {
+    $match: {
+      status: 'paid',
+      createdAt: { $gte: startDate, $lte: endDate }
+    }
+  };
+  const totalsGroup = {
+    count: { $sum: 1 },
+    net: { $sum: { $ifNull: ['$taxable_amount', '$payable_amount'] } },
+    tax: { $sum: { $ifNull: ['$tax_amount', 0] } },
+    gross: { $sum: { $ifNull: ['$total_amount', '$payable_amount'] } }
+  };
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+  const format = (item) => ({
+    count: item.count,
+    net: round(item.net),
+    tax: round(item.tax),
+    gross: round(item.gross)
+  });
+
+  const overall = await Payment.aggregate([matchStage, { $group: { _id: null, ...totalsGroup } }]);
+
+  const byRate = await Payment.aggregate([
+    matchStage,
+    {
+      $group: {
+        _id: { rate: { $ifNull: ['$tax_rate', 0] }, inclusive: { $ifNull: ['$tax_inclusive', false] } },
+        ...totalsGroup
+      }
+    },
+    { $sort: { '_id.rate': -1, '_id.inclusive': 1 } }
+  ]);
+
+  const byMonth = await Payment.aggregate([
+    matchStage,
+    {
+      $group: {
+        _id: { year: { $year: '$createdAt' }, month: { $month: '$createdAt' } },
+        ...totalsGroup
+      }
+    },
+    { $sort: { '_id.year': 1, '_id.month': 1 } }
+  ]);
+
+  const byPaymentType = await Payment.aggregate([
+    matchStage,
+    { $group: { _id: '$type', ...totalsGroup } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  // Refunds issued in the range give back their share of the tax
+  const refunds = await CreditNote.aggregate([
+    { $match: { issuedAt: { $gte: startDate, $lte: endDate } } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        net: { $sum: '$taxable_amount' },
+        tax: { $sum: '$tax_amount' },
+        gross: { $sum: '$amount' }
+      }
+    }
+  ]);
+
+  const totals = format(overall[0] || { count: 0, net: 0, tax: 0, gross: 0 });
+  const refundTotals = format(refunds[0] || { count: 0, net: 0, tax: 0, gross: 0 });
+
+  return {
+    startDate,
+    endDate,
+    totals,
+    refunds: refundTotals,
+    netTotals: {
+      net: round(totals.net - refundTotals.net),
+      tax: round(totals.tax - refundTotals.tax),
+      gross: round(totals.gross - refundTotals.gross)
+    },
+    byRate: byRate.map(item => ({
+      rate: item._id.rate,
+      inclusive: item._id.inclusive,
+      ...format(item)
+    })),
+    byMonth: byMonth.map(item => ({
+      month: `${item._id.year}-${String(item._id.month).padStart(2, '0')}`,
+      ...format(item)
+    })),
+    byPaymentType: byPaymentType.map(item => ({
+      type: item._id,
+      ...format(item)
+    }))
+  };
+};
+
+// @desc    Get tax summary (net, tax, gross) for filing returns
+// @route   GET /api/reports/tax-summary?startDate=&endDate= (or ?period=week|month|quarter|year)
+// @query   format=csv to download the summary
+// @access  Private (Manager only)
+const getTaxSummary = async (req, res) => {
+  try {
+    let { startDate, endDate } = getDateRange(req.query.period || 'month');
+    if (req.query.startDate || req.query.endDate) {
+      if (!req.query.startDate || !req.query.endDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Both startDate and endDate are required'
+        });
+      }
+      startDate = getStartOfDay(new Date(req.query.startDate));
+      endDate = getEndOfDay(new Date(req.query.endDate));
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date format'
+        });
+      }
+      if (startDate > endDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start date must be before end date'
+        });
+      }
+    }
+
+    const data = await getTaxSummaryData(startDate, endDate);
+
+    if (req.query.format === 'csv') {
+      const BusinessSettings = require('../models/BusinessSettings');
+      const settings = await BusinessSettings.getSettings();
+      const label = settings.taxLabel || 'Tax';
+
+      let csvContent = `${label} Summary\n`;
+      csvContent += `Business,${settings.businessName}\n`;
+      csvContent += `From,${startDate.toISOString().split('T')[0]}\n`;
+      csvContent += `To,${endDate.toISOString().split('T')[0]}\n`;
+      csvContent += `Generated,${new Date().toLocaleString()}\n\n`;
+
+      csvContent += 'TOTALS\n';
+      csvContent += `Payments,Net,${label},Gross\n`;
+      csvContent += `${data.totals.count},${data.totals.net},${data.totals.tax},${data.totals.gross}\n\n`;
+
+      csvContent += 'REFUNDS (CREDIT NOTES)\n';
+      csvContent += `Credit Notes,Net,${label},Gross\n`;
+      csvContent += `${data.refunds.count},${data.refunds.net},${data.refunds.tax},${data.refunds.gross}\n\n`;
+
+      csvContent += 'NET OF REFUNDS\n';
+      csvContent += `Net,${label},Gross\n`;
+      csvContent += `${data.netTotals.net},${data.netTotals.tax},${data.netTotals.gross}\n\n`;
+
+      csvContent += 'BY RATE\n';
+      csvContent += `Rate,Prices,Payments,Net,${label},Gross\n`;
+      data.byRate.forEach(item => {
+        csvContent += `${item.rate}%,${item.inclusive ? 'Inclusive' : 'Exclusive'},${item.count},${item.net},${item.tax},${item.gross}\n`;
+      });
+      csvContent += '\n';
+
+      csvContent += 'BY MONTH\n';
+      csvContent += `Month,Payments,Net,${label},Gross\n`;
+      data.byMonth.forEach(item => {
+        csvContent += `${item.month},${item.count},${item.net},${item.tax},${item.gross}\n`;
+      });
+      csvContent += '\n';
+
+      csvContent += 'BY PAYMENT TYPE\n';
+      csvContent += `Type,Payments,Net,${label},Gross\n`;
+      data.byPaymentType.forEach(item => {
+        csvContent += `${item.type},${item.count},${item.net},${item.tax},${item.gross}\n`;
+      });
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="tax-summary-${startDate.toISOString().split('T')[0]}-to-${endDate.toISOString().split('T')[0]}.csv"`);
+      return res.send(csvContent);
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('getTaxSummary - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tax summary',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Export reports as CSV
 // @route   GET /api/reports/export?period=week|month|quarter|year
 // @access  Private (Manager only)
@@ -866,6 +1345,15 @@ const exportReports = async (req, res) => {
     // Get summary
     const summaryData = await getSummaryData(period);
 
+    // Get no-show rates
+    const noShowData = await getNoShowData(period);
+
+    // Get tax totals
+    const taxData = await getTaxSummaryData(startDate, endDate);
+    const giftCardData = await getGiftCardData(period);
+    const promotionData = await getPromotionData(period);
+    const costOfServiceData = await getCostOfServiceData(period);
+
     // Generate CSV content
     let csvContent = 'Business Reports Export\n';
     csvContent += `Period: ${period.toUpperCase()}\n`;
@@ -873,10 +1361,10 @@ const exportReports = async (req, res) => {
 
     // Revenue vs Expenses
     csvContent += 'REVENUE VS EXPENSES\n';
-    csvContent += 'Period,Revenue,Expenses,Net Profit\n';
+    csvContent += 'Period,Revenue (net of refunds),Refunds,Expenses,Net Profit\n';
     revenueExpensesData.forEach(item => {
       const netProfit = item.revenue - item.expenses;
-      csvContent += `${item.month},${item.revenue},${item.expenses},${netProfit}\n`;
+      csvContent += `${item.month},${item.revenue},${item.refunds},${item.expenses},${netProfit}\n`;
     });
     csvContent += '\n';
 
@@ -901,11 +1389,55 @@ const exportReports = async (req, res) => {
     // Summary
     csvContent += 'SUMMARY\n';
     csvContent += `Total Revenue,${summaryData.totalRevenue}\n`;
+    csvContent += `Total Refunds,${summaryData.totalRefunds}\n`;
     csvContent += `Total Expenses,${summaryData.totalExpenses}\n`;
     csvContent += `Net Profit,${summaryData.netProfit}\n`;
     csvContent += `Profit Margin,${summaryData.profitMargin.toFixed(2)}%\n`;
     csvContent += `Active Members,${summaryData.activeMembers}\n`;
     csvContent += `New Members,${summaryData.newMembersThisMonth}\n`;
+    csvContent += '\n';
+
+    // No-shows
+    csvContent += 'NO-SHOWS\n';
+    csvContent += `Overall,${noShowData.noShows} of ${noShowData.total},${noShowData.rate}%\n`;
+    csvContent += 'Staff Name,Appointments,No-shows,Rate\n';
+    noShowData.byStaff.forEach(staff => {
+      csvContent += `${staff.name},${staff.total},${staff.noShows},${staff.rate}%\n`;
+    });
+    csvContent += '\n';
+
+    // Tax
+    csvContent += 'TAX\n';
+    csvContent += 'Rate,Prices,Payments,Net,Tax,Gross\n';
+    taxData.byRate.forEach(item => {
+      csvContent += `${item.rate}%,${item.inclusive ? 'Inclusive' : 'Exclusive'},${item.count},${item.net},${item.tax},${item.gross}\n`;
+    });
+    csvContent += `Total,,${taxData.totals.count},${taxData.totals.net},${taxData.totals.tax},${taxData.totals.gross}\n`;
+    csvContent += '\n';
+
+    // Gift cards
+    csvContent += 'GIFT CARDS\n';
+    csvContent += `Issued,${giftCardData.period.issuedCount},${giftCardData.period.issuedValue}\n`;
+    csvContent += `Redeemed,${giftCardData.period.redeemedCount},${giftCardData.period.redeemedValue}\n`;
+    csvContent += `Voided,${giftCardData.period.voidedCount},${giftCardData.period.voidedValue}\n`;
+    csvContent += `Outstanding Liability,${giftCardData.liability.outstandingCount},${giftCardData.liability.outstanding}\n`;
+    csvContent += `Expired Unredeemed,${giftCardData.liability.expiredCount},${giftCardData.liability.expired}\n`;
+    csvContent += '\n';
+
+    // Promotions
+    csvContent += 'PROMOTIONS\n';
+    csvContent += 'Code,Name,Redemptions,Reversed,First Visits,Discount,Membership Discount Replaced,Net Cost,Completed,Revenue\n';
+    promotionData.promotions.forEach(item => {
+      csvContent += `${item.code},${item.name},${item.redemptions},${item.reversed},${item.firstVisits},${item.discount},${item.membershipDiscountReplaced},${item.netCost},${item.completed},${item.revenue}\n`;
+    });
+    csvContent += '\n';
+
+    // Cost of service
+    csvContent += 'COST OF SERVICE\n';
+    csvContent += 'Service,Variation,Price,Commission %,Commission,Consumables,Gross Margin,Margin %,Completed,Revenue,Actual Consumables,Actual Margin\n';
+    costOfServiceData.variations.forEach(item => {
+      csvContent += `${item.baseService},${item.variationName},${item.price},${item.commission}%,${item.commissionAmount},${item.consumablesCost},${item.grossMargin},${item.marginPercentage}%,${item.period.completed},${item.period.revenue},${item.period.consumablesCost},${item.period.grossMargin}\n`;
+    });
 
     // Set headers for CSV download
     res.setHeader('Content-Type', 'text/csv');
@@ -927,6 +1459,11 @@ module.exports = {
   getPopularServices,
   getStaffPerformance,
   getSummary,
+  getNoShowReport,
+  getTaxSummary,
+  getGiftCardReport,
+  getPromotionReport,
+  getCostOfServiceReport,
   exportReports
 };
 
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const ServiceVariation = require('../models/ServiceVariation');
 const BaseService = require('../models/BaseService');
+const { buildConsumables } = require('../utils/inventory');
 
 // @desc    Get all service variations
 // @route   GET /api/service-variations
@@ -99,7 +100,8 @@ const getVariationsByBaseService = async (req, res) => {
 const getVariationById = async (req, res) => {
   try {
     const variation = await ServiceVariation.findById(req.params.id)
-      .populate('baseService', 'name category');
+      .populate('baseService', 'name category')
+      .populate('consumables.product', 'name sku unit costPrice');
 
     if (!variation) {
       return res.status(404).json({
@@ -161,13 +163,26 @@ const createVariation = async (req, res) => {
       isActive: req.body.isActive !== undefined ? req.body.isActive : true
     };
 
+    // Back-bar products used up by each service
+    if (req.body.consumables !== undefined) {
+      const recipe = await buildConsumables(req.body.consumables);
+      if (recipe.status) {
+        return res.status(recipe.status).json({
+          success: false,
+          message: recipe.message
+        });
+      }
+      variationData.consumables = recipe.consumables;
+    }
+
     console.log('createVariation - Processed data:', JSON.stringify(variationData, null, 2));
 
     const variation = await ServiceVariation.create(variationData);
 
     // Populate base service in response
     const populatedVariation = await ServiceVariation.findById(variation._id)
-      .populate('baseService', 'name category');
+      .populate('baseService', 'name category')
+      .populate('consumables.product', 'name sku unit costPrice');
 
     res.status(201).json({
       success: true,
@@ -243,6 +258,16 @@ const updateVariation = async (req, res) => {
     if (req.body.commission !== undefined) updateData.commission = Number(req.body.commission);
     if (req.body.baseService !== undefined) updateData.baseService = req.body.baseService;
     if (req.body.isActive !== undefined) updateData.isActive = req.body.isActive;
+    if (req.body.consumables !== undefined) {
+      const recipe = await buildConsumables(req.body.consumables);
+      if (recipe.status) {
+        return res.status(recipe.status).json({
+          success: false,
+          message: recipe.message
+        });
+      }
+      updateData.consumables = recipe.consumables;
+    }
 
     console.log('updateVariation - Update data:', JSON.stringify(updateData, null, 2));
 
@@ -250,7 +275,9 @@ const updateVariation = async (req, res) => {
       req.params.id,
       updateData,
       { new: true, runValidators: true }
-    ).populate('baseService', 'name category');
+    )
+      .populate('baseService', 'name category')
+      .populate('consumables.product', 'name sku unit costPrice');
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+const StaffSchedule = require('../models/StaffSchedule');
+const Staff = require('../models/Staff');
+const { buildRoster, getShiftsForDate } = require('../utils/staffSchedule');
+
+// Longest range the roster endpoint returns in one request
+const MAX_ROSTER_DAYS = 62;
+
+// Helper function to parse a YYYY-MM-DD date into local midnight
+const parseDate = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+// Helper function to send a validation error response
+const sendValidationError = (res, error) => {
+  const errors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors
+  });
+};
+
+// Helper function to load a staff member and their schedule (creating an empty one if asked)
+const loadSchedule = async (req, res, createIfMissing = false) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.staffId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid staff ID'
+    });
+    return null;
+  }
+
+  const staff = await Staff.findById(req.params.staffId).select('name role specialization status');
+  if (!staff) {
+    res.status(404).json({
+      success: false,
+      message: 'Staff member not found'
+    });
+    return null;
+  }
+
+  let schedule = await StaffSchedule.findOne({ staffId: staff._id });
+  if (!schedule && createIfMissing) {
+    schedule = new StaffSchedule({ staffId: staff._id, weeklyShifts: [], overrides: [] });
+  }
+  return { staff, schedule };
+};
+
+// @desc    Get the shift roster for a date range
+// @route   GET /api/staff-schedules/roster?startDate=&endDate=&staffId=
+// @access  Public
+const getRoster = async (req, res) => {
+  try {
+    const startDate = parseDate(req.query.startDate || new Date());
+    const endDate = req.query.endDate ? parseDate(req.query.endDate) : (startDate && new Date(startDate.getTime() + 6 * 24 * 60 * 60 * 1000));
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+    if (startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date must be before end date'
+      });
+    }
+    if ((endDate - startDate) / (24 * 60 * 60 * 1000) >= MAX_ROSTER_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Roster range cannot exceed ${MAX_ROSTER_DAYS} days`
+      });
+    }
+
+    let staffIds = null;
+    if (req.query.staffId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.staffId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid staff ID'
+        });
+      }
+      staffIds = [req.query.staffId];
+    }
+    // Therapists only see their own shifts
+    if (req.staff && req.staff.role === 'therapist') {
+      staffIds = [req.staff._id];
+    }
+
+    const roster = await buildRoster(startDate, endDate, staffIds);
+
+    res.status(200).json({
+      success: true,
+      count: roster.length,
+      data: roster
+    });
+  } catch (error) {
+    console.error('getRoster - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching roster',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a staff member's weekly schedule and overrides
+// @route   GET /api/staff-schedules/:staffId
+// @access  Public
+const getStaffSchedule = async (req, res) => {
+  try {
+    if (req.staff && req.staff.role === 'therapist' && req.staff._id.toString() !== req.params.staffId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own schedule'
+      });
+    }
+
+    const result = await loadSchedule(req, res);
+    if (!result) {
+      return;
+    }
+
+    const today = getShiftsForDate(result.schedule, new Date());
+
+    res.status(200).json({
+      success: true,
+      data: {
+        staff: result.staff,
+        schedule: result.schedule,
+        today: {
+          source: today.source,
+          isOff: today.isOff,
+          shifts: today.shifts.map(shift => ({ startTime: shift.startTime, endTime: shift.endTime }))
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching schedule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace a staff member's weekly schedule
+// @route   PUT /api/staff-schedules/:staffId
+// @body    weeklyShifts: [{ dayOfWeek (0 = Sunday), startTime "HH:MM", endTime "HH:MM" }]
+// @access  Public
+const updateStaffSchedule = async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.weeklyShifts)) {
+      return res.status(400).json({
+        success: false,
+        message: 'weeklyShifts must be an array'
+      });
+    }
+
+    const result = await loadSchedule(req, res, true);
+    if (!result) {
+      return;
+    }
+
+    const { schedule } = result;
+    schedule.weeklyShifts = req.body.weeklyShifts;
+    schedule.updatedBy = req.staff ? req.staff._id : null;
+    await schedule.save();
+
+    res.status(200).json({
+      success: true,
+      data: schedule,
+      message: 'Schedule updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating schedule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add or replace the override for a date
+// @route   PUT /api/staff-schedules/:staffId/overrides
+// @body    date (required), isOff, shifts: [{ startTime, endTime }], reason
+// @access  Public
+const setScheduleOverride = async (req, res) => {
+  try {
+    const date = parseDate(req.body.date);
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date is required'
+      });
+    }
+
+    const result = await loadSchedule(req, res, true);
+    if (!result) {
+      return;
+    }
+
+    const { schedule } = result;
+    schedule.overrides = schedule.overrides.filter(override => new Date(override.date).getTime() !== date.getTime());
+    schedule.overrides.push({
+      date,
+      isOff: req.body.isOff === true,
+      shifts: req.body.isOff === true ? [] : (req.body.shifts || []),
+      reason: req.body.reason || null
+    });
+    schedule.overrides.sort((a, b) => new Date(a.date) - new Date(b.date));
+    schedule.updatedBy = req.staff ? req.staff._id : null;
+    await schedule.save();
+
+    res.status(200).json({
+      success: true,
+      data: schedule,
+      message: 'Schedule override saved successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error saving schedule override',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove the override for a date (the weekly schedule applies again)
+// @route   DELETE /api/staff-schedules/:staffId/overrides/:date
+// @access  Public
+const deleteScheduleOverride = async (req, res) => {
+  try {
+    const date = parseDate(req.params.date);
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+
+    const result = await loadSchedule(req, res);
+    if (!result) {
+      return;
+    }
+
+    const { schedule } = result;
+    const remaining = schedule
+      ? schedule.overrides.filter(override => new Date(override.date).getTime() !== date.getTime())
+      : [];
+    if (!schedule || remaining.length === schedule.overrides.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'No override found for this date'
+      });
+    }
+
+    schedule.overrides = remaining;
+    schedule.updatedBy = req.staff ? req.staff._id : null;
+    await schedule.save();
+
+    res.status(200).json({
+      success: true,
+      data: schedule,
+      message: 'Schedule override removed successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing schedule override',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRoster,
+  getStaffSchedule,
+  updateStaffSchedule,
+  setScheduleOverride,
+  deleteScheduleOverride
+};
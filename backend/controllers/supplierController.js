@@ -0,0 +1,172 @@
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+// Fields a manager can set on a supplier
+const SUPPLIER_FIELDS = ['name', 'contactName', 'phone', 'email', 'address', 'leadTimeDays', 'notes', 'isActive'];
+
+// Helper function to pick the editable fields from the request
+const pickSupplierFields = (body) => {
+  const data = {};
+  SUPPLIER_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  return data;
+};
+
+// Helper function to send the error responses shared by create and update
+const sendSupplierError = (res, error, message) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid supplier ID'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// @desc    Get suppliers
+// @route   GET /api/suppliers?search=&isActive=true|false
+// @access  Public
+const getSuppliers = async (req, res) => {
+  try {
+    const { search, isActive } = req.query;
+    const query = {};
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+    if (search) {
+      const pattern = { $regex: String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      query.$or = [{ name: pattern }, { contactName: pattern }, { phone: pattern }, { email: pattern }];
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: suppliers.length,
+      data: suppliers
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching suppliers',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single supplier with the products it supplies and its open orders
+// @route   GET /api/suppliers/:id
+// @access  Public
+const getSupplierById = async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const products = await Product.find({ supplier_id: supplier._id })
+      .select('name sku unit stockQuantity reorderLevel reorderQuantity costPrice isActive')
+      .sort({ name: 1 });
+    const openOrders = await PurchaseOrder.find({
+      supplier_id: supplier._id,
+      status: { $in: ['draft', 'sent', 'partially_received'] }
+    })
+      .select('number status total expectedAt createdAt')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...supplier.toObject(),
+        products,
+        openOrders
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching supplier',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a supplier
+// @route   POST /api/suppliers
+// @body    { name, contactName?, phone?, email?, address?, leadTimeDays?, notes?, isActive? }
+// @access  Public
+const createSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.create(pickSupplierFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    console.error('createSupplier - Error:', error);
+    sendSupplierError(res, error, 'Error creating supplier');
+  }
+};
+
+// @desc    Update a supplier (set isActive false to stop ordering from it)
+// @route   PUT /api/suppliers/:id
+// @access  Public
+const updateSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findByIdAndUpdate(
+      req.params.id,
+      pickSupplierFields(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    console.error('updateSupplier - Error:', error);
+    sendSupplierError(res, error, 'Error updating supplier');
+  }
+};
+
+module.exports = {
+  getSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplier
+};
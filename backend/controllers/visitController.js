@@ -0,0 +1,638 @@
+const mongoose = require('mongoose');
+const Visit = require('../models/Visit');
+const Appointment = require('../models/Appointment');
+const Client = require('../models/Client');
+const BaseService = require('../models/BaseService');
+const ServiceVariation = require('../models/ServiceVariation');
+const Staff = require('../models/Staff');
+const MembershipTier = require('../models/MembershipTier');
+const CompanyClosure = require('../models/CompanyClosure');
+const PointsHistory = require('../models/PointsHistory');
+const BusinessSettings = require('../models/BusinessSettings');
+const {
+  getAppointmentEndTime,
+  findConflictingAppointment,
+  acquireStaffBookingLock,
+  releaseStaffBookingLock,
+  BOOKING_LOCK_BUSY_MESSAGE
+} = require('../utils/appointmentScheduling');
+const { notifyWaitlistForFreedSlot } = require('../utils/waitlist');
+const { calculateNoShowDeposit, getInitialStatusDepositError } = require('../utils/noShowPolicy');
+const { buildStatusHistoryEntry } = require('../utils/appointmentStatus');
+const { findShiftViolation } = require('../utils/staffSchedule');
+
+// Most service lines allowed in a single visit
+const MAX_VISIT_LINES = 10;
+
+// Helper function to load a visit's lines and compute its totals
+const buildVisitSummary = async (visit) => {
+  const lines = await Appointment.find({ visitId: visit._id })
+    .populate('baseServiceId', 'name category')
+    .populate('serviceVariationId', 'variationName timeDuration price commission')
+    .populate('staffId', 'name specialization')
+    .populate('payment_ids', 'status type amount discount payable_amount')
+    .sort({ visitOffset: 1, startTime: 1 });
+
+  // A visit payment is linked to every line, so count each payment once
+  const payments = new Map();
+  lines.forEach(line => {
+    (line.payment_ids || []).forEach(payment => {
+      if (payment && payment._id) {
+        payments.set(payment._id.toString(), payment);
+      }
+    });
+  });
+
+  const activeLines = lines.filter(line => line.status !== 'cancelled');
+  const sum = (field) => activeLines.reduce((total, line) => total + (line[field] || 0), 0);
+  const totalPrice = sum('totalPrice');
+  const totalPaid = [...payments.values()]
+    .filter(payment => payment.status === 'paid')
+    .reduce((total, payment) => total + (payment.payable_amount || 0), 0);
+
+  const endTime = lines.reduce((latest, line) => {
+    const lineEnd = getAppointmentEndTime(line);
+    return lineEnd > latest ? lineEnd : latest;
+  }, new Date(visit.startTime));
+
+  return {
+    ...visit.toObject(),
+    endTime,
+    lines,
+    totals: {
+      price: sum('price'),
+      membershipDiscount: sum('membershipDiscount'),
+      staffCommission: sum('staffCommission'),
+      pointsUsed: sum('pointsUsed'),
+      totalPrice,
+      totalPaid,
+      outstanding: Math.max(0, totalPrice - totalPaid)
+    },
+    payments: [...payments.values()]
+  };
+};
+
+// @desc    Get all visits
+// @route   GET /api/visits
+// @access  Public
+const getAllVisits = async (req, res) => {
+  try {
+    const { date, clientId } = req.query;
+    const query = {};
+
+    if (date) {
+      const startOfDay = new Date(date);
+      startOfDay.setHours(0, 0, 0, 0);
+      const endOfDay = new Date(date);
+      endOfDay.setHours(23, 59, 59, 999);
+      query.startTime = { $gte: startOfDay, $lte: endOfDay };
+    }
+
+    if (clientId) {
+      if (!mongoose.Types.ObjectId.isValid(clientId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid client ID'
+        });
+      }
+      query.clientId = clientId;
+    }
+
+    const visits = await Visit.find(query)
+      .populate('clientId', 'name phone email')
+      .populate('referenceStaffId', 'name')
+      .sort({ startTime: 1 });
+
+    const data = [];
+    for (const visit of visits) {
+      data.push(await buildVisitSummary(visit));
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('getAllVisits - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching visits',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single visit with its service lines and totals
+// @route   GET /api/visits/:id
+// @access  Public
+const getVisitById = async (req, res) => {
+  try {
+    const visit = await Visit.findById(req.params.id)
+      .populate({
+        path: 'clientId',
+        select: 'name phone email membership_id points_balance',
+        populate: { path: 'membership_id', select: 'name discount_percent points_per_session isActive' }
+      })
+      .populate('referenceStaffId', 'name referralCommission')
+      .populate('createdBy', 'name');
+
+    if (!visit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visit not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await buildVisitSummary(visit)
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid visit ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching visit',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a multi-service visit
+// @route   POST /api/visits
+// @body    clientId, startTime, reference, referenceStaffId, notes, pointsToRedeem, status,
+//          lines: [{ baseServiceId, serviceVariationId, staffId, offsetMinutes }]
+// @access  Public
+const createVisit = async (req, res) => {
+  let staffLock = null;
+  try {
+    const { clientId, startTime, reference, referenceStaffId, lines } = req.body;
+
+    if (!clientId || !startTime || !reference) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: clientId, startTime, reference'
+      });
+    }
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one service line is required'
+      });
+    }
+
+    if (lines.length > MAX_VISIT_LINES) {
+      return res.status(400).json({
+        success: false,
+        message: `A visit cannot have more than ${MAX_VISIT_LINES} service lines`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(clientId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client ID'
+      });
+    }
+
+    if (reference === 'staff' && (!referenceStaffId || !mongoose.Types.ObjectId.isValid(referenceStaffId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reference staff ID is required when reference is "staff"'
+      });
+    }
+
+    const client = await Client.findById(clientId);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    let referenceStaff = null;
+    if (reference === 'staff') {
+      referenceStaff = await Staff.findById(referenceStaffId);
+      if (!referenceStaff) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reference staff not found'
+        });
+      }
+    }
+
+    // Lines start as scheduled/confirmed/in-progress like single appointments
+    const initialStatus = req.body.status || 'scheduled';
+    if (!['scheduled', 'confirmed', 'in-progress'].includes(initialStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New appointments must start as one of: scheduled, confirmed, in-progress'
+      });
+    }
+
+    // Clients who owe a no-show deposit cannot be booked straight in as confirmed or in progress
+    const depositError = getInitialStatusDepositError(client, await BusinessSettings.getSettings(), initialStatus);
+    if (depositError) {
+      return res.status(400).json({
+        success: false,
+        message: depositError
+      });
+    }
+
+    // Parse and validate start time
+    const visitStartTime = new Date(startTime);
+    if (isNaN(visitStartTime.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start time format'
+      });
+    }
+    visitStartTime.setSeconds(0, 0);
+
+    // Check if visit date is a company closure/holiday
+    const visitDate = new Date(visitStartTime);
+    visitDate.setHours(0, 0, 0, 0);
+    const closure = await CompanyClosure.findOne({ date: visitDate });
+    if (closure) {
+      const closureType = closure.isHoliday ? 'holiday' : 'company closure';
+      return res.status(400).json({
+        success: false,
+        message: `Cannot create visit on ${closureType}${closure.reason ? `: ${closure.reason}` : ''}`
+      });
+    }
+
+    // Validate each line and resolve its service, staff and time window
+    const resolvedLines = [];
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const lineLabel = `Line ${i + 1}`;
+
+      if (!line.baseServiceId || !line.serviceVariationId || !line.staffId) {
+        return res.status(400).json({
+          success: false,
+          message: `${lineLabel}: baseServiceId, serviceVariationId and staffId are required`
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(line.baseServiceId) ||
+          !mongoose.Types.ObjectId.isValid(line.serviceVariationId) ||
+          !mongoose.Types.ObjectId.isValid(line.staffId)) {
+        return res.status(400).json({
+          success: false,
+          message: `${lineLabel}: Invalid ID format`
+        });
+      }
+
+      const offsetMinutes = line.offsetMinutes !== undefined ? Number(line.offsetMinutes) : 0;
+      if (!Number.isInteger(offsetMinutes) || offsetMinutes < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${lineLabel}: Offset must be a whole number of minutes (0 or more)`
+        });
+      }
+
+      const baseService = await BaseService.findById(line.baseServiceId);
+      if (!baseService || !baseService.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: `${lineLabel}: Base service not found or not active`
+        });
+      }
+
+      const serviceVariation = await ServiceVariation.findById(line.serviceVariationId);
+      if (!serviceVariation || !serviceVariation.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: `${lineLabel}: Service variation not found or not active`
+        });
+      }
+      if (serviceVariation.baseService.toString() !== line.baseServiceId.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: `${lineLabel}: Service variation does not belong to the selected base service`
+        });
+      }
+
+      const staff = await Staff.findById(line.staffId);
+      if (!staff || staff.status !== 'Active') {
+        return res.status(400).json({
+          success: false,
+          message: `${lineLabel}: Staff not found or not active`
+        });
+      }
+
+      const lineStart = new Date(visitStartTime.getTime() + offsetMinutes * 60 * 1000);
+      resolvedLines.push({
+        baseService,
+        serviceVariation,
+        staff,
+        offsetMinutes,
+        startTime: lineStart,
+        endTime: new Date(lineStart.getTime() + serviceVariation.timeDuration * 60 * 1000)
+      });
+    }
+
+    // Lines of the same visit cannot double-book a therapist
+    for (let i = 0; i < resolvedLines.length; i++) {
+      for (let j = i + 1; j < resolvedLines.length; j++) {
+        const a = resolvedLines[i];
+        const b = resolvedLines[j];
+        if (a.staff._id.toString() === b.staff._id.toString() && a.startTime < b.endTime && b.startTime < a.endTime) {
+          return res.status(409).json({
+            success: false,
+            message: `Lines ${i + 1} and ${j + 1} overlap for ${a.staff.name}`
+          });
+        }
+      }
+    }
+
+    // Hold the diaries of every therapist on the visit until its lines are saved
+    staffLock = await acquireStaffBookingLock(resolvedLines.map(line => line.staff._id));
+    if (!staffLock) {
+      return res.status(409).json({
+        success: false,
+        message: BOOKING_LOCK_BUSY_MESSAGE
+      });
+    }
+
+    // Check each line against the therapist's shift and existing appointments
+    for (let i = 0; i < resolvedLines.length; i++) {
+      const line = resolvedLines[i];
+      const shiftViolation = await findShiftViolation(line.staff._id, line.startTime, line.serviceVariation.timeDuration);
+      if (shiftViolation) {
+        return res.status(400).json({
+          success: false,
+          message: `Line ${i + 1}: ${shiftViolation}`
+        });
+      }
+      const conflictingAppointment = await findConflictingAppointment(
+        line.startTime,
+        line.serviceVariation.timeDuration,
+        line.staff._id
+      );
+      if (conflictingAppointment) {
+        return res.status(409).json({
+          success: false,
+          message: `Line ${i + 1}: Time slot overlaps an existing appointment for ${line.staff.name}`,
+          conflictingAppointment: {
+            _id: conflictingAppointment._id,
+            clientId: conflictingAppointment.clientId,
+            serviceVariationId: conflictingAppointment.serviceVariationId,
+            staffId: conflictingAppointment.staffId,
+            startTime: conflictingAppointment.startTime,
+            endTime: getAppointmentEndTime(conflictingAppointment),
+            status: conflictingAppointment.status
+          }
+        });
+      }
+    }
+
+    // Membership discount and referral commission are calculated per line from its own price
+    let membershipTier = null;
+    if (client.membership_id) {
+      const tier = await MembershipTier.findById(client.membership_id);
+      if (tier && tier.isActive) {
+        membershipTier = tier;
+      }
+    }
+
+    resolvedLines.forEach(line => {
+      line.price = line.serviceVariation.price;
+      line.membershipDiscount = membershipTier ? line.price * (membershipTier.discount_percent / 100) : 0;
+      line.staffCommission = referenceStaff && referenceStaff.referralCommission
+        ? line.price * referenceStaff.referralCommission
+        : 0;
+      line.pointsUsed = 0;
+      line.pointsDiscount = 0;
+    });
+
+    // Points are redeemed line by line until used up, never discounting a line below zero
+    const pointsToRedeem = req.body.pointsToRedeem !== undefined ? Number(req.body.pointsToRedeem) : 0;
+    let pointsApplied = 0;
+    if (pointsToRedeem > 0) {
+      if (pointsToRedeem > client.points_balance) {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient points balance. Available: ${client.points_balance}, Requested: ${pointsToRedeem}`
+        });
+      }
+
+      const businessSettings = await BusinessSettings.getSettings();
+      if (pointsToRedeem < businessSettings.redemptionThreshold) {
+        return res.status(400).json({
+          success: false,
+          message: `Points redemption must be at least ${businessSettings.redemptionThreshold} points`
+        });
+      }
+
+      // Each line takes the whole points it can cover; the last line also takes the part of a
+      // point left over, so the visit never redeems more points than its total needs
+      let remainingPoints = pointsToRedeem;
+      resolvedLines.forEach((line, index) => {
+        if (remainingPoints <= 0 || !businessSettings.pointValue) {
+          return;
+        }
+        const lineNet = Math.max(0, line.price - line.membershipDiscount - line.staffCommission);
+        const round = index === resolvedLines.length - 1 ? Math.ceil : Math.floor;
+        const linePoints = Math.min(remainingPoints, round(lineNet / businessSettings.pointValue));
+        line.pointsUsed = linePoints;
+        line.pointsDiscount = linePoints * businessSettings.pointValue;
+        remainingPoints -= linePoints;
+      });
+
+      pointsApplied = pointsToRedeem - remainingPoints;
+    }
+
+    // Clients with repeated no-shows may owe a deposit on each line under the no-show policy
+    const settings = await BusinessSettings.getSettings();
+
+    // The visit is only kept if all its lines (and the points taken for them) are saved
+    let visit = null;
+    const createdLines = [];
+    let pointsTaken = false;
+    try {
+      visit = await Visit.create({
+        clientId,
+        startTime: visitStartTime,
+        reference,
+        referenceStaffId: reference === 'staff' ? referenceStaffId : null,
+        notes: req.body.notes || null,
+        createdBy: req.staff ? req.staff._id : null
+      });
+
+      for (const line of resolvedLines) {
+        const lineTotal = Math.max(0, line.price - line.membershipDiscount - line.pointsDiscount - line.staffCommission);
+        const appointment = await Appointment.create({
+          clientId,
+          baseServiceId: line.baseService._id,
+          serviceVariationId: line.serviceVariation._id,
+          staffId: line.staff._id,
+          startTime: line.startTime,
+          reference,
+          referenceStaffId: reference === 'staff' ? referenceStaffId : null,
+          membership: !!client.membership_id,
+          price: line.price,
+          membershipDiscount: line.membershipDiscount,
+          staffCommission: line.staffCommission,
+          totalPrice: lineTotal,
+          depositRequired: calculateNoShowDeposit(client, settings, lineTotal),
+          status: initialStatus,
+          statusHistory: [buildStatusHistoryEntry(null, initialStatus, req.staff)],
+          notes: req.body.notes || null,
+          payment_ids: [],
+          pointsUsed: line.pointsUsed,
+          pointsAwarded: 0,
+          visitId: visit._id,
+          visitOffset: line.offsetMinutes
+        });
+        createdLines.push({ line, appointment });
+      }
+
+      // Redeemed points are only taken once the visit and all its lines are saved
+      if (pointsApplied > 0) {
+        client.points_balance = Math.max(0, client.points_balance - pointsApplied);
+        await client.save();
+        pointsTaken = true;
+
+        for (const { line, appointment } of createdLines) {
+          if (line.pointsUsed > 0) {
+            await PointsHistory.create({
+              clientId: client._id,
+              appointmentId: appointment._id,
+              points: -line.pointsUsed, // Negative for redeemed
+              type: 'redeemed',
+              description: `Points redeemed for ${line.serviceVariation.variationName} (visit)`
+            });
+          }
+        }
+      }
+    } catch (createError) {
+      const lineIds = createdLines.map(({ appointment }) => appointment._id);
+      await Appointment.deleteMany({ _id: { $in: lineIds } });
+      if (visit) await Visit.deleteOne({ _id: visit._id });
+      if (pointsTaken) {
+        await Client.updateOne({ _id: client._id }, { $inc: { points_balance: pointsApplied } });
+        await PointsHistory.deleteMany({ appointmentId: { $in: lineIds }, type: 'redeemed' });
+      }
+      throw createError;
+    }
+
+    const populatedVisit = await Visit.findById(visit._id)
+      .populate('clientId', 'name phone email')
+      .populate('referenceStaffId', 'name');
+
+    res.status(201).json({
+      success: true,
+      data: await buildVisitSummary(populatedVisit)
+    });
+  } catch (error) {
+    console.error('createVisit - Error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Time slot is already booked for this staff member'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating visit',
+      error: error.message
+    });
+  } finally {
+    await releaseStaffBookingLock(staffLock);
+  }
+};
+
+// @desc    Cancel all open lines of a visit
+// @route   PATCH /api/visits/:id/cancel
+// @body    reason (required)
+// @access  Public
+const cancelVisit = async (req, res) => {
+  try {
+    const visit = await Visit.findById(req.params.id);
+
+    if (!visit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visit not found'
+      });
+    }
+
+    if (!req.body.reason || !String(req.body.reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to cancel a visit'
+      });
+    }
+
+    // Each line is only cancelled from the status it was read in, so a cancel running at the
+    // same time cannot give the same points back twice
+    const candidateLines = await Appointment.find({ visitId: visit._id, status: { $in: ['scheduled', 'confirmed'] } });
+    const openLines = [];
+    for (const line of candidateLines) {
+      const result = await Appointment.updateOne({ _id: line._id, status: line.status }, {
+        status: 'cancelled',
+        $push: { statusHistory: buildStatusHistoryEntry(line.status, 'cancelled', req.staff, req.body.reason) }
+      });
+      if (result.modifiedCount > 0) {
+        openLines.push(line);
+      }
+    }
+
+    // Points redeemed on the cancelled lines go back to the client
+    const pointsToReturn = openLines.reduce((sum, line) => sum + (line.pointsUsed || 0), 0);
+    if (pointsToReturn > 0) {
+      await Client.updateOne({ _id: visit.clientId }, { $inc: { points_balance: pointsToReturn } });
+      await PointsHistory.deleteMany({
+        appointmentId: { $in: openLines.filter(line => line.pointsUsed > 0).map(line => line._id) },
+        type: 'redeemed'
+      });
+    }
+
+    // Offer each freed slot to the waitlist
+    const waitlistMatches = [];
+    for (const line of openLines) {
+      waitlistMatches.push(...await notifyWaitlistForFreedSlot(req.app.get('io'), line));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await buildVisitSummary(visit),
+      waitlistMatches,
+      message: `Cancelled ${openLines.length} service line(s)`
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid visit ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling visit',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAllVisits,
+  getVisitById,
+  createVisit,
+  cancelVisit
+};
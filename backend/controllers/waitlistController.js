@@ -0,0 +1,393 @@
+const mongoose = require('mongoose');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Client = require('../models/Client');
+const ServiceVariation = require('../models/ServiceVariation');
+const Staff = require('../models/Staff');
+const { OPEN_WAITLIST_STATUSES } = require('../utils/waitlist');
+
+// Helper function to populate a waitlist entry query
+const populateEntry = (query) => {
+  return query
+    .populate('clientId', 'name phone email')
+    .populate('baseServiceId', 'name category')
+    .populate('serviceVariationId', 'variationName timeDuration price')
+    .populate('preferredStaffId', 'name specialization')
+    .populate('appointmentId', 'startTime status staffId')
+    .populate('createdBy', 'name');
+};
+
+// @desc    Get waitlist entries
+// @route   GET /api/waitlist
+// @access  Public
+const getWaitlist = async (req, res) => {
+  try {
+    const { status, clientId, date, staffId } = req.query;
+
+    // Entries whose window has passed can no longer be offered a slot
+    await WaitlistEntry.updateMany(
+      { status: { $in: OPEN_WAITLIST_STATUSES }, windowEnd: { $lt: new Date() } },
+      { status: 'expired' }
+    );
+
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (clientId) {
+      if (!mongoose.Types.ObjectId.isValid(clientId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid client ID'
+        });
+      }
+      query.clientId = clientId;
+    }
+
+    if (staffId) {
+      if (!mongoose.Types.ObjectId.isValid(staffId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid staff ID'
+        });
+      }
+      query.preferredStaffId = staffId;
+    }
+
+    // Entries whose window touches the given day
+    if (date) {
+      const startOfDay = new Date(date);
+      startOfDay.setHours(0, 0, 0, 0);
+      const endOfDay = new Date(date);
+      endOfDay.setHours(23, 59, 59, 999);
+      query.windowStart = { $lte: endOfDay };
+      query.windowEnd = { $gte: startOfDay };
+    }
+
+    const entries = await populateEntry(WaitlistEntry.find(query)).sort({ windowStart: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    console.error('getWaitlist - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching waitlist',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single waitlist entry
+// @route   GET /api/waitlist/:id
+// @access  Public
+const getWaitlistEntryById = async (req, res) => {
+  try {
+    const entry = await populateEntry(WaitlistEntry.findById(req.params.id));
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid waitlist entry ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching waitlist entry',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add client to the waitlist
+// @route   POST /api/waitlist
+// @access  Public
+const createWaitlistEntry = async (req, res) => {
+  try {
+    const { clientId, serviceVariationId, preferredStaffId, windowStart, windowEnd, notes } = req.body;
+
+    if (!clientId || !serviceVariationId || !windowStart || !windowEnd) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: clientId, serviceVariationId, windowStart, windowEnd'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(clientId) ||
+        !mongoose.Types.ObjectId.isValid(serviceVariationId) ||
+        (preferredStaffId && !mongoose.Types.ObjectId.isValid(preferredStaffId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const start = new Date(windowStart);
+    const end = new Date(windowEnd);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid window date format'
+      });
+    }
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Window end must be after window start'
+      });
+    }
+
+    const client = await Client.findById(clientId);
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const serviceVariation = await ServiceVariation.findById(serviceVariationId);
+    if (!serviceVariation || !serviceVariation.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service variation not found or not active'
+      });
+    }
+
+    if (preferredStaffId) {
+      const staff = await Staff.findById(preferredStaffId);
+      if (!staff || staff.status !== 'Active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Preferred staff not found or not active'
+        });
+      }
+    }
+
+    const entry = await WaitlistEntry.create({
+      clientId,
+      baseServiceId: serviceVariation.baseService,
+      serviceVariationId,
+      preferredStaffId: preferredStaffId || null,
+      windowStart: start,
+      windowEnd: end,
+      notes: notes || null,
+      createdBy: req.staff ? req.staff._id : null
+    });
+
+    const populatedEntry = await populateEntry(WaitlistEntry.findById(entry._id));
+
+    res.status(201).json({
+      success: true,
+      data: populatedEntry
+    });
+  } catch (error) {
+    console.error('createWaitlistEntry - Error:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating waitlist entry',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update waitlist entry (window, preferred staff, notes, or cancel it)
+// @route   PUT /api/waitlist/:id
+// @access  Public
+const updateWaitlistEntry = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (!OPEN_WAITLIST_STATUSES.includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot update a waitlist entry that is ${entry.status}`
+      });
+    }
+
+    const { preferredStaffId, windowStart, windowEnd, notes, status } = req.body;
+
+    if (preferredStaffId !== undefined) {
+      if (preferredStaffId && !mongoose.Types.ObjectId.isValid(preferredStaffId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid staff ID'
+        });
+      }
+      entry.preferredStaffId = preferredStaffId || null;
+    }
+    if (windowStart !== undefined) entry.windowStart = new Date(windowStart);
+    if (windowEnd !== undefined) entry.windowEnd = new Date(windowEnd);
+    if (notes !== undefined) entry.notes = notes || null;
+
+    // Only cancelling can be done by hand; booked/notified/expired are set by the system
+    if (status !== undefined) {
+      if (status !== 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          message: 'Status can only be changed to cancelled'
+        });
+      }
+      entry.status = status;
+    }
+
+    await entry.save();
+
+    const populatedEntry = await populateEntry(WaitlistEntry.findById(entry._id));
+
+    res.status(200).json({
+      success: true,
+      data: populatedEntry
+    });
+  } catch (error) {
+    console.error('updateWaitlistEntry - Error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid waitlist entry ID or date'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating waitlist entry',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete waitlist entry
+// @route   DELETE /api/waitlist/:id
+// @access  Public
+const deleteWaitlistEntry = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findByIdAndDelete(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Waitlist entry deleted successfully'
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid waitlist entry ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting waitlist entry',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Fill the appointment body from a waitlist entry before createAppointment runs
+// @route   POST /api/waitlist/:id/book (followed by createAppointment)
+// @body    startTime (required), staffId (defaults to preferred staff), reference (defaults to walk-in)
+// @access  Public
+const prepareWaitlistBooking = async (req, res, next) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (!OPEN_WAITLIST_STATUSES.includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot book a waitlist entry that is ${entry.status}`
+      });
+    }
+
+    const staffId = req.body.staffId || entry.preferredStaffId;
+    if (!req.body.startTime || !staffId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start time is required, and staff is required when the entry has no preferred staff'
+      });
+    }
+
+    req.body = {
+      ...req.body,
+      clientId: entry.clientId.toString(),
+      baseServiceId: entry.baseServiceId.toString(),
+      serviceVariationId: entry.serviceVariationId.toString(),
+      staffId: staffId.toString(),
+      reference: req.body.reference || 'walk-in',
+      notes: req.body.notes !== undefined ? req.body.notes : entry.notes,
+      waitlistEntryId: entry._id.toString()
+    };
+
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid waitlist entry ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error booking waitlist entry',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getWaitlist,
+  getWaitlistEntryById,
+  createWaitlistEntry,
+  updateWaitlistEntry,
+  deleteWaitlistEntry,
+  prepareWaitlistBooking
+};
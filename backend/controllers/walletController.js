@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const Appointment = require('../models/Appointment');
+const WalletTransaction = require('../models/WalletTransaction');
+const BusinessSettings = require('../models/BusinessSettings');
+const { roundMoney } = require('../utils/tax');
+const { STORED_VALUE_TYPES, pickReference, validatePaymentMethod } = require('../utils/paymentMethods');
+const { getOpenSession } = require('../utils/cashDrawer');
+const { creditWallet, debitWallet } = require('../utils/wallet');
+
+// Helper function to check and record money paid into a wallet (top-ups and deposits)
+// Returns { status, body } for the response
+const addWalletFunds = async (req, type, extra = {}) => {
+  const { method, reference, notes } = req.body;
+  const amount = roundMoney(req.body.amount);
+
+  if (!(amount > 0)) {
+    return { status: 400, body: { success: false, message: 'Amount must be greater than 0' } };
+  }
+
+  if (STORED_VALUE_TYPES.includes(method)) {
+    return { status: 400, body: { success: false, message: `The wallet cannot be topped up with ${method}` } };
+  }
+
+  const settings = await BusinessSettings.getSettings();
+  const methodError = validatePaymentMethod(method, reference, settings);
+  if (methodError) {
+    return { status: 400, body: { success: false, message: methodError } };
+  }
+
+  const client = await Client.findById(req.params.id);
+  if (!client) {
+    return { status: 404, body: { success: false, message: 'Client not found' } };
+  }
+
+  // Cash goes into the receptionist's open drawer
+  const cashSession = method === 'cash' ? await getOpenSession(req.staff ? req.staff._id : null) : null;
+
+  const transaction = await creditWallet(client._id, amount, {
+    type,
+    method,
+    reference: pickReference(method, reference),
+    cash_session_id: cashSession ? cashSession._id : null,
+    description: notes || null,
+    recordedBy: req.staff ? req.staff._id : null,
+    ...extra
+  });
+
+  return {
+    status: 201,
+    body: {
+      success: true,
+      message: `${settings.currency} ${amount} added to ${client.name}'s wallet`,
+      data: {
+        transaction,
+        wallet_balance: transaction.balance_after
+      }
+    }
+  };
+};
+
+// @desc    Get a client's wallet balance and ledger
+// @route   GET /api/clients/:id/wallet?type=&page=&limit=
+// @access  Public
+const getClientWallet = async (req, res) => {
+  try {
+    const { type, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+
+    const client = await Client.findById(req.params.id).select('name phone wallet_balance');
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const query = { clientId: client._id };
+    if (type) query.type = type;
+
+    const transactions = await WalletTransaction.find(query)
+      .populate('appointment_id', 'startTime status totalPrice')
+      .populate('payment_id', 'type status total_amount')
+      .populate('credit_note_id', 'number')
+      .populate('recordedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * limitNumber)
+      .limit(limitNumber);
+
+    const total = await WalletTransaction.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        client: {
+          _id: client._id,
+          name: client.name,
+          phone: client.phone
+        },
+        wallet_balance: client.wallet_balance || 0,
+        transactions
+      },
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching client wallet',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Top up a client's prepaid wallet
+// @route   POST /api/clients/:id/wallet/top-ups
+// @body    { amount, method, reference?, notes? }
+// @access  Public
+const topUpWallet = async (req, res) => {
+  try {
+    const result = await addWalletFunds(req, 'top_up');
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('topUpWallet - Error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error topping up wallet',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Take a deposit into the wallet, optionally against a booking (it can be taken before one exists)
+// @route   POST /api/clients/:id/wallet/deposits
+// @body    { amount, method, reference?, appointment_id?, notes? }
+// @access  Public
+const recordDeposit = async (req, res) => {
+  try {
+    const { appointment_id } = req.body;
+
+    if (appointment_id) {
+      if (!mongoose.Types.ObjectId.isValid(appointment_id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid appointment ID'
+        });
+      }
+
+      const appointment = await Appointment.findById(appointment_id).select('clientId status');
+      if (!appointment || appointment.clientId.toString() !== req.params.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appointment not found for this client'
+        });
+      }
+
+      if (['completed', 'cancelled', 'no-show'].includes(appointment.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot take a deposit for a ${appointment.status} appointment`
+        });
+      }
+    }
+
+    const result = await addWalletFunds(req, 'deposit', { appointment_id: appointment_id || null });
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('recordDeposit - Error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error recording deposit',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Correct a client's wallet balance (positive adds, negative takes off)
+// @route   POST /api/clients/:id/wallet/adjustments
+// @body    { amount, reason }
+// @access  Public
+const adjustWallet = async (req, res) => {
+  try {
+    const amount = roundMoney(req.body.amount);
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+    if (!amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'A non-zero amount is required'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for a wallet adjustment'
+      });
+    }
+
+    const client = await Client.findById(req.params.id).select('wallet_balance');
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    const entry = {
+      type: 'adjustment',
+      description: reason,
+      recordedBy: req.staff ? req.staff._id : null
+    };
+    const transaction = amount > 0
+      ? await creditWallet(client._id, amount, entry)
+      : await debitWallet(client._id, -amount, entry);
+
+    if (!transaction) {
+      return res.status(400).json({
+        success: false,
+        message: `Adjustment would make the wallet negative. Available: ${client.wallet_balance || 0}`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Wallet adjusted',
+      data: {
+        transaction,
+        wallet_balance: transaction.balance_after
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid client ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error adjusting wallet',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getClientWallet,
+  topUpWallet,
+  recordDeposit,
+  adjustWallet
+};
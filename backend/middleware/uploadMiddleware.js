@@ -86,11 +86,44 @@ const csvUpload = multer({
 // Middleware for CSV file upload (memory storage)
 const uploadCSV = csvUpload.single('file');
 
+// Business logo for bills (PDFKit can only embed PNG and JPEG)
+const brandingUploadsDir = path.join(__dirname, '../uploads/branding');
+if (!fs.existsSync(brandingUploadsDir)) {
+  fs.mkdirSync(brandingUploadsDir, { recursive: true });
+}
+
+const logoUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, brandingUploadsDir);
+    },
+    filename: (req, file, cb) => {
+      const ext = file.mimetype === 'image/png' ? '.png' : '.jpg';
+      cb(null, `logo-${Date.now()}${ext}`);
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'image/png' || file.mimetype === 'image/jpeg') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PNG and JPEG logos are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB
+  }
+});
+
+// Middleware for logo upload
+const uploadLogo = logoUpload.single('logo');
+
 module.exports = {
   uploadSingle,
   uploadMultiple,
   upload,
-  uploadCSV
+  uploadCSV,
+  uploadLogo,
+  brandingUploadsDir
 };
 
 
@@ -29,8 +29,8 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Reference is required'],
     enum: {
-      values: ['google', 'walk-in', 'staff'],
-      message: 'Reference must be one of: google, walk-in, staff'
+      values: ['google', 'walk-in', 'staff', 'online'],
+      message: 'Reference must be one of: google, walk-in, staff, online'
     }
   },
   referenceStaffId: {
@@ -52,11 +52,41 @@ const appointmentSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Membership discount cannot be negative']
   },
+  // Promotion code applied at booking (the discount is fixed at booking time)
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    default: null
+  },
+  promoCode: {
+    type: String,
+    default: null
+  },
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Promotion discount cannot be negative']
+  },
   staffCommission: {
     type: Number,
     default: 0,
     min: [0, 'Staff commission cannot be negative']
   },
+  // Back-bar products taken from stock when the appointment was completed (cost frozen at that time)
+  consumablesUsed: [{
+    _id: false,
+    product_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    name: String,
+    quantity: Number,
+    unit_cost: Number
+  }],
+  consumablesCost: {
+    type: Number,
+    default: 0
+  },
   totalPrice: {
     type: Number,
     required: [true, 'Total price is required'],
@@ -71,11 +101,36 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     required: true,
     enum: {
-      values: ['scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled'],
+      values: ['scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'],
       message: 'Invalid status'
     },
     default: 'scheduled'
   },
+  // Every status change with who made it and why (cancellations require a reason)
+  statusHistory: [{
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff',
+      default: null
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  }],
   notes: {
     type: String,
     trim: true,
@@ -90,13 +145,53 @@ const appointmentSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: [0, 'Points awarded cannot be negative']
+  },
+  // Deposit the client must pay up front under the no-show policy (0 = none required)
+  // The appointment cannot be confirmed or started until it is covered (see getDepositError)
+  depositRequired: {
+    type: Number,
+    default: 0,
+    min: [0, 'Deposit cannot be negative']
+  },
+  // Recurring series this appointment belongs to (null for one-off appointments)
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries',
+    default: null
+  },
+  // Position of this occurrence in its series, starting at 0
+  seriesIndex: {
+    type: Number,
+    default: null,
+    min: [0, 'Series index cannot be negative']
+  },
+  // Multi-service visit this appointment is a line of (null for standalone appointments)
+  visitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Visit',
+    default: null
+  },
+  // Minutes after the visit start that this line begins
+  visitOffset: {
+    type: Number,
+    default: null,
+    min: [0, 'Visit offset cannot be negative']
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
 });
 
 // Compound index to prevent double booking (same staff at same time)
-appointmentSchema.index({ startTime: 1, staffId: 1 }, { unique: true });
+// Overlaps against service durations are checked in the controller under a staff booking lock;
+// this index is the last line of defence for exact-start collisions. Cancelled appointments are
+// left out so their start time can be booked again (partial $in filters need MongoDB 6.0+)
+appointmentSchema.index(
+  { startTime: 1, staffId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ['scheduled', 'confirmed', 'in-progress', 'completed', 'no-show'] } }
+  }
+);
 
 // Indexes for efficient queries
 appointmentSchema.index({ startTime: 1 });
@@ -104,6 +199,8 @@ appointmentSchema.index({ clientId: 1 });
 appointmentSchema.index({ staffId: 1 });
 appointmentSchema.index({ status: 1 });
 appointmentSchema.index({ payment_ids: 1 });
+appointmentSchema.index({ seriesId: 1, seriesIndex: 1 });
+appointmentSchema.index({ visitId: 1 });
 
 // Validation: referenceStaffId is required if reference is 'staff'
 appointmentSchema.pre('validate', function(next) {
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const appointmentSeriesSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Client is required']
+  },
+  baseServiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BaseService',
+    required: [true, 'Base service is required']
+  },
+  serviceVariationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceVariation',
+    required: [true, 'Service variation is required']
+  },
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: [true, 'Staff is required']
+  },
+  // Start time of the first occurrence (later occurrences keep the same time of day)
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  // Repeat every N weeks
+  intervalWeeks: {
+    type: Number,
+    required: [true, 'Recurrence interval is required'],
+    min: [1, 'Recurrence interval must be at least 1 week'],
+    max: [52, 'Recurrence interval cannot exceed 52 weeks']
+  },
+  // Either an end date or a number of occurrences is stored
+  until: {
+    type: Date,
+    default: null
+  },
+  occurrences: {
+    type: Number,
+    default: null,
+    min: [1, 'Occurrences must be at least 1']
+  },
+  // Dates that were not booked because the salon is closed
+  skippedDates: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  }],
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'cancelled'],
+      message: 'Invalid series status'
+    },
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Indexes for efficient queries
+appointmentSeriesSchema.index({ clientId: 1 });
+appointmentSeriesSchema.index({ staffId: 1 });
+
+// Validation: a series needs an end date or an occurrence count
+appointmentSeriesSchema.pre('validate', function(next) {
+  if (!this.until && !this.occurrences) {
+    this.invalidate('until', 'Either an end date or a number of occurrences is required');
+  }
+  next();
+});
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
@@ -52,6 +52,72 @@ const businessSettingsSchema = new mongoose.Schema({
     min: [0, 'Tax rate cannot be negative'],
     max: [100, 'Tax rate cannot exceed 100%']
   },
+  // true: prices already include tax; false: tax is added on top of the bill
+  taxInclusive: {
+    type: Boolean,
+    default: false
+  },
+  // Name printed on bills and reports (e.g. GST, Sales Tax)
+  taxLabel: {
+    type: String,
+    trim: true,
+    default: 'Tax'
+  },
+  // Invoice numbers are <invoicePrefix><sequence padded to invoiceNumberPadding digits>, e.g. INV-000042
+  invoicePrefix: {
+    type: String,
+    trim: true,
+    default: 'INV-',
+    maxlength: [10, 'Invoice prefix cannot exceed 10 characters']
+  },
+  // Credit notes (refunds) share the padding and run their own sequence
+  creditNotePrefix: {
+    type: String,
+    trim: true,
+    default: 'CN-',
+    maxlength: [10, 'Credit note prefix cannot exceed 10 characters']
+  },
+  invoiceNumberPadding: {
+    type: Number,
+    default: 6,
+    min: [1, 'Invoice number padding must be at least 1'],
+    max: [12, 'Invoice number padding cannot exceed 12']
+  },
+  // Bill / invoice PDF appearance
+  billing: {
+    // 'a4' full-page invoice or 'thermal' 80mm counter receipt
+    layout: {
+      type: String,
+      enum: {
+        values: ['a4', 'thermal'],
+        message: 'Bill layout must be a4 or thermal'
+      },
+      default: 'a4'
+    },
+    // File name in uploads/branding (set through the logo upload endpoint)
+    logo: {
+      type: String,
+      default: null
+    },
+    tagline: {
+      type: String,
+      trim: true,
+      default: 'Beauty & Wellness Salon',
+      maxlength: [100, 'Tagline cannot exceed 100 characters']
+    },
+    footerText: {
+      type: String,
+      trim: true,
+      default: 'Thank you for your business!',
+      maxlength: [500, 'Footer text cannot exceed 500 characters']
+    },
+    termsText: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [2000, 'Terms text cannot exceed 2000 characters']
+    }
+  },
   paymentMethods: {
     cash: {
       type: Boolean,
@@ -68,6 +134,99 @@ const businessSettingsSchema = new mongoose.Schema({
     eWallet: {
       type: Boolean,
       default: false
+    },
+    // Paying from the client's prepaid wallet balance
+    clientWallet: {
+      type: Boolean,
+      default: true
+    },
+    giftCard: {
+      type: Boolean,
+      default: true
+    }
+  },
+  
+  // No-show Policy (a threshold of 0 disables that rule)
+  noShowPolicy: {
+    depositAfterNoShows: {
+      type: Number,
+      default: 0,
+      min: [0, 'No-show threshold cannot be negative']
+    },
+    depositPercent: {
+      type: Number,
+      default: 50,
+      min: [0, 'Deposit percent cannot be negative'],
+      max: [100, 'Deposit percent cannot exceed 100%']
+    },
+    blockOnlineBookingAfterNoShows: {
+      type: Number,
+      default: 0,
+      min: [0, 'No-show threshold cannot be negative']
+    }
+  },
+  
+  // Client portal self-service booking (cut-offs are measured back from the appointment start)
+  onlineBooking: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    minLeadTimeHours: {
+      type: Number,
+      default: 2,
+      min: [0, 'Lead time cannot be negative']
+    },
+    maxAdvanceDays: {
+      type: Number,
+      default: 30,
+      min: [1, 'Advance booking window must be at least 1 day']
+    },
+    rescheduleCutoffHours: {
+      type: Number,
+      default: 24,
+      min: [0, 'Reschedule cut-off cannot be negative']
+    },
+    cancellationCutoffHours: {
+      type: Number,
+      default: 24,
+      min: [0, 'Cancellation cut-off cannot be negative']
+    }
+  },
+  
+  // Appointment reminders
+  reminders: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Hours before the appointment to send each reminder
+    offsetsHours: {
+      type: [Number],
+      default: [24, 2],
+      validate: {
+        validator: (offsets) => offsets.every(offset => offset > 0 && offset <= 24 * 14),
+        message: 'Reminder offsets must be between 1 hour and 14 days'
+      }
+    },
+    channels: {
+      type: [String],
+      enum: {
+        values: ['sms', 'email', 'whatsapp'],
+        message: 'Reminder channels must be sms, email or whatsapp'
+      },
+      default: ['sms']
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: [1, 'Max attempts must be at least 1'],
+      max: [10, 'Max attempts cannot exceed 10']
+    },
+    retryDelayMinutes: {
+      type: Number,
+      default: 15,
+      min: [1, 'Retry delay must be at least 1 minute']
     }
   },
   
@@ -82,6 +241,12 @@ const businessSettingsSchema = new mongoose.Schema({
     default: '20:00',
     trim: true
   },
+  slotInterval: {
+    type: Number,
+    default: 30,
+    min: [5, 'Slot interval must be at least 5 minutes'],
+    max: [240, 'Slot interval cannot exceed 240 minutes']
+  },
   workingDays: {
     type: Number,
     default: 6,
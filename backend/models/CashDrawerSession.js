@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Cash taken out of the till for expenses (e.g. supplies, courier)
+const paidOutSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Paid-out amount is required'],
+    min: [0.01, 'Paid-out amount must be greater than 0']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Paid-out reason is required'],
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One receptionist's till from opening float to counted close
+// Cash payments and cash refunds point back to the session through cash_session_id
+const cashDrawerSessionSchema = new mongoose.Schema({
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: [true, 'Staff ID is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['open', 'closed'],
+      message: 'Session status must be open or closed'
+    },
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  openingFloat: {
+    type: Number,
+    required: [true, 'Opening float is required'],
+    min: [0, 'Opening float cannot be negative']
+  },
+  openingNotes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  paidOuts: {
+    type: [paidOutSchema],
+    default: []
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+  countedAmount: {
+    type: Number,
+    default: null,
+    min: [0, 'Counted amount cannot be negative']
+  },
+  // Frozen at close: what should have been in the drawer and how the count compared
+  expectedAmount: {
+    type: Number,
+    default: null
+  },
+  overShort: {
+    type: Number,
+    default: null
+  },
+  summary: {
+    cashSalesCount: Number,
+    cashSales: Number,
+    walletTopUpsCount: Number,
+    walletTopUps: Number,
+    giftCardSalesCount: Number,
+    giftCardSales: Number,
+    cashRefundsCount: Number,
+    cashRefunds: Number,
+    paidOuts: Number
+  },
+  closingNotes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Last generated Z report in uploads/
+  zReportFileName: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A receptionist can only have one open drawer at a time
+cashDrawerSessionSchema.index({ staffId: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+cashDrawerSessionSchema.index({ openedAt: -1 });
+
+module.exports = mongoose.model('CashDrawerSession', cashDrawerSessionSchema);
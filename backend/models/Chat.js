@@ -77,7 +77,25 @@ const chatSchema = new mongoose.Schema({
   lastMessageAt: {
     type: Date,
     default: null
-  }
+  },
+  // Messages pinned to the top of the chat, newest pin last
+  pinnedMessages: [{
+    _id: false,
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      required: true
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff',
+      required: true
+    },
+    pinnedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -47,11 +47,27 @@ const clientSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Prepaid money held for the client (top-ups and deposits less wallet spend); see WalletTransaction
+  wallet_balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet balance cannot be negative']
+  },
   total_sessions: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Number of appointments marked as no-show (drives the no-show policy in BusinessSettings)
+  noShowCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastNoShowAt: {
+    type: Date,
+    default: null
+  },
   rfid_number: {
     type: String,
     unique: true,
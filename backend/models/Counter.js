@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. invoice numbers), incremented atomically
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Numbers that were taken but never issued and could not be handed back (see releaseOrSkip)
+  skipped: [{
+    seq: Number,
+    reason: String,
+    skippedAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+// Take the next number of a sequence
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Give a number back if nothing was issued with it and no later number has been taken
+counterSchema.statics.release = async function(name, seq) {
+  const result = await this.updateOne({ _id: name, seq }, { $inc: { seq: -1 } });
+  return result.modifiedCount === 1;
+};
+
+// Hand back a number whose document could not be saved
+// Once a later number has been taken it cannot be reused, so the gap is recorded on the counter
+// instead (with why it happened) and the sequence shows it was skipped rather than lost
+counterSchema.statics.releaseOrSkip = async function(name, seq, reason) {
+  if (await this.release(name, seq)) {
+    return true;
+  }
+  await this.updateOne(
+    { _id: name },
+    { $push: { skipped: { seq, reason: reason || null, skippedAt: new Date() } } }
+  );
+  return false;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { PAYMENT_TYPES } = require('../utils/paymentMethods');
+
+// A refund against a paid payment (numbered like invoices, from its own sequence)
+const creditNoteSchema = new mongoose.Schema({
+  // Printed number, e.g. CN-000007
+  number: {
+    type: String,
+    required: [true, 'Credit note number is required'],
+    unique: true,
+    trim: true
+  },
+  sequence: {
+    type: Number,
+    required: [true, 'Credit note sequence is required']
+  },
+  payment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment ID is required']
+  },
+  // Invoice the refunded payment was billed on (null if it was never invoiced)
+  invoice_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null
+  },
+  appointment_ids: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'Appointment',
+    default: []
+  },
+  // Money handed back to the client (including tax)
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be greater than 0']
+  },
+  // Share of the refunded payment's payable_amount; this is what comes off revenue
+  payable_amount: {
+    type: Number,
+    required: true
+  },
+  taxable_amount: {
+    type: Number,
+    default: 0
+  },
+  tax_amount: {
+    type: Number,
+    default: 0
+  },
+  method: {
+    type: String,
+    required: [true, 'Refund method is required'],
+    enum: {
+      values: PAYMENT_TYPES,
+      message: `Refund method must be one of: ${PAYMENT_TYPES.join(', ')}`
+    }
+  },
+  reference: {
+    card_last4: String,
+    card_auth_code: String,
+    bank_reference: String,
+    wallet_transaction_id: String,
+    gift_card_code: String
+  },
+  // Cash drawer session the money was paid out of (cash refunds only)
+  cash_session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashDrawerSession',
+    default: null
+  },
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required'],
+    trim: true
+  },
+  // Loyalty points taken back because of this refund
+  points_reversed: [{
+    _id: false,
+    appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client'
+    },
+    points: Number
+  }],
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ sequence: 1 }, { unique: true });
+creditNoteSchema.index({ payment_id: 1 });
+creditNoteSchema.index({ invoice_id: 1 });
+creditNoteSchema.index({ issuedAt: -1 });
+creditNoteSchema.index({ cash_session_id: 1 });
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Who bought or received a gift card (a known client, or just a name and contact)
+const giftCardPartySchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  }
+}, { _id: false });
+
+// A prepaid gift card / voucher sold at the front desk
+// The balance is spent with gift_card payments; every movement is in GiftCardTransaction
+const giftCardSchema = new mongoose.Schema({
+  // Printed on the card and given at the till, e.g. GC-7K2M-Q9XD
+  code: {
+    type: String,
+    required: [true, 'Gift card code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  initialValue: {
+    type: Number,
+    required: [true, 'Gift card value is required'],
+    min: [0.01, 'Gift card value must be greater than 0']
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: [0, 'Gift card balance cannot be negative']
+  },
+  // Expiry is derived from expiresAt; void cards can no longer be used at all
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'void'],
+      message: 'Gift card status must be active or void'
+    },
+    default: 'active'
+  },
+  // null = never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  purchaser: {
+    type: giftCardPartySchema,
+    default: () => ({})
+  },
+  recipient: {
+    type: giftCardPartySchema,
+    default: () => ({})
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters'],
+    default: null
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+giftCardSchema.index({ status: 1, expiresAt: 1 });
+giftCardSchema.index({ 'purchaser.clientId': 1 });
+giftCardSchema.index({ 'recipient.clientId': 1 });
+giftCardSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
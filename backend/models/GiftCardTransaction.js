@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { PAYMENT_TYPES, STORED_VALUE_TYPES } = require('../utils/paymentMethods');
+
+// One movement on a gift card's balance (its balance history)
+const giftCardTransactionSchema = new mongoose.Schema({
+  giftCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard',
+    required: [true, 'Gift card ID is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Transaction type is required'],
+    enum: {
+      values: ['issue', 'redeem', 'refund', 'void'],
+      message: 'Type must be issue, redeem, refund or void'
+    }
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+    // Positive when value is added to the card, negative when it is redeemed or voided
+  },
+  balance_after: {
+    type: Number,
+    required: true
+  },
+  // How the card was paid for (issue only)
+  method: {
+    type: String,
+    enum: {
+      values: [...PAYMENT_TYPES.filter(type => !STORED_VALUE_TYPES.includes(type)), null],
+      message: 'Invalid gift card sale method'
+    },
+    default: null
+  },
+  reference: {
+    card_last4: String,
+    card_auth_code: String,
+    bank_reference: String,
+    wallet_transaction_id: String
+  },
+  // Gift card payment that redeemed the value (or was deleted and gave it back)
+  payment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  // Refund that was put back on the card
+  credit_note_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditNote',
+    default: null
+  },
+  // Cash drawer session that took the money (cash sales only)
+  cash_session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashDrawerSession',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+giftCardTransactionSchema.index({ giftCardId: 1, createdAt: -1 });
+giftCardTransactionSchema.index({ payment_id: 1 });
+giftCardTransactionSchema.index({ cash_session_id: 1 });
+giftCardTransactionSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GiftCardTransaction', giftCardTransactionSchema);
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+// A bill line as printed (frozen when the invoice is issued)
+// Retail product lines carry the product, quantity and unit price instead of an appointment
+const invoiceLineSchema = new mongoose.Schema({
+  appointment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null
+  },
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  date: Date,
+  service: String,
+  staff: String,
+  quantity: Number,
+  unit_price: Number,
+  amount: Number,
+  discount: Number,
+  payable: Number
+}, { _id: false });
+
+// One payment on the invoice; combined/visit payments and POS sales list what they cover in `lines`
+const invoiceItemSchema = new mongoose.Schema({
+  payment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  title: {
+    type: String,
+    default: null
+  },
+  type: String,
+  date: Date,
+  service: String,
+  staff: String,
+  amount: Number,
+  discount: Number,
+  payable: Number,
+  taxable: Number,
+  tax: Number,
+  total: Number,
+  lines: {
+    type: [invoiceLineSchema],
+    default: []
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  // Printed number, e.g. INV-000042
+  number: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    unique: true,
+    trim: true
+  },
+  sequence: {
+    type: Number,
+    required: [true, 'Invoice sequence is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['issued', 'void'],
+      message: 'Invoice status must be issued or void'
+    },
+    default: 'issued'
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null
+  },
+  visit_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Visit',
+    default: null
+  },
+  payment_ids: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'Payment',
+    required: true
+  },
+  appointment_ids: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'Appointment',
+    default: []
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+  // Everything needed to print the invoice again exactly as issued
+  snapshot: {
+    business: {
+      name: String,
+      address: String,
+      phone: String,
+      email: String,
+      website: String,
+      tagline: String,
+      // File name in uploads/branding
+      logo: String
+    },
+    client: {
+      name: String,
+      phone: String,
+      email: String,
+      address: String,
+      membership: String
+    },
+    currency: {
+      type: String,
+      default: 'PKR'
+    },
+    items: {
+      type: [invoiceItemSchema],
+      default: []
+    },
+    totals: {
+      amount: Number,
+      discount: Number,
+      subtotal: Number,
+      tax: Number,
+      total: Number
+    },
+    taxLabel: String,
+    taxRates: [String],
+    paymentMethods: [String],
+    footerText: String,
+    termsText: String
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+  // Last generated PDF in uploads/
+  pdfFileName: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ sequence: 1 }, { unique: true });
+invoiceSchema.index({ payment_ids: 1 });
+invoiceSchema.index({ clientId: 1, issuedAt: -1 });
+invoiceSchema.index({ status: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
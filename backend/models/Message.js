@@ -76,7 +76,24 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message',
     default: null
-  }
+  },
+  // Emoji reactions, one entry per user and emoji
+  reactions: [{
+    _id: false,
+    emoji: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff',
+      required: true
+    },
+    reactedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -86,6 +103,8 @@ messageSchema.index({ chatId: 1, createdAt: -1 }); // Compound index for efficie
 messageSchema.index({ senderId: 1 });
 messageSchema.index({ createdAt: -1 });
 messageSchema.index({ chatId: 1 });
+messageSchema.index({ content: 'text', fileName: 'text' }); // Message search
+messageSchema.index({ replyTo: 1 }); // Threads
 
 // Method to check if message is read by user
 messageSchema.methods.isReadBy = function(userId) {
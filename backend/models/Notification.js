@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Notification outbox: every message to a client is written here first and
+// delivered by the reminder job through the adapter for its channel
+const notificationSchema = new mongoose.Schema({
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Client is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['reminder'],
+      message: 'Invalid notification type'
+    },
+    default: 'reminder'
+  },
+  // Reminder offset (hours before the appointment) this message was queued for
+  offsetHours: {
+    type: Number,
+    default: null
+  },
+  // Appointment start time the reminder was written for; a reminder for a time the
+  // appointment has since been moved from is cancelled at delivery
+  appointmentStartTime: {
+    type: Date,
+    default: null
+  },
+  channel: {
+    type: String,
+    required: [true, 'Channel is required'],
+    enum: {
+      values: ['sms', 'email', 'whatsapp'],
+      message: 'Channel must be one of: sms, email, whatsapp'
+    }
+  },
+  // Adapter that delivered (or last tried to deliver) the message
+  adapter: {
+    type: String,
+    default: null
+  },
+  recipient: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true
+  },
+  subject: {
+    type: String,
+    default: null
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+      message: 'Invalid notification status'
+    },
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: [0, 'Attempts cannot be negative']
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: [1, 'Max attempts must be at least 1']
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Id returned by the provider, if any
+  providerMessageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One reminder per appointment start time, offset and channel (a moved appointment gets new reminders)
+notificationSchema.index(
+  { appointmentId: 1, appointmentStartTime: 1, type: 1, offsetHours: 1, channel: 1 },
+  { unique: true, partialFilterExpression: { appointmentId: { $type: 'objectId' } } }
+);
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
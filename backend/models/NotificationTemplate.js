@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Editable message templates
+// Placeholders like {{clientName}} are filled in when a notification is queued
+const notificationTemplateSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Template type is required'],
+    enum: {
+      values: ['reminder'],
+      message: 'Invalid template type'
+    }
+  },
+  channel: {
+    type: String,
+    required: [true, 'Channel is required'],
+    enum: {
+      values: ['sms', 'email', 'whatsapp'],
+      message: 'Channel must be one of: sms, email, whatsapp'
+    }
+  },
+  // Only used by email
+  subject: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  body: {
+    type: String,
+    required: [true, 'Template body is required'],
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationTemplateSchema.index({ type: 1, channel: 1 }, { unique: true });
+
+module.exports = mongoose.model('NotificationTemplate', notificationTemplateSchema);
@@ -1,10 +1,55 @@
 const mongoose = require('mongoose');
+const BusinessSettings = require('./BusinessSettings');
+const { calculatePaymentTax } = require('../utils/tax');
+const { PAYMENT_TYPES } = require('../utils/paymentMethods');
+
+// A retail product sold on a payment (name, price and cost frozen at the sale)
+const productLineSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  name: String,
+  sku: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  unit_price: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit price cannot be negative']
+  },
+  cost_price: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
 
 const paymentSchema = new mongoose.Schema({
+  // Not needed for a products-only sale
   appointment_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Appointment',
-    required: [true, 'Appointment ID is required']
+    required: [function() { return !this.product_lines || this.product_lines.length === 0; }, 'Appointment ID is required'],
+    default: null
+  },
+  // Retail products on a POS sale (mixed with the appointments in parent_appointment_ids)
+  product_lines: {
+    type: [productLineSchema],
+    default: []
+  },
+  // Client of a products-only sale (null for walk-ins); other payments reach the client through their appointment
+  client_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    default: null
   },
   status: {
     type: String,
@@ -19,8 +64,38 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Payment type is required'],
     enum: {
-      values: ['cash', 'bank_transfer'],
-      message: 'Payment type must be cash or bank_transfer'
+      values: PAYMENT_TYPES,
+      message: `Payment type must be one of: ${PAYMENT_TYPES.join(', ')}`
+    }
+  },
+  // Transaction reference for the payment type (see utils/paymentMethods REFERENCE_FIELDS)
+  reference: {
+    card_last4: {
+      type: String,
+      trim: true,
+      match: [/^\d{4}$/, 'Card last 4 digits must be exactly 4 digits'],
+      default: undefined
+    },
+    card_auth_code: {
+      type: String,
+      trim: true,
+      default: undefined
+    },
+    bank_reference: {
+      type: String,
+      trim: true,
+      default: undefined
+    },
+    wallet_transaction_id: {
+      type: String,
+      trim: true,
+      default: undefined
+    },
+    gift_card_code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: undefined
     }
   },
   amount: {
@@ -43,11 +118,75 @@ const paymentSchema = new mongoose.Schema({
     trim: true,
     default: null
   },
+  // Cash drawer session the money went into (paid cash payments only)
+  cash_session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashDrawerSession',
+    default: null
+  },
+  // Sum of credit notes issued against this payment (same basis as total_amount)
+  refunded_amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
   parent_appointment_ids: {
     type: [mongoose.Schema.Types.ObjectId],
     ref: 'Appointment',
     default: []
-  }
+  },
+  // Set when the payment covers a whole multi-service visit (lines are in parent_appointment_ids)
+  visit_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Visit',
+    default: null
+  },
+  // Tax snapshot, taken from BusinessSettings when the amounts are set
+  // payable_amount is the amount before tax when exclusive and includes tax when inclusive;
+  // total_amount is what the client pays
+  tax_rate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative']
+  },
+  tax_inclusive: {
+    type: Boolean,
+    default: false
+  },
+  taxable_amount: {
+    type: Number,
+    default: null
+  },
+  tax_amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax amount cannot be negative']
+  },
+  total_amount: {
+    type: Number,
+    default: null
+  },
+  // Per bill line breakdown (one line per appointment and product covered by the payment)
+  tax_lines: [{
+    _id: false,
+    appointment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null
+    },
+    product_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      default: null
+    },
+    description: {
+      type: String,
+      default: null
+    },
+    net: Number,
+    tax: Number,
+    gross: Number
+  }]
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
 });
@@ -57,18 +196,63 @@ paymentSchema.index({ appointment_id: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ type: 1 });
 paymentSchema.index({ createdAt: 1 });
+paymentSchema.index({ visit_id: 1 });
+paymentSchema.index({ cash_session_id: 1 });
+paymentSchema.index({ client_id: 1 });
+paymentSchema.index({ 'product_lines.product_id': 1 });
+paymentSchema.index({ 'reference.card_auth_code': 1 }, { sparse: true });
+paymentSchema.index({ 'reference.bank_reference': 1 }, { sparse: true });
+paymentSchema.index({ 'reference.wallet_transaction_id': 1 }, { sparse: true });
+paymentSchema.index({ 'reference.gift_card_code': 1 }, { sparse: true });
 
-// Virtual to validate payable_amount = amount - discount
-paymentSchema.pre('save', function(next) {
+// payable_amount must equal amount - discount (rejected rather than silently rewritten)
+paymentSchema.pre('validate', function(next) {
   const calculatedPayable = this.amount - this.discount;
+  // Allow slight differences due to floating point
   if (Math.abs(this.payable_amount - calculatedPayable) > 0.01) {
-    // Allow slight differences due to floating point, but warn
-    console.warn('Payable amount does not match calculated amount. Setting to calculated value.');
-    this.payable_amount = calculatedPayable;
+    this.invalidate('payable_amount', `Payable amount (${this.payable_amount}) must equal amount minus discount (${calculatedPayable})`);
   }
   next();
 });
 
+// Compute tax per bill line whenever the amounts change (status-only updates keep the snapshot)
+paymentSchema.pre('save', async function(next) {
+  if (!this.isNew && !this.isModified('amount') && !this.isModified('discount') && !this.isModified('payable_amount')) {
+    return next();
+  }
+  try {
+    const settings = await BusinessSettings.getSettings();
+    const appointmentIds = this.parent_appointment_ids && this.parent_appointment_ids.length > 0
+      ? this.parent_appointment_ids
+      : [this.appointment_id].filter(Boolean);
+    const appointments = await mongoose.model('Appointment').find({ _id: { $in: appointmentIds } })
+      .select('totalPrice serviceVariationId')
+      .populate('serviceVariationId', 'variationName');
+
+    const lines = appointmentIds.map(appointmentId => {
+      const appointment = appointments.find(apt => apt._id.toString() === appointmentId.toString());
+      return {
+        appointment_id: appointmentId,
+        description: appointment && appointment.serviceVariationId ? appointment.serviceVariationId.variationName : null,
+        weight: appointment ? appointment.totalPrice : 0
+      };
+    });
+    (this.product_lines || []).forEach(line => {
+      lines.push({
+        appointment_id: null,
+        product_id: line.product_id,
+        description: `${line.quantity} x ${line.name}`,
+        weight: line.amount
+      });
+    });
+
+    Object.assign(this, calculatePaymentTax(this.payable_amount, lines, settings.taxRate, settings.taxInclusive));
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = mongoose.model('Payment', paymentSchema);
 
 
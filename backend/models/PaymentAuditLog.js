@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One change made to payments through the POS (append-only: entries are never edited or removed)
+const paymentAuditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+    enum: {
+      values: ['create', 'update', 'delete', 'split', 'combine', 'status_change'],
+      message: 'Audit action must be create, update, delete, split, combine or status_change'
+    }
+  },
+  // Every payment the change touched (originals and the payments created from them)
+  payment_ids: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'Payment',
+    default: []
+  },
+  // Payment snapshots before and after the change (empty when payments were created or removed)
+  before: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  after: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Set when a manager changed a paid (locked) payment
+  override: {
+    type: Boolean,
+    default: false
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+  performedByRole: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+paymentAuditLogSchema.index({ payment_ids: 1, createdAt: -1 });
+paymentAuditLogSchema.index({ performedBy: 1, createdAt: -1 });
+paymentAuditLogSchema.index({ action: 1, createdAt: -1 });
+paymentAuditLogSchema.index({ createdAt: -1 });
+
+// Entries are written once
+paymentAuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Payment audit log entries cannot be changed'));
+  }
+  next();
+});
+
+paymentAuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  function(next) {
+    next(new Error('Payment audit log entries cannot be changed or removed'));
+  }
+);
+
+module.exports = mongoose.model('PaymentAuditLog', paymentAuditLogSchema);
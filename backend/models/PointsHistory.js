@@ -14,14 +14,14 @@ const pointsHistorySchema = new mongoose.Schema({
   points: {
     type: Number,
     required: [true, 'Points amount is required'],
-    // Positive for earned, negative for redeemed
+    // Positive for earned, negative for redeemed or reversed
   },
   type: {
     type: String,
     required: [true, 'Transaction type is required'],
     enum: {
-      values: ['earned', 'redeemed'],
-      message: 'Type must be either "earned" or "redeemed"'
+      values: ['earned', 'redeemed', 'reversed'],
+      message: 'Type must be "earned", "redeemed" or "reversed"'
     }
   },
   description: {
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// A product the salon stocks: sold over the counter (shampoos, serums, nail kits...)
+// and/or used up on services at the back bar
+const productSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  // Scanned at the till (optional, unique when set)
+  barcode: {
+    type: String,
+    trim: true,
+    default: undefined
+  },
+  brand: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Unit stock and prices are counted in (back-bar products are often tracked in ml or g)
+  unit: {
+    type: String,
+    trim: true,
+    default: 'unit'
+  },
+  // Back-bar only products cannot be sold at the POS
+  isRetail: {
+    type: Boolean,
+    default: true
+  },
+  // Preferred supplier for re-orders
+  supplier_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    default: null
+  },
+  // What the salon pays per unit (moving average of what was received), and what the client pays
+  costPrice: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cost price cannot be negative']
+  },
+  salePrice: {
+    type: Number,
+    required: [true, 'Sale price is required'],
+    min: [0, 'Sale price cannot be negative']
+  },
+  // Units on hand (only changed through stock movements)
+  // Sales never take more than is on hand; back-bar usage can run below zero until a stock count fixes it
+  stockQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Managers are alerted when stock falls to this level (null = no alert)
+  reorderLevel: {
+    type: Number,
+    default: null,
+    min: [0, 'Reorder level cannot be negative']
+  },
+  // Suggested quantity for a new purchase order
+  reorderQuantity: {
+    type: Number,
+    default: null,
+    min: [0, 'Reorder quantity cannot be negative']
+  },
+  // Set when the low-stock alert went out; cleared once stock is back above the reorder level
+  lowStockAlertedAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+productSchema.index({ barcode: 1 }, { unique: true, sparse: true });
+productSchema.index({ name: 1 });
+productSchema.index({ isActive: 1, category: 1 });
+productSchema.index({ supplier_id: 1 });
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// A discount code applied when an appointment is booked
+const promotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promotion code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Promotion code cannot exceed 30 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  discountType: {
+    type: String,
+    required: [true, 'Discount type is required'],
+    enum: {
+      values: ['percentage', 'fixed'],
+      message: 'Discount type must be percentage or fixed'
+    }
+  },
+  // Percent (0-100) for percentage promotions, amount for fixed ones
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount value must be greater than 0']
+  },
+  // Cap on a percentage discount (null = no cap)
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Window in which the code can be used (null = open-ended)
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
+  // Total redemptions allowed (null = unlimited); usageCount counts redemptions still standing
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perClientLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Per-client limit must be at least 1']
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Empty lists mean no restriction
+  restrictions: {
+    baseServiceIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: 'BaseService',
+      default: []
+    },
+    categories: {
+      type: [String],
+      default: []
+    },
+    membershipTierIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: 'MembershipTier',
+      default: []
+    },
+    // Only clients who have never had an appointment
+    firstVisitOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Stacking rules:
+  // - with membership: applied on top of the tier discount; otherwise the larger of the two is used
+  // - with points: when false the code cannot be used on a booking that redeems points
+  stackWithMembership: {
+    type: Boolean,
+    default: false
+  },
+  stackWithPoints: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, validFrom: 1, validTo: 1 });
+
+// Percentage promotions cannot exceed 100% and the window must run forwards
+promotionSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100');
+  }
+  if (this.validFrom && this.validTo && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'Promotion end date must be after its start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// One use of a promotion code on a booking (reversed when the booking is cancelled or deleted)
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: [true, 'Promotion ID is required']
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Client ID is required']
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null
+  },
+  // Service price before any discount, and what the code took off it
+  price: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Membership discount dropped because the promotion does not stack and was larger
+  membershipDiscountReplaced: {
+    type: Number,
+    default: 0
+  },
+  firstVisit: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['applied', 'reversed'],
+      message: 'Redemption status must be applied or reversed'
+    },
+    default: 'applied'
+  },
+  reversedAt: {
+    type: Date,
+    default: null
+  },
+  redeemedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+promotionRedemptionSchema.index({ promotionId: 1, status: 1 });
+promotionRedemptionSchema.index({ promotionId: 1, clientId: 1, status: 1 });
+promotionRedemptionSchema.index({ appointmentId: 1 });
+promotionRedemptionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// One product ordered, with what has arrived so far
+const purchaseOrderLineSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // Snapshot of the product when it was ordered
+  name: {
+    type: String,
+    required: true
+  },
+  sku: {
+    type: String,
+    default: null
+  },
+  unit: {
+    type: String,
+    default: 'unit'
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0.001, 'Quantity must be greater than 0']
+  },
+  received_quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Received quantity cannot be negative']
+  },
+  unit_cost: {
+    type: Number,
+    required: [true, 'Unit cost is required'],
+    min: [0, 'Unit cost cannot be negative']
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// A stock order placed with a supplier
+// draft -> sent -> partially_received -> received; drafts and sent orders with nothing received can be cancelled
+const purchaseOrderSchema = new mongoose.Schema({
+  // Sequential order number, e.g. PO-000042
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['draft', 'sent', 'partially_received', 'received', 'cancelled'],
+      message: 'Status must be draft, sent, partially_received, received or cancelled'
+    },
+    default: 'draft'
+  },
+  lines: {
+    type: [purchaseOrderLineSchema],
+    default: []
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  expectedAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// An order must have something on it once it leaves draft
+purchaseOrderSchema.pre('validate', function(next) {
+  if (this.status !== 'draft' && this.status !== 'cancelled' && this.lines.length === 0) {
+    this.invalidate('lines', 'A purchase order needs at least one line');
+  }
+  this.lines.forEach((line, index) => {
+    if (line.received_quantity > line.quantity) {
+      this.invalidate(`lines.${index}.received_quantity`, `Received quantity of ${line.name} cannot exceed the ordered quantity`);
+    }
+  });
+  next();
+});
+
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier_id: 1, createdAt: -1 });
+purchaseOrderSchema.index({ 'lines.product_id': 1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -28,6 +28,20 @@ const serviceVariationSchema = new mongoose.Schema({
     ref: 'BaseService',
     required: [true, 'Base service is required']
   },
+  // Back-bar recipe: products used up by one service, in each product's unit (taken from stock on completion)
+  consumables: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Consumable product is required']
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Consumable quantity is required'],
+      min: [0.001, 'Consumable quantity must be greater than 0']
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
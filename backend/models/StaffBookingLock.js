@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Short-lived lock on a staff member's diary, held while an appointment is checked for
+// overlaps and saved so two bookings for the same staff member cannot both pass the check
+const staffBookingLockSchema = new mongoose.Schema({
+  // Staff id
+  _id: {
+    type: String,
+    required: true
+  },
+  // Identifies the holder so only it can release the lock
+  token: {
+    type: String,
+    default: null
+  },
+  // The lock is free again after this time even if the holder never released it
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('StaffBookingLock', staffBookingLockSchema);
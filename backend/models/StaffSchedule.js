@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A working block within a day ("HH:MM" in salon local time)
+const shiftFields = {
+  startTime: {
+    type: String,
+    required: [true, 'Shift start time is required'],
+    match: [TIME_OF_DAY, 'Shift start time must be in HH:MM format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'Shift end time is required'],
+    match: [TIME_OF_DAY, 'Shift end time must be in HH:MM format']
+  }
+};
+const shiftSchema = new mongoose.Schema(shiftFields, { _id: false });
+
+// Weekly pattern for a staff member plus one-off changes for specific dates
+// Staff without a schedule are treated as available during business hours
+const staffScheduleSchema = new mongoose.Schema({
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: [true, 'Staff is required'],
+    unique: true
+  },
+  // dayOfWeek follows Date.getDay(): 0 = Sunday ... 6 = Saturday
+  // Several entries on the same day make a split shift; a day without entries is a day off
+  weeklyShifts: [{
+    dayOfWeek: {
+      type: Number,
+      required: [true, 'Day of week is required'],
+      min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+      max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+    },
+    ...shiftFields
+  }],
+  // Date overrides replace the weekly pattern for that day (isOff = not working at all)
+  overrides: [{
+    date: {
+      type: Date,
+      required: [true, 'Override date is required']
+    },
+    isOff: {
+      type: Boolean,
+      default: false
+    },
+    shifts: {
+      type: [shiftSchema],
+      default: []
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Helper function to check a list of shifts for end-before-start blocks
+const findInvalidShift = (shifts) => shifts.find(shift => shift.startTime && shift.endTime && shift.endTime <= shift.startTime);
+
+staffScheduleSchema.pre('validate', function(next) {
+  if (findInvalidShift(this.weeklyShifts)) {
+    this.invalidate('weeklyShifts', 'Shift end time must be after start time');
+  }
+  this.overrides.forEach((override, index) => {
+    if (findInvalidShift(override.shifts)) {
+      this.invalidate(`overrides.${index}.shifts`, 'Shift end time must be after start time');
+    }
+    if (!override.isOff && override.shifts.length === 0) {
+      this.invalidate(`overrides.${index}.shifts`, 'An override must either be a day off or list its shifts');
+    }
+  });
+  next();
+});
+
+module.exports = mongoose.model('StaffSchedule', staffScheduleSchema);
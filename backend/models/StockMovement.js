@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One change to a product's stock (quantity is signed: sales and service usage are negative)
+const stockMovementSchema = new mongoose.Schema({
+  product_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Movement type is required'],
+    enum: {
+      values: ['sale', 'sale_return', 'service_usage', 'service_usage_return', 'purchase', 'adjustment'],
+      message: 'Movement type must be sale, sale_return, service_usage, service_usage_return, purchase or adjustment'
+    }
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required']
+  },
+  stock_after: {
+    type: Number,
+    required: true
+  },
+  // Cost of one unit when the stock moved
+  unit_cost: {
+    type: Number,
+    default: 0
+  },
+  payment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  // Appointment whose service used the stock
+  appointment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null
+  },
+  // Purchase order the stock was received on
+  purchase_order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+stockMovementSchema.index({ product_id: 1, createdAt: -1 });
+stockMovementSchema.index({ payment_id: 1 });
+stockMovementSchema.index({ appointment_id: 1 });
+stockMovementSchema.index({ purchase_order_id: 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A company the salon orders stock from
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true
+  },
+  contactName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Usual days from ordering to delivery (used to suggest an expected date)
+  leadTimeDays: {
+    type: Number,
+    default: null,
+    min: [0, 'Lead time cannot be negative']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ name: 1 });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A visit groups several service lines booked for one client in a single trip.
+// Each line is an Appointment (with its own therapist, service, price and start offset)
+// linked back here through Appointment.visitId.
+const visitSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Client is required']
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  reference: {
+    type: String,
+    required: [true, 'Reference is required'],
+    enum: {
+      values: ['google', 'walk-in', 'staff', 'online'],
+      message: 'Reference must be one of: google, walk-in, staff, online'
+    }
+  },
+  referenceStaffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Indexes for efficient queries
+visitSchema.index({ clientId: 1 });
+visitSchema.index({ startTime: 1 });
+
+// Validation: referenceStaffId is required if reference is 'staff'
+visitSchema.pre('validate', function(next) {
+  if (this.reference === 'staff' && !this.referenceStaffId) {
+    this.invalidate('referenceStaffId', 'Reference staff is required when reference is "staff"');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Visit', visitSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Client is required']
+  },
+  baseServiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BaseService',
+    required: [true, 'Base service is required']
+  },
+  serviceVariationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceVariation',
+    required: [true, 'Service variation is required']
+  },
+  // Null means any qualified therapist
+  preferredStaffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+  // Time window the client can come in
+  windowStart: {
+    type: Date,
+    required: [true, 'Window start is required']
+  },
+  windowEnd: {
+    type: Date,
+    required: [true, 'Window end is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['waiting', 'notified', 'booked', 'cancelled', 'expired'],
+      message: 'Invalid waitlist status'
+    },
+    default: 'waiting'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Last time a freed slot matching this entry was found
+  notifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Appointment created when the entry was converted into a booking
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Indexes for efficient queries
+waitlistEntrySchema.index({ status: 1, windowStart: 1, windowEnd: 1 });
+waitlistEntrySchema.index({ clientId: 1 });
+
+// Validation: window must end after it starts
+waitlistEntrySchema.pre('validate', function(next) {
+  if (this.windowStart && this.windowEnd && this.windowEnd <= this.windowStart) {
+    this.invalidate('windowEnd', 'Window end must be after window start');
+  }
+  next();
+});
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
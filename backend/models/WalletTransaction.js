@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { PAYMENT_TYPES, STORED_VALUE_TYPES } = require('../utils/paymentMethods');
+
+const WALLET_TRANSACTION_TYPES = ['top_up', 'deposit', 'spend', 'refund', 'adjustment'];
+
+// One movement on a client's prepaid wallet (the ledger behind Client.wallet_balance)
+const walletTransactionSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Client ID is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Transaction type is required'],
+    enum: {
+      values: WALLET_TRANSACTION_TYPES,
+      message: `Type must be one of: ${WALLET_TRANSACTION_TYPES.join(', ')}`
+    }
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+    // Positive when money goes into the wallet, negative when it is spent or taken off
+  },
+  // Wallet balance right after this movement
+  balance_after: {
+    type: Number,
+    required: true
+  },
+  // How the money came in (top-ups and deposits only)
+  method: {
+    type: String,
+    enum: {
+      values: [...PAYMENT_TYPES.filter(type => !STORED_VALUE_TYPES.includes(type)), null],
+      message: 'Invalid top-up method'
+    },
+    default: null
+  },
+  reference: {
+    card_last4: String,
+    card_auth_code: String,
+    bank_reference: String,
+    wallet_transaction_id: String
+  },
+  // Booking a deposit was taken for, or the appointment the wallet paid for
+  appointment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    default: null
+  },
+  // Wallet payment that spent the money (or was deleted and gave it back)
+  payment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  // Refund that was paid back into the wallet
+  credit_note_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditNote',
+    default: null
+  },
+  // Cash drawer session that took the money (cash top-ups and deposits only)
+  cash_session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashDrawerSession',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+walletTransactionSchema.index({ clientId: 1, createdAt: -1 });
+walletTransactionSchema.index({ payment_id: 1 });
+walletTransactionSchema.index({ cash_session_id: 1 });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
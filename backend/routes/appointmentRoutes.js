@@ -4,11 +4,13 @@ const {
   getAllAppointments,
   getAvailableSlots,
   getAppointmentById,
+  getSeriesById,
   createAppointment,
   updateAppointment,
   updateAppointmentStatus,
   deleteAppointment
 } = require('../controllers/appointmentController');
+const { getAppointmentNotifications } = require('../controllers/notificationController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 
 // All routes require authentication
@@ -24,6 +26,10 @@ router.route('/')
 router.route('/available-slots')
   .get(getAvailableSlots);
 
+// GET recurring series with its occurrences - All roles (filtered in controller)
+router.route('/series/:seriesId')
+  .get(getSeriesById);
+
 // GET by ID - All roles (filtered in controller)
 router.route('/:id')
   .get(getAppointmentById)
@@ -36,6 +42,10 @@ router.route('/:id')
 router.route('/:id/status')
   .patch(authorize('receptionist', 'manager'), updateAppointmentStatus);
 
+// GET reminders/notifications for an appointment - Only Receptionist and Manager
+router.route('/:id/notifications')
+  .get(authorize('receptionist', 'manager'), getAppointmentNotifications);
+
 module.exports = router;
 
 
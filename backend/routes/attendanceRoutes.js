@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const {
   importAttendance,
+  getAbsences,
   getAllAttendance,
   getAttendanceByStaff,
   getAttendanceSummary,
@@ -20,6 +21,7 @@ router.post('/import', uploadCSV, importAttendance);
 router.get('/', getAllAttendance);
 router.get('/staff/:staffId', getAttendanceByStaff);
 router.get('/summary', getAttendanceSummary);
+router.get('/absences', getAbsences);
 router.delete('/bulk', bulkDeleteAttendance);
 
 module.exports = router;
@@ -2,9 +2,12 @@ const express = require('express');
 const router = express.Router();
 const {
   getBusinessSettings,
-  updateBusinessSettings
+  updateBusinessSettings,
+  uploadBusinessLogo,
+  removeBusinessLogo
 } = require('../controllers/businessSettingsController');
 const { protect, authorize } = require('../middleware/authMiddleware');
+const { uploadLogo } = require('../middleware/uploadMiddleware');
 
 // All business settings routes are protected
 router.use(protect);
@@ -12,5 +15,7 @@ router.use(protect);
 // Business settings - Manager only
 router.get('/', authorize('manager'), getBusinessSettings);
 router.put('/', authorize('manager'), updateBusinessSettings);
+router.post('/logo', authorize('manager'), uploadLogo, uploadBusinessLogo);
+router.delete('/logo', authorize('manager'), removeBusinessLogo);
 
 module.exports = router;
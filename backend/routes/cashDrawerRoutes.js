@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  openSession,
+  getCurrentSession,
+  addPaidOut,
+  closeSession,
+  getSessions,
+  getSessionById,
+  downloadZReport
+} = require('../controllers/cashDrawerController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All cash drawer routes require authentication
+router.use(protect);
+
+// Cash drawer - Receptionist works their own drawer, Manager can see and close any
+router.get('/', authorize('receptionist', 'manager'), getSessions);
+router.post('/open', authorize('receptionist', 'manager'), openSession);
+router.get('/current', authorize('receptionist', 'manager'), getCurrentSession);
+router.get('/:id', authorize('receptionist', 'manager'), getSessionById);
+router.post('/:id/paid-outs', authorize('receptionist', 'manager'), addPaidOut);
+router.post('/:id/close', authorize('receptionist', 'manager'), closeSession);
+router.get('/:id/z-report', authorize('receptionist', 'manager'), downloadZReport);
+
+module.exports = router;
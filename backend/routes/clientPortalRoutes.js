@@ -6,11 +6,19 @@ const {
   getClientProfile,
   updateClientPassword
 } = require('../controllers/clientAuthController');
+const {
+  getBookableServices,
+  getBookingSlots,
+  createClientBooking,
+  rescheduleClientBooking,
+  cancelClientBooking
+} = require('../controllers/clientBookingController');
 const { clientAuth } = require('../middleware/clientAuth');
 const PointsHistory = require('../models/PointsHistory');
 const Appointment = require('../models/Appointment');
 const Payment = require('../models/Payment');
 const Client = require('../models/Client');
+const WalletTransaction = require('../models/WalletTransaction');
 
 // Public routes
 // Add a test route to verify routing works
@@ -35,6 +43,13 @@ router.post('/login', loginClient);
 router.get('/profile', clientAuth, getClientProfile);
 router.put('/password', clientAuth, updateClientPassword);
 
+// Self-service booking
+router.get('/services', clientAuth, getBookableServices);
+router.get('/slots', clientAuth, getBookingSlots);
+router.post('/appointments', clientAuth, createClientBooking);
+router.patch('/appointments/:id/reschedule', clientAuth, rescheduleClientBooking);
+router.patch('/appointments/:id/cancel', clientAuth, cancelClientBooking);
+
 // @desc    Get client points history
 // @route   GET /api/client-portal/points-history
 // @access  Private (client)
@@ -74,6 +89,51 @@ router.get('/points-history', clientAuth, async (req, res) => {
   }
 });
 
+// @desc    Get client wallet balance and history
+// @route   GET /api/client-portal/wallet
+// @access  Private (client)
+router.get('/wallet', clientAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const client = await Client.findById(req.client.id).select('wallet_balance').lean();
+
+    const transactions = await WalletTransaction.find({ clientId: req.client.id })
+      .select('type amount balance_after method appointment_id description createdAt')
+      .populate('appointment_id', 'startTime serviceVariationId')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNumber)
+      .lean();
+
+    const total = await WalletTransaction.countDocuments({ clientId: req.client.id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        wallet_balance: client ? client.wallet_balance || 0 : 0,
+        transactions
+      },
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        total,
+        pages: Math.ceil(total / limitNumber)
+      }
+    });
+  } catch (error) {
+    console.error('getClientWallet - Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching wallet',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Get client appointments
 // @route   GET /api/client-portal/appointments
 // @access  Private (client)
@@ -10,6 +10,12 @@ const {
   getClientPointsHistory,
   getClientByRFID
 } = require('../controllers/clientController');
+const {
+  getClientWallet,
+  topUpWallet,
+  recordDeposit,
+  adjustWallet
+} = require('../controllers/walletController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 
 // All routes require authentication
@@ -35,5 +41,18 @@ router.route('/:id/reset-sessions')
 router.route('/:id/points-history')
   .get(authorize('receptionist', 'manager'), getClientPointsHistory);
 
+// Prepaid wallet - only Manager can correct the balance by hand
+router.route('/:id/wallet')
+  .get(authorize('receptionist', 'manager'), getClientWallet);
+
+router.route('/:id/wallet/top-ups')
+  .post(authorize('receptionist', 'manager'), topUpWallet);
+
+router.route('/:id/wallet/deposits')
+  .post(authorize('receptionist', 'manager'), recordDeposit);
+
+router.route('/:id/wallet/adjustments')
+  .post(authorize('manager'), adjustWallet);
+
 module.exports = router;
 
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCreditNotes,
+  getCreditNoteById
+} = require('../controllers/refundController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All credit note routes require authentication
+router.use(protect);
+
+// Credit notes are issued through POST /api/payments/:id/refunds - Receptionist and Manager can view
+router.get('/', authorize('receptionist', 'manager'), getCreditNotes);
+router.get('/:id', authorize('receptionist', 'manager'), getCreditNoteById);
+
+module.exports = router;
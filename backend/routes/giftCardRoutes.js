@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  issueGiftCard,
+  getGiftCards,
+  getGiftCardByCode,
+  getGiftCardById,
+  voidGiftCard
+} = require('../controllers/giftCardController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All gift card routes require authentication
+router.use(protect);
+
+// Gift cards - Receptionist and Manager can sell and look up, only Manager can void
+router.get('/', authorize('receptionist', 'manager'), getGiftCards);
+router.post('/', authorize('receptionist', 'manager'), issueGiftCard);
+router.get('/code/:code', authorize('receptionist', 'manager'), getGiftCardByCode);
+router.get('/:id', authorize('receptionist', 'manager'), getGiftCardById);
+router.patch('/:id/void', authorize('manager'), voidGiftCard);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getInvoices,
+  getInvoiceById,
+  downloadInvoicePdf,
+  voidInvoice
+} = require('../controllers/invoiceController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All invoice routes require authentication
+router.use(protect);
+
+// Invoices - Receptionist and Manager can view and reprint, only Manager can void
+router.get('/', authorize('receptionist', 'manager'), getInvoices);
+router.get('/:id', authorize('receptionist', 'manager'), getInvoiceById);
+router.get('/:id/pdf', authorize('receptionist', 'manager'), downloadInvoicePdf);
+router.patch('/:id/void', authorize('manager'), voidInvoice);
+
+module.exports = router;
@@ -11,7 +11,15 @@ const {
   deleteMessage,
   markMessageAsRead,
   markChatAsRead,
-  getUnreadCount
+  getUnreadCount,
+  searchMessages,
+  exportChatHistory,
+  addReaction,
+  removeReaction,
+  pinMessage,
+  unpinMessage,
+  getPinnedMessages,
+  getMessageThread
 } = require('../controllers/messageController');
 
 // All routes are protected
@@ -23,11 +31,19 @@ router.post('/chats/:chatId/messages', sendMessage);
 router.post('/chats/:chatId/messages/upload', uploadSingle, uploadFile);
 router.post('/chats/:chatId/mark-read', markChatAsRead);
 router.get('/chats/:chatId/unread-count', getUnreadCount);
+router.get('/chats/:chatId/export', exportChatHistory);
+router.get('/chats/:chatId/pins', getPinnedMessages);
 
+router.get('/messages/search', searchMessages);
 router.get('/messages/:id', getMessageById);
 router.put('/messages/:id', editMessage);
 router.delete('/messages/:id', deleteMessage);
 router.post('/messages/:id/read', markMessageAsRead);
+router.get('/messages/:id/thread', getMessageThread);
+router.post('/messages/:id/reactions', addReaction);
+router.delete('/messages/:id/reactions/:emoji', removeReaction);
+router.post('/messages/:id/pin', pinMessage);
+router.delete('/messages/:id/pin', unpinMessage);
 
 module.exports = router;
 
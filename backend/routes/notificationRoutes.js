@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  retryNotification,
+  runReminders,
+  getTemplates,
+  updateTemplate
+} = require('../controllers/notificationController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// GET outbox - Receptionist and Manager
+router.route('/')
+  .get(authorize('receptionist', 'manager'), getNotifications);
+
+// POST - Run the reminder job now - Only Manager
+router.route('/run')
+  .post(authorize('manager'), runReminders);
+
+// Templates - Receptionist and Manager can view, only Manager can edit
+router.route('/templates')
+  .get(authorize('receptionist', 'manager'), getTemplates);
+
+router.route('/templates/:type/:channel')
+  .put(authorize('manager'), updateTemplate);
+
+// POST - Retry a failed notification - Receptionist and Manager
+router.route('/:id/retry')
+  .post(authorize('receptionist', 'manager'), retryNotification);
+
+module.exports = router;
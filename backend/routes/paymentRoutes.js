@@ -11,8 +11,12 @@ const {
   generateBill,
   downloadBill,
   updatePaymentStatus,
-  getPaymentsByClient
+  getPaymentsByClient,
+  getPaymentMethods,
+  getPaymentReconciliation,
+  getPaymentAuditLog
 } = require('../controllers/paymentController');
+const { createRefund, getPaymentRefunds } = require('../controllers/refundController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 
 // All payment routes require authentication
@@ -20,11 +24,17 @@ router.use(protect);
 
 // POS/Payment routes - Only Receptionist and Manager can access
 router.get('/', authorize('receptionist', 'manager'), getAllPayments);
+router.get('/methods', authorize('receptionist', 'manager'), getPaymentMethods);
+router.get('/reconciliation', authorize('receptionist', 'manager'), getPaymentReconciliation);
+router.get('/audit', authorize('manager'), getPaymentAuditLog);
 router.get('/client/:clientId', authorize('receptionist', 'manager'), getPaymentsByClient);
 router.get('/:id', authorize('receptionist', 'manager'), getPaymentById);
 router.post('/', authorize('receptionist', 'manager'), createPayment);
+// Paid payments are locked: changing, splitting, combining or deleting them needs a manager override with a reason
 router.put('/:id', authorize('receptionist', 'manager'), updatePayment);
-router.delete('/:id', authorize('receptionist', 'manager'), deletePayment); // Manager and Receptionist can delete
+router.delete('/:id', authorize('receptionist', 'manager'), deletePayment); // Manager and Receptionist can delete pending payments
+router.get('/:id/refunds', authorize('receptionist', 'manager'), getPaymentRefunds);
+router.post('/:id/refunds', authorize('receptionist', 'manager'), createRefund);
 router.post('/:id/split', authorize('receptionist', 'manager'), splitPayment);
 router.post('/combine', authorize('receptionist', 'manager'), combinePayments);
 router.post('/generate-bill', authorize('receptionist', 'manager'), generateBill);
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProducts,
+  getProductByBarcode,
+  getProductById,
+  createProduct,
+  updateProduct,
+  adjustStock,
+  getProductSales,
+  getLowStockProducts,
+  getStockValuation,
+  getStockMovements
+} = require('../controllers/productController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All product routes require authentication
+router.use(protect);
+
+// Products - Receptionist and Manager can look up and sell, only Manager can manage the catalog and stock
+router.get('/', authorize('receptionist', 'manager'), getProducts);
+router.post('/', authorize('manager'), createProduct);
+router.get('/sales', authorize('manager'), getProductSales);
+router.get('/low-stock', authorize('manager'), getLowStockProducts);
+router.get('/valuation', authorize('manager'), getStockValuation);
+router.get('/movements', authorize('manager'), getStockMovements);
+router.get('/barcode/:barcode', authorize('receptionist', 'manager'), getProductByBarcode);
+router.get('/:id', authorize('receptionist', 'manager'), getProductById);
+router.put('/:id', authorize('manager'), updateProduct);
+router.post('/:id/adjust-stock', authorize('manager'), adjustStock);
+router.get('/:id/movements', authorize('manager'), getStockMovements);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion,
+  validatePromotion
+} = require('../controllers/promotionController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All promotion routes require authentication
+router.use(protect);
+
+// Promotions - Receptionist and Manager can look up and check codes, only Manager can manage them
+router.get('/', authorize('receptionist', 'manager'), getPromotions);
+router.post('/', authorize('manager'), createPromotion);
+router.post('/validate', authorize('receptionist', 'manager'), validatePromotion);
+router.get('/:id', authorize('receptionist', 'manager'), getPromotionById);
+router.put('/:id', authorize('manager'), updatePromotion);
+router.patch('/:id/deactivate', authorize('manager'), deactivatePromotion);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  createReorderPurchaseOrders,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder
+} = require('../controllers/purchaseOrderController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All purchase order routes are protected and manager-only
+router.use(protect);
+router.use(authorize('manager'));
+
+router.get('/', getPurchaseOrders);
+router.post('/', createPurchaseOrder);
+router.post('/reorder', createReorderPurchaseOrders);
+router.get('/:id', getPurchaseOrderById);
+router.put('/:id', updatePurchaseOrder);
+router.post('/:id/send', sendPurchaseOrder);
+router.post('/:id/receive', receivePurchaseOrder);
+router.post('/:id/cancel', cancelPurchaseOrder);
+
+module.exports = router;
@@ -5,6 +5,11 @@ const {
   getPopularServices,
   getStaffPerformance,
   getSummary,
+  getNoShowReport,
+  getTaxSummary,
+  getGiftCardReport,
+  getPromotionReport,
+  getCostOfServiceReport,
   exportReports
 } = require('../controllers/reportsController');
 const { protect, authorize } = require('../middleware/authMiddleware');
@@ -17,6 +22,11 @@ router.get('/revenue-expenses', getRevenueExpenses);
 router.get('/popular-services', getPopularServices);
 router.get('/staff-performance', getStaffPerformance);
 router.get('/summary', getSummary);
+router.get('/no-shows', getNoShowReport);
+router.get('/tax-summary', getTaxSummary);
+router.get('/gift-cards', getGiftCardReport);
+router.get('/promotions', getPromotionReport);
+router.get('/cost-of-service', getCostOfServiceReport);
 router.get('/export', exportReports);
 
 module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRoster,
+  getStaffSchedule,
+  updateStaffSchedule,
+  setScheduleOverride,
+  deleteScheduleOverride
+} = require('../controllers/staffScheduleController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// GET roster - All roles (therapist sees only self, filtered in controller)
+router.get('/roster', getRoster);
+
+// Weekly schedule - All roles can view (filtered in controller), only Manager can change
+router.route('/:staffId')
+  .get(getStaffSchedule)
+  .put(authorize('manager'), updateStaffSchedule);
+
+// Date overrides - Only Manager
+router.put('/:staffId/overrides', authorize('manager'), setScheduleOverride);
+router.delete('/:staffId/overrides/:date', authorize('manager'), deleteScheduleOverride);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplier
+} = require('../controllers/supplierController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All supplier routes are protected and manager-only
+router.use(protect);
+router.use(authorize('manager'));
+
+router.get('/', getSuppliers);
+router.post('/', createSupplier);
+router.get('/:id', getSupplierById);
+router.put('/:id', updateSupplier);
+
+module.exports = router;
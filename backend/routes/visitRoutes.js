@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllVisits,
+  getVisitById,
+  createVisit,
+  cancelVisit
+} = require('../controllers/visitController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Visit routes - Only Receptionist and Manager can access (visits carry client data and pricing)
+router.route('/')
+  .get(authorize('receptionist', 'manager'), getAllVisits)
+  .post(authorize('receptionist', 'manager'), createVisit);
+
+router.route('/:id')
+  .get(authorize('receptionist', 'manager'), getVisitById);
+
+router.route('/:id/cancel')
+  .patch(authorize('receptionist', 'manager'), cancelVisit);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWaitlist,
+  getWaitlistEntryById,
+  createWaitlistEntry,
+  updateWaitlistEntry,
+  deleteWaitlistEntry,
+  prepareWaitlistBooking
+} = require('../controllers/waitlistController');
+const { createAppointment } = require('../controllers/appointmentController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// All routes require authentication
+router.use(protect);
+
+// Waitlist routes - Only Receptionist and Manager can access
+router.route('/')
+  .get(authorize('receptionist', 'manager'), getWaitlist)
+  .post(authorize('receptionist', 'manager'), createWaitlistEntry);
+
+router.route('/:id')
+  .get(authorize('receptionist', 'manager'), getWaitlistEntryById)
+  .put(authorize('receptionist', 'manager'), updateWaitlistEntry)
+  .delete(authorize('manager'), deleteWaitlistEntry); // Only Manager can delete
+
+// POST - Convert a waitlist entry into an appointment in one call
+router.route('/:id/book')
+  .post(authorize('receptionist', 'manager'), prepareWaitlistBooking, createAppointment);
+
+module.exports = router;
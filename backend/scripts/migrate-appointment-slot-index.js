@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Appointment = require('../models/Appointment');
+require('dotenv').config();
+
+// Migration function
+// The unique { startTime, staffId } index also covered cancelled appointments, which blocked
+// re-booking their start time. Sync the indexes to replace it with the unique index defined in
+// the schema, which leaves cancelled appointments out. Stops before touching the indexes if two
+// active appointments already share a staff member and start time; resolve those first.
+const migrateAppointmentSlotIndex = async () => {
+  try {
+    console.log('Starting appointment slot index migration...');
+
+    const clashes = await Appointment.aggregate([
+      { $match: { status: { $in: ['scheduled', 'confirmed', 'in-progress', 'completed', 'no-show'] } } },
+      { $group: { _id: { startTime: '$startTime', staffId: '$staffId' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+    if (clashes.length > 0) {
+      clashes.forEach(clash => {
+        console.log(`Staff ${clash._id.staffId} at ${clash._id.startTime.toISOString()}: ${clash.ids.join(', ')}`);
+      });
+      throw new Error(`${clashes.length} staff member/start time pair(s) are double booked; cancel or move them and run again`);
+    }
+
+    const droppedIndexes = await Appointment.syncIndexes();
+
+    console.log(`Dropped indexes: ${droppedIndexes.length > 0 ? droppedIndexes.join(', ') : 'none'}`);
+  } catch (error) {
+    console.error('Migration error:', error);
+    throw error;
+  }
+};
+
+// Run migration
+const runMigration = async () => {
+  try {
+    await connectDB();
+    await migrateAppointmentSlotIndex();
+    console.log('Migration script completed successfully');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration script failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  runMigration();
+}
+
+module.exports = { migrateAppointmentSlotIndex };
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Appointment = require('../models/Appointment');
+const Notification = require('../models/Notification');
+require('dotenv').config();
+
+// Migration function
+// Reminders are now unique per appointment start time as well, so a rescheduled appointment
+// is reminded again. Existing reminders are stamped with their appointment's current start
+// time (so they are not sent a second time) and the indexes are synced to replace the old
+// unique index.
+const migrateNotificationReminderIndex = async () => {
+  try {
+    console.log('Starting notification reminder index migration...');
+
+    const reminders = await Notification.find({
+      type: 'reminder',
+      appointmentId: { $ne: null },
+      appointmentStartTime: null
+    }).select('appointmentId');
+
+    console.log(`Found ${reminders.length} reminders to update`);
+
+    const appointmentIds = [...new Set(reminders.map(reminder => reminder.appointmentId.toString()))];
+    const appointments = await Appointment.find({ _id: { $in: appointmentIds } }).select('startTime');
+
+    let updatedCount = 0;
+    for (const appointment of appointments) {
+      const result = await Notification.updateMany(
+        { type: 'reminder', appointmentId: appointment._id, appointmentStartTime: null },
+        { appointmentStartTime: appointment.startTime }
+      );
+      updatedCount += result.modifiedCount;
+    }
+
+    const droppedIndexes = await Notification.syncIndexes();
+
+    console.log(`Updated reminders: ${updatedCount}`);
+    console.log(`Dropped indexes: ${droppedIndexes.length > 0 ? droppedIndexes.join(', ') : 'none'}`);
+  } catch (error) {
+    console.error('Migration error:', error);
+    throw error;
+  }
+};
+
+// Run migration
+const runMigration = async () => {
+  try {
+    await connectDB();
+    await migrateNotificationReminderIndex();
+    console.log('Migration script completed successfully');
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration script failed:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  runMigration();
+}
+
+module.exports = { migrateNotificationReminderIndex };
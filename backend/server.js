@@ -9,6 +9,8 @@ const staffRoutes = require('./routes/staffRoutes');
 const baseServiceRoutes = require('./routes/baseServiceRoutes');
 const serviceVariationRoutes = require('./routes/serviceVariationRoutes');
 const appointmentRoutes = require('./routes/appointmentRoutes');
+const visitRoutes = require('./routes/visitRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
 const membershipTierRoutes = require('./routes/membershipTierRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const authRoutes = require('./routes/authRoutes');
@@ -23,6 +25,17 @@ const dashboardRoutes = require('./routes/dashboardRoutes');
 const businessSettingsRoutes = require('./routes/businessSettingsRoutes');
 const clientPortalRoutes = require('./routes/clientPortalRoutes');
 const reportsRoutes = require('./routes/reportsRoutes')
+const notificationRoutes = require('./routes/notificationRoutes');
+const staffScheduleRoutes = require('./routes/staffScheduleRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const creditNoteRoutes = require('./routes/creditNoteRoutes');
+const cashDrawerRoutes = require('./routes/cashDrawerRoutes');
+const giftCardRoutes = require('./routes/giftCardRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
+const productRoutes = require('./routes/productRoutes');
+const supplierRoutes = require('./routes/supplierRoutes');
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes');
+const { startReminderJob } = require('./utils/reminders');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require("path");
@@ -63,11 +76,22 @@ app.use('/api/client-portal', clientPortalRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/clients', clientRoutes);
 app.use('/api/staff', staffRoutes);
+app.use('/api/staff-schedules', staffScheduleRoutes);
 app.use('/api/base-services', baseServiceRoutes);
 app.use('/api/service-variations', serviceVariationRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/visits', visitRoutes);
+app.use('/api/waitlist', waitlistRoutes);
 app.use('/api/membership-tiers', membershipTierRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/cash-drawer', cashDrawerRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
 app.use('/api/chats', chatRoutes);
 // Mount messageRoutes - these routes handle /api/chats/:chatId/messages and /api/messages/:id
 app.use('/api', messageRoutes);
@@ -79,6 +103,7 @@ app.use('/api/company-closures', companyClosureRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/business-settings', businessSettingsRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Serve static files from dist folder (for production build)
 app.use(express.static(path.join(__dirname, "dist")));
@@ -112,7 +137,15 @@ const io = new Server(server, {
 // Socket.io authentication and event handlers
 require('./socket/socketServer')(io);
 
+// Make io available to controllers via req.app.get('io')
+app.set('io', io);
+
 server.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
   console.log(`Socket.io server is running on http://localhost:${PORT}`);
+
+  // Appointment reminders (set REMINDER_JOB_ENABLED=false to run them elsewhere)
+  if (process.env.REMINDER_JOB_ENABLED !== 'false') {
+    startReminderJob();
+  }
 });
\ No newline at end of file
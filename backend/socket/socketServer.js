@@ -1,7 +1,17 @@
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const Staff = require('../models/Staff');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
+const {
+  setReaction,
+  setPinned,
+  unpinDeletedMessage,
+  getThread,
+  emitReactionChange,
+  emitPinChange,
+  emitThreadReply
+} = require('../utils/chatMessages');
 
 // Store online users (in-memory, can be moved to Redis for scalability)
 const onlineUsers = new Map(); // Map<staffId, socketId>
@@ -58,6 +68,9 @@ module.exports = (io) => {
     // Join personal room
     socket.join(`staff:${staffId}`);
 
+    // Join role room (used for front-desk notifications such as waitlist matches)
+    socket.join(`role:${staff.role}`);
+
     // Get all chats for this staff member
     const chats = await Chat.find({
       'members.userId': staffId,
@@ -167,6 +180,14 @@ module.exports = (io) => {
           return socket.emit('error', { message: 'You are not a member of this chat' });
         }
 
+        // A reply must point at a message in the same chat (threads are built from these links)
+        if (replyTo) {
+          const replyMessage = mongoose.Types.ObjectId.isValid(replyTo) ? await Message.findById(replyTo) : null;
+          if (!replyMessage || replyMessage.chatId.toString() !== chatId.toString()) {
+            return socket.emit('error', { message: 'Reply message not found or not in this chat' });
+          }
+        }
+
         // Create message
         const messageData = {
           chatId: chatId,
@@ -202,6 +223,9 @@ module.exports = (io) => {
           message: populatedMessage,
           chatId: chatId
         });
+
+        // Let thread views update
+        await emitThreadReply(io, populatedMessage);
       } catch (error) {
         console.error('Send message error:', error);
         socket.emit('error', { message: 'Error sending message' });
@@ -285,6 +309,7 @@ module.exports = (io) => {
         message.isDeleted = true;
         message.deletedAt = new Date();
         await message.save();
+        await unpinDeletedMessage(message);
 
         // Emit to all members of the chat
         io.to(`chat:${message.chatId}`).emit('message_deleted', {
@@ -297,6 +322,85 @@ module.exports = (io) => {
       }
     });
 
+    // Handle add reaction
+    socket.on('add_reaction', async (data) => {
+      try {
+        const { messageId, emoji } = data || {};
+        const result = await setReaction(messageId, staffId, emoji, true);
+        if (result.status) {
+          return socket.emit('error', { message: result.message });
+        }
+        emitReactionChange(io, result, staffId, true);
+      } catch (error) {
+        console.error('Add reaction error:', error);
+        socket.emit('error', { message: 'Error adding reaction' });
+      }
+    });
+
+    // Handle remove reaction
+    socket.on('remove_reaction', async (data) => {
+      try {
+        const { messageId, emoji } = data || {};
+        const result = await setReaction(messageId, staffId, emoji, false);
+        if (result.status) {
+          return socket.emit('error', { message: result.message });
+        }
+        emitReactionChange(io, result, staffId, false);
+      } catch (error) {
+        console.error('Remove reaction error:', error);
+        socket.emit('error', { message: 'Error removing reaction' });
+      }
+    });
+
+    // Handle pin message
+    socket.on('pin_message', async (data) => {
+      try {
+        const { messageId } = data || {};
+        const result = await setPinned(messageId, staffId, true);
+        if (result.status) {
+          return socket.emit('error', { message: result.message });
+        }
+        emitPinChange(io, result, staffId, true);
+      } catch (error) {
+        console.error('Pin message error:', error);
+        socket.emit('error', { message: 'Error pinning message' });
+      }
+    });
+
+    // Handle unpin message
+    socket.on('unpin_message', async (data) => {
+      try {
+        const { messageId } = data || {};
+        const result = await setPinned(messageId, staffId, false);
+        if (result.status) {
+          return socket.emit('error', { message: result.message });
+        }
+        emitPinChange(io, result, staffId, false);
+      } catch (error) {
+        console.error('Unpin message error:', error);
+        socket.emit('error', { message: 'Error unpinning message' });
+      }
+    });
+
+    // Handle get thread (sent back to the requester only)
+    socket.on('get_thread', async (data) => {
+      try {
+        const { messageId } = data || {};
+        const result = await getThread(messageId, staffId);
+        if (result.status) {
+          return socket.emit('error', { message: result.message });
+        }
+        socket.emit('thread', {
+          chatId: result.chat._id,
+          message: result.root,
+          replies: result.replies
+        });
+      } catch (error) {
+        console.error('Get thread error:', error);
+        socket.emit('error', { message: 'Error fetching thread' });
+      }
+    });
+
     // Handle typing start
     socket.on('typing_start', async (data) => {
       try {
@@ -0,0 +1,369 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const StaffBookingLock = require('../models/StaffBookingLock');
+const Staff = require('../models/Staff');
+const Leave = require('../models/Leave');
+const CompanyClosure = require('../models/CompanyClosure');
+const BusinessSettings = require('../models/BusinessSettings');
+const { getShiftsForStaff, isWithinShift } = require('./staffSchedule');
+
+// Longest duration a service variation can have (see ServiceVariation.timeDuration max)
+const MAX_SERVICE_DURATION_MINUTES = 480;
+
+const MINUTE_MS = 60 * 1000;
+
+// How long a staff booking lock is held at most, and how long a booking waits for one
+const BOOKING_LOCK_TTL_MS = 30 * 1000;
+const BOOKING_LOCK_WAIT_MS = 10 * 1000;
+const BOOKING_LOCK_RETRY_MS = 50;
+const BOOKING_LOCK_BUSY_MESSAGE = 'Another booking for this staff member is being saved. Please try again';
+
+// Helper function to get the end time of an appointment from its (populated) service variation
+const getAppointmentEndTime = (appointment) => {
+  const duration = appointment.serviceVariationId && appointment.serviceVariationId.timeDuration
+    ? appointment.serviceVariationId.timeDuration
+    : 0;
+  return new Date(new Date(appointment.startTime).getTime() + duration * MINUTE_MS);
+};
+
+// Longest recurring series that can be booked in one request
+const MAX_SERIES_OCCURRENCES = 52;
+
+// Helper function to find an appointment that overlaps the requested interval for a staff member
+// excludeAppointmentId may be a single ID or an array (e.g. the other occurrences of a series being moved)
+// Returns the conflicting appointment, or null if the time slot is free
+const findConflictingAppointment = async (startTime, durationMinutes, staffId, excludeAppointmentId = null) => {
+  const start = new Date(startTime);
+  const end = new Date(start.getTime() + durationMinutes * MINUTE_MS);
+
+  // Only appointments starting within the longest possible duration before us can still be running
+  const earliestStart = new Date(start.getTime() - MAX_SERVICE_DURATION_MINUTES * MINUTE_MS);
+
+  const query = {
+    staffId: staffId,
+    status: { $ne: 'cancelled' },
+    startTime: { $gt: earliestStart, $lt: end }
+  };
+
+  if (Array.isArray(excludeAppointmentId)) {
+    query._id = { $nin: excludeAppointmentId };
+  } else if (excludeAppointmentId) {
+    query._id = { $ne: excludeAppointmentId };
+  }
+
+  const candidates = await Appointment.find(query)
+    .populate('clientId', 'name')
+    .populate('serviceVariationId', 'variationName timeDuration')
+    .populate('staffId', 'name')
+    .sort({ startTime: 1 });
+
+  const conflict = candidates.find(apt => {
+    const aptStart = new Date(apt.startTime);
+    return aptStart < end && getAppointmentEndTime(apt) > start;
+  });
+
+  return conflict || null;
+};
+
+// Release a lock taken with acquireStaffBookingLock (a lock that already expired is left alone)
+const releaseStaffBookingLock = async (lock) => {
+  if (!lock || lock.staffIds.length === 0) {
+    return;
+  }
+  await StaffBookingLock.updateMany(
+    { _id: { $in: lock.staffIds }, token: lock.token },
+    { token: null, lockedUntil: null }
+  );
+};
+
+// Lock the diaries of the given staff members so the overlap check and the save that follows
+// run for one booking at a time per staff member (findConflictingAppointment alone cannot stop
+// two requests from both seeing a free slot)
+// Staff are locked in id order so two bookings for the same people cannot wait on each other
+// Returns the lock (release it with releaseStaffBookingLock) or null when the diaries stayed busy
+const acquireStaffBookingLock = async (staffIds) => {
+  const ids = [...new Set(staffIds.filter(Boolean).map(id => id.toString()))].sort();
+  const lock = { token: new mongoose.Types.ObjectId().toString(), staffIds: [] };
+  const giveUpAt = Date.now() + BOOKING_LOCK_WAIT_MS;
+
+  for (const staffId of ids) {
+    for (;;) {
+      const now = new Date();
+      try {
+        // Matches only a free (or expired) lock; when it is held the upsert hits the _id and fails
+        await StaffBookingLock.updateOne(
+          { _id: staffId, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+          { token: lock.token, lockedUntil: new Date(now.getTime() + BOOKING_LOCK_TTL_MS) },
+          { upsert: true }
+        );
+        lock.staffIds.push(staffId);
+        break;
+      } catch (error) {
+        if (error.code !== 11000 || Date.now() >= giveUpAt) {
+          await releaseStaffBookingLock(lock);
+          if (error.code !== 11000) throw error;
+          return null;
+        }
+        await new Promise(resolve => setTimeout(resolve, BOOKING_LOCK_RETRY_MS));
+      }
+    }
+  }
+
+  return lock;
+};
+
+// Helper function to expand a weekly recurrence rule into occurrence start times
+// Stops at `until` (inclusive, whole day) or after `occurrences`, capped at MAX_SERIES_OCCURRENCES
+// Returns { dates, truncated } (truncated = the cap cut off occurrences `until` would have allowed)
+const buildRecurrenceDates = (startTime, intervalWeeks, { until = null, occurrences = null }) => {
+  const dates = [];
+  let untilEnd = null;
+  if (until) {
+    untilEnd = new Date(until);
+    untilEnd.setHours(23, 59, 59, 999);
+  }
+
+  const limit = occurrences ? Math.min(occurrences, MAX_SERIES_OCCURRENCES) : MAX_SERIES_OCCURRENCES;
+
+  for (let i = 0; dates.length < limit; i++) {
+    const occurrence = new Date(startTime);
+    occurrence.setDate(occurrence.getDate() + i * intervalWeeks * 7);
+    if (untilEnd && occurrence > untilEnd) {
+      break;
+    }
+    dates.push(occurrence);
+  }
+
+  let truncated = false;
+  if (untilEnd && dates.length === MAX_SERIES_OCCURRENCES && (!occurrences || occurrences > MAX_SERIES_OCCURRENCES)) {
+    const next = new Date(startTime);
+    next.setDate(next.getDate() + dates.length * intervalWeeks * 7);
+    truncated = next <= untilEnd;
+  }
+
+  return { dates, truncated };
+};
+
+// Helper function to look up company closures for a list of dates
+// Returns a Map keyed by the day's timestamp (start of day)
+const findClosuresForDates = async (dates) => {
+  const days = dates.map(date => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+  });
+
+  const closures = await CompanyClosure.find({ date: { $in: days } });
+  return new Map(closures.map(closure => [new Date(closure.date).getTime(), closure]));
+};
+
+// Helper function to get the closure (if any) matching a date from findClosuresForDates
+const getClosureForDate = (closuresByDay, date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return closuresByDay.get(day.getTime()) || null;
+};
+
+// Helper function to convert "HH:mm" into minutes since midnight
+const parseTimeOfDay = (time) => {
+  const [hours, minutes] = String(time || '').split(':').map(Number);
+  if (isNaN(hours) || isNaN(minutes)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+// Helper function to check whether a date falls on a working day
+// workingDays is a count of days starting from Monday (6 = Monday to Saturday, 7 = every day)
+const isWorkingDay = (date, workingDays) => {
+  const mondayBasedDay = (new Date(date).getDay() + 6) % 7;
+  return mondayBasedDay < workingDays;
+};
+
+// Helper function to get IDs of staff on approved leave for a given day
+const getStaffOnLeave = async (date, staffIds = null) => {
+  const startOfDay = new Date(date);
+  startOfDay.setHours(0, 0, 0, 0);
+  const endOfDay = new Date(date);
+  endOfDay.setHours(23, 59, 59, 999);
+
+  const query = {
+    status: 'approved',
+    startDate: { $lte: endOfDay },
+    endDate: { $gte: startOfDay }
+  };
+
+  if (staffIds) {
+    query.staffId = { $in: staffIds };
+  }
+
+  const leaves = await Leave.find(query).select('staffId');
+  return new Set(leaves.map(leave => leave.staffId.toString()));
+};
+
+// Helper function to format a slot time for display (e.g. "9 AM", "9:30 AM")
+const formatSlotTime = (slot) => {
+  const hour = slot.getHours();
+  const minutes = slot.getMinutes();
+  const period = hour >= 12 ? 'PM' : 'AM';
+  const displayHour = hour > 12 ? hour - 12 : (hour === 0 ? 12 : hour);
+  return minutes === 0
+    ? `${displayHour} ${period}`
+    : `${displayHour}:${String(minutes).padStart(2, '0')} ${period}`;
+};
+
+// Generate available slots for a date
+// - Slots run from BusinessSettings.openTime to closeTime every `interval` minutes
+//   (BusinessSettings.slotInterval by default) and must fit the service duration before closing
+// - Closure days and non-working days have no slots
+// - Staff with a schedule (StaffSchedule) are only offered inside their shifts for the day
+// - With a staffId, only that staff member's bookings are considered
+// - Without a staffId, each slot lists the qualified therapists (by specialization) who are free
+// - Only slots starting after `notBefore` (now by default) are offered
+const generateAvailableSlots = async ({ date, staffId = null, serviceVariation = null, interval = null, excludeAppointmentId = null, notBefore = null }) => {
+  const earliestStart = notBefore ? new Date(notBefore) : new Date();
+  const settings = await BusinessSettings.getSettings();
+
+  const startOfDay = new Date(date);
+  startOfDay.setHours(0, 0, 0, 0);
+  const endOfDay = new Date(date);
+  endOfDay.setHours(23, 59, 59, 999);
+
+  const slotInterval = Number(interval) || settings.slotInterval || 60;
+  const duration = serviceVariation ? serviceVariation.timeDuration : slotInterval;
+
+  const result = {
+    date: startOfDay,
+    openTime: settings.openTime,
+    closeTime: settings.closeTime,
+    interval: slotInterval,
+    duration,
+    closed: false,
+    reason: null,
+    slots: []
+  };
+
+  const closure = await CompanyClosure.findOne({ date: startOfDay });
+  if (closure) {
+    result.closed = true;
+    result.reason = closure.reason || (closure.isHoliday ? 'Holiday' : 'Company closure');
+    return result;
+  }
+
+  if (!isWorkingDay(startOfDay, settings.workingDays)) {
+    result.closed = true;
+    result.reason = 'Non-working day';
+    return result;
+  }
+
+  const openMinutes = parseTimeOfDay(settings.openTime);
+  const closeMinutes = parseTimeOfDay(settings.closeTime);
+  if (openMinutes === null || closeMinutes === null || closeMinutes <= openMinutes) {
+    throw new Error('Business hours are not configured correctly');
+  }
+
+  // Resolve the staff members whose availability we are checking
+  let staffMembers;
+  if (staffId) {
+    const staff = await Staff.findById(staffId).select('name specialization status');
+    staffMembers = staff && staff.status === 'Active' ? [staff] : [];
+  } else {
+    const staffQuery = { role: 'therapist', status: 'Active' };
+    if (serviceVariation && serviceVariation.baseService && serviceVariation.baseService.category) {
+      staffQuery.specialization = serviceVariation.baseService.category;
+    }
+    staffMembers = await Staff.find(staffQuery).select('name specialization').sort({ name: 1 });
+  }
+
+  const staffOnLeave = await getStaffOnLeave(startOfDay, staffMembers.map(staff => staff._id));
+  staffMembers = staffMembers.filter(staff => !staffOnLeave.has(staff._id.toString()));
+
+  const shiftsByStaff = await getShiftsForStaff(staffMembers.map(staff => staff._id), startOfDay);
+  staffMembers = staffMembers.filter(staff => !shiftsByStaff.get(staff._id.toString()).isOff);
+
+  if (staffMembers.length === 0) {
+    return result;
+  }
+
+  // Busy intervals per staff member (include appointments that started before the day and run into it)
+  const bookedQuery = {
+    staffId: { $in: staffMembers.map(staff => staff._id) },
+    status: { $ne: 'cancelled' },
+    startTime: {
+      $gt: new Date(startOfDay.getTime() - MAX_SERVICE_DURATION_MINUTES * MINUTE_MS),
+      $lte: endOfDay
+    }
+  };
+  // When rescheduling, the appointment being moved must not block its own slots
+  if (excludeAppointmentId) {
+    bookedQuery._id = { $ne: excludeAppointmentId };
+  }
+  const bookedAppointments = await Appointment.find(bookedQuery)
+    .select('startTime staffId serviceVariationId')
+    .populate('serviceVariationId', 'timeDuration');
+
+  const busyByStaff = new Map();
+  bookedAppointments.forEach(apt => {
+    const key = apt.staffId.toString();
+    if (!busyByStaff.has(key)) {
+      busyByStaff.set(key, []);
+    }
+    busyByStaff.get(key).push({ start: new Date(apt.startTime), end: getAppointmentEndTime(apt) });
+  });
+
+  const isStaffFree = (staff, slotStart, slotEnd) => {
+    if (!isWithinShift(shiftsByStaff.get(staff._id.toString()), slotStart, slotEnd)) {
+      return false;
+    }
+    const busy = busyByStaff.get(staff._id.toString()) || [];
+    return !busy.some(interval => interval.start < slotEnd && interval.end > slotStart);
+  };
+
+  for (let minutes = openMinutes; minutes + duration <= closeMinutes; minutes += slotInterval) {
+    const slotStart = new Date(startOfDay.getTime() + minutes * MINUTE_MS);
+    const slotEnd = new Date(slotStart.getTime() + duration * MINUTE_MS);
+    if (slotStart <= earliestStart) {
+      continue;
+    }
+
+    const freeStaff = staffMembers.filter(staff => isStaffFree(staff, slotStart, slotEnd));
+    if (freeStaff.length === 0) {
+      continue;
+    }
+
+    const slot = {
+      time: slotStart.toISOString(),
+      endTime: slotEnd.toISOString(),
+      formatted: formatSlotTime(slotStart)
+    };
+
+    if (!staffId) {
+      slot.availableStaff = freeStaff.map(staff => ({
+        _id: staff._id,
+        name: staff.name,
+        specialization: staff.specialization
+      }));
+    }
+
+    result.slots.push(slot);
+  }
+
+  return result;
+};
+
+module.exports = {
+  MAX_SERVICE_DURATION_MINUTES,
+  MAX_SERIES_OCCURRENCES,
+  BOOKING_LOCK_BUSY_MESSAGE,
+  getAppointmentEndTime,
+  findConflictingAppointment,
+  acquireStaffBookingLock,
+  releaseStaffBookingLock,
+  buildRecurrenceDates,
+  findClosuresForDates,
+  getClosureForDate,
+  parseTimeOfDay,
+  isWorkingDay,
+  getStaffOnLeave,
+  generateAvailableSlots
+};
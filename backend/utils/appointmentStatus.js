@@ -0,0 +1,44 @@
+// Allowed appointment status transitions
+// - completed -> in-progress and no-show -> scheduled/confirmed exist to correct mistakes
+// - cancelled is final: rebook instead of reinstating, so the slot is checked again
+const STATUS_TRANSITIONS = {
+  'scheduled': ['confirmed', 'in-progress', 'cancelled', 'no-show'],
+  'confirmed': ['scheduled', 'in-progress', 'cancelled', 'no-show'],
+  'in-progress': ['confirmed', 'completed'],
+  'completed': ['in-progress'],
+  'cancelled': [],
+  'no-show': ['scheduled', 'confirmed']
+};
+
+const APPOINTMENT_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Check whether an appointment may move from one status to another
+const canTransition = (from, to) => {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Build the error message for a rejected transition
+const describeInvalidTransition = (from, to) => {
+  const allowed = STATUS_TRANSITIONS[from] || [];
+  return allowed.length > 0
+    ? `Cannot change status from ${from} to ${to}. Allowed: ${allowed.join(', ')}`
+    : `Cannot change status of a ${from} appointment`;
+};
+
+// Build a status history entry
+// changedBy is the staff member making the change (null for system/client changes)
+const buildStatusHistoryEntry = (from, to, changedBy = null, reason = null) => ({
+  from: from || null,
+  to,
+  changedBy: changedBy ? changedBy._id || changedBy : null,
+  changedAt: new Date(),
+  reason: reason ? String(reason).trim() : null
+});
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  APPOINTMENT_STATUSES,
+  canTransition,
+  describeInvalidTransition,
+  buildStatusHistoryEntry
+};
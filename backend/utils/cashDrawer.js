@@ -0,0 +1,106 @@
+const CashDrawerSession = require('../models/CashDrawerSession');
+const Payment = require('../models/Payment');
+const CreditNote = require('../models/CreditNote');
+const WalletTransaction = require('../models/WalletTransaction');
+const GiftCardTransaction = require('../models/GiftCardTransaction');
+const { roundMoney } = require('./tax');
+
+// Open drawer session of a staff member (null when their till is not open)
+const getOpenSession = (staffId) => {
+  if (!staffId) return null;
+  return CashDrawerSession.findOne({ staffId, status: 'open' });
+};
+
+// Point a payment (document or create() data) at the drawer that took the cash
+// Only paid cash payments belong to a drawer; the staff member recording the payment must have one open
+const assignCashSession = async (payment, staff) => {
+  if (payment.type !== 'cash' || payment.status !== 'paid') {
+    payment.cash_session_id = null;
+    return;
+  }
+  if (payment.cash_session_id) return;
+
+  const session = await getOpenSession(staff ? staff._id : null);
+  payment.cash_session_id = session ? session._id : null;
+};
+
+// Cash movements of a session and the amount that should be in the drawer
+const getSessionTotals = async (session) => {
+  const [sales] = await Payment.aggregate([
+    { $match: { cash_session_id: session._id, type: 'cash', status: 'paid' } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        total: { $sum: { $ifNull: ['$total_amount', '$payable_amount'] } }
+      }
+    }
+  ]);
+  const [refunds] = await CreditNote.aggregate([
+    { $match: { cash_session_id: session._id } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        total: { $sum: '$amount' }
+      }
+    }
+  ]);
+
+  // Cash paid into client wallets (top-ups and deposits) and for gift cards is in the drawer too
+  const sessionCashGroup = [
+    { $match: { cash_session_id: session._id } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        total: { $sum: '$amount' }
+      }
+    }
+  ];
+  const [walletTopUps] = await WalletTransaction.aggregate(sessionCashGroup);
+  const [giftCardSales] = await GiftCardTransaction.aggregate(sessionCashGroup);
+
+  const cashSales = roundMoney(sales ? sales.total : 0);
+  const walletCash = roundMoney(walletTopUps ? walletTopUps.total : 0);
+  const giftCardCash = roundMoney(giftCardSales ? giftCardSales.total : 0);
+  const cashRefunds = roundMoney(refunds ? refunds.total : 0);
+  const paidOuts = roundMoney((session.paidOuts || []).reduce((sum, paidOut) => sum + paidOut.amount, 0));
+
+  return {
+    openingFloat: session.openingFloat,
+    cashSalesCount: sales ? sales.count : 0,
+    cashSales,
+    walletTopUpsCount: walletTopUps ? walletTopUps.count : 0,
+    walletTopUps: walletCash,
+    giftCardSalesCount: giftCardSales ? giftCardSales.count : 0,
+    giftCardSales: giftCardCash,
+    cashRefundsCount: refunds ? refunds.count : 0,
+    cashRefunds,
+    paidOuts,
+    expectedAmount: roundMoney(session.openingFloat + cashSales + walletCash + giftCardCash - cashRefunds - paidOuts)
+  };
+};
+
+// Paid payments of every type taken while the session was open (for the Z report tender breakdown)
+const getPaymentsByTypeDuring = async (from, to) => {
+  const rows = await Payment.aggregate([
+    { $match: { status: 'paid', createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: '$type',
+        count: { $sum: 1 },
+        total: { $sum: { $ifNull: ['$total_amount', '$payable_amount'] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+  return rows.map(row => ({ type: row._id, count: row.count, total: roundMoney(row.total) }));
+};
+
+module.exports = {
+  getOpenSession,
+  assignCashSession,
+  getSessionTotals,
+  getPaymentsByTypeDuring
+};
@@ -0,0 +1,124 @@
+const PDFDocument = require('pdfkit');
+
+const CHAT_EXPORT_FORMATS = ['pdf', 'csv'];
+
+// Helper function to format a date and time for the export
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+// Helper function to get a message's sender name (senderId populated)
+const getSenderName = (message) => (message.senderId && message.senderId.name ? message.senderId.name : 'Unknown');
+
+// Helper function to describe the message a reply points at (replyTo populated with its sender)
+const describeReply = (message) => {
+  if (!message.replyTo) return '';
+  const reply = message.replyTo;
+  const text = reply.isDeleted ? 'deleted message' : String(reply.content || '').slice(0, 80);
+  return `${getSenderName(reply)}: ${text}`;
+};
+
+// Helper function to get a chat's display name (one-to-one chats are named after their members)
+const getChatTitle = (chat) => {
+  if (chat.name) return chat.name;
+  const names = (chat.members || [])
+    .map(member => (member.userId && member.userId.name ? member.userId.name : null))
+    .filter(Boolean);
+  return names.length > 0 ? names.join(' & ') : 'Chat';
+};
+
+// Helper function to quote one CSV cell (content can hold commas, quotes and line breaks)
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Chat history as CSV, one row per message, oldest first
+const buildChatHistoryCsv = ({ messages }) => {
+  const rows = [['Sent At', 'Sender', 'Type', 'Message', 'File Name', 'File URL', 'Reply To', 'Edited At']];
+  messages.forEach(message => {
+    rows.push([
+      new Date(message.createdAt).toISOString(),
+      getSenderName(message),
+      message.messageType,
+      message.content,
+      message.fileName,
+      message.fileUrl,
+      describeReply(message),
+      message.isEdited && message.editedAt ? new Date(message.editedAt).toISOString() : ''
+    ]);
+  });
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+// Chat history as PDF: a header describing the export, then the messages oldest first
+// Streamed straight into `stream` (chat history is never written to the public uploads folder)
+// Resolves once the document has been written
+const renderChatHistoryPdf = ({ chat, messages, exportedBy, startDate, endDate }, stream) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ margin: 50, bufferPages: true });
+  const left = 50;
+  const width = 500;
+
+  stream.on('finish', resolve);
+  stream.on('error', reject);
+  doc.pipe(stream);
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(18).text(getChatTitle(chat), left, 50, { width });
+  doc.font('Helvetica').fontSize(10);
+  if (chat.description) doc.text(chat.description, { width });
+  doc.moveDown(0.5);
+  const members = (chat.members || [])
+    .map(member => (member.userId && member.userId.name ? member.userId.name : null))
+    .filter(Boolean);
+  doc.text(`Members: ${members.join(', ') || '-'}`, { width });
+  doc.text(`Period: ${startDate ? formatDateTime(startDate) : 'Start of chat'} - ${endDate ? formatDateTime(endDate) : 'Now'}`, { width });
+  doc.text(`Exported by ${exportedBy || 'N/A'} on ${formatDateTime(new Date())} (${messages.length} messages)`, { width });
+  doc.moveDown(0.4);
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+  doc.moveDown(0.6);
+
+  if (messages.length === 0) {
+    doc.text('No messages', left, doc.y, { width });
+  }
+
+  // Messages
+  for (const message of messages) {
+    const edited = message.isEdited ? ' (edited)' : '';
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('#444444')
+      .text(`${getSenderName(message)}  ${formatDateTime(message.createdAt)}${edited}`, left, doc.y, { width });
+    doc.fillColor('black');
+
+    const reply = describeReply(message);
+    if (reply) {
+      doc.font('Helvetica-Oblique').fontSize(8).fillColor('#666666').text(`Reply to ${reply}`, left + 10, doc.y, { width: width - 10 });
+      doc.fillColor('black');
+    }
+
+    if (message.messageType === 'image' || message.messageType === 'file') {
+      doc.font('Helvetica').fontSize(10).text(`[${message.messageType === 'image' ? 'Image' : 'File'}] ${message.fileName || message.content}`, left, doc.y, { width });
+    } else if (message.messageType === 'system') {
+      doc.font('Helvetica-Oblique').fontSize(10).text(message.content, left, doc.y, { width });
+    } else {
+      doc.font('Helvetica').fontSize(10).text(message.content, left, doc.y, { width });
+    }
+    doc.moveDown(0.6);
+  }
+
+  // Page numbers
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Write the footer inside the bottom margin without starting a new page
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#666666')
+      .text(`Page ${i + 1} of ${range.count}`, left, doc.page.height - 40, { width, align: 'center', lineBreak: false });
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  CHAT_EXPORT_FORMATS,
+  buildChatHistoryCsv,
+  renderChatHistoryPdf
+};
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Chat = require('../models/Chat');
+
+// Most pins a chat can hold at once
+const MAX_PINNED_MESSAGES = 50;
+
+// Deepest reply chain followed when collecting a thread
+const MAX_THREAD_DEPTH = 50;
+
+// Emoji only: pictographs (with skin tones, variation selectors and subdivision flag tags),
+// flags (a pair of regional indicators) and keycaps, optionally joined into ZWJ sequences
+// Plain digits, # and * are not emoji on their own
+const EMOJI_UNIT = '(?:\\p{Extended_Pictographic}[\\u{1F3FB}-\\u{1F3FF}\\ufe0f\\u{E0020}-\\u{E007F}]*|\\p{Regional_Indicator}{2}|[0-9#*]\\ufe0f?\\u20e3)';
+const EMOJI_PATTERN = new RegExp(`^${EMOJI_UNIT}(?:\\u200d?${EMOJI_UNIT})*$`, 'u');
+
+// Populate a message query the way chat messages are sent to clients
+const populateMessage = (query) => {
+  return query
+    .populate('senderId', 'name phone email role')
+    .populate('replyTo')
+    .populate('reactions.userId', 'name');
+};
+
+// Load a message and its chat for a member of that chat
+// Shared by the REST routes and socket events so both apply the same Chat.isMember check
+// Returns { chat, chatMessage } or { status, message }
+const findMessageForMember = async (messageId, staffId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return { status: 400, message: 'Invalid message ID' };
+  }
+
+  const chatMessage = await Message.findById(messageId);
+  if (!chatMessage || chatMessage.isDeleted) {
+    return { status: 404, message: 'Message not found' };
+  }
+
+  const chat = await Chat.findById(chatMessage.chatId);
+  if (!chat || !chat.isMember(staffId)) {
+    return { status: 403, message: 'You are not a member of this chat' };
+  }
+
+  return { chat, chatMessage };
+};
+
+// Check a reaction is an emoji
+// Returns an error message or null
+const getReactionError = (emoji) => {
+  if (typeof emoji !== 'string' || !emoji.trim()) {
+    return 'Emoji is required';
+  }
+  if (emoji.length > 32 || !EMOJI_PATTERN.test(emoji.trim())) {
+    return 'Reaction must be an emoji';
+  }
+  return null;
+};
+
+// Add (added = true) or remove a user's emoji reaction on a message
+// Adding the same reaction twice, or removing one that is not there, changes nothing
+// Returns { chat, chatMessage, emoji, changed } or { status, message }
+const setReaction = async (messageId, staffId, emoji, added) => {
+  const reactionError = getReactionError(emoji);
+  if (reactionError) {
+    return { status: 400, message: reactionError };
+  }
+
+  const found = await findMessageForMember(messageId, staffId);
+  if (found.status) return found;
+
+  const reaction = emoji.trim();
+  const result = added
+    ? await Message.updateOne(
+      { _id: found.chatMessage._id, reactions: { $not: { $elemMatch: { userId: staffId, emoji: reaction } } } },
+      { $push: { reactions: { emoji: reaction, userId: staffId, reactedAt: new Date() } } }
+    )
+    : await Message.updateOne(
+      { _id: found.chatMessage._id },
+      { $pull: { reactions: { userId: staffId, emoji: reaction } } }
+    );
+
+  const chatMessage = await populateMessage(Message.findById(found.chatMessage._id));
+  return { chat: found.chat, chatMessage, emoji: reaction, changed: result.modifiedCount > 0 };
+};
+
+// Pin (pinned = true) or unpin a message in its chat; any member can do either
+// Returns { chat, chatMessage, pin, changed } or { status, message }
+const setPinned = async (messageId, staffId, pinned) => {
+  const found = await findMessageForMember(messageId, staffId);
+  if (found.status) return found;
+
+  const { chatMessage } = found;
+  let result;
+  if (pinned) {
+    if ((found.chat.pinnedMessages || []).length >= MAX_PINNED_MESSAGES &&
+        !found.chat.pinnedMessages.some(pin => pin.messageId.toString() === chatMessage._id.toString())) {
+      return { status: 400, message: `A chat can have at most ${MAX_PINNED_MESSAGES} pinned messages. Unpin one first` };
+    }
+    result = await Chat.updateOne(
+      { _id: found.chat._id, 'pinnedMessages.messageId': { $ne: chatMessage._id } },
+      { $push: { pinnedMessages: { messageId: chatMessage._id, pinnedBy: staffId, pinnedAt: new Date() } } }
+    );
+  } else {
+    result = await Chat.updateOne(
+      { _id: found.chat._id },
+      { $pull: { pinnedMessages: { messageId: chatMessage._id } } }
+    );
+  }
+
+  const chat = await Chat.findById(found.chat._id).select('pinnedMessages');
+  const pin = (chat.pinnedMessages || []).find(p => p.messageId.toString() === chatMessage._id.toString()) || null;
+  return {
+    chat,
+    chatMessage: await populateMessage(Message.findById(chatMessage._id)),
+    pin,
+    changed: result.modifiedCount > 0
+  };
+};
+
+// Drop a deleted message from its chat's pins
+const unpinDeletedMessage = (chatMessage) => {
+  return Chat.updateOne(
+    { _id: chatMessage.chatId },
+    { $pull: { pinnedMessages: { messageId: chatMessage._id } } }
+  );
+};
+
+// Find the message a reply chain starts from
+const getThreadRootId = async (chatMessage) => {
+  let current = chatMessage;
+  for (let depth = 0; current.replyTo && depth < MAX_THREAD_DEPTH; depth++) {
+    const parent = await Message.findById(current.replyTo).select('_id replyTo chatId');
+    if (!parent || parent.chatId.toString() !== chatMessage.chatId.toString()) break;
+    current = parent;
+  }
+  return current._id;
+};
+
+// A message with every reply under it (replies to replies included), oldest first
+// Deleted replies are left out but the replies to them are kept
+// Returns { chat, root, replies } or { status, message }
+const getThread = async (messageId, staffId) => {
+  const found = await findMessageForMember(messageId, staffId);
+  if (found.status) return found;
+
+  const replyIds = [];
+  const seen = new Set([found.chatMessage._id.toString()]);
+  let frontier = [found.chatMessage._id];
+  for (let depth = 0; frontier.length > 0 && depth < MAX_THREAD_DEPTH; depth++) {
+    const children = await Message.find({ chatId: found.chat._id, replyTo: { $in: frontier } }).select('_id');
+    frontier = children.map(child => child._id).filter(id => !seen.has(id.toString()));
+    frontier.forEach(id => {
+      seen.add(id.toString());
+      replyIds.push(id);
+    });
+  }
+
+  const root = await populateMessage(Message.findById(found.chatMessage._id));
+  const replies = await populateMessage(Message.find({ _id: { $in: replyIds }, isDeleted: false }))
+    .sort({ createdAt: 1 });
+
+  return { chat: found.chat, root, replies };
+};
+
+// Tell the chat room about a reaction change (REST and socket send the same events)
+const emitReactionChange = (io, result, staffId, added) => {
+  if (!io || !result.changed) return;
+  io.to(`chat:${result.chat._id}`).emit(added ? 'reaction_added' : 'reaction_removed', {
+    chatId: result.chat._id,
+    messageId: result.chatMessage._id,
+    emoji: result.emoji,
+    userId: staffId,
+    reactions: result.chatMessage.reactions
+  });
+};
+
+// Tell the chat room about a pin change (REST and socket send the same events)
+const emitPinChange = (io, result, staffId, pinned) => {
+  if (!io || !result.changed) return;
+  io.to(`chat:${result.chat._id}`).emit(pinned ? 'message_pinned' : 'message_unpinned', {
+    chatId: result.chat._id,
+    messageId: result.chatMessage._id,
+    message: pinned ? result.chatMessage : undefined,
+    pinnedBy: pinned && result.pin ? result.pin.pinnedBy : undefined,
+    pinnedAt: pinned && result.pin ? result.pin.pinnedAt : undefined,
+    userId: staffId
+  });
+};
+
+// Tell the chat room a reply was added to a thread
+const emitThreadReply = async (io, chatMessage) => {
+  if (!io || !chatMessage.replyTo) return;
+  const replyToId = chatMessage.replyTo._id || chatMessage.replyTo;
+  const threadRootId = await getThreadRootId({ _id: chatMessage._id, chatId: chatMessage.chatId, replyTo: replyToId });
+  io.to(`chat:${chatMessage.chatId}`).emit('thread_reply', {
+    chatId: chatMessage.chatId,
+    threadRootId,
+    replyToId,
+    message: chatMessage
+  });
+};
+
+module.exports = {
+  populateMessage,
+  findMessageForMember,
+  setReaction,
+  setPinned,
+  unpinDeletedMessage,
+  getThreadRootId,
+  getThread,
+  emitReactionChange,
+  emitPinChange,
+  emitThreadReply
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const GiftCard = require('../models/GiftCard');
+const GiftCardTransaction = require('../models/GiftCardTransaction');
+const { roundMoney } = require('./tax');
+
+// Payment type that redeems a gift card
+const GIFT_CARD_PAYMENT_TYPE = 'gift_card';
+
+// Letters and digits that cannot be misread on a printed card (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Codes are matched without surrounding spaces and case
+const normalizeGiftCardCode = (code) => (code ? String(code).trim().toUpperCase() : '');
+
+// Random code in the form GC-XXXX-XXXX
+const generateGiftCardCode = () => {
+  const bytes = crypto.randomBytes(8);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `GC-${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+// Current state of a card: void, expired, redeemed (nothing left) or active
+const getGiftCardState = (card, now = new Date()) => {
+  if (card.status === 'void') return 'void';
+  if (card.expiresAt && card.expiresAt <= now) return 'expired';
+  if (card.balance <= 0) return 'redeemed';
+  return 'active';
+};
+
+// Query filter for cards in a state (the same rules as getGiftCardState)
+const giftCardStateFilter = (state, now = new Date()) => {
+  const notExpired = { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+  switch (state) {
+    case 'void':
+      return { status: 'void' };
+    case 'expired':
+      return { status: 'active', expiresAt: { $ne: null, $lte: now } };
+    case 'redeemed':
+      return { status: 'active', balance: { $lte: 0 }, ...notExpired };
+    case 'active':
+      return { status: 'active', balance: { $gt: 0 }, ...notExpired };
+    default:
+      return null;
+  }
+};
+
+// Move value on or off a card and write the history entry
+// `guard` is extra filter on the card (used to refuse redemptions it cannot cover)
+const moveGiftCardBalance = async (giftCardId, amount, entry, guard = {}) => {
+  const card = await GiftCard.findOneAndUpdate(
+    { _id: giftCardId, ...guard },
+    [{ $set: { balance: { $round: [{ $add: ['$balance', amount] }, 2] } } }],
+    { new: true }
+  );
+  if (!card) return null;
+
+  const transaction = await GiftCardTransaction.create({
+    ...entry,
+    giftCardId,
+    amount,
+    balance_after: card.balance
+  });
+  return { card, transaction };
+};
+
+// Put value back on an active card (null if the card is void or gone)
+const creditGiftCard = (giftCardId, amount, entry) =>
+  moveGiftCardBalance(giftCardId, roundMoney(amount), entry, { status: 'active' });
+
+// Take value off a usable card (null, with nothing taken, when it is void, expired or short)
+const debitGiftCard = (giftCardId, amount, entry) => {
+  const value = roundMoney(amount);
+  return moveGiftCardBalance(giftCardId, -value, entry, {
+    status: 'active',
+    balance: { $gte: value },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+// Why a card cannot be used right now (null when it can)
+const getGiftCardUseError = (card) => {
+  if (!card) return 'Gift card not found';
+  const state = getGiftCardState(card);
+  if (state === 'void') return `Gift card ${card.code} has been voided`;
+  if (state === 'expired') return `Gift card ${card.code} expired on ${card.expiresAt.toDateString()}`;
+  return null;
+};
+
+// Redeem a saved gift card payment from the card (after saving, so the total with tax is known)
+// Partial redemption: the payment may be any amount up to the card balance; the rest of the bill is paid another way
+// Returns an error message when the card cannot pay, or null once the value has been taken
+const chargeGiftCardPayment = async (payment, staff) => {
+  if (payment.type !== GIFT_CARD_PAYMENT_TYPE) return null;
+
+  const code = normalizeGiftCardCode(payment.reference && payment.reference.gift_card_code);
+  const card = await GiftCard.findOne({ code });
+  const useError = getGiftCardUseError(card);
+  if (useError) return useError;
+
+  const amount = roundMoney(payment.total_amount !== null && payment.total_amount !== undefined
+    ? payment.total_amount
+    : payment.payable_amount);
+  const result = await debitGiftCard(card._id, amount, {
+    type: 'redeem',
+    payment_id: payment._id,
+    description: 'Redeemed for appointment',
+    recordedBy: staff ? staff._id : null
+  });
+
+  if (!result) {
+    const current = await GiftCard.findById(card._id);
+    return getGiftCardUseError(current) ||
+      `Gift card ${card.code} balance is ${current.balance}; pay the remaining ${roundMoney(amount - current.balance)} with another method`;
+  }
+  return null;
+};
+
+// Give back whatever a gift card payment still holds from the card (when the payment is deleted)
+// Returns null when there was nothing to give back or the card can no longer take it
+const releaseGiftCardPayment = async (payment, staff) => {
+  const entries = await GiftCardTransaction.find({ payment_id: payment._id, credit_note_id: null });
+  if (entries.length === 0) return null;
+
+  const held = roundMoney(-entries.reduce((sum, entry) => sum + entry.amount, 0));
+  if (held <= 0) return null;
+
+  const result = await creditGiftCard(entries[0].giftCardId, held, {
+    type: 'refund',
+    payment_id: payment._id,
+    description: 'Gift card payment deleted',
+    recordedBy: staff ? staff._id : null
+  });
+  return result ? result.transaction : null;
+};
+
+module.exports = {
+  GIFT_CARD_PAYMENT_TYPE,
+  normalizeGiftCardCode,
+  generateGiftCardCode,
+  getGiftCardState,
+  giftCardStateFilter,
+  creditGiftCard,
+  debitGiftCard,
+  getGiftCardUseError,
+  chargeGiftCardPayment,
+  releaseGiftCardPayment
+};
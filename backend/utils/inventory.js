@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const ServiceVariation = require('../models/ServiceVariation');
+const { roundMoney } = require('./tax');
+
+// Products at or below their reorder level
+const LOW_STOCK_FILTER = {
+  reorderLevel: { $ne: null },
+  $expr: { $lte: ['$stockQuantity', '$reorderLevel'] }
+};
+
+// Check a stock quantity fits the product's unit
+// Products counted per unit move in whole units; ml, g and the like allow fractions
+const isStockQuantity = (quantity, unit) => {
+  if (!Number.isFinite(quantity)) return false;
+  return !unit || unit === 'unit' ? Number.isInteger(quantity) : true;
+};
+
+// Change a product's stock and write the movement
+// `guard` is extra filter on the product (used to refuse taking more than is on hand)
+// `before` are update stages run before the stock changes (e.g. averaging in a received cost)
+// Rounded to 3 decimals so back-bar usage in ml or g does not drift
+const moveStock = async (productId, quantity, entry, guard = {}, before = []) => {
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, ...guard },
+    [
+      ...before,
+      { $set: { stockQuantity: { $round: [{ $add: [{ $ifNull: ['$stockQuantity', 0] }, quantity] }, 3] } } },
+      // Back above the reorder level: the next drop alerts again
+      {
+        $set: {
+          lowStockAlertedAt: {
+            $cond: [
+              { $and: [{ $isNumber: '$reorderLevel' }, { $lte: ['$stockQuantity', '$reorderLevel'] }] },
+              '$lowStockAlertedAt',
+              null
+            ]
+          }
+        }
+      }
+    ],
+    { new: true }
+  );
+  if (!product) return null;
+
+  await StockMovement.create({
+    ...entry,
+    product_id: productId,
+    quantity,
+    stock_after: product.stockQuantity
+  });
+  return product;
+};
+
+// Take stock out (null, with nothing taken, when there are not enough units on hand)
+const takeStock = (productId, quantity, entry) => {
+  return moveStock(productId, -quantity, entry, { stockQuantity: { $gte: quantity } });
+};
+
+// Put stock back
+const returnStock = (productId, quantity, entry) => moveStock(productId, quantity, entry);
+
+// Add stock bought at unitCost, moving the product's cost price to the weighted average
+// Stock below zero (back-bar usage not yet counted) carries no cost into the average
+const receiveStock = (productId, quantity, unitCost, entry) => {
+  const onHand = { $max: [{ $ifNull: ['$stockQuantity', 0] }, 0] };
+  const averageCost = {
+    $divide: [
+      { $add: [{ $multiply: [onHand, { $ifNull: ['$costPrice', 0] }] }, quantity * unitCost] },
+      { $add: [onHand, quantity] }
+    ]
+  };
+  return moveStock(productId, quantity, { ...entry, type: 'purchase', unit_cost: unitCost }, {}, [
+    { $set: { costPrice: { $round: [averageCost, 4] } } }
+  ]);
+};
+
+// Alert managers over socket.io about products that just fell to their reorder level
+// Each product alerts once until it is restocked above the level
+// Never throws: a notification failure must not fail the sale or service
+const notifyLowStock = async (io, productIds) => {
+  try {
+    const ids = [...new Set((productIds || []).filter(Boolean).map(id => String(id)))];
+    const products = [];
+    for (const id of ids) {
+      const product = await Product.findOneAndUpdate(
+        { _id: id, lowStockAlertedAt: null, ...LOW_STOCK_FILTER },
+        { lowStockAlertedAt: new Date() },
+        { new: true }
+      ).populate('supplier_id', 'name phone email');
+      if (product) products.push(product);
+    }
+
+    if (io && products.length > 0) {
+      io.to('role:manager').emit('low_stock', {
+        products: products.map(product => ({
+          _id: product._id,
+          name: product.name,
+          sku: product.sku,
+          unit: product.unit,
+          stockQuantity: product.stockQuantity,
+          reorderLevel: product.reorderLevel,
+          reorderQuantity: product.reorderQuantity,
+          supplier: product.supplier_id
+        }))
+      });
+    }
+    return products;
+  } catch (error) {
+    console.error('notifyLowStock - Error:', error);
+    return [];
+  }
+};
+
+// Build the product lines of a sale from the request, priced from the catalog
+// items: [{ product_id, quantity }] (the same product listed twice is merged)
+// Returns { lines } or { status, message }
+const buildProductLines = async (items) => {
+  const quantities = new Map();
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    if (!item.product_id || !Number.isInteger(quantity) || quantity < 1) {
+      return { status: 400, message: 'Each product needs a product_id and a whole quantity of at least 1' };
+    }
+    const id = String(item.product_id);
+    quantities.set(id, (quantities.get(id) || 0) + quantity);
+  }
+
+  const lines = [];
+  for (const [id, quantity] of quantities) {
+    const product = await Product.findById(id);
+    if (!product || !product.isActive || product.isRetail === false) {
+      return { status: 404, message: `Product ${id} not found or no longer sold` };
+    }
+    if (product.stockQuantity < quantity) {
+      return { status: 400, message: `Only ${product.stockQuantity} of ${product.name} in stock` };
+    }
+    lines.push({
+      product_id: product._id,
+      name: product.name,
+      sku: product.sku,
+      quantity,
+      unit_price: product.salePrice,
+      cost_price: product.costPrice,
+      amount: roundMoney(product.salePrice * quantity)
+    });
+  }
+  return { lines };
+};
+
+// Total of the product lines on a payment
+const getProductLinesTotal = (payment) => {
+  return roundMoney((payment.product_lines || []).reduce((sum, line) => sum + (line.amount || 0), 0));
+};
+
+// Take the stock for a saved sale (after saving, so movements can point at the payment)
+// Returns an error message, with everything already taken put back, or null once all stock is taken
+const sellPaymentProducts = async (payment, staff) => {
+  const taken = [];
+  for (const line of payment.product_lines || []) {
+    const product = await takeStock(line.product_id, line.quantity, {
+      type: 'sale',
+      payment_id: payment._id,
+      description: `Sold ${line.quantity} x ${line.name}`,
+      recordedBy: staff ? staff._id : null
+    });
+    if (!product) {
+      for (const done of taken) {
+        await returnStock(done.product_id, done.quantity, {
+          type: 'sale_return',
+          payment_id: payment._id,
+          description: 'Sale not completed',
+          recordedBy: staff ? staff._id : null
+        });
+      }
+      const current = await Product.findById(line.product_id).select('stockQuantity');
+      return `Only ${current ? current.stockQuantity : 0} of ${line.name} in stock`;
+    }
+    taken.push(line);
+  }
+  return null;
+};
+
+// Put back the stock of a sale (when the payment is deleted)
+const restockPaymentProducts = async (payment, staff, description = 'Sale deleted') => {
+  const movements = [];
+  for (const line of payment.product_lines || []) {
+    const product = await returnStock(line.product_id, line.quantity, {
+      type: 'sale_return',
+      payment_id: payment._id,
+      description,
+      recordedBy: staff ? staff._id : null
+    });
+    if (product) movements.push(line);
+  }
+  return movements;
+};
+
+// Validate a variation's back-bar recipe from the request
+// items: [{ product, quantity }] (the same product listed twice is merged)
+// Returns { consumables } or { status, message }
+const buildConsumables = async (items) => {
+  if (!Array.isArray(items)) {
+    return { status: 400, message: 'Consumables must be a list of { product, quantity }' };
+  }
+  const quantities = new Map();
+  for (const item of items) {
+    const quantity = Number(item && item.quantity);
+    if (!item || !mongoose.Types.ObjectId.isValid(item.product) || !(quantity > 0)) {
+      return { status: 400, message: 'Each consumable needs a product and a quantity greater than 0' };
+    }
+    const id = String(item.product);
+    quantities.set(id, Math.round(((quantities.get(id) || 0) + quantity) * 1000) / 1000);
+  }
+
+  const consumables = [];
+  for (const [id, quantity] of quantities) {
+    const product = await Product.findById(id).select('_id isActive');
+    if (!product || !product.isActive) {
+      return { status: 404, message: `Product ${id} not found or no longer stocked` };
+    }
+    consumables.push({ product: product._id, quantity });
+  }
+  return { consumables };
+};
+
+// Cost of one service's recipe at the products' current cost price (consumables populated)
+const getRecipeCost = (consumables) => {
+  return roundMoney((consumables || []).reduce((sum, item) => {
+    return sum + (item.product ? (item.product.costPrice || 0) * item.quantity : 0);
+  }, 0));
+};
+
+// Take a completed appointment's back-bar products out of stock
+// Usage is what was actually used, so stock may go below zero (fixed by the next count)
+// Returns { consumablesUsed, consumablesCost } to freeze on the appointment
+const useServiceConsumables = async (appointment, staff) => {
+  const variation = await ServiceVariation.findById(appointment.serviceVariationId)
+    .populate('consumables.product', 'name unit costPrice');
+
+  const consumablesUsed = [];
+  for (const item of (variation && variation.consumables) || []) {
+    if (!item.product) continue;
+    const product = await moveStock(item.product._id, -item.quantity, {
+      type: 'service_usage',
+      appointment_id: appointment._id,
+      unit_cost: item.product.costPrice || 0,
+      description: `Used ${item.quantity} ${item.product.unit || 'unit'} on ${variation.variationName}`,
+      recordedBy: staff ? staff._id : null
+    });
+    if (!product) continue;
+    consumablesUsed.push({
+      product_id: item.product._id,
+      name: item.product.name,
+      quantity: item.quantity,
+      unit_cost: item.product.costPrice || 0
+    });
+  }
+
+  return {
+    consumablesUsed,
+    consumablesCost: roundMoney(consumablesUsed.reduce((sum, item) => sum + item.quantity * item.unit_cost, 0))
+  };
+};
+
+// Put back the back-bar products of an appointment that is no longer completed
+const returnServiceConsumables = async (appointment, staff, description = 'Service no longer completed') => {
+  for (const item of appointment.consumablesUsed || []) {
+    await returnStock(item.product_id, item.quantity, {
+      type: 'service_usage_return',
+      appointment_id: appointment._id,
+      unit_cost: item.unit_cost || 0,
+      description,
+      recordedBy: staff ? staff._id : null
+    });
+  }
+};
+
+module.exports = {
+  LOW_STOCK_FILTER,
+  isStockQuantity,
+  takeStock,
+  returnStock,
+  receiveStock,
+  notifyLowStock,
+  buildProductLines,
+  getProductLinesTotal,
+  sellPaymentProducts,
+  restockPaymentProducts,
+  buildConsumables,
+  getRecipeCost,
+  useServiceConsumables,
+  returnServiceConsumables
+};
@@ -0,0 +1,334 @@
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+
+const brandingDir = path.join(__dirname, '../uploads/branding');
+
+// 'a4': full-page invoice; 'thermal': 80mm counter receipt
+const BILL_LAYOUTS = ['a4', 'thermal'];
+
+// 80mm roll in PDF points (72 per inch)
+const THERMAL_WIDTH = 227;
+const THERMAL_MARGIN = 10;
+
+// Helper function to format money for the bill
+const formatMoney = (currency, value) => `${currency} ${(Number(value) || 0).toFixed(2)}`;
+
+// Helper function to format a date for the bill
+const formatDate = (date) => (date ? new Date(date) : new Date()).toLocaleDateString();
+
+// Helper function to get the logo file of an invoice (null when none is set or the file is gone)
+const getLogoPath = (business) => {
+  if (!business || !business.logo) return null;
+  const logoPath = path.join(brandingDir, path.basename(business.logo));
+  return fs.existsSync(logoPath) ? logoPath : null;
+};
+
+// Helper function to draw the logo; an unreadable image is skipped rather than failing the bill
+const drawLogo = (doc, logoPath, x, y, fit) => {
+  try {
+    doc.image(logoPath, x, y, { fit, align: 'center' });
+    return true;
+  } catch (error) {
+    console.error('Invoice logo could not be drawn:', error.message);
+    return false;
+  }
+};
+
+// File name for an invoice PDF in uploads/ (the number may contain characters unsafe in paths)
+const getInvoiceFileName = (invoice, layout = 'a4') => {
+  const suffix = layout === 'thermal' ? '-thermal' : '';
+  return `invoice-${invoice.number.replace(/[^A-Za-z0-9_-]/g, '_')}${suffix}.pdf`;
+};
+
+// Full-page A4 invoice
+const drawA4Invoice = (doc, invoice) => {
+  const { snapshot } = invoice;
+  const money = (value) => formatMoney(snapshot.currency || 'PKR', value);
+
+  // Business Information
+  const business = snapshot.business || {};
+  const logoPath = getLogoPath(business);
+  if (logoPath && drawLogo(doc, logoPath, 250, 40, [100, 60])) {
+    doc.y = 110;
+  }
+  doc.fontSize(20).text((business.name || 'GLAMOUR PRO').toUpperCase(), 50, doc.y, { align: 'center' });
+  if (business.tagline) doc.fontSize(12).text(business.tagline, { align: 'center' });
+  doc.moveDown();
+  if (business.address) doc.fontSize(10).text(business.address, { align: 'center' });
+  const contact = [business.phone && `Phone: ${business.phone}`, business.email && `Email: ${business.email}`].filter(Boolean);
+  if (contact.length > 0) doc.fontSize(10).text(contact.join(' | '), { align: 'center' });
+  if (business.website) doc.fontSize(10).text(business.website, { align: 'center' });
+  doc.moveDown();
+  doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+  doc.moveDown();
+
+  // Invoice Information
+  doc.fontSize(16).text(invoice.status === 'void' ? 'INVOICE (VOID)' : 'INVOICE', { align: 'center' });
+  doc.moveDown();
+  doc.fontSize(10);
+  doc.text(`Invoice Number: ${invoice.number}`, { align: 'left' });
+  doc.text(`Date: ${formatDate(invoice.issuedAt)}`, { align: 'right' });
+  if (invoice.status === 'void') {
+    doc.text(`Voided: ${formatDate(invoice.voidedAt)}${invoice.voidReason ? ` - ${invoice.voidReason}` : ''}`, { align: 'left' });
+  }
+  doc.moveDown();
+
+  // Client Information
+  const client = snapshot.client;
+  if (client && client.name) {
+    doc.fontSize(12).text('Client Information:', { underline: true });
+    doc.fontSize(10);
+    doc.text(`Name: ${client.name || 'N/A'}`);
+    doc.text(`Phone: ${client.phone || 'N/A'}`);
+    if (client.email) doc.text(`Email: ${client.email}`);
+    if (client.address) doc.text(`Address: ${client.address}`);
+    if (client.membership) doc.text(`Membership: ${client.membership}`);
+    doc.moveDown();
+  }
+
+  // Payment Details
+  doc.fontSize(12).text('Payment Details:', { underline: true });
+  doc.moveDown();
+
+  let yPosition = doc.y;
+  const itemHeight = 20;
+  const nextRow = (height = itemHeight) => {
+    yPosition += height;
+    if (yPosition > 700) {
+      doc.addPage();
+      yPosition = 50;
+    }
+  };
+
+  // Table Header
+  doc.fontSize(10).font('Helvetica-Bold');
+  doc.text('Date', 50, yPosition);
+  doc.text('Service', 120, yPosition, { width: 120 });
+  doc.text('Staff', 250, yPosition, { width: 90 });
+  doc.text('Amount', 350, yPosition, { width: 60, align: 'right' });
+  doc.text('Discount', 420, yPosition, { width: 60, align: 'right' });
+  doc.text('Payable', 490, yPosition, { width: 60, align: 'right' });
+  yPosition += itemHeight;
+
+  doc.moveTo(50, yPosition).lineTo(550, yPosition).stroke();
+  yPosition += 5;
+
+  // Table Rows
+  doc.font('Helvetica');
+  for (const item of snapshot.items) {
+    if (item.lines && item.lines.length > 0) {
+      // Combined payment (or a visit covering several services): header, one row per service, subtotal
+      doc.font('Helvetica-Bold');
+      doc.text(item.title || 'Combined Payment', 50, yPosition, { width: 200 });
+      const lineLabel = { Visit: 'services', Sale: 'items' }[item.title] || 'payments';
+      doc.text(`(${item.lines.length} ${lineLabel})`, 250, yPosition, { width: 100 });
+      doc.font('Helvetica');
+      nextRow();
+
+      item.lines.forEach((line, index) => {
+        doc.text(`  ${index + 1}. ${formatDate(line.date)}`, 50, yPosition);
+        doc.text(line.service || 'N/A', 120, yPosition, { width: 120 });
+        // Products show quantity and unit price where services show the staff member
+        doc.text(line.quantity ? `${line.quantity} x ${money(line.unit_price)}` : line.staff || 'N/A', 250, yPosition, { width: 90 });
+        doc.text(money(line.amount), 350, yPosition, { width: 60, align: 'right' });
+        doc.text(money(line.discount), 420, yPosition, { width: 60, align: 'right' });
+        doc.text(money(line.payable), 490, yPosition, { width: 60, align: 'right' });
+        nextRow();
+      });
+
+      doc.font('Helvetica-Bold');
+      doc.text('Subtotal:', 250, yPosition, { width: 90, align: 'right' });
+      doc.text(money(item.amount), 350, yPosition, { width: 60, align: 'right' });
+      doc.text(money(item.discount), 420, yPosition, { width: 60, align: 'right' });
+      doc.text(money(item.payable), 490, yPosition, { width: 60, align: 'right' });
+      doc.font('Helvetica');
+      yPosition += itemHeight + 5;
+
+      doc.moveTo(50, yPosition).lineTo(550, yPosition).stroke();
+      nextRow(10);
+    } else {
+      doc.text(formatDate(item.date), 50, yPosition);
+      doc.text(item.service || 'N/A', 120, yPosition, { width: 120 });
+      doc.text(item.staff || 'N/A', 250, yPosition, { width: 90 });
+      doc.text(money(item.amount), 350, yPosition, { width: 60, align: 'right' });
+      doc.text(money(item.discount), 420, yPosition, { width: 60, align: 'right' });
+      doc.text(money(item.payable), 490, yPosition, { width: 60, align: 'right' });
+      nextRow();
+    }
+  }
+
+  // Table Footer
+  doc.moveTo(50, yPosition).lineTo(550, yPosition).stroke();
+  yPosition += 10;
+
+  const totals = snapshot.totals || {};
+  const addTotalRow = (label, value) => {
+    doc.text(label, 250, yPosition, { width: 160, align: 'right' });
+    doc.text(money(value), 420, yPosition, { width: 130, align: 'right' });
+    yPosition += itemHeight;
+  };
+
+  doc.font('Helvetica-Bold');
+  addTotalRow('Total Amount:', totals.amount);
+  addTotalRow('Total Discount:', totals.discount);
+  addTotalRow('Subtotal (excl. tax):', totals.subtotal);
+  addTotalRow(`${snapshot.taxLabel || 'Tax'} (${(snapshot.taxRates || []).join(', ') || '0%'}):`, totals.tax);
+
+  doc.fontSize(12);
+  addTotalRow('Total Payable:', totals.total);
+  yPosition += 10;
+
+  // Payment Method
+  doc.fontSize(10).font('Helvetica');
+  doc.text(`Payment Method(s): ${(snapshot.paymentMethods || []).join(', ')}`, 50, yPosition);
+
+  // Terms
+  if (snapshot.termsText) {
+    doc.moveDown();
+    doc.fontSize(10).font('Helvetica-Bold').text('Terms & Conditions:', 50, doc.y);
+    doc.fontSize(8).font('Helvetica').text(snapshot.termsText, 50, doc.y, { width: 500 });
+  }
+
+  // Footer
+  doc.moveTo(50, doc.page.height - 100).lineTo(550, doc.page.height - 100).stroke();
+  doc.fontSize(8).text(snapshot.footerText || 'Thank you for your business!', 50, doc.y, { width: 500, align: 'center' });
+  if (business.email) {
+    doc.text(`For inquiries, please contact us at ${business.email}`, { width: 500, align: 'center' });
+  }
+};
+
+// 80mm thermal receipt: a single narrow column, one page as long as the content
+// Returns the height used so the page can be sized to fit
+const drawThermalReceipt = (doc, invoice) => {
+  const { snapshot } = invoice;
+  const money = (value) => formatMoney(snapshot.currency || 'PKR', value);
+  const left = THERMAL_MARGIN;
+  const width = THERMAL_WIDTH - THERMAL_MARGIN * 2;
+
+  const separator = () => {
+    doc.moveDown(0.3);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).dash(1, { space: 2 }).stroke().undash();
+    doc.moveDown(0.3);
+  };
+  // Label on the left, amount on the right, on the same line
+  const row = (label, value) => {
+    const y = doc.y;
+    doc.text(label, left, y, { width: width * 0.6 });
+    const labelBottom = doc.y;
+    doc.text(value, left + width * 0.6, y, { width: width * 0.4, align: 'right' });
+    doc.y = Math.max(labelBottom, doc.y);
+  };
+
+  // Business Information
+  const business = snapshot.business || {};
+  doc.y = THERMAL_MARGIN;
+  const logoPath = getLogoPath(business);
+  if (logoPath && drawLogo(doc, logoPath, left + (width - 80) / 2, doc.y, [80, 50])) {
+    doc.y += 55;
+  }
+  doc.font('Helvetica-Bold').fontSize(11).text((business.name || 'GLAMOUR PRO').toUpperCase(), left, doc.y, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(7);
+  if (business.tagline) doc.text(business.tagline, { width, align: 'center' });
+  if (business.address) doc.text(business.address, { width, align: 'center' });
+  if (business.phone) doc.text(`Phone: ${business.phone}`, { width, align: 'center' });
+  if (business.email) doc.text(business.email, { width, align: 'center' });
+  separator();
+
+  // Invoice Information
+  doc.font('Helvetica-Bold').fontSize(9).text(invoice.status === 'void' ? 'INVOICE (VOID)' : 'INVOICE', left, doc.y, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(7);
+  row(`No: ${invoice.number}`, formatDate(invoice.issuedAt));
+  if (invoice.status === 'void' && invoice.voidReason) {
+    doc.text(`Voided: ${invoice.voidReason}`, left, doc.y, { width });
+  }
+  const client = snapshot.client;
+  if (client && client.name) {
+    doc.text(`Client: ${client.name}${client.phone ? ` (${client.phone})` : ''}`, left, doc.y, { width });
+    if (client.membership) doc.text(`Membership: ${client.membership}`, left, doc.y, { width });
+  }
+  separator();
+
+  // Items: service or product on its own line, then staff (or quantity x unit price) and payable amount
+  const printLine = (line, prefix = '') => {
+    doc.font('Helvetica-Bold').text(`${prefix}${line.service || 'N/A'}`, left, doc.y, { width });
+    doc.font('Helvetica');
+    row(`  ${line.quantity ? `${line.quantity} x ${money(line.unit_price)}` : line.staff || 'N/A'}`, money(line.payable));
+    if (line.discount) {
+      row('  Discount', `-${money(line.discount)}`);
+    }
+  };
+
+  for (const item of snapshot.items) {
+    if (item.lines && item.lines.length > 0) {
+      doc.font('Helvetica-Oblique').text(`${item.title || 'Combined Payment'} (${item.lines.length})`, left, doc.y, { width });
+      item.lines.forEach(line => printLine(line, '- '));
+      doc.font('Helvetica-Bold');
+      row('  Subtotal', money(item.payable));
+      doc.font('Helvetica');
+    } else {
+      printLine(item);
+    }
+  }
+  separator();
+
+  // Totals
+  const totals = snapshot.totals || {};
+  row('Total Amount', money(totals.amount));
+  row('Total Discount', money(totals.discount));
+  row('Subtotal (excl. tax)', money(totals.subtotal));
+  row(`${snapshot.taxLabel || 'Tax'} (${(snapshot.taxRates || []).join(', ') || '0%'})`, money(totals.tax));
+  doc.font('Helvetica-Bold').fontSize(9);
+  row('TOTAL', money(totals.total));
+  doc.font('Helvetica').fontSize(7);
+  doc.text(`Paid by: ${(snapshot.paymentMethods || []).join(', ')}`, left, doc.y, { width });
+  separator();
+
+  if (snapshot.termsText) {
+    doc.fontSize(6).text(snapshot.termsText, left, doc.y, { width, align: 'center' });
+    doc.moveDown(0.5);
+  }
+  doc.fontSize(7).text(snapshot.footerText || 'Thank you for your business!', left, doc.y, { width, align: 'center' });
+
+  return doc.y + THERMAL_MARGIN;
+};
+
+// Render an invoice PDF from its stored snapshot
+// Only the snapshot is used, so a reprint always matches what was issued
+// Resolves once the file has been written
+const renderInvoicePdf = (invoice, filePath, layout = 'a4') => new Promise((resolve, reject) => {
+  let doc;
+  if (layout === 'thermal') {
+    // Lay the receipt out once on a very long page to measure it, then print on a page cut to fit
+    const measure = new PDFDocument({ size: [THERMAL_WIDTH, 14400], margin: THERMAL_MARGIN });
+    const height = drawThermalReceipt(measure, invoice);
+    measure.end();
+
+    doc = new PDFDocument({ size: [THERMAL_WIDTH, Math.ceil(height)], margin: THERMAL_MARGIN });
+  } else {
+    doc = new PDFDocument({ margin: 50 });
+  }
+
+  const stream = fs.createWriteStream(filePath);
+  stream.on('finish', resolve);
+  stream.on('error', reject);
+  doc.pipe(stream);
+
+  if (layout === 'thermal') {
+    drawThermalReceipt(doc, invoice);
+  } else {
+    drawA4Invoice(doc, invoice);
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  BILL_LAYOUTS,
+  THERMAL_WIDTH,
+  THERMAL_MARGIN,
+  formatMoney,
+  formatDate,
+  getInvoiceFileName,
+  renderInvoicePdf
+};
@@ -0,0 +1,185 @@
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const { roundMoney } = require('./tax');
+
+const INVOICE_COUNTER = 'invoice';
+
+// Helper function to print a sequence number with its prefix
+const formatNumber = (prefix, sequence, settings) => {
+  const padding = settings && settings.invoiceNumberPadding ? settings.invoiceNumberPadding : 6;
+  return `${prefix || ''}${String(sequence).padStart(padding, '0')}`;
+};
+
+// Printed invoice number, e.g. INV-000042
+const formatInvoiceNumber = (sequence, settings) => {
+  return formatNumber(settings && settings.invoicePrefix !== undefined ? settings.invoicePrefix : 'INV-', sequence, settings);
+};
+
+// Printed credit note number, e.g. CN-000007
+const formatCreditNoteNumber = (sequence, settings) => {
+  return formatNumber(settings && settings.creditNotePrefix !== undefined ? settings.creditNotePrefix : 'CN-', sequence, settings);
+};
+
+// Helper function to read a populated reference (null when not populated)
+const populated = (value) => (value && typeof value === 'object' && value._id ? value : null);
+
+// Helper function to describe one appointment as a bill line
+const buildLine = (appointment) => {
+  const variation = populated(appointment.serviceVariationId);
+  const staff = populated(appointment.staffId);
+  const amount = appointment.totalPrice || 0;
+  const discount = (appointment.membershipDiscount || 0) + (appointment.promotionDiscount || 0) + (appointment.staffCommission || 0);
+
+  return {
+    appointment_id: appointment._id,
+    date: appointment.startTime || null,
+    service: variation && variation.variationName ? variation.variationName : 'N/A',
+    staff: staff && staff.name ? staff.name : 'N/A',
+    amount,
+    discount,
+    payable: amount - discount
+  };
+};
+
+// Helper function to describe one retail product sold as a bill line
+const buildProductLine = (line, date) => ({
+  product_id: line.product_id,
+  date,
+  service: line.sku ? `${line.name} (${line.sku})` : line.name,
+  staff: null,
+  quantity: line.quantity,
+  unit_price: line.unit_price,
+  amount: line.amount,
+  discount: 0,
+  payable: line.amount
+});
+
+// Freeze everything the bill prints, from payments populated like generateBill does
+const buildInvoiceSnapshot = (payments, settings) => {
+  const items = [];
+  const appointmentIds = [];
+  let client = null;
+
+  for (const payment of payments) {
+    const parentAppointments = (payment.parent_appointment_ids || []).map(populated).filter(Boolean);
+    const appointment = populated(payment.appointment_id);
+
+    if (!client) {
+      const source = appointment || parentAppointments[0];
+      client = source ? populated(source.clientId) : populated(payment.client_id);
+    }
+
+    const item = {
+      payment_id: payment._id,
+      type: payment.type,
+      date: payment.createdAt || null,
+      amount: payment.amount || 0,
+      discount: payment.discount || 0,
+      payable: payment.payable_amount || 0,
+      // Payments created before tax support have no snapshot and count as untaxed
+      taxable: payment.taxable_amount !== null && payment.taxable_amount !== undefined ? payment.taxable_amount : payment.payable_amount || 0,
+      tax: payment.tax_amount || 0,
+      total: payment.total_amount !== null && payment.total_amount !== undefined ? payment.total_amount : payment.payable_amount || 0,
+      lines: []
+    };
+
+    const productLines = (payment.product_lines || []).map(line => buildProductLine(line, payment.createdAt || null));
+
+    if (productLines.length > 0) {
+      // POS sale: its appointments and products, one line each
+      item.title = 'Sale';
+      item.lines = [...parentAppointments.map(buildLine), ...productLines];
+      appointmentIds.push(...parentAppointments.map(apt => apt._id));
+    } else if (parentAppointments.length > 0) {
+      item.title = payment.visit_id ? 'Visit' : 'Combined Payment';
+      item.lines = parentAppointments.map(buildLine);
+      appointmentIds.push(...parentAppointments.map(apt => apt._id));
+    } else if (appointment) {
+      const line = buildLine(appointment);
+      item.service = line.service;
+      item.staff = line.staff;
+      appointmentIds.push(appointment._id);
+    }
+
+    items.push(item);
+  }
+
+  const membership = client ? populated(client.membership_id) : null;
+
+  return {
+    clientId: client ? client._id : null,
+    appointmentIds,
+    snapshot: {
+      business: {
+        name: settings.businessName,
+        address: settings.address,
+        phone: settings.contactPhone,
+        email: settings.email,
+        website: settings.website,
+        tagline: settings.billing ? settings.billing.tagline : null,
+        logo: settings.billing ? settings.billing.logo : null
+      },
+      client: client
+        ? {
+            name: client.name,
+            phone: client.phone,
+            email: client.email,
+            address: client.address,
+            membership: client.membership_id ? (membership && membership.name ? membership.name : 'Member') : null
+          }
+        : null,
+      currency: settings.currency || 'PKR',
+      items,
+      totals: {
+        amount: roundMoney(items.reduce((sum, item) => sum + item.amount, 0)),
+        discount: roundMoney(items.reduce((sum, item) => sum + item.discount, 0)),
+        subtotal: roundMoney(items.reduce((sum, item) => sum + item.taxable, 0)),
+        tax: roundMoney(items.reduce((sum, item) => sum + item.tax, 0)),
+        total: roundMoney(items.reduce((sum, item) => sum + item.total, 0))
+      },
+      taxLabel: settings.taxLabel || 'Tax',
+      taxRates: [...new Set(payments.map(p => `${p.tax_rate || 0}%${p.tax_inclusive ? ' incl.' : ''}`))],
+      paymentMethods: [...new Set(payments.map(p => p.type))],
+      footerText: settings.billing ? settings.billing.footerText : null,
+      termsText: settings.billing ? settings.billing.termsText : null
+    }
+  };
+};
+
+// Issued invoices that already cover any of the given payments
+const findActiveInvoicesForPayments = (paymentIds) => {
+  return Invoice.find({ status: 'issued', payment_ids: { $in: paymentIds } }).sort({ sequence: 1 });
+};
+
+// Number and store a new invoice
+// The number is only taken once everything else is ready and is handed back if the save fails;
+// if another invoice took the next number meanwhile it cannot be reused, so it is recorded as
+// skipped on the counter (Counter.releaseOrSkip) and the sequence has a documented gap
+const issueInvoice = async ({ payments, settings, visitId = null, issuedBy = null }) => {
+  const { clientId, appointmentIds, snapshot } = buildInvoiceSnapshot(payments, settings);
+
+  const sequence = await Counter.next(INVOICE_COUNTER);
+  try {
+    return await Invoice.create({
+      number: formatInvoiceNumber(sequence, settings),
+      sequence,
+      clientId,
+      visit_id: visitId,
+      payment_ids: payments.map(p => p._id),
+      appointment_ids: appointmentIds,
+      issuedBy,
+      snapshot
+    });
+  } catch (error) {
+    await Counter.releaseOrSkip(INVOICE_COUNTER, sequence, error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  formatInvoiceNumber,
+  formatCreditNoteNumber,
+  buildInvoiceSnapshot,
+  findActiveInvoicesForPayments,
+  issueInvoice
+};
@@ -0,0 +1,86 @@
+const Payment = require('../models/Payment');
+const WalletTransaction = require('../models/WalletTransaction');
+
+// Statuses a booking cannot reach until its no-show deposit is covered
+const DEPOSIT_GATED_STATUSES = ['confirmed', 'in-progress'];
+
+// Work out what the no-show policy in BusinessSettings means for a client
+// A threshold of 0 disables that part of the policy
+const getNoShowPolicyStatus = (client, settings) => {
+  const policy = (settings && settings.noShowPolicy) || {};
+  const noShowCount = (client && client.noShowCount) || 0;
+
+  const depositThreshold = policy.depositAfterNoShows || 0;
+  const blockThreshold = policy.blockOnlineBookingAfterNoShows || 0;
+
+  return {
+    noShowCount,
+    depositRequired: depositThreshold > 0 && noShowCount >= depositThreshold,
+    depositPercent: policy.depositPercent || 0,
+    onlineBookingBlocked: blockThreshold > 0 && noShowCount >= blockThreshold
+  };
+};
+
+// Deposit amount owed for a booking under the no-show policy (0 when no deposit is required)
+const calculateNoShowDeposit = (client, settings, totalPrice) => {
+  const status = getNoShowPolicyStatus(client, settings);
+  if (!status.depositRequired) {
+    return 0;
+  }
+  return Math.round(totalPrice * (status.depositPercent / 100) * 100) / 100;
+};
+
+// Check a new booking may start in a status: a client who owes a deposit is booked as scheduled
+// and confirmed once the deposit has been taken against the booking
+// Returns an error message or null
+const getInitialStatusDepositError = (client, settings, status) => {
+  const policy = getNoShowPolicyStatus(client, settings);
+  if (!DEPOSIT_GATED_STATUSES.includes(status) || !policy.depositRequired || policy.depositPercent <= 0) {
+    return null;
+  }
+  return `This client must pay a deposit under the no-show policy (${policy.noShowCount} no-shows). Book the appointment as scheduled and confirm it once the deposit is taken`;
+};
+
+// Deposit still owed on an appointment (0 when none is required or it is covered)
+// Covered by wallet deposits taken against the appointment, or by a paid payment for it
+const getDepositShortfall = async (appointment) => {
+  const required = appointment.depositRequired || 0;
+  if (required <= 0) {
+    return 0;
+  }
+
+  const paid = await Payment.exists({
+    status: 'paid',
+    $or: [{ appointment_id: appointment._id }, { parent_appointment_ids: appointment._id }]
+  });
+  if (paid) {
+    return 0;
+  }
+
+  const deposits = await WalletTransaction.find({ appointment_id: appointment._id, type: 'deposit' }).select('amount');
+  const taken = deposits.reduce((sum, deposit) => sum + deposit.amount, 0);
+  return Math.max(0, Math.round((required - taken) * 100) / 100);
+};
+
+// Check an appointment may move to a status under the no-show policy
+// (moves between confirmed and in-progress are not checked again)
+// Returns an error message or null
+const getDepositError = async (appointment, status) => {
+  if (!DEPOSIT_GATED_STATUSES.includes(status) || DEPOSIT_GATED_STATUSES.includes(appointment.status)) {
+    return null;
+  }
+  const shortfall = await getDepositShortfall(appointment);
+  if (shortfall <= 0) {
+    return null;
+  }
+  return `A deposit of ${appointment.depositRequired} is required before this appointment can be ${status} (${shortfall} still owed). Take it into the client's wallet against this appointment or record a payment first`;
+};
+
+module.exports = {
+  DEPOSIT_GATED_STATUSES,
+  getNoShowPolicyStatus,
+  calculateNoShowDeposit,
+  getInitialStatusDepositError,
+  getDepositShortfall,
+  getDepositError
+};
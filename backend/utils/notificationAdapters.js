@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+// Delivery adapters for the notification outbox
+// Each adapter exposes send(notification) and resolves with { providerMessageId } or throws
+// The SMS / WhatsApp / email adapters post JSON to an HTTP gateway configured in .env:
+//   SMS_GATEWAY_URL, SMS_GATEWAY_TOKEN
+//   WHATSAPP_GATEWAY_URL, WHATSAPP_GATEWAY_TOKEN
+//   EMAIL_GATEWAY_URL, EMAIL_GATEWAY_TOKEN, EMAIL_FROM
+// Set NOTIFICATION_ADAPTER=local to route every channel through the local adapter instead
+// (messages are printed to the console and appended to NOTIFICATION_LOG_FILE)
+
+const DEFAULT_LOG_FILE = path.join(__dirname, '../logs/notifications.log');
+
+// Helper function to post a message to an HTTP gateway
+const postToGateway = async (url, token, payload) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(payload)
+  });
+
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`Gateway responded with ${response.status}: ${text.slice(0, 200)}`);
+  }
+
+  let data = {};
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch (error) {
+    data = {};
+  }
+  return { providerMessageId: data.id || data.messageId || data.sid || null };
+};
+
+// Helper function to build an adapter for an HTTP gateway configured through env vars
+const createGatewayAdapter = (name, envPrefix, buildPayload) => ({
+  name,
+  send: async (notification) => {
+    const url = process.env[`${envPrefix}_GATEWAY_URL`];
+    if (!url) {
+      throw new Error(`${envPrefix}_GATEWAY_URL is not configured`);
+    }
+    return postToGateway(url, process.env[`${envPrefix}_GATEWAY_TOKEN`], buildPayload(notification));
+  }
+});
+
+const smsAdapter = createGatewayAdapter('sms', 'SMS', (notification) => ({
+  to: notification.recipient,
+  message: notification.body
+}));
+
+const whatsappAdapter = createGatewayAdapter('whatsapp', 'WHATSAPP', (notification) => ({
+  to: notification.recipient,
+  message: notification.body
+}));
+
+const emailAdapter = createGatewayAdapter('email', 'EMAIL', (notification) => ({
+  from: process.env.EMAIL_FROM || null,
+  to: notification.recipient,
+  subject: notification.subject || 'Appointment reminder',
+  text: notification.body
+}));
+
+// Local adapter for development and testing: nothing leaves the machine
+const localAdapter = {
+  name: 'local',
+  send: async (notification) => {
+    const logFile = process.env.NOTIFICATION_LOG_FILE || DEFAULT_LOG_FILE;
+    const line = JSON.stringify({
+      at: new Date().toISOString(),
+      id: notification._id,
+      channel: notification.channel,
+      to: notification.recipient,
+      subject: notification.subject,
+      body: notification.body
+    });
+
+    console.log(`[Notification:${notification.channel}] to ${notification.recipient}: ${notification.body}`);
+    await fs.promises.mkdir(path.dirname(logFile), { recursive: true });
+    await fs.promises.appendFile(logFile, `${line}\n`);
+
+    return { providerMessageId: `local-${notification._id}` };
+  }
+};
+
+const adapters = {
+  sms: smsAdapter,
+  whatsapp: whatsappAdapter,
+  email: emailAdapter,
+  local: localAdapter
+};
+
+// Register (or replace) an adapter, e.g. for a different SMS provider
+const registerAdapter = (name, adapter) => {
+  if (!adapter || typeof adapter.send !== 'function') {
+    throw new Error('Notification adapter must implement send(notification)');
+  }
+  adapters[name] = { name, ...adapter };
+};
+
+// Adapter used to deliver a channel's messages
+const getAdapterForChannel = (channel) => {
+  const override = process.env.NOTIFICATION_ADAPTER;
+  const adapter = adapters[override || channel];
+  if (!adapter) {
+    throw new Error(`No notification adapter registered for ${override || channel}`);
+  }
+  return adapter;
+};
+
+module.exports = {
+  registerAdapter,
+  getAdapterForChannel
+};
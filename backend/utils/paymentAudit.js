@@ -0,0 +1,88 @@
+const PaymentAuditLog = require('../models/PaymentAuditLog');
+
+const LOCKED_STATUS = 'paid';
+
+// Fields kept in audit snapshots
+const SNAPSHOT_FIELDS = [
+  'appointment_id',
+  'parent_appointment_ids',
+  'visit_id',
+  'type',
+  'reference',
+  'amount',
+  'discount',
+  'payable_amount',
+  'tax_amount',
+  'total_amount',
+  'status',
+  'notes',
+  'cash_session_id',
+  'refunded_amount'
+];
+
+// Plain copy of the audited fields of a payment
+const snapshotPayment = (payment) => {
+  const source = typeof payment.toObject === 'function' ? payment.toObject() : payment;
+  const snapshot = { _id: source._id };
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (source[field] === undefined) return;
+    // Populated references are stored as their ID
+    const value = source[field];
+    if (Array.isArray(value)) {
+      snapshot[field] = value.map(item => (item && item._id ? item._id : item));
+    } else {
+      snapshot[field] = value && value._id ? value._id : value;
+    }
+  });
+  return snapshot;
+};
+
+// Check whether paid payments may be changed by this request
+// Paid payments are locked; a manager can override with a reason (req.body.override_reason)
+// Returns { status, message } when blocked, otherwise { overrideReason } (null when nothing was locked)
+const checkPaidPaymentLock = (payments, req) => {
+  const locked = payments.filter(payment => payment.status === LOCKED_STATUS);
+  if (locked.length === 0) return { overrideReason: null };
+
+  if (!req.staff || req.staff.role !== 'manager') {
+    return {
+      status: 403,
+      message: `Payment ${locked[0]._id} is paid and locked. A manager can override this with a reason`
+    };
+  }
+
+  const reason = req.body && req.body.override_reason ? String(req.body.override_reason).trim() : '';
+  if (!reason) {
+    return {
+      status: 400,
+      message: 'A reason (override_reason) is required to change a paid payment'
+    };
+  }
+
+  return { overrideReason: reason };
+};
+
+// Append an audit entry for a payment change
+// before/after: payments (or snapshots) as they were before and are after the change
+const recordPaymentAudit = ({ action, before = [], after = [], req, overrideReason = null }) => {
+  const beforeSnapshots = before.map(snapshotPayment);
+  const afterSnapshots = after.map(snapshotPayment);
+  const paymentIds = [...new Set([...beforeSnapshots, ...afterSnapshots].map(snapshot => snapshot._id.toString()))];
+
+  return PaymentAuditLog.create({
+    action,
+    payment_ids: paymentIds,
+    before: beforeSnapshots,
+    after: afterSnapshots,
+    override: !!overrideReason,
+    reason: overrideReason,
+    performedBy: req.staff ? req.staff._id : null,
+    performedByRole: req.staff ? req.staff.role : null
+  });
+};
+
+module.exports = {
+  snapshotPayment,
+  checkPaidPaymentLock,
+  recordPaymentAudit
+};
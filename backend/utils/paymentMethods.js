@@ -0,0 +1,99 @@
+// Payment types and the BusinessSettings.paymentMethods switch that enables each of them
+const PAYMENT_METHOD_SETTINGS = {
+  cash: 'cash',
+  card: 'card',
+  bank_transfer: 'bankTransfer',
+  e_wallet: 'eWallet',
+  // Spends the client's prepaid balance (see utils/wallet)
+  client_wallet: 'clientWallet',
+  // Redeems (part of) a gift card balance (see utils/giftCards)
+  gift_card: 'giftCard'
+};
+
+const PAYMENT_TYPES = Object.keys(PAYMENT_METHOD_SETTINGS);
+
+// Types paid from a balance the salon already holds, so they cannot be used to buy more balance
+const STORED_VALUE_TYPES = ['client_wallet', 'gift_card'];
+
+// Reference fields each type carries (stored under Payment.reference)
+// `required` fields must be given when a payment of that type is recorded
+// `key` is the field that identifies the transaction at the terminal/bank/wallet, used to find duplicates
+// (gift cards have none: one card can pay several bills)
+const REFERENCE_FIELDS = {
+  cash: { fields: [], required: [], key: null },
+  card: { fields: ['card_last4', 'card_auth_code'], required: ['card_last4', 'card_auth_code'], key: 'card_auth_code' },
+  bank_transfer: { fields: ['bank_reference'], required: [], key: 'bank_reference' },
+  e_wallet: { fields: ['wallet_transaction_id'], required: ['wallet_transaction_id'], key: 'wallet_transaction_id' },
+  client_wallet: { fields: [], required: [], key: null },
+  gift_card: { fields: ['gift_card_code'], required: ['gift_card_code'], key: null }
+};
+
+const REFERENCE_LABELS = {
+  card_last4: 'card last 4 digits',
+  card_auth_code: 'card terminal auth code',
+  bank_reference: 'bank reference',
+  wallet_transaction_id: 'wallet transaction ID',
+  gift_card_code: 'gift card code'
+};
+
+// Payment types switched on in BusinessSettings
+const getEnabledPaymentTypes = (settings) => {
+  const methods = (settings && settings.paymentMethods) || {};
+  return PAYMENT_TYPES.filter(type => methods[PAYMENT_METHOD_SETTINGS[type]] !== false);
+};
+
+// Keep only the reference fields that belong to the type (trimmed, empty values dropped)
+const pickReference = (type, reference) => {
+  const config = REFERENCE_FIELDS[type];
+  const picked = {};
+  if (!config || !reference || typeof reference !== 'object') return picked;
+
+  for (const field of config.fields) {
+    if (reference[field] !== undefined && reference[field] !== null && String(reference[field]).trim() !== '') {
+      picked[field] = field === 'gift_card_code'
+        ? String(reference[field]).trim().toUpperCase()
+        : String(reference[field]).trim();
+    }
+  }
+  return picked;
+};
+
+// Check a payment type and its reference against the settings
+// Returns an error message, or null when the payment can be recorded
+const validatePaymentMethod = (type, reference, settings) => {
+  if (!PAYMENT_TYPES.includes(type)) {
+    return `Payment type must be one of: ${PAYMENT_TYPES.join(', ')}`;
+  }
+  const enabled = getEnabledPaymentTypes(settings);
+  if (!enabled.includes(type)) {
+    return `Payment type ${type} is not enabled. Enabled types: ${enabled.join(', ') || 'none'}`;
+  }
+
+  const picked = pickReference(type, reference);
+  const missing = REFERENCE_FIELDS[type].required.filter(field => !picked[field]);
+  if (missing.length > 0) {
+    return `${type} payments require ${missing.map(field => REFERENCE_LABELS[field]).join(' and ')}`;
+  }
+  if (picked.card_last4 && !/^\d{4}$/.test(picked.card_last4)) {
+    return 'Card last 4 digits must be exactly 4 digits';
+  }
+  return null;
+};
+
+// The value that identifies a payment's transaction (null for cash or when it was not recorded)
+const getReferenceKey = (payment) => {
+  const config = REFERENCE_FIELDS[payment.type];
+  if (!config || !config.key || !payment.reference) return null;
+  return payment.reference[config.key] || null;
+};
+
+module.exports = {
+  PAYMENT_TYPES,
+  PAYMENT_METHOD_SETTINGS,
+  STORED_VALUE_TYPES,
+  REFERENCE_FIELDS,
+  getEnabledPaymentTypes,
+  pickReference,
+  validatePaymentMethod,
+  getReferenceKey
+};
@@ -0,0 +1,151 @@
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const Appointment = require('../models/Appointment');
+const { roundMoney } = require('./tax');
+
+// Codes are matched without surrounding spaces and case
+const normalizePromoCode = (code) => (code ? String(code).trim().toUpperCase() : '');
+
+// Discount a promotion gives on an amount
+const calculatePromotionDiscount = (promotion, amount) => {
+  if (amount <= 0) return 0;
+  let discount = promotion.discountType === 'percentage'
+    ? amount * (promotion.value / 100)
+    : promotion.value;
+  if (promotion.discountType === 'percentage' && promotion.maxDiscount !== null && promotion.maxDiscount !== undefined) {
+    discount = Math.min(discount, promotion.maxDiscount);
+  }
+  return roundMoney(Math.min(discount, amount));
+};
+
+// Check a promotion code against a booking and work out the discounts
+// booking: { client, baseService, price, membershipDiscount, pointsToRedeem }
+// Returns { error } or { promotion, promotionDiscount, membershipDiscount, membershipDiscountReplaced, firstVisit }
+const evaluatePromotion = async (code, booking, now = new Date()) => {
+  const { client, baseService, price, membershipDiscount = 0, pointsToRedeem = 0 } = booking;
+  const promotion = await Promotion.findOne({ code: normalizePromoCode(code) });
+
+  if (!promotion || !promotion.isActive) {
+    return { error: 'Promotion code not found or no longer active' };
+  }
+  if (promotion.validFrom && now < promotion.validFrom) {
+    return { error: `Promotion ${promotion.code} starts on ${promotion.validFrom.toDateString()}` };
+  }
+  if (promotion.validTo && now > promotion.validTo) {
+    return { error: `Promotion ${promotion.code} ended on ${promotion.validTo.toDateString()}` };
+  }
+  if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+    return { error: `Promotion ${promotion.code} has reached its usage limit` };
+  }
+  if (promotion.perClientLimit !== null) {
+    const used = await PromotionRedemption.countDocuments({ promotionId: promotion._id, clientId: client._id, status: 'applied' });
+    if (used >= promotion.perClientLimit) {
+      return { error: `Client has already used promotion ${promotion.code} ${used} time(s)` };
+    }
+  }
+
+  // Restrictions
+  const { baseServiceIds, categories, membershipTierIds, firstVisitOnly } = promotion.restrictions || {};
+  if (baseServiceIds && baseServiceIds.length > 0 &&
+      !baseServiceIds.some(id => id.toString() === baseService._id.toString())) {
+    return { error: `Promotion ${promotion.code} does not apply to ${baseService.name}` };
+  }
+  if (categories && categories.length > 0 && !categories.includes(baseService.category)) {
+    return { error: `Promotion ${promotion.code} only applies to: ${categories.join(', ')}` };
+  }
+  if (membershipTierIds && membershipTierIds.length > 0 &&
+      !(client.membership_id && membershipTierIds.some(id => id.toString() === client.membership_id.toString()))) {
+    return { error: `Promotion ${promotion.code} is only for selected membership tiers` };
+  }
+  const previousVisits = await Appointment.countDocuments({ clientId: client._id, status: { $ne: 'cancelled' } });
+  if (firstVisitOnly && previousVisits > 0) {
+    return { error: `Promotion ${promotion.code} is only for first-visit clients` };
+  }
+
+  // Stacking with points
+  if (!promotion.stackWithPoints && Number(pointsToRedeem) > 0) {
+    return { error: `Promotion ${promotion.code} cannot be combined with points redemption` };
+  }
+
+  // Stacking with membership: on top of the tier discount, or instead of it when it gives more
+  if (promotion.stackWithMembership) {
+    return {
+      promotion,
+      promotionDiscount: calculatePromotionDiscount(promotion, price - membershipDiscount),
+      membershipDiscount,
+      membershipDiscountReplaced: 0,
+      firstVisit: previousVisits === 0
+    };
+  }
+
+  const promotionDiscount = calculatePromotionDiscount(promotion, price);
+  if (membershipDiscount > 0 && promotionDiscount <= membershipDiscount) {
+    return {
+      error: `Promotion ${promotion.code} (${promotionDiscount}) does not combine with the membership discount (${roundMoney(membershipDiscount)}), which is already larger`
+    };
+  }
+  return {
+    promotion,
+    promotionDiscount,
+    membershipDiscount: 0,
+    membershipDiscountReplaced: roundMoney(membershipDiscount),
+    firstVisit: previousVisits === 0
+  };
+};
+
+// Take one use of a promotion (null when the usage limit was reached in the meantime)
+const reservePromotionUse = (promotion) => {
+  return Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+};
+
+// Give a use back to the promotion
+const releasePromotionUse = (promotionId) => {
+  return Promotion.updateOne({ _id: promotionId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+};
+
+// Record the use of a code on a newly created booking (result is what evaluatePromotion returned)
+const recordPromotionRedemption = (result, appointment, redeemedBy = null) => {
+  return PromotionRedemption.create({
+    promotionId: result.promotion._id,
+    code: result.promotion.code,
+    clientId: appointment.clientId,
+    appointmentId: appointment._id,
+    price: appointment.price,
+    discount: result.promotionDiscount,
+    membershipDiscountReplaced: result.membershipDiscountReplaced,
+    firstVisit: result.firstVisit,
+    redeemedBy
+  });
+};
+
+// Reverse the redemption on a cancelled or deleted booking so the code can be used again
+const reversePromotionRedemption = async (appointment) => {
+  if (!appointment.promotionId) return null;
+
+  const redemption = await PromotionRedemption.findOneAndUpdate(
+    { appointmentId: appointment._id, status: 'applied' },
+    { status: 'reversed', reversedAt: new Date() },
+    { new: true }
+  );
+  if (redemption) {
+    await releasePromotionUse(redemption.promotionId);
+  }
+  return redemption;
+};
+
+module.exports = {
+  normalizePromoCode,
+  calculatePromotionDiscount,
+  evaluatePromotion,
+  reservePromotionUse,
+  releasePromotionUse,
+  recordPromotionRedemption,
+  reversePromotionRedemption
+};
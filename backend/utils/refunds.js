@@ -0,0 +1,97 @@
+const CreditNote = require('../models/CreditNote');
+const Counter = require('../models/Counter');
+const { roundMoney } = require('./tax');
+const { formatCreditNoteNumber } = require('./invoices');
+
+const CREDIT_NOTE_COUNTER = 'credit_note';
+
+// What the client paid (payments created before tax support only have payable_amount)
+const getPaidTotal = (payment) => {
+  return payment.total_amount !== null && payment.total_amount !== undefined
+    ? payment.total_amount
+    : payment.payable_amount || 0;
+};
+
+// Amount of a payment that can still be refunded
+const getRefundableAmount = (payment) => roundMoney(getPaidTotal(payment) - (payment.refunded_amount || 0));
+
+// Split a refund into its revenue (payable) and tax parts, in proportion to the payment
+// The refund that empties the payment takes whatever is left, so the parts always add up to the payment
+// payment is the document returned by the refunded_amount reservation, so it already counts this
+// refund and any refund reserved at the same time
+const splitRefundAmount = (payment, amount, priorNotes) => {
+  const paidTotal = getPaidTotal(payment);
+  const refundedAfter = roundMoney(payment.refunded_amount || 0);
+  const fullyRefunded = refundedAfter >= roundMoney(paidTotal);
+
+  let payableAmount;
+  let taxAmount;
+  if (fullyRefunded) {
+    payableAmount = roundMoney((payment.payable_amount || 0) - priorNotes.reduce((sum, note) => sum + (note.payable_amount || 0), 0));
+    taxAmount = roundMoney((payment.tax_amount || 0) - priorNotes.reduce((sum, note) => sum + (note.tax_amount || 0), 0));
+  } else {
+    const ratio = paidTotal > 0 ? amount / paidTotal : 0;
+    payableAmount = roundMoney((payment.payable_amount || 0) * ratio);
+    taxAmount = roundMoney((payment.tax_amount || 0) * ratio);
+  }
+
+  return {
+    payable_amount: payableAmount,
+    tax_amount: taxAmount,
+    taxable_amount: roundMoney(amount - taxAmount),
+    refundedAfter,
+    fullyRefunded
+  };
+};
+
+// Points to take back from the appointments a payment covered
+// Points earned on an appointment are reversed in the same share as the payment has been refunded
+// (all of them once it is fully refunded); earlier refunds of the payment are taken into account
+const planPointsReversal = (appointments, payment, priorNotes, refundedAfter, fullyRefunded) => {
+  const paidTotal = getPaidTotal(payment);
+  const plan = [];
+
+  for (const appointment of appointments) {
+    const alreadyReversed = priorNotes.reduce((sum, note) => {
+      return sum + (note.points_reversed || [])
+        .filter(entry => entry.appointment_id && entry.appointment_id.toString() === appointment._id.toString())
+        .reduce((total, entry) => total + entry.points, 0);
+    }, 0);
+    const earned = (appointment.pointsAwarded || 0) + alreadyReversed;
+    if (earned <= 0) continue;
+
+    const target = fullyRefunded || paidTotal <= 0
+      ? earned
+      : Math.floor(earned * refundedAfter / paidTotal);
+    const points = Math.min(target - alreadyReversed, appointment.pointsAwarded || 0);
+
+    if (points > 0) {
+      plan.push({ appointment_id: appointment._id, clientId: appointment.clientId, points });
+    }
+  }
+  return plan;
+};
+
+// Number and store a credit note; a number whose save fails is handed back or recorded as
+// skipped, like invoice numbers (see issueInvoice)
+const issueCreditNote = async (data, settings) => {
+  const sequence = await Counter.next(CREDIT_NOTE_COUNTER);
+  try {
+    return await CreditNote.create({
+      ...data,
+      number: formatCreditNoteNumber(sequence, settings),
+      sequence
+    });
+  } catch (error) {
+    await Counter.releaseOrSkip(CREDIT_NOTE_COUNTER, sequence, error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  getPaidTotal,
+  getRefundableAmount,
+  splitRefundAmount,
+  planPointsReversal,
+  issueCreditNote
+};
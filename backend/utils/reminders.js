@@ -0,0 +1,272 @@
+const Appointment = require('../models/Appointment');
+const Notification = require('../models/Notification');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const BusinessSettings = require('../models/BusinessSettings');
+const { getAppointmentEndTime } = require('./appointmentScheduling');
+const { getAdapterForChannel } = require('./notificationAdapters');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Appointments that still get reminders
+const REMINDER_STATUSES = ['scheduled', 'confirmed'];
+
+// Templates used until a manager saves their own
+const DEFAULT_REMINDER_TEMPLATES = {
+  sms: {
+    subject: null,
+    body: 'Hi {{clientName}}, this is a reminder of your {{serviceName}} appointment at {{businessName}} on {{date}} at {{time}} with {{staffName}}. Call {{businessPhone}} to reschedule.'
+  },
+  whatsapp: {
+    subject: null,
+    body: 'Hi {{clientName}} 👋 Reminder: your {{serviceName}} appointment at {{businessName}} is on {{date}} at {{time}} with {{staffName}}. Reply or call {{businessPhone}} if you need to reschedule.'
+  },
+  email: {
+    subject: 'Reminder: {{serviceName}} on {{date}} at {{time}}',
+    body: 'Dear {{clientName}},\n\nThis is a reminder of your {{serviceName}} appointment at {{businessName}} on {{date}} at {{time}} with {{staffName}}.\n\nAddress: {{businessAddress}}\nTo reschedule, call {{businessPhone}}.\n\nSee you soon!'
+  }
+};
+
+// Placeholders available in reminder templates
+const REMINDER_PLACEHOLDERS = [
+  'clientName', 'serviceName', 'staffName', 'date', 'time', 'endTime',
+  'businessName', 'businessPhone', 'businessAddress', 'hoursBefore'
+];
+
+// Replace {{placeholder}} tokens; unknown placeholders are left as they are
+const renderTemplate = (text, context) => {
+  if (!text) {
+    return text;
+  }
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+    context[key] !== undefined && context[key] !== null ? String(context[key]) : match
+  ));
+};
+
+// Template for a type/channel: the saved one if active, otherwise the default
+const getTemplate = async (type, channel) => {
+  const template = await NotificationTemplate.findOne({ type, channel, isActive: true }).lean();
+  if (template) {
+    return template;
+  }
+  return { type, channel, isDefault: true, ...DEFAULT_REMINDER_TEMPLATES[channel] };
+};
+
+// Helper function to build the placeholder values for an appointment
+const buildReminderContext = (appointment, settings, offsetHours) => {
+  const start = new Date(appointment.startTime);
+  const formatTime = (date) => date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  const variation = appointment.serviceVariationId;
+  const baseService = appointment.baseServiceId;
+
+  return {
+    clientName: appointment.clientId ? appointment.clientId.name : 'there',
+    serviceName: [baseService && baseService.name, variation && variation.variationName].filter(Boolean).join(' - '),
+    staffName: appointment.staffId ? appointment.staffId.name : 'our team',
+    date: start.toLocaleDateString('en-US', { weekday: 'long', day: 'numeric', month: 'long' }),
+    time: formatTime(start),
+    endTime: formatTime(getAppointmentEndTime(appointment)),
+    businessName: settings.businessName,
+    businessPhone: settings.contactPhone,
+    businessAddress: settings.address,
+    hoursBefore: offsetHours
+  };
+};
+
+// Helper function to pick the recipient address for a channel
+const getRecipient = (client, channel) => {
+  if (!client) {
+    return null;
+  }
+  return channel === 'email' ? client.email : client.phone;
+};
+
+// Queue reminders that are due
+// For each appointment only the tightest offset that has been reached is queued, so a booking
+// made 3 hours ahead with offsets [24, 2] gets the 24h reminder now and the 2h one later,
+// while a booking made 1 hour ahead only gets the 2h reminder
+// Reminders are keyed on the appointment's start time, so a rescheduled appointment is reminded
+// again for its new time (the ones written for the old time are cancelled at delivery)
+const queueDueReminders = async (now = new Date()) => {
+  const settings = await BusinessSettings.getSettings();
+  const { enabled, offsetsHours, channels, maxAttempts } = settings.reminders;
+  if (!enabled || offsetsHours.length === 0 || channels.length === 0) {
+    return 0;
+  }
+
+  const offsets = [...new Set(offsetsHours)].sort((a, b) => a - b);
+  const appointments = await Appointment.find({
+    status: { $in: REMINDER_STATUSES },
+    startTime: { $gt: now, $lte: new Date(now.getTime() + offsets[offsets.length - 1] * HOUR_MS) }
+  })
+    .populate('clientId', 'name phone email')
+    .populate('baseServiceId', 'name')
+    .populate('serviceVariationId', 'variationName timeDuration')
+    .populate('staffId', 'name');
+
+  const templates = {};
+  for (const channel of channels) {
+    templates[channel] = await getTemplate('reminder', channel);
+  }
+
+  let queued = 0;
+  for (const appointment of appointments) {
+    const hoursAhead = (new Date(appointment.startTime).getTime() - now.getTime()) / HOUR_MS;
+    const offsetHours = offsets.find(offset => hoursAhead <= offset);
+    if (offsetHours === undefined) {
+      continue;
+    }
+
+    const context = buildReminderContext(appointment, settings, offsetHours);
+    for (const channel of channels) {
+      const recipient = getRecipient(appointment.clientId, channel);
+      if (!recipient) {
+        continue;
+      }
+
+      // The unique index makes this a no-op when the reminder was already queued
+      const result = await Notification.updateOne(
+        { appointmentId: appointment._id, appointmentStartTime: appointment.startTime, type: 'reminder', offsetHours, channel },
+        {
+          $setOnInsert: {
+            clientId: appointment.clientId._id,
+            recipient,
+            subject: renderTemplate(templates[channel].subject, context),
+            body: renderTemplate(templates[channel].body, context),
+            status: 'pending',
+            attempts: 0,
+            maxAttempts,
+            nextAttemptAt: now
+          }
+        },
+        { upsert: true }
+      );
+      queued += result.upsertedCount || 0;
+    }
+  }
+
+  return queued;
+};
+
+// Try to deliver one outbox message
+// Failures are retried after retryDelayMinutes x attempts until maxAttempts is reached
+const deliverNotification = async (notification, retryDelayMinutes) => {
+  // Reminders for appointments that were cancelled or moved are not sent
+  if (notification.type === 'reminder' && notification.appointmentId) {
+    const appointment = await Appointment.findById(notification.appointmentId).select('status startTime');
+    if (!appointment || !REMINDER_STATUSES.includes(appointment.status) || new Date(appointment.startTime) <= new Date()) {
+      notification.status = 'cancelled';
+      notification.lastError = 'Appointment is no longer upcoming';
+      return notification.save();
+    }
+    // The next queue run writes a reminder for the new time
+    if (!notification.appointmentStartTime ||
+        new Date(notification.appointmentStartTime).getTime() !== new Date(appointment.startTime).getTime()) {
+      notification.status = 'cancelled';
+      notification.lastError = 'Appointment was rescheduled';
+      return notification.save();
+    }
+  }
+
+  const adapter = getAdapterForChannel(notification.channel);
+  notification.adapter = adapter.name;
+  notification.attempts += 1;
+
+  try {
+    const result = await adapter.send(notification);
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.lastError = null;
+    notification.providerMessageId = result && result.providerMessageId ? String(result.providerMessageId) : null;
+  } catch (error) {
+    notification.lastError = error.message;
+    if (notification.attempts >= notification.maxAttempts) {
+      notification.status = 'failed';
+    } else {
+      notification.status = 'pending';
+      notification.nextAttemptAt = new Date(Date.now() + retryDelayMinutes * notification.attempts * 60 * 1000);
+    }
+  }
+
+  return notification.save();
+};
+
+// Deliver every pending message that is due
+// Each message is claimed (pending -> sending) before delivery so overlapping runs never send twice
+const deliverPendingNotifications = async (now = new Date()) => {
+  const settings = await BusinessSettings.getSettings();
+  const summary = { sent: 0, failed: 0, retrying: 0, cancelled: 0 };
+
+  let notification;
+  while ((notification = await Notification.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { status: 'sending' },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  ))) {
+    try {
+      const result = await deliverNotification(notification, settings.reminders.retryDelayMinutes);
+      if (result.status === 'sent') summary.sent += 1;
+      else if (result.status === 'failed') summary.failed += 1;
+      else if (result.status === 'cancelled') summary.cancelled += 1;
+      else summary.retrying += 1;
+    } catch (error) {
+      // e.g. no adapter for the channel: park the message so the loop moves on
+      console.error('deliverPendingNotifications - Error:', error);
+      await Notification.updateOne(
+        { _id: notification._id },
+        { status: 'failed', lastError: error.message }
+      );
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+// One run of the reminder job: queue what is due, then deliver the outbox
+const runReminderCycle = async (now = new Date()) => {
+  const queued = await queueDueReminders(now);
+  const delivery = await deliverPendingNotifications(now);
+  return { queued, ...delivery };
+};
+
+// Start the scheduled reminder job (REMINDER_JOB_INTERVAL_MINUTES, default 5)
+// Messages stuck in "sending" after a crash are put back in the queue on start-up
+const startReminderJob = () => {
+  const intervalMinutes = Number(process.env.REMINDER_JOB_INTERVAL_MINUTES) || 5;
+  let running = false;
+
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const summary = await runReminderCycle();
+      if (summary.queued || summary.sent || summary.failed || summary.retrying) {
+        console.log('Reminder job:', summary);
+      }
+    } catch (error) {
+      console.error('Reminder job - Error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  Notification.updateMany({ status: 'sending' }, { status: 'pending' })
+    .catch(error => console.error('Reminder job - Error resetting stuck notifications:', error))
+    .finally(tick);
+
+  return setInterval(tick, intervalMinutes * 60 * 1000);
+};
+
+module.exports = {
+  DEFAULT_REMINDER_TEMPLATES,
+  REMINDER_PLACEHOLDERS,
+  renderTemplate,
+  getTemplate,
+  queueDueReminders,
+  deliverNotification,
+  deliverPendingNotifications,
+  runReminderCycle,
+  startReminderJob
+};
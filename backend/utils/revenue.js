@@ -0,0 +1,48 @@
+const Payment = require('../models/Payment');
+const CreditNote = require('../models/CreditNote');
+
+// Revenue for a date range: paid payments (by creation date) less refunds (by credit note date)
+// Both are on the payable_amount basis the reports have always used
+const getRevenueForPeriod = async (startDate, endDate) => {
+  const [payments] = await Payment.aggregate([
+    {
+      $match: {
+        status: 'paid',
+        createdAt: { $gte: startDate, $lte: endDate }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$payable_amount' }
+      }
+    }
+  ]);
+
+  const [refunds] = await CreditNote.aggregate([
+    {
+      $match: {
+        issuedAt: { $gte: startDate, $lte: endDate }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$payable_amount' }
+      }
+    }
+  ]);
+
+  const gross = payments ? payments.total : 0;
+  const refunded = refunds ? refunds.total : 0;
+
+  return {
+    gross,
+    refunds: refunded,
+    net: gross - refunded
+  };
+};
+
+module.exports = {
+  getRevenueForPeriod
+};
@@ -0,0 +1,244 @@
+const StaffSchedule = require('../models/StaffSchedule');
+const Staff = require('../models/Staff');
+const Attendance = require('../models/Attendance');
+const Leave = require('../models/Leave');
+const CompanyClosure = require('../models/CompanyClosure');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Longest date range a roster (and the absence check built on it) can cover
+const MAX_ROSTER_RANGE_DAYS = 92;
+
+// Helper function to turn "HH:MM" into minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Helper function to compare two dates by calendar day (salon local time)
+const isSameDay = (a, b) => {
+  const first = new Date(a);
+  const second = new Date(b);
+  return first.getFullYear() === second.getFullYear() &&
+    first.getMonth() === second.getMonth() &&
+    first.getDate() === second.getDate();
+};
+
+// Resolve a schedule for one day
+// Returns { source: 'override' | 'weekly' | 'none', isOff, reason, shifts: [{ startTime, endTime, start, end }] }
+// 'none' means the staff member has no schedule, so no shift restriction applies
+const getShiftsForDate = (schedule, date) => {
+  const startOfDay = new Date(date);
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const withTimes = (shifts) => shifts
+    .map(shift => ({
+      startTime: shift.startTime,
+      endTime: shift.endTime,
+      start: new Date(startOfDay.getTime() + toMinutes(shift.startTime) * MINUTE_MS),
+      end: new Date(startOfDay.getTime() + toMinutes(shift.endTime) * MINUTE_MS)
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  if (!schedule) {
+    return { source: 'none', isOff: false, reason: null, shifts: [] };
+  }
+
+  const override = (schedule.overrides || []).find(entry => isSameDay(entry.date, startOfDay));
+  if (override) {
+    return {
+      source: 'override',
+      isOff: override.isOff,
+      reason: override.reason || null,
+      shifts: override.isOff ? [] : withTimes(override.shifts)
+    };
+  }
+
+  const weekly = (schedule.weeklyShifts || []).filter(shift => shift.dayOfWeek === startOfDay.getDay());
+  return {
+    source: 'weekly',
+    isOff: weekly.length === 0,
+    reason: null,
+    shifts: withTimes(weekly)
+  };
+};
+
+// Load the day's shifts for several staff members at once
+// Returns a Map of staffId -> getShiftsForDate() result
+const getShiftsForStaff = async (staffIds, date) => {
+  const schedules = await StaffSchedule.find({ staffId: { $in: staffIds } }).lean();
+  const scheduleByStaff = new Map(schedules.map(schedule => [schedule.staffId.toString(), schedule]));
+
+  return new Map(staffIds.map(staffId => [
+    staffId.toString(),
+    getShiftsForDate(scheduleByStaff.get(staffId.toString()), date)
+  ]));
+};
+
+// Check that [start, end) falls inside a single shift
+// Staff without a schedule are always within shift
+const isWithinShift = (dayShifts, start, end) => {
+  if (!dayShifts || dayShifts.source === 'none') {
+    return true;
+  }
+  return dayShifts.shifts.some(shift => shift.start <= start && shift.end >= end);
+};
+
+// Explain why a booking falls outside a staff member's shift (null when it fits)
+const findShiftViolation = async (staffId, startTime, durationMinutes) => {
+  const start = new Date(startTime);
+  const end = new Date(start.getTime() + durationMinutes * MINUTE_MS);
+  const schedule = await StaffSchedule.findOne({ staffId }).lean();
+  const dayShifts = getShiftsForDate(schedule, start);
+
+  if (isWithinShift(dayShifts, start, end)) {
+    return null;
+  }
+  if (dayShifts.isOff) {
+    return `Staff member is not working on this day${dayShifts.reason ? ` (${dayShifts.reason})` : ''}`;
+  }
+  const hours = dayShifts.shifts.map(shift => `${shift.startTime}-${shift.endTime}`).join(', ');
+  return `Appointment falls outside the staff member's shift (${hours})`;
+};
+
+// Attendance records are stored at UTC midnight of the calendar day (see importAttendance)
+const toAttendanceDate = (date) => new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+
+// Check a roster date range (whole days, both ends included)
+// Returns an error message or null
+const getRosterRangeError = (startDate, endDate) => {
+  const start = new Date(startDate);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(endDate);
+  end.setHours(0, 0, 0, 0);
+  if (end < start) {
+    return 'End date cannot be before start date';
+  }
+  if (Math.round((end - start) / DAY_MS) + 1 > MAX_ROSTER_RANGE_DAYS) {
+    return `Date range cannot exceed ${MAX_ROSTER_RANGE_DAYS} days`;
+  }
+  return null;
+};
+
+// Build the roster for a date range: each day lists every scheduled staff member with their
+// expected shifts, approved leave and the attendance recorded for that day
+// Only staff with a StaffSchedule are included (others have no expected shifts)
+// Callers check the range with getRosterRangeError first; an invalid one throws
+const buildRoster = async (startDate, endDate, staffIds = null) => {
+  const rangeError = getRosterRangeError(startDate, endDate);
+  if (rangeError) {
+    throw new Error(rangeError);
+  }
+
+  const start = new Date(startDate);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(endDate);
+  end.setHours(23, 59, 59, 999);
+
+  const scheduleQuery = staffIds ? { staffId: { $in: staffIds } } : {};
+  const schedules = await StaffSchedule.find(scheduleQuery).lean();
+  const staffMembers = await Staff.find({ _id: { $in: schedules.map(schedule => schedule.staffId) }, status: 'Active' })
+    .select('name role specialization biometric_emp_id')
+    .sort({ name: 1 })
+    .lean();
+  const scheduleByStaff = new Map(schedules.map(schedule => [schedule.staffId.toString(), schedule]));
+  const activeStaffIds = staffMembers.map(staff => staff._id);
+
+  const closures = await CompanyClosure.find({ date: { $gte: start, $lte: end } }).lean();
+  const leaves = await Leave.find({
+    staffId: { $in: activeStaffIds },
+    status: 'approved',
+    startDate: { $lte: end },
+    endDate: { $gte: start }
+  }).lean();
+  const attendance = await Attendance.find({
+    staffId: { $in: activeStaffIds },
+    date: { $gte: toAttendanceDate(start), $lte: toAttendanceDate(end) }
+  }).lean();
+  const attendanceByKey = new Map(attendance.map(record => [
+    `${record.staffId.toString()}_${new Date(record.date).toISOString()}`,
+    record
+  ]));
+
+  const days = [];
+  for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+    const date = new Date(day);
+    const closure = closures.find(entry => isSameDay(entry.date, date));
+
+    const staff = staffMembers.map(member => {
+      const dayShifts = getShiftsForDate(scheduleByStaff.get(member._id.toString()), date);
+      const leave = leaves.find(entry => entry.staffId.toString() === member._id.toString() &&
+        new Date(entry.startDate) <= new Date(date.getTime() + 24 * 60 * MINUTE_MS - 1) &&
+        new Date(entry.endDate) >= date);
+      const record = attendanceByKey.get(`${member._id.toString()}_${toAttendanceDate(date).toISOString()}`);
+
+      return {
+        staffId: member._id,
+        name: member.name,
+        role: member.role,
+        specialization: member.specialization,
+        source: dayShifts.source,
+        isOff: dayShifts.isOff,
+        reason: dayShifts.reason,
+        shifts: dayShifts.shifts.map(shift => ({ startTime: shift.startTime, endTime: shift.endTime })),
+        onLeave: leave ? { leaveId: leave._id, type: leave.type } : null,
+        attendance: record
+          ? { status: record.status, isPresent: record.isPresent, checkIn: record.checkIn, checkOut: record.checkOut }
+          : null
+      };
+    });
+
+    days.push({
+      date,
+      closed: !!closure,
+      closureReason: closure ? closure.reason || (closure.isHoliday ? 'Holiday' : 'Company closure') : null,
+      staff
+    });
+  }
+
+  return days;
+};
+
+// Find expected shifts with no attendance (or an absent record)
+// Closure days, days off and approved leave are not absences; future days are ignored
+const findScheduledAbsences = async (startDate, endDate, staffIds = null) => {
+  const roster = await buildRoster(startDate, endDate, staffIds);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const absences = [];
+  roster.forEach(day => {
+    if (day.closed || day.date > today) {
+      return;
+    }
+    day.staff.forEach(member => {
+      if (member.isOff || member.onLeave || member.shifts.length === 0) {
+        return;
+      }
+      if (member.attendance && member.attendance.isPresent) {
+        return;
+      }
+      absences.push({
+        staffId: member.staffId,
+        name: member.name,
+        date: day.date,
+        expectedShifts: member.shifts,
+        attendanceStatus: member.attendance ? member.attendance.status : 'missing'
+      });
+    });
+  });
+
+  return absences;
+};
+
+module.exports = {
+  MAX_ROSTER_RANGE_DAYS,
+  getRosterRangeError,
+  getShiftsForDate,
+  getShiftsForStaff,
+  isWithinShift,
+  findShiftViolation,
+  buildRoster,
+  findScheduledAbsences
+};
@@ -0,0 +1,70 @@
+// Tax calculation driven by BusinessSettings.taxRate / taxInclusive
+// - Exclusive: line amounts are net, tax is added on top
+// - Inclusive: line amounts already contain tax, which is backed out
+// Every line is rounded to 2 decimals on its own, so totals always equal the sum of the lines
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Tax for a single bill line
+const calculateLineTax = (amount, taxRate, taxInclusive) => {
+  const value = roundMoney(amount);
+  const rate = Number(taxRate) || 0;
+
+  if (rate <= 0) {
+    return { net: value, tax: 0, gross: value };
+  }
+  if (taxInclusive) {
+    const net = roundMoney(value * 100 / (100 + rate));
+    return { net, tax: roundMoney(value - net), gross: value };
+  }
+  const tax = roundMoney(value * rate / 100);
+  return { net: value, tax, gross: roundMoney(value + tax) };
+};
+
+// Spread an amount over several lines in proportion to their weights (e.g. appointment totals)
+// The last line takes the rounding remainder
+const allocateAmount = (amount, weights) => {
+  const total = weights.reduce((sum, weight) => sum + (Number(weight) || 0), 0);
+  let remaining = roundMoney(amount);
+
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) {
+      return remaining;
+    }
+    const share = total > 0
+      ? roundMoney(amount * (Number(weight) || 0) / total)
+      : roundMoney(amount / weights.length);
+    remaining = roundMoney(remaining - share);
+    return share;
+  });
+};
+
+// Tax breakdown for a payment
+// lines: [{ appointment_id, product_id?, description, weight }]; the payable amount is split across them
+const calculatePaymentTax = (payableAmount, lines, taxRate, taxInclusive) => {
+  const billLines = lines.length > 0 ? lines : [{ appointment_id: null, description: null, weight: 1 }];
+  const amounts = allocateAmount(payableAmount, billLines.map(line => line.weight));
+
+  const taxLines = billLines.map((line, index) => ({
+    appointment_id: line.appointment_id,
+    product_id: line.product_id || null,
+    description: line.description,
+    ...calculateLineTax(amounts[index], taxRate, taxInclusive)
+  }));
+
+  return {
+    tax_rate: Number(taxRate) || 0,
+    tax_inclusive: !!taxInclusive,
+    tax_lines: taxLines,
+    taxable_amount: roundMoney(taxLines.reduce((sum, line) => sum + line.net, 0)),
+    tax_amount: roundMoney(taxLines.reduce((sum, line) => sum + line.tax, 0)),
+    total_amount: roundMoney(taxLines.reduce((sum, line) => sum + line.gross, 0))
+  };
+};
+
+module.exports = {
+  roundMoney,
+  calculateLineTax,
+  allocateAmount,
+  calculatePaymentTax
+};
@@ -0,0 +1,103 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const ServiceVariation = require('../models/ServiceVariation');
+const Staff = require('../models/Staff');
+
+// Waitlist entries that can still be offered a slot
+const OPEN_WAITLIST_STATUSES = ['waiting', 'notified'];
+
+// Find waitlist entries that fit into the slot freed by a cancelled/deleted appointment
+// An entry matches when its desired service fits inside both the freed slot and the entry's
+// window, and the therapist is the preferred one (or, with no preference, has the right specialization)
+const findWaitlistMatches = async (appointment) => {
+  const freedVariation = await ServiceVariation.findById(appointment.serviceVariationId).select('timeDuration');
+  const staff = await Staff.findById(appointment.staffId).select('name specialization status');
+  if (!freedVariation || !staff || staff.status !== 'Active') {
+    return [];
+  }
+
+  const freedStart = new Date(appointment.startTime);
+  const freedEnd = new Date(freedStart.getTime() + freedVariation.timeDuration * 60 * 1000);
+
+  const entries = await WaitlistEntry.find({
+    status: { $in: OPEN_WAITLIST_STATUSES },
+    windowStart: { $lt: freedEnd },
+    windowEnd: { $gt: freedStart },
+    preferredStaffId: { $in: [null, staff._id] }
+  })
+    .populate('clientId', 'name phone')
+    .populate({
+      path: 'serviceVariationId',
+      select: 'variationName timeDuration baseService',
+      populate: { path: 'baseService', select: 'name category' }
+    })
+    .sort({ createdAt: 1 });
+
+  return entries.reduce((matches, entry) => {
+    const variation = entry.serviceVariationId;
+    if (!variation) {
+      return matches;
+    }
+    if (!entry.preferredStaffId && variation.baseService && variation.baseService.category !== staff.specialization) {
+      return matches;
+    }
+
+    const suggestedStart = new Date(Math.max(freedStart.getTime(), new Date(entry.windowStart).getTime()));
+    const suggestedEnd = new Date(suggestedStart.getTime() + variation.timeDuration * 60 * 1000);
+    if (suggestedEnd > freedEnd || suggestedEnd > new Date(entry.windowEnd)) {
+      return matches;
+    }
+
+    matches.push({
+      entry,
+      suggestedStartTime: suggestedStart,
+      staffId: staff._id,
+      staffName: staff.name
+    });
+    return matches;
+  }, []);
+};
+
+// Surface waitlist matches for a freed slot and notify staff over socket.io
+// Receptionists and managers get every match; a preferred therapist is told about their own
+// Never throws: a notification failure must not fail the cancellation itself
+const notifyWaitlistForFreedSlot = async (io, appointment) => {
+  try {
+    const matches = await findWaitlistMatches(appointment);
+    if (matches.length === 0) {
+      return [];
+    }
+
+    await WaitlistEntry.updateMany(
+      { _id: { $in: matches.map(match => match.entry._id) } },
+      { status: 'notified', notifiedAt: new Date() }
+    );
+
+    if (io) {
+      const payload = {
+        appointmentId: appointment._id,
+        staffId: appointment.staffId,
+        startTime: appointment.startTime,
+        matches
+      };
+      io.to('role:receptionist').to('role:manager').emit('waitlist_match', payload);
+
+      const preferredStaffIds = [...new Set(matches
+        .filter(match => match.entry.preferredStaffId)
+        .map(match => match.entry.preferredStaffId.toString()))];
+      preferredStaffIds.forEach(staffId => {
+        io.to(`staff:${staffId}`).emit('waitlist_match', payload);
+      });
+    }
+
+    return matches;
+  } catch (error) {
+    console.error('notifyWaitlistForFreedSlot - Error:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  OPEN_WAITLIST_STATUSES,
+  findWaitlistMatches,
+  notifyWaitlistForFreedSlot
+};
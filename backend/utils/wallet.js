@@ -0,0 +1,98 @@
+const Client = require('../models/Client');
+const Appointment = require('../models/Appointment');
+const WalletTransaction = require('../models/WalletTransaction');
+const { roundMoney } = require('./tax');
+
+// Payment type that spends the client's wallet balance
+const WALLET_PAYMENT_TYPE = 'client_wallet';
+
+// Move money in or out of a wallet and write the ledger entry
+// `guard` is extra filter on the client (used to refuse debits the balance does not cover)
+const moveWalletBalance = async (clientId, amount, entry, guard = {}) => {
+  const client = await Client.findOneAndUpdate(
+    { _id: clientId, ...guard },
+    [{ $set: { wallet_balance: { $round: [{ $add: [{ $ifNull: ['$wallet_balance', 0] }, amount] }, 2] } } }],
+    { new: true }
+  );
+  if (!client) return null;
+
+  return WalletTransaction.create({
+    ...entry,
+    clientId,
+    amount,
+    balance_after: client.wallet_balance
+  });
+};
+
+// Put money into a client's wallet (null if the client does not exist)
+const creditWallet = (clientId, amount, entry) => moveWalletBalance(clientId, roundMoney(amount), entry);
+
+// Take money out of a client's wallet (null, with nothing taken, when the balance does not cover it)
+const debitWallet = (clientId, amount, entry) => {
+  const value = roundMoney(amount);
+  return moveWalletBalance(clientId, -value, entry, { wallet_balance: { $gte: value } });
+};
+
+// Client a payment belongs to (set on products-only sales, otherwise through its first appointment)
+const getPaymentClientId = async (payment) => {
+  if (payment.client_id) return payment.client_id;
+  const appointmentId = payment.parent_appointment_ids && payment.parent_appointment_ids.length > 0
+    ? payment.parent_appointment_ids[0]
+    : payment.appointment_id;
+  const appointment = await Appointment.findById(appointmentId).select('clientId');
+  return appointment ? appointment.clientId : null;
+};
+
+// Charge a saved wallet payment to the client's balance (after saving, so the total with tax is known)
+// Returns an error message when the wallet cannot pay, or null once the balance has been charged
+const chargeWalletPayment = async (payment, staff) => {
+  if (payment.type !== WALLET_PAYMENT_TYPE) return null;
+
+  const clientId = await getPaymentClientId(payment);
+  if (!clientId) {
+    return 'Wallet payments need a client';
+  }
+
+  const amount = roundMoney(payment.total_amount !== null && payment.total_amount !== undefined
+    ? payment.total_amount
+    : payment.payable_amount);
+  const entry = await debitWallet(clientId, amount, {
+    type: 'spend',
+    payment_id: payment._id,
+    appointment_id: payment.appointment_id,
+    description: payment.appointment_id ? 'Paid for appointment' : 'Paid for products',
+    recordedBy: staff ? staff._id : null
+  });
+
+  if (!entry) {
+    const client = await Client.findById(clientId).select('wallet_balance');
+    return `Insufficient wallet balance. Available: ${client ? client.wallet_balance || 0 : 0}, Required: ${amount}`;
+  }
+  return null;
+};
+
+// Give back whatever a wallet payment still holds from the balance (when the payment is deleted)
+const releaseWalletPayment = async (payment, staff) => {
+  const entries = await WalletTransaction.find({ payment_id: payment._id, credit_note_id: null });
+  if (entries.length === 0) return null;
+
+  const held = roundMoney(-entries.reduce((sum, entry) => sum + entry.amount, 0));
+  if (held <= 0) return null;
+
+  return creditWallet(entries[0].clientId, held, {
+    type: 'refund',
+    payment_id: payment._id,
+    appointment_id: payment.appointment_id,
+    description: 'Wallet payment deleted',
+    recordedBy: staff ? staff._id : null
+  });
+};
+
+module.exports = {
+  WALLET_PAYMENT_TYPE,
+  creditWallet,
+  debitWallet,
+  getPaymentClientId,
+  chargeWalletPayment,
+  releaseWalletPayment
+};
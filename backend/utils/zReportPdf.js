@@ -0,0 +1,127 @@
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const { THERMAL_WIDTH, THERMAL_MARGIN, formatMoney } = require('./invoicePdf');
+
+// Helper function to format a date and time for the report
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+// Z report for a closed cash drawer session: one column of label/amount rows,
+// so the same drawing works on A4 and on the 80mm counter printer
+// Returns the height used so a thermal page can be sized to fit
+const drawZReport = (doc, { session, totals, tenders, settings }, layout) => {
+  const thermal = layout === 'thermal';
+  const left = thermal ? THERMAL_MARGIN : 50;
+  const width = thermal ? THERMAL_WIDTH - THERMAL_MARGIN * 2 : 500;
+  const size = thermal ? { title: 11, heading: 8, text: 7 } : { title: 18, heading: 12, text: 10 };
+  const money = (value) => formatMoney(settings.currency || 'PKR', value);
+
+  const separator = () => {
+    doc.moveDown(0.4);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+    doc.moveDown(0.4);
+  };
+  const heading = (text) => {
+    doc.font('Helvetica-Bold').fontSize(size.heading).text(text, left, doc.y, { width });
+    doc.font('Helvetica').fontSize(size.text);
+  };
+  // Label on the left, amount on the right, on the same line
+  const row = (label, value) => {
+    const y = doc.y;
+    doc.text(label, left, y, { width: width * 0.6 });
+    const labelBottom = doc.y;
+    doc.text(value, left + width * 0.6, y, { width: width * 0.4, align: 'right' });
+    doc.y = Math.max(labelBottom, doc.y);
+  };
+
+  // Business Information
+  doc.y = thermal ? THERMAL_MARGIN : 50;
+  doc.font('Helvetica-Bold').fontSize(size.title).text((settings.businessName || 'GLAMOUR PRO').toUpperCase(), left, doc.y, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(size.text);
+  if (settings.address) doc.text(settings.address, { width, align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(size.heading).text('Z REPORT - END OF DAY', left, doc.y, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(size.text);
+  separator();
+
+  // Session
+  const staff = session.staffId && session.staffId.name ? session.staffId.name : 'N/A';
+  const closedBy = session.closedBy && session.closedBy.name ? session.closedBy.name : staff;
+  row('Receptionist', staff);
+  row('Opened', formatDateTime(session.openedAt));
+  row('Closed', formatDateTime(session.closedAt));
+  row('Closed by', closedBy);
+  separator();
+
+  // Cash movements
+  heading('CASH DRAWER');
+  row('Opening float', money(totals.openingFloat));
+  row(`Cash sales (${totals.cashSalesCount})`, money(totals.cashSales));
+  row(`Wallet top-ups (${totals.walletTopUpsCount || 0})`, money(totals.walletTopUps || 0));
+  row(`Gift card sales (${totals.giftCardSalesCount || 0})`, money(totals.giftCardSales || 0));
+  row(`Cash refunds (${totals.cashRefundsCount})`, `-${money(totals.cashRefunds)}`);
+  row(`Paid-outs (${(session.paidOuts || []).length})`, `-${money(totals.paidOuts)}`);
+  doc.font('Helvetica-Bold');
+  row('Expected in drawer', money(session.expectedAmount));
+  row('Counted', money(session.countedAmount));
+  const overShort = session.overShort || 0;
+  row(overShort > 0 ? 'OVER' : overShort < 0 ? 'SHORT' : 'Over/Short', money(overShort));
+  doc.font('Helvetica');
+
+  if ((session.paidOuts || []).length > 0) {
+    separator();
+    heading('PAID-OUTS');
+    for (const paidOut of session.paidOuts) {
+      row(`${formatDateTime(paidOut.recordedAt)} ${paidOut.reason}`, money(paidOut.amount));
+    }
+  }
+
+  // Tender breakdown for the whole business while the drawer was open
+  separator();
+  heading('ALL PAYMENTS DURING SESSION');
+  if (tenders.length === 0) {
+    doc.text('No payments', left, doc.y, { width });
+  }
+  for (const tender of tenders) {
+    row(`${tender.type} (${tender.count})`, money(tender.total));
+  }
+
+  if (session.openingNotes || session.closingNotes) {
+    separator();
+    if (session.openingNotes) doc.text(`Opening notes: ${session.openingNotes}`, left, doc.y, { width });
+    if (session.closingNotes) doc.text(`Closing notes: ${session.closingNotes}`, left, doc.y, { width });
+  }
+
+  separator();
+  doc.fontSize(size.text - 1).text(`Printed ${formatDateTime(new Date())}`, left, doc.y, { width, align: 'center' });
+
+  return doc.y + (thermal ? THERMAL_MARGIN : 50);
+};
+
+// Render the Z report PDF (same pdfkit pipeline and layouts as the bills)
+// Resolves once the file has been written
+const renderZReportPdf = (data, filePath, layout = 'a4') => new Promise((resolve, reject) => {
+  let doc;
+  if (layout === 'thermal') {
+    // Lay the report out once on a very long page to measure it, then print on a page cut to fit
+    const measure = new PDFDocument({ size: [THERMAL_WIDTH, 14400], margin: THERMAL_MARGIN });
+    const height = drawZReport(measure, data, layout);
+    measure.end();
+
+    doc = new PDFDocument({ size: [THERMAL_WIDTH, Math.ceil(height)], margin: THERMAL_MARGIN });
+  } else {
+    doc = new PDFDocument({ margin: 50 });
+  }
+
+  const stream = fs.createWriteStream(filePath);
+  stream.on('finish', resolve);
+  stream.on('error', reject);
+  doc.pipe(stream);
+
+  drawZReport(doc, data, layout);
+
+  doc.end();
+});
+
+module.exports = {
+  renderZReportPdf
+};